@@ -1,4 +1,5 @@
 // scripts/distribute.js
+// Legacy standalone distributor, superseded by `saintdurbin distribute` (scripts/cli.js)
 const { ethers } = require('ethers');
 const axios = require('axios');
 require('dotenv').config();
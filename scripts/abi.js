@@ -0,0 +1,107 @@
+// scripts/abi.js
+// Shared ABI fragments for tooling that needs more than the distributor's
+// minimal interface (event history, emergency functions, tracking state).
+
+const SAINTDURBIN_FULL_ABI = [
+  // Core
+  "function executeTransfer() external",
+  "function checkAndSwitchValidator() external",
+  "function requestEmergencyDrain() external",
+  "function executeEmergencyDrain() external",
+  "function cancelEmergencyDrain() external",
+
+  // Views
+  "function canExecuteTransfer() external view returns (bool)",
+  "function getNextTransferAmount() external view returns (uint256)",
+  "function blocksUntilNextTransfer() external view returns (uint256)",
+  "function getAvailableRewards() external view returns (uint256)",
+  "function getStakedBalance() external view returns (uint256)",
+  "function getCurrentValidatorInfo() external view returns (bytes32 hotkey, uint16 uid, bool isValid)",
+  "function getRecipientCount() external view returns (uint256)",
+  "function getRecipient(uint256 index) external view returns (bytes32 coldkey, uint256 proportion)",
+  "function getAllRecipients() external view returns (bytes32[] coldkeys, uint256[] proportions)",
+  "function getEmergencyDrainStatus() external view returns (bool isPending, uint256 timeRemaining)",
+
+  // Public state
+  "function currentValidatorHotkey() external view returns (bytes32)",
+  "function currentValidatorUid() external view returns (uint16)",
+  "function thisSs58PublicKey() external view returns (bytes32)",
+  "function netuid() external view returns (uint16)",
+  "function principalLocked() external view returns (uint256)",
+  "function previousBalance() external view returns (uint256)",
+  "function lastTransferBlock() external view returns (uint256)",
+  "function lastRewardRate() external view returns (uint256)",
+  "function lastPaymentAmount() external view returns (uint256)",
+  "function lastValidatorCheckBlock() external view returns (uint256)",
+  "function emergencyOperator() external view returns (address)",
+  "function drainSs58Address() external view returns (bytes32)",
+  "function emergencyDrainRequestedAt() external view returns (uint256)",
+  "function cumulativeBalanceIncrease() external view returns (uint256)",
+  "function lastBalanceCheckBlock() external view returns (uint256)",
+
+  // Events
+  "event StakeTransferred(uint256 totalAmount, uint256 newBalance)",
+  "event RecipientTransfer(bytes32 indexed coldkey, uint256 amount, uint256 proportion)",
+  "event PrincipalDetected(uint256 amount, uint256 totalPrincipal)",
+  "event EmergencyDrainExecuted(bytes32 indexed drainAddress, uint256 amount)",
+  "event TransferFailed(bytes32 indexed coldkey, uint256 amount, string reason)",
+  "event EmergencyDrainRequested(uint256 executionTime)",
+  "event EmergencyDrainCancelled()",
+  "event ValidatorSwitched(bytes32 indexed oldHotkey, bytes32 indexed newHotkey, uint16 newUid, string reason)",
+  "event ValidatorCheckFailed(string reason)",
+
+  // Custom errors
+  "error NotEmergencyOperator()",
+  "error InvalidAddress()",
+  "error InvalidHotkey()",
+  "error InvalidProportion()",
+  "error ProportionsMismatch()",
+  "error TransferTooSoon()",
+  "error NoBalance()",
+  "error ReentrancyGuard()",
+  "error TimelockNotExpired()",
+  "error NoPendingRequest()",
+  "error NoValidValidatorFound()",
+  "error StakeMoveFailure()"
+];
+
+// Every event the contract can emit, in declaration order
+const SAINTDURBIN_EVENTS = [
+  'StakeTransferred',
+  'RecipientTransfer',
+  'PrincipalDetected',
+  'EmergencyDrainExecuted',
+  'TransferFailed',
+  'EmergencyDrainRequested',
+  'EmergencyDrainCancelled',
+  'ValidatorSwitched',
+  'ValidatorCheckFailed'
+];
+
+// Metagraph precompile (src/interfaces/IMetagraph.sol)
+const METAGRAPH_ADDRESS = '0x0000000000000000000000000000000000000802';
+
+const METAGRAPH_ABI = [
+  "function getUidCount(uint16 netuid) external view returns (uint16)",
+  "function getStake(uint16 netuid, uint16 uid) external view returns (uint64)",
+  "function getRank(uint16 netuid, uint16 uid) external view returns (uint16)",
+  "function getTrust(uint16 netuid, uint16 uid) external view returns (uint16)",
+  "function getConsensus(uint16 netuid, uint16 uid) external view returns (uint16)",
+  "function getIncentive(uint16 netuid, uint16 uid) external view returns (uint16)",
+  "function getDividends(uint16 netuid, uint16 uid) external view returns (uint16)",
+  "function getEmission(uint16 netuid, uint16 uid) external view returns (uint64)",
+  "function getVtrust(uint16 netuid, uint16 uid) external view returns (uint16)",
+  "function getValidatorStatus(uint16 netuid, uint16 uid) external view returns (bool)",
+  "function getLastUpdate(uint16 netuid, uint16 uid) external view returns (uint64)",
+  "function getIsActive(uint16 netuid, uint16 uid) external view returns (bool)",
+  "function getAxon(uint16 netuid, uint16 uid) external view returns (tuple(uint64 block, uint32 version, uint128 ip, uint16 port, uint8 ip_type, uint8 protocol))",
+  "function getHotkey(uint16 netuid, uint16 uid) external view returns (bytes32)",
+  "function getColdkey(uint16 netuid, uint16 uid) external view returns (bytes32)"
+];
+
+module.exports = {
+  SAINTDURBIN_FULL_ABI,
+  SAINTDURBIN_EVENTS,
+  METAGRAPH_ADDRESS,
+  METAGRAPH_ABI
+};
\ No newline at end of file
@@ -0,0 +1,342 @@
+// scripts/address-book.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for address display
+const ADDRESS_BOOK_CONFIG = {
+  // SS58 network prefix; 42 is the generic Substrate prefix Bittensor uses
+  ss58Prefix: parseInt(process.env.SS58_PREFIX || '42'),
+
+  // Sections allowed in the labels file
+  categories: ['recipients', 'validators', 'drain', 'other'],
+
+  // Result fields holding bytes32 public keys; JSON output gains <field>Ss58 and <field>Label
+  keyFields: ['coldkey', 'hotkey', 'oldHotkey', 'newHotkey', 'drainAddress', 'drainTarget']
+};
+
+const SS58_CHECKSUM_PREFIX = Buffer.from('SS58PRE');
+
+/**
+ * Whether a value is a 0x-prefixed bytes32 hex string
+ * @param {*} value - Value to test
+ * @returns {boolean} True for 32-byte hex
+ */
+function isPublicKey(value) {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+}
+
+/**
+ * Encode an SS58 network prefix as its one- or two-byte form
+ * @param {number} prefix - Network prefix (0-16383)
+ * @returns {Buffer} Prefix bytes
+ * @throws {Error} If the prefix is out of range
+ */
+function encodePrefix(prefix) {
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > 16383) {
+    throw new Error(`SS58 prefix must be an integer from 0 to 16383, got ${prefix}`);
+  }
+  if (prefix < 64) {
+    return Buffer.from([prefix]);
+  }
+  return Buffer.from([((prefix & 0xfc) >> 2) | 0x40, (prefix >> 8) | ((prefix & 0x03) << 6)]);
+}
+
+/**
+ * First two bytes of blake2b-512 over "SS58PRE" + prefix + public key
+ * @param {Buffer} payload - Prefix bytes followed by the public key
+ * @returns {Buffer} Checksum
+ */
+function ss58Checksum(payload) {
+  return crypto.createHash('blake2b512').update(Buffer.concat([SS58_CHECKSUM_PREFIX, payload])).digest().subarray(0, 2);
+}
+
+/**
+ * Encode a bytes32 public key as an SS58 address
+ * @param {string} publicKey - 0x-prefixed bytes32 hex
+ * @param {number} prefix - Network prefix (defaults to ADDRESS_BOOK_CONFIG.ss58Prefix)
+ * @returns {string} SS58 address
+ * @throws {Error} If the key is not bytes32
+ */
+function encodeSs58(publicKey, prefix = ADDRESS_BOOK_CONFIG.ss58Prefix) {
+  if (!isPublicKey(publicKey)) {
+    throw new Error(`Expected a bytes32 public key, got ${publicKey}`);
+  }
+  const payload = Buffer.concat([encodePrefix(prefix), Buffer.from(publicKey.slice(2), 'hex')]);
+  return ethers.encodeBase58(Buffer.concat([payload, ss58Checksum(payload)]));
+}
+
+/**
+ * Decode an SS58 address and verify its checksum
+ * @param {string} address - SS58 address
+ * @returns {Object} { publicKey, prefix } with the key as lowercase bytes32 hex
+ * @throws {Error} If the address is malformed or its checksum does not match
+ */
+function decodeSs58(address) {
+  let bytes;
+  try {
+    // decodeBase58 drops leading zero bytes, which base58 writes as '1'
+    const zeros = address.match(/^1*/)[0].length;
+    const value = ethers.decodeBase58(address);
+    bytes = Buffer.concat([Buffer.alloc(zeros), value > 0n ? Buffer.from(ethers.getBytes(ethers.toBeHex(value))) : Buffer.alloc(0)]);
+  } catch (error) {
+    throw new Error(`Invalid SS58 address ${address}: not base58`);
+  }
+
+  const prefixLength = bytes[0] < 64 ? 1 : 2;
+  if (bytes.length !== prefixLength + 32 + 2) {
+    throw new Error(`Invalid SS58 address ${address}: expected a 32-byte public key`);
+  }
+  const payload = bytes.subarray(0, prefixLength + 32);
+  if (!ss58Checksum(payload).equals(bytes.subarray(prefixLength + 32))) {
+    throw new Error(`Invalid SS58 address ${address}: checksum mismatch`);
+  }
+
+  const prefix = prefixLength === 1
+    ? bytes[0]
+    : ((bytes[0] & 0x3f) << 2) | (bytes[1] >> 6) | ((bytes[1] & 0x3f) << 8);
+  return { publicKey: ethers.hexlify(payload.subarray(prefixLength)), prefix };
+}
+
+/**
+ * Normalize a bytes32 hex key or an SS58 address to lowercase bytes32 hex
+ * @param {string} value - Public key or SS58 address
+ * @returns {string} 0x-prefixed lowercase bytes32 hex
+ * @throws {Error} If the value is neither
+ */
+function toPublicKey(value) {
+  if (isPublicKey(value)) {
+    return value.toLowerCase();
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`Expected a bytes32 public key or SS58 address, got ${value}`);
+  }
+  return decodeSs58(value.trim()).publicKey;
+}
+
+/**
+ * Read and validate a labels file
+ * @param {string} filePath - YAML (.yaml/.yml) or JSON file mapping category -> { name: address }
+ * @returns {Object} Labels keyed by category, with addresses normalized to bytes32 hex
+ * @throws {Error} Listing every invalid entry (also in error.problems)
+ */
+function loadAddressLabels(filePath) {
+  let contents;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    contents = ext === '.yaml' || ext === '.yml' ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot read address book ${filePath}: ${error.message}`);
+  }
+  if (contents === null || contents === undefined) return {};
+  if (typeof contents !== 'object' || Array.isArray(contents)) {
+    throw new Error(`Address book ${filePath} must map categories to { name: address }`);
+  }
+
+  const problems = [];
+  const seen = new Map();
+  const labels = {};
+  for (const [category, entries] of Object.entries(contents)) {
+    if (!ADDRESS_BOOK_CONFIG.categories.includes(category)) {
+      problems.push(`${category}: unknown category; use ${ADDRESS_BOOK_CONFIG.categories.join(', ')}`);
+      continue;
+    }
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      problems.push(`${category}: expected a mapping of name to address`);
+      continue;
+    }
+    labels[category] = {};
+    for (const [name, address] of Object.entries(entries)) {
+      let publicKey;
+      try {
+        publicKey = toPublicKey(address);
+      } catch (error) {
+        problems.push(`${category}.${name}: ${error.message}`);
+        continue;
+      }
+      if (seen.has(publicKey)) {
+        problems.push(`${category}.${name}: same key as ${seen.get(publicKey)}`);
+        continue;
+      }
+      seen.set(publicKey, `${category}.${name}`);
+      labels[category][name] = publicKey;
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid address book ${filePath}:\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    throw error;
+  }
+  return labels;
+}
+
+/**
+ * Create an address book that shows bytes32 keys as SS58 addresses and names
+ * @param {Object} options - Options
+ * @param {Object} options.labels - Labels from loadAddressLabels
+ * @param {number} options.prefix - SS58 network prefix (defaults to ADDRESS_BOOK_CONFIG.ss58Prefix)
+ * @returns {Object} Address book with lookup, toSs58, format, resolve and annotate
+ */
+function createAddressBook(options = {}) {
+  const { labels = {}, prefix = ADDRESS_BOOK_CONFIG.ss58Prefix } = options;
+  encodePrefix(prefix);
+
+  const byKey = new Map();
+  const byName = new Map();
+  for (const [category, entries] of Object.entries(labels)) {
+    for (const [name, publicKey] of Object.entries(entries)) {
+      byKey.set(publicKey.toLowerCase(), { name, category });
+      byName.set(name.toLowerCase(), publicKey.toLowerCase());
+    }
+  }
+
+  const book = {
+    prefix,
+
+    /**
+     * @param {string} publicKey - bytes32 hex
+     * @returns {Object|null} { name, category } if the key is labelled
+     */
+    lookup(publicKey) {
+      return isPublicKey(publicKey) ? byKey.get(publicKey.toLowerCase()) || null : null;
+    },
+
+    /**
+     * @param {string} publicKey - bytes32 hex
+     * @returns {string} SS58 address with this book's prefix
+     */
+    toSs58(publicKey) {
+      return encodeSs58(publicKey, prefix);
+    },
+
+    /**
+     * Human-readable form of a key: "Name (SS58)" when labelled, otherwise the SS58 address.
+     * Values that are not bytes32 keys (e.g. null) are returned unchanged.
+     * @param {string} publicKey - bytes32 hex
+     * @returns {string} Display form
+     */
+    format(publicKey) {
+      if (!isPublicKey(publicKey)) {
+        return publicKey;
+      }
+      const entry = book.lookup(publicKey);
+      const ss58 = book.toSs58(publicKey);
+      return entry ? `${entry.name} (${ss58})` : ss58;
+    },
+
+    /**
+     * Resolve a label name, SS58 address or bytes32 hex to bytes32 hex
+     * @param {string} value - Name or address
+     * @returns {string} Lowercase bytes32 hex
+     * @throws {Error} If the value is not a known name or a valid address
+     */
+    resolve(value) {
+      const named = typeof value === 'string' && byName.get(value.trim().toLowerCase());
+      return named || toPublicKey(value);
+    },
+
+    /**
+     * Copy a result, adding <field>Ss58 and <field>Label next to every key field
+     * (ADDRESS_BOOK_CONFIG.keyFields) in nested objects and arrays
+     * @param {*} value - Result object
+     * @returns {*} Annotated copy
+     */
+    annotate(value) {
+      if (Array.isArray(value)) {
+        return value.map(item => book.annotate(item));
+      }
+      if (!value || typeof value !== 'object' || ![Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+        return value;
+      }
+      const annotated = {};
+      for (const [key, field] of Object.entries(value)) {
+        annotated[key] = book.annotate(field);
+        if (ADDRESS_BOOK_CONFIG.keyFields.includes(key) && isPublicKey(field)) {
+          const entry = book.lookup(field);
+          annotated[`${key}Ss58`] = book.toSs58(field);
+          annotated[`${key}Label`] = entry ? entry.name : null;
+        }
+      }
+      return annotated;
+    }
+  };
+  return book;
+}
+
+/**
+ * Create an address book from SS58_PREFIX and ADDRESS_BOOK_PATH, the YAML or JSON file
+ * naming recipients, validators and the drain multisig
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Address book
+ */
+function createAddressBookFromEnv(env = process.env) {
+  const labelsPath = env.ADDRESS_BOOK_PATH || null;
+  return createAddressBook({
+    labels: labelsPath ? loadAddressLabels(labelsPath) : {},
+    prefix: env.SS58_PREFIX ? parseInt(env.SS58_PREFIX) : ADDRESS_BOOK_CONFIG.ss58Prefix
+  });
+}
+
+let defaultBook = null;
+
+/**
+ * Address book shared by the scripts' output, created from the environment on first use
+ * @returns {Object} Address book
+ */
+function getAddressBook() {
+  if (!defaultBook) {
+    defaultBook = createAddressBookFromEnv();
+  }
+  return defaultBook;
+}
+
+/**
+ * Main function: print the hex key, SS58 address and label of each argument
+ */
+function main() {
+  const values = process.argv.slice(2);
+  if (values.length === 0) {
+    console.error('Usage: node address-book.js <bytes32 | SS58 address | label> ...');
+    process.exit(1);
+  }
+
+  try {
+    const book = getAddressBook();
+    for (const value of values) {
+      const publicKey = book.resolve(value);
+      const entry = book.lookup(publicKey);
+      console.log(`${publicKey}  ${book.toSs58(publicKey)}${entry ? `  ${entry.name} (${entry.category})` : ''}`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+// Export functions for testing
+module.exports = {
+  ADDRESS_BOOK_CONFIG,
+  isPublicKey,
+  encodeSs58,
+  decodeSs58,
+  toPublicKey,
+  loadAddressLabels,
+  createAddressBook,
+  createAddressBookFromEnv,
+  getAddressBook,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main();
+}
\ No newline at end of file
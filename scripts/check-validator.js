@@ -1,5 +1,13 @@
 // scripts/check-validator.js
 const { ethers } = require('ethers');
+const { createNotifierFromEnv } = require('./notifications');
+const { createTransactionManager } = require('./tx-manager');
+const { decodeContractError, describeError } = require('./errors');
+const { loadDeployments, getDeploymentDefaults, runForDeployments, printDeploymentSummary } = require('./deployments');
+const { loadConfig } = require('./config');
+const { requiredSignerSettings, createSignerFromConfig } = require('./signers');
+const { createProvider } = require('./rpc');
+const { getAddressBook } = require('./address-book');
 require('dotenv').config();
 
 const SAINTDURBIN_ABI = [
@@ -33,11 +41,12 @@ async function getValidatorInfo(contract) {
  * @param {ethers.Contract} contract - The contract instance
  * @param {Object} options - Options for the switch
  * @param {boolean} options.skipTransaction - If true, don't actually send the transaction
- * @param {number} options.gasLimit - Gas limit for the transaction
+ * @param {number} options.gasLimit - Gas limit override (estimated when omitted)
+ * @param {Object} options.txManager - Transaction manager (defaults to one for the contract's signer)
  * @returns {Promise<Object>} Result of the switch operation
  */
 async function switchValidator(contract, options = {}) {
-  const { skipTransaction = false, gasLimit = 500000 } = options;
+  const { skipTransaction = false, gasLimit } = options;
   
   if (skipTransaction) {
     return {
@@ -47,8 +56,9 @@ async function switchValidator(contract, options = {}) {
     };
   }
   
-  const tx = await contract.checkAndSwitchValidator({ gasLimit });
-  const receipt = await tx.wait();
+  const txManager = options.txManager || createTransactionManager({ signer: contract.runner });
+  const tx = await txManager.send(contract, 'checkAndSwitchValidator', [], { gasLimit });
+  const { receipt } = tx;
   
   if (receipt.status !== 1) {
     return {
@@ -74,31 +84,48 @@ async function switchValidator(contract, options = {}) {
  * Check validator status and optionally switch if invalid
  * @param {Object} options - Configuration options
  * @param {string} options.rpcUrl - RPC URL for the provider
- * @param {string} options.privateKey - Private key for the wallet
+ * @param {Array<string>} options.rpcUrls - RPC URLs to fail over between (used instead of rpcUrl when set)
+ * @param {number} options.rpcQuorum - Endpoints that must agree on critical view reads
+ * @param {string} options.privateKey - Private key for the wallet (used when no signer is given)
+ * @param {ethers.Signer} options.signer - Signer from createSignerFromConfig, e.g. a keystore or remote signer
+ * @param {boolean} options.readOnly - Read the validator without any key; switching is refused
  * @param {string} options.contractAddress - Contract address
  * @param {boolean} options.shouldSwitch - Whether to switch if validator is invalid
  * @param {boolean} options.skipTransaction - Skip actual transaction (for testing)
  * @param {boolean} options.silent - Suppress console output
+ * @param {Object} options.notifier - Notifier for validator switch and failure events
  * @returns {Promise<Object>} Structured result data
  */
 async function checkValidator(options = {}) {
   const {
     rpcUrl = process.env.RPC_URL,
+    rpcUrls = null,
+    rpcQuorum = 1,
     privateKey = process.env.PRIVATE_KEY,
+    signer = null,
+    readOnly = false,
     contractAddress = process.env.CONTRACT_ADDRESS,
     shouldSwitch = false,
     skipTransaction = false,
-    silent = false
+    silent = false,
+    notifier = null
   } = options;
   
   const log = silent ? () => {} : console.log;
   const error = silent ? () => {} : console.error;
   
   try {
+    if (readOnly && shouldSwitch && !skipTransaction) {
+      throw new Error('Cannot switch validators in read-only mode; configure a signer');
+    }
+
     // Initialize provider, wallet, and contract
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const contract = new ethers.Contract(contractAddress, SAINTDURBIN_ABI, wallet);
+    const provider = createProvider({ rpcUrl, rpcUrls, rpcQuorum });
+    let runner = provider;
+    if (!readOnly) {
+      runner = signer ? signer.connect(provider) : new ethers.Wallet(privateKey, provider);
+    }
+    const contract = new ethers.Contract(contractAddress, SAINTDURBIN_ABI, runner);
     
     // Get current validator info
     const validatorInfo = await getValidatorInfo(contract);
@@ -107,7 +134,7 @@ async function checkValidator(options = {}) {
     log('Contract:', contractAddress);
     log('');
     log('Current Validator Status:');
-    log('  Hotkey:', validatorInfo.hotkey);
+    log('  Hotkey:', getAddressBook().format(validatorInfo.hotkey));
     log('  UID:', validatorInfo.uid);
     log('  Is Valid:', validatorInfo.isValid ? '✅ Yes' : '❌ No');
     log('');
@@ -141,10 +168,19 @@ async function checkValidator(options = {}) {
             log('Transaction submitted:', switchResult.transactionHash);
             log('✅ Transaction successful!');
             
+            if (switchResult.newValidator && notifier && switchResult.newValidator.hotkey !== validatorInfo.hotkey) {
+              await notifier.notify('validatorSwitched', {
+                oldHotkey: validatorInfo.hotkey,
+                newHotkey: switchResult.newValidator.hotkey,
+                newUid: switchResult.newValidator.uid,
+                reason: 'Manual validator check'
+              });
+            }
+
             if (switchResult.newValidator) {
               log('');
               log('New Validator:');
-              log('  Hotkey:', switchResult.newValidator.hotkey);
+              log('  Hotkey:', getAddressBook().format(switchResult.newValidator.hotkey));
               log('  UID:', switchResult.newValidator.uid);
               log('  Is Valid:', switchResult.newValidator.isValid ? '✅ Yes' : '❌ No');
             }
@@ -164,24 +200,103 @@ async function checkValidator(options = {}) {
     return result;
     
   } catch (err) {
-    error('❌ Error checking validator:', err.message);
+    const decodedError = decodeContractError(err);
+    const description = describeError(err, decodedError);
+    error('❌ Error checking validator:', description);
+    if (notifier) {
+      await notifier.notify('failure', { operation: 'Validator check', error: description });
+    }
     return {
       success: false,
       error: err.message,
+      decodedError,
       errorDetails: err
     };
   }
 }
 
+/**
+ * Describe a checkValidator result in one line for the deployment summary
+ * @param {Object} result - Result from checkValidator
+ * @returns {string} Summary line
+ */
+function describeCheck(result) {
+  const { uid, isValid } = result.currentValidator;
+  if (isValid) return `validator UID ${uid} is valid`;
+  if (!result.switchPerformed) return `validator UID ${uid} is no longer valid`;
+  return result.switchResult.success ? `validator UID ${uid} replaced` : `switch from UID ${uid} failed`;
+}
+
 /**
  * CLI entry point
  */
 async function main() {
   const shouldSwitch = process.argv.includes('--switch');
+
+  let config;
+  try {
+    // A deployments file supplies the contracts and keys itself
+    config = loadConfig({
+      required: (settings) => [
+        ...(settings.deploymentsFile ? [] : [settings.rpcUrls ? 'rpcUrls' : 'rpcUrl', 'contractAddress']),
+        ...requiredSignerSettings(settings)
+      ]
+    });
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+
+  let signer;
+  try {
+    signer = await createSignerFromConfig(config);
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+  const readOnly = config.signerType === 'readonly';
+
+  // Check every deployment listed in a deployments file in one run
+  if (config.deploymentsFile) {
+    let deployments;
+    try {
+      deployments = loadDeployments(config.deploymentsFile, process.env, getDeploymentDefaults(config, signer));
+    } catch (err) {
+      console.error('❌', err.message);
+      process.exit(1);
+    }
+
+    const run = await runForDeployments(deployments, (deployment) => checkValidator({
+      rpcUrl: deployment.rpcUrl,
+      rpcUrls: deployment.rpcUrls,
+      rpcQuorum: deployment.rpcQuorum,
+      privateKey: deployment.privateKey,
+      signer: deployment.signer,
+      readOnly,
+      contractAddress: deployment.contractAddress,
+      shouldSwitch,
+      silent: false,
+      notifier: createNotifierFromEnv(process.env, { title: `SaintDurbin Distribution Update (${deployment.name})` })
+    }));
+    printDeploymentSummary(run, describeCheck);
+
+    if (!run.success) {
+      process.exit(1);
+    }
+    return;
+  }
   
   const result = await checkValidator({
+    rpcUrl: config.rpcUrl,
+    rpcUrls: config.rpcUrls,
+    rpcQuorum: config.rpcQuorum,
+    privateKey: config.privateKey,
+    signer,
+    readOnly,
+    contractAddress: config.contractAddress,
     shouldSwitch,
-    silent: false
+    silent: false,
+    notifier: createNotifierFromEnv()
   });
   
   if (!result.success) {
@@ -194,6 +309,7 @@ module.exports = {
   getValidatorInfo,
   switchValidator,
   checkValidator,
+  describeCheck,
   SAINTDURBIN_ABI
 };
 
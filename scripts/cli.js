@@ -0,0 +1,879 @@
+#!/usr/bin/env node
+// scripts/cli.js
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI, METAGRAPH_ADDRESS, METAGRAPH_ABI } = require('./abi');
+const { CONFIG_SCHEMA, loadConfig } = require('./config');
+const {
+  requiredSignerSettings,
+  createSignerFromConfig,
+  emergencySignerSettings,
+  requiredEmergencySignerSettings
+} = require('./signers');
+const { createProvider } = require('./rpc');
+const { createNotifierFromEnv } = require('./notifications');
+const { loadDeployments, getDeploymentDefaults, runForDeployments, printDeploymentSummary } = require('./deployments');
+const { createRunStateStore } = require('./state-store');
+const { ADDRESS_BOOK_CONFIG, getAddressBook } = require('./address-book');
+const {
+  CONFIG: DISTRIBUTION_CONFIG,
+  initializeDistribution,
+  executeDistribution,
+  distributeDeployments,
+  runDistributionDaemon
+} = require('./distribute');
+const { checkValidator, describeCheck } = require('./check-validator');
+const { simulateDistribution, printSimulation } = require('./simulate');
+const { getValidatorLeaderboard, printLeaderboard } = require('./validators');
+const { readStatus, readRecipients, readValidator, readEmergency } = require('./status-server');
+const { DRAIN_ACTIONS, getDrainStatus, runDrainAction, printDrainStatus } = require('./drain');
+const { INDEXER_CONFIG, openEventStore, indexEvents } = require('./indexer');
+const { RECONCILE_CONFIG, connectChain, createStakeReader, reconcileDistributions, printReconciliation } = require('./reconcile');
+const { generateShortfallLedger, formatShortfallCsv, printShortfallLedger } = require('./shortfall');
+const { loadManifest, readScriptProportions, manifestFromEnv, runPreflight, formatSignOff, printPreflight } = require('./preflight');
+const { VERIFY_CONFIG, loadArtifact, verifyDeployment, printVerification } = require('./verify-deployment');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Process exit codes
+const EXIT_CODES = {
+  // The command did what was asked (including "distribution not due yet")
+  success: 0,
+  // The command ran but failed: RPC error, revert, failed transaction
+  failure: 1,
+  // Unknown command, bad flags or invalid configuration; nothing was attempted
+  usage: 2
+};
+
+// Flags that take no value; every other --flag takes the next argument
+const BOOLEAN_FLAGS = ['--json', '--dry-run', '--daemon', '--force', '--no-sync', '--all', '--csv', '--offline', '--ignore-metadata', '--help', '-h'];
+
+// Flags accepted by every command
+const GLOBAL_FLAGS = [
+  ['--json', 'Print the result as JSON on stdout; progress goes to stderr'],
+  ['--dry-run', 'Check and simulate without sending a transaction'],
+  ['--rpc <url>', 'RPC endpoint (overrides RPC_URL)'],
+  ['--contract <address>', 'SaintDurbin contract (overrides CONTRACT_ADDRESS)'],
+  ['--config <file>', 'YAML or JSON config file (see saintdurbin.example.yaml)'],
+  ['--help', 'Show help for a command']
+];
+
+/**
+ * Split arguments into positionals, boolean flags and flag values
+ * @param {Array<string>} argv - Arguments (process.argv.slice(2))
+ * @returns {Object} { positionals, flags: Set, values: { '--flag': value } }
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = new Set();
+  const values = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-')) {
+      positionals.push(arg);
+    } else if (arg.includes('=')) {
+      values[arg.slice(0, arg.indexOf('='))] = arg.slice(arg.indexOf('=') + 1);
+    } else if (BOOLEAN_FLAGS.includes(arg)) {
+      flags.add(arg === '-h' ? '--help' : arg);
+    } else if (i + 1 < argv.length) {
+      values[arg] = argv[++i];
+    } else {
+      values[arg] = undefined;
+    }
+  }
+
+  return { positionals, flags, values };
+}
+
+/**
+ * Error for bad usage or configuration, exiting with EXIT_CODES.usage
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with exitCode set
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.usage;
+  return error;
+}
+
+/**
+ * Run a setup step, treating its errors as configuration errors
+ * @param {Function} step - async () => value
+ * @returns {Promise<*>} The step's value
+ */
+async function asConfigStep(step) {
+  try {
+    return await step();
+  } catch (error) {
+    if (error.exitCode === undefined) {
+      error.exitCode = EXIT_CODES.usage;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Convert a value to JSON, writing bigints as decimal strings
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text
+ */
+function toJson(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+}
+
+/**
+ * Load the configuration from --config, the environment and the command's flags
+ * @param {Object} ctx - Command context
+ * @param {Function} required - (settings) => CONFIG_SCHEMA names the command needs
+ * @returns {Object} Settings from loadConfig
+ * @throws {Error} With exitCode EXIT_CODES.usage if the configuration is invalid
+ */
+function loadCommandConfig(ctx, required) {
+  // --rpc is the CLI's short form of --rpc-url
+  const argv = Object.entries(ctx.values)
+    .filter(([, value]) => value !== undefined)
+    .flatMap(([flag, value]) => [flag === '--rpc' ? '--rpc-url' : flag, value]);
+
+  try {
+    return loadConfig({ argv, env: ctx.env, required });
+  } catch (error) {
+    error.exitCode = EXIT_CODES.usage;
+    throw error;
+  }
+}
+
+/**
+ * Settings every contract command needs: an RPC endpoint and the contract
+ * @param {Object} settings - Merged settings from loadConfig
+ * @returns {Array<string>} CONFIG_SCHEMA names
+ */
+function contractSettings(settings) {
+  return [settings.rpcUrls ? 'rpcUrls' : 'rpcUrl', 'contractAddress'];
+}
+
+/**
+ * Connect to the configured contract for reading
+ * @param {Object} ctx - Command context
+ * @param {Object} config - Settings from loadConfig
+ * @returns {Object} { provider, contract } with the full ABI
+ */
+function connectReadOnly(ctx, config) {
+  const provider = ctx.track(createProvider(config));
+  const contract = new ethers.Contract(config.contractAddress, SAINTDURBIN_FULL_ABI, provider);
+  return { provider, contract };
+}
+
+/**
+ * Print a status summary
+ * @param {Object} status - Result of the status command
+ */
+function printStatus(status) {
+  const tao = (amount) => ethers.formatUnits(amount, 9);
+  const { validator, emergency } = status;
+
+  console.log('Contract:', status.contractAddress);
+  console.log('Block:', status.blockNumber);
+  console.log('Staked balance:', tao(status.stakedBalance), 'TAO');
+  console.log('Principal locked:', tao(status.principalLocked), 'TAO');
+  console.log('Available rewards:', tao(status.availableRewards), 'TAO');
+  console.log('Next transfer:', tao(status.nextTransferAmount), 'TAO', status.canExecuteTransfer
+    ? '(due now)'
+    : `at block ${status.nextTransferBlock} (in ${status.blocksUntilNextTransfer} blocks)`);
+  console.log('Last transfer:', tao(status.lastPaymentAmount), 'TAO at block', status.lastTransferBlock.toString());
+  console.log('Validator: UID', validator.uid, validator.isValid ? '(valid)' : '(NOT VALID)', getAddressBook().format(validator.hotkey));
+  console.log('Emergency drain:', emergency.isPending ? `pending (${emergency.level})` : 'none');
+}
+
+/**
+ * Print recipients and their shares
+ * @param {Object} result - Result from readRecipients
+ */
+function printRecipients(result) {
+  console.log(`${result.count} recipients`);
+  console.log('Index  Share    Coldkey');
+  for (const recipient of result.recipients) {
+    console.log(String(recipient.index).padEnd(7) + `${recipient.percent}%`.padEnd(9) + getAddressBook().format(recipient.coldkey));
+  }
+}
+
+/**
+ * Print indexed events
+ * @param {Object} result - Result of the history command
+ */
+function printHistory(result) {
+  console.log(`Events for ${result.contractAddress} (indexed to block ${result.lastIndexedBlock})`);
+  for (const event of result.events) {
+    const time = event.timestamp ? new Date(event.timestamp * 1000).toISOString() : '-';
+    const keys = ADDRESS_BOOK_CONFIG.keyFields
+      .filter(field => event.args && event.args[field])
+      .map(field => `${field}=${getAddressBook().format(event.args[field])}`);
+    console.log(`${String(event.blockNumber).padEnd(10)} ${time}  ${event.name.padEnd(24)} ${event.transactionHash}${keys.length > 0 ? `  ${keys.join(' ')}` : ''}`);
+  }
+}
+
+/**
+ * distribute: run one distribution, a dry run, the daemon or every deployment in a deployments file
+ * @param {Object} ctx - Command context
+ * @returns {Promise<number>} Exit code
+ */
+async function distributeCommand(ctx) {
+  const dryRun = ctx.flags.has('--dry-run');
+  const daemon = ctx.flags.has('--daemon');
+  const config = loadCommandConfig(ctx, (settings) => [
+    ...(settings.deploymentsFile ? [] : contractSettings(settings)),
+    ...(dryRun ? [] : requiredSignerSettings(settings))
+  ]);
+  DISTRIBUTION_CONFIG.checkInterval = config.validatorCheckInterval;
+  const stateStore = createRunStateStore(config.runStatePath);
+
+  if (config.deploymentsFile) {
+    if (daemon || dryRun) {
+      throw usageError('--daemon and --dry-run take a single contract; unset DEPLOYMENTS_FILE to use them');
+    }
+    const signer = await asConfigStep(() => createSignerFromConfig(config));
+    const deployments = await asConfigStep(() => loadDeployments(config.deploymentsFile, ctx.env, getDeploymentDefaults(config, signer)));
+    const run = await distributeDeployments(deployments, { stateStore });
+    ctx.output(run);
+    return run.success ? EXIT_CODES.success : EXIT_CODES.failure;
+  }
+
+  // executeTransfer is permissionless, so a dry run needs no key
+  if (dryRun) {
+    const { provider, contract } = connectReadOnly(ctx, config);
+    const simulation = await simulateDistribution(contract, provider);
+    ctx.output(simulation, printSimulation);
+    return simulation.success ? EXIT_CODES.success : EXIT_CODES.failure;
+  }
+
+  const signer = await asConfigStep(() => createSignerFromConfig(config));
+  if (!signer) {
+    throw usageError('distribute needs a signer; read-only mode only supports --dry-run');
+  }
+  const { provider, wallet, contract } = initializeDistribution({ ...config, signer });
+  ctx.track(provider);
+  console.log('Executor:', await wallet.getAddress());
+  const notifier = createNotifierFromEnv(ctx.env);
+
+  if (daemon) {
+    await runDistributionDaemon(contract, provider, config, { notifier, stateStore });
+    return EXIT_CODES.success;
+  }
+
+  const result = await executeDistribution(contract, provider, { notifier, stateStore });
+  ctx.output(result);
+  return !result.success && result.error ? EXIT_CODES.failure : EXIT_CODES.success;
+}
+
+/**
+ * validator check / validator switch
+ * @param {Object} ctx - Command context
+ * @param {boolean} shouldSwitch - Switch if the current validator is no longer valid
+ * @returns {Promise<number>} Exit code
+ */
+async function validatorCommand(ctx, shouldSwitch) {
+  const sends = shouldSwitch && !ctx.flags.has('--dry-run');
+  const config = loadCommandConfig(ctx, (settings) => [
+    ...(settings.deploymentsFile ? [] : contractSettings(settings)),
+    ...(sends ? requiredSignerSettings(settings) : [])
+  ]);
+  const signer = sends ? await asConfigStep(() => createSignerFromConfig(config)) : null;
+  if (sends && !signer) {
+    throw usageError('validator switch needs a signer; read-only mode only supports --dry-run');
+  }
+  const checkOptions = {
+    signer,
+    readOnly: !sends,
+    shouldSwitch,
+    skipTransaction: !sends
+  };
+
+  if (config.deploymentsFile) {
+    const deployments = await asConfigStep(() => loadDeployments(config.deploymentsFile, ctx.env, getDeploymentDefaults(config, signer)));
+    const run = await runForDeployments(deployments, (deployment) => checkValidator({
+      ...checkOptions,
+      rpcUrl: deployment.rpcUrl,
+      rpcUrls: deployment.rpcUrls,
+      rpcQuorum: deployment.rpcQuorum,
+      privateKey: deployment.privateKey,
+      signer: deployment.signer,
+      contractAddress: deployment.contractAddress,
+      notifier: createNotifierFromEnv(ctx.env, { title: `SaintDurbin Distribution Update (${deployment.name})` })
+    }));
+    ctx.output(run, (result) => printDeploymentSummary(result, describeCheck));
+    return run.success ? EXIT_CODES.success : EXIT_CODES.failure;
+  }
+
+  const result = await checkValidator({
+    ...checkOptions,
+    rpcUrl: config.rpcUrl,
+    rpcUrls: config.rpcUrls,
+    rpcQuorum: config.rpcQuorum,
+    contractAddress: config.contractAddress,
+    notifier: createNotifierFromEnv(ctx.env)
+  });
+  // The Error object is already summarized by error and decodedError
+  const { errorDetails, ...output } = result;
+  ctx.output(output);
+
+  const switchFailed = result.switchPerformed && !result.switchResult.success;
+  return result.success && !switchFailed ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+/**
+ * validator rank: the contract's validator leaderboard
+ * @param {Object} ctx - Command context
+ * @returns {Promise<number>} Exit code
+ */
+async function validatorRankCommand(ctx) {
+  const config = loadCommandConfig(ctx, contractSettings);
+  const { provider, contract } = connectReadOnly(ctx, config);
+  const metagraph = new ethers.Contract(METAGRAPH_ADDRESS, METAGRAPH_ABI, provider);
+  const integer = (flag, min, max) => {
+    const value = ctx.values[flag];
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value) || parseInt(value) < min || parseInt(value) > max) {
+      throw usageError(`${flag} must be an integer from ${min} to ${max}, got "${value}"`);
+    }
+    return parseInt(value);
+  };
+  // Subnet IDs are uint16
+  const netuid = integer('--netuid', 0, 65535);
+  const top = integer('--top', 1, Number.MAX_SAFE_INTEGER);
+
+  const result = await getValidatorLeaderboard(contract, metagraph, { netuid });
+  if (!result.success) {
+    console.error('❌ Failed to rank validators:', result.error);
+    return EXIT_CODES.failure;
+  }
+  ctx.output(result, (leaderboard) => printLeaderboard(leaderboard, top));
+  return EXIT_CODES.success;
+}
+
+/**
+ * status: balances, next transfer, validator and emergency drain state
+ * @param {Object} ctx - Command context
+ * @returns {Promise<number>} Exit code
+ */
+async function statusCommand(ctx) {
+  const config = loadCommandConfig(ctx, contractSettings);
+  const { provider, contract } = connectReadOnly(ctx, config);
+
+  const [status, validator, emergency] = await Promise.all([
+    readStatus(contract, provider),
+    readValidator(contract),
+    readEmergency(contract, provider)
+  ]);
+  ctx.output({ ...status, validator, emergency }, printStatus);
+  return EXIT_CODES.success;
+}
+
+/**
+ * recipients: recipients and their shares
+ * @param {Object} ctx - Command context
+ * @returns {Promise<number>} Exit code
+ */
+async function recipientsCommand(ctx) {
+  const config = loadCommandConfig(ctx, contractSettings);
+  const { contract } = connectReadOnly(ctx, config);
+
+  ctx.output(await readRecipients(contract), printRecipients);
+  return EXIT_CODES.success;
+}
+
+/**
+ * drain status|request|execute|cancel
+ * @param {Object} ctx - Command context
+ * @param {string} action - status or a DRAIN_ACTIONS key
+ * @returns {Promise<number>} Exit code
+ */
+async function drainCommand(ctx, action) {
+  // The emergency operator's signer may differ from the distributor's
+  const sends = action !== 'status';
+  const config = loadCommandConfig(ctx, (settings) => [
+    ...contractSettings(settings),
+    ...(sends ? requiredEmergencySignerSettings(settings) : [])
+  ]);
+  const provider = ctx.track(createProvider(config));
+
+  if (!sends) {
+    const contract = new ethers.Contract(config.contractAddress, SAINTDURBIN_FULL_ABI, provider);
+    ctx.output(await getDrainStatus(contract, provider), printDrainStatus);
+    return EXIT_CODES.success;
+  }
+
+  if (ctx.json && action !== 'cancel' && ctx.values['--confirm'] === undefined) {
+    throw usageError(`drain ${action} --json needs --confirm <drain target>; there is no prompt in JSON mode`);
+  }
+  const signer = await asConfigStep(() => createSignerFromConfig(emergencySignerSettings(config)));
+  if (!signer) {
+    throw usageError(`drain ${action} needs a signer; read-only mode only supports drain status`);
+  }
+  const wallet = signer.connect(provider);
+  const contract = new ethers.Contract(config.contractAddress, SAINTDURBIN_FULL_ABI, wallet);
+  console.log('Caller:', await wallet.getAddress());
+
+  const result = await runDrainAction(contract, provider, action, {
+    confirm: ctx.values['--confirm'],
+    force: ctx.flags.has('--force'),
+    dryRun: ctx.flags.has('--dry-run')
+  });
+  ctx.output(result, (drain) => drain.status && printDrainStatus(drain.status));
+  return result.success ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+/**
+ * history: indexed events, newest first, after syncing the event database
+ * @param {Object} ctx - Command context
+ * @returns {Promise<number>} Exit code
+ */
+async function historyCommand(ctx) {
+  const config = loadCommandConfig(ctx, contractSettings);
+  const { provider, contract } = connectReadOnly(ctx, config);
+  const limit = parseInt(ctx.values['--limit'] || '20');
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw usageError(`--limit must be a positive integer, got "${ctx.values['--limit']}"`);
+  }
+  const names = ctx.values['--event'] ? ctx.values['--event'].split(',') : undefined;
+
+  const store = await openEventStore(ctx.values['--db'] || INDEXER_CONFIG.dbPath);
+  try {
+    if (!ctx.flags.has('--no-sync')) {
+      const sync = await indexEvents({ contract, provider, store });
+      if (!sync.success) {
+        console.error('❌ Event sync failed:', sync.error);
+        return EXIT_CODES.failure;
+      }
+    }
+
+    const contractAddress = config.contractAddress;
+    const events = store.getEvents({ contractAddress, names, newestFirst: true, limit });
+    ctx.output({ contractAddress, lastIndexedBlock: store.getLastIndexedBlock(contractAddress), events }, printHistory);
+    return EXIT_CODES.success;
+  } finally {
+    store.close();
+  }
+}
+
+/**
+ * reconcile: check indexed distributions against SubtensorModule stake storage
+ * @param {Object} ctx - Command context
+ * @returns {Promise<number>} Exit code
+ */
+async function reconcileCommand(ctx) {
+  const config = loadCommandConfig(ctx, contractSettings);
+  const { provider, contract } = connectReadOnly(ctx, config);
+  const toBlock = (flag) => {
+    const value = ctx.values[flag];
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value)) {
+      throw usageError(`${flag} must be a block number, got "${value}"`);
+    }
+    return parseInt(value);
+  };
+  const fromBlock = toBlock('--from-block');
+  const lastBlock = toBlock('--to-block');
+
+  const endpoint = ctx.values['--chain'] || ctx.env.CHAIN_ENDPOINT || RECONCILE_CONFIG.chainEndpoint;
+  const api = await connectChain(endpoint);
+  const store = await openEventStore(ctx.values['--db'] || INDEXER_CONFIG.dbPath);
+  try {
+    if (!ctx.flags.has('--no-sync')) {
+      const sync = await indexEvents({ contract, provider, store });
+      if (!sync.success) {
+        console.error('❌ Event sync failed:', sync.error);
+        return EXIT_CODES.failure;
+      }
+    }
+
+    const result = await reconcileDistributions(contract, store, {
+      getStake: createStakeReader(api).getStake,
+      fromBlock,
+      toBlock: lastBlock,
+      transactionHash: ctx.values['--tx']
+    });
+    ctx.output(result, printReconciliation);
+    if (!result.success) {
+      console.error('❌ Reconciliation failed:', result.error);
+    }
+    return result.success ? EXIT_CODES.success : EXIT_CODES.failure;
+  } finally {
+    store.close();
+    await api.disconnect();
+  }
+}
+
+/**
+ * shortfall: failed transfers per coldkey and what each recipient is still owed
+ * @param {Object} ctx - Command context
+ * @returns {Promise<number>} Exit code
+ */
+async function shortfallCommand(ctx) {
+  const config = loadCommandConfig(ctx, contractSettings);
+  const { provider, contract } = connectReadOnly(ctx, config);
+  const toBlock = ctx.values['--to-block'];
+  if (toBlock !== undefined && !/^\d+$/.test(toBlock)) {
+    throw usageError(`--to-block must be a block number, got "${toBlock}"`);
+  }
+
+  const store = await openEventStore(ctx.values['--db'] || INDEXER_CONFIG.dbPath);
+  try {
+    if (!ctx.flags.has('--no-sync')) {
+      const sync = await indexEvents({ contract, provider, store });
+      if (!sync.success) {
+        console.error('❌ Event sync failed:', sync.error);
+        return EXIT_CODES.failure;
+      }
+    }
+
+    const result = await generateShortfallLedger(contract, store, {
+      toBlock: toBlock !== undefined ? parseInt(toBlock) : undefined,
+      coldkey: ctx.values['--coldkey'],
+      all: ctx.flags.has('--all')
+    });
+    if (!result.success) {
+      console.error('❌ Failed to build the shortfall ledger:', result.error);
+      return EXIT_CODES.failure;
+    }
+    ctx.output(result, ctx.flags.has('--csv') ? (ledger) => console.log(formatShortfallCsv(ledger).trimEnd()) : printShortfallLedger);
+    return EXIT_CODES.success;
+  } finally {
+    store.close();
+  }
+}
+
+/**
+ * preflight: check the deployment manifest, the deploy script and the initial validator,
+ * and print the summary to sign off before running DeploySaintDurbin.s.sol
+ * @param {Object} ctx - Command context
+ * @returns {Promise<number>} Exit code
+ */
+async function preflightCommand(ctx) {
+  const offline = ctx.flags.has('--offline');
+  const config = loadCommandConfig(ctx, (settings) => (offline ? [] : [settings.rpcUrls ? 'rpcUrls' : 'rpcUrl']));
+  const manifestPath = ctx.values['--manifest'] || ctx.env.DEPLOY_MANIFEST;
+  const envFile = ctx.values['--env-file'];
+
+  const { env, proportions, manifest } = await asConfigStep(() => {
+    const deployEnv = envFile ? require('dotenv').parse(fs.readFileSync(envFile)) : undefined;
+    const scriptProportions = readScriptProportions();
+    return {
+      env: deployEnv,
+      proportions: scriptProportions,
+      manifest: manifestPath ? loadManifest(manifestPath) : manifestFromEnv(deployEnv || ctx.env, scriptProportions)
+    };
+  });
+
+  const provider = offline ? null : ctx.track(createProvider(config));
+  const result = await runPreflight({
+    manifest,
+    source: manifestPath || envFile || 'environment',
+    proportions,
+    // Forge reads the deployment settings from the environment unless an env file is given
+    env: env || ctx.env,
+    provider,
+    metagraph: provider && new ethers.Contract(METAGRAPH_ADDRESS, METAGRAPH_ABI, provider)
+  });
+
+  const signOff = { signedOffBy: ctx.values['--signed-off-by'] };
+  ctx.output(result, (preflight) => printPreflight(preflight, signOff));
+  if (ctx.values['--out'] && result.complete) {
+    fs.writeFileSync(ctx.values['--out'], formatSignOff(result, signOff));
+    console.error('Wrote', ctx.values['--out']);
+  } else if (ctx.values['--out']) {
+    console.error(`Not writing ${ctx.values['--out']}: the sign-off needs every check to pass`);
+  }
+  if (!result.success) {
+    console.error('❌ Pre-flight failed:', result.error);
+  }
+  return result.success ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+/**
+ * verify-deployment: diff a deployed contract against the approved manifest and the forge build
+ * @param {Object} ctx - Command context
+ * @returns {Promise<number>} Exit code
+ */
+async function verifyDeploymentCommand(ctx) {
+  const config = loadCommandConfig(ctx, contractSettings);
+  const { provider, contract } = connectReadOnly(ctx, config);
+  const manifestPath = ctx.values['--manifest'] || ctx.env.DEPLOY_MANIFEST;
+  const envFile = ctx.values['--env-file'];
+  const deploymentBlock = ctx.values['--deployment-block'] ?? ctx.env.DEPLOYMENT_BLOCK;
+  if (deploymentBlock !== undefined && !/^\d+$/.test(deploymentBlock)) {
+    throw usageError(`--deployment-block must be a block number, got "${deploymentBlock}"`);
+  }
+
+  const { manifest, artifact } = await asConfigStep(() => {
+    const env = envFile ? require('dotenv').parse(fs.readFileSync(envFile)) : ctx.env;
+    return {
+      manifest: manifestPath ? loadManifest(manifestPath) : manifestFromEnv(env, readScriptProportions()),
+      artifact: loadArtifact(ctx.values['--artifact'] || ctx.env.VERIFY_ARTIFACT || VERIFY_CONFIG.artifactPath)
+    };
+  });
+
+  const result = await verifyDeployment(contract, provider, {
+    manifest,
+    artifact,
+    deploymentBlock: deploymentBlock !== undefined ? parseInt(deploymentBlock) : null,
+    digest: ctx.values['--digest'],
+    ignoreMetadata: ctx.flags.has('--ignore-metadata')
+  });
+  ctx.output(result, printVerification);
+  if (!result.success) {
+    console.error('❌ Verification failed:', result.error);
+  }
+  return result.success ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+// Subcommands, matched on their first one or two words
+const COMMANDS = [
+  {
+    name: 'distribute',
+    usage: 'distribute [--dry-run] [--daemon] [--deployments <file>]',
+    summary: 'Distribute yield if a transfer is due',
+    run: distributeCommand
+  },
+  {
+    name: 'validator check',
+    usage: 'validator check [--deployments <file>]',
+    summary: 'Show whether the current validator is still valid (no key needed)',
+    run: (ctx) => validatorCommand(ctx, false)
+  },
+  {
+    name: 'validator switch',
+    usage: 'validator switch [--dry-run] [--deployments <file>]',
+    summary: 'Switch validators if the current one is no longer valid',
+    run: (ctx) => validatorCommand(ctx, true)
+  },
+  {
+    name: 'validator rank',
+    usage: 'validator rank [--netuid <n>] [--top <n>]',
+    summary: 'Rank the validators the contract can switch to',
+    run: validatorRankCommand
+  },
+  {
+    name: 'status',
+    usage: 'status',
+    summary: 'Show balances, the next transfer, the validator and drain state',
+    run: statusCommand
+  },
+  {
+    name: 'recipients',
+    usage: 'recipients',
+    summary: 'List recipients and their shares',
+    run: recipientsCommand
+  },
+  {
+    name: 'drain status',
+    usage: 'drain status',
+    summary: 'Show the emergency drain state',
+    run: (ctx) => drainCommand(ctx, 'status')
+  },
+  ...Object.keys(DRAIN_ACTIONS).map(action => ({
+    name: `drain ${action}`,
+    usage: `drain ${action} [--dry-run]${action === 'cancel' ? '' : ' [--confirm <drain target>]'}${action === 'request' ? ' [--force]' : ''}`,
+    summary: `${action[0].toUpperCase()}${action.slice(1)} an emergency drain (emergency operator)`,
+    run: (ctx) => drainCommand(ctx, action)
+  })),
+  {
+    name: 'history',
+    usage: 'history [--event <Name,...>] [--limit <n>] [--db <file>] [--no-sync]',
+    summary: 'Show indexed contract events, newest first',
+    run: historyCommand
+  },
+  {
+    name: 'reconcile',
+    usage: 'reconcile [--from-block <n>] [--to-block <n>] [--tx <hash>] [--chain <ws url>] [--db <file>] [--no-sync]',
+    summary: 'Check distributions against Substrate stake storage',
+    run: reconcileCommand
+  },
+  {
+    name: 'shortfall',
+    usage: 'shortfall [--coldkey <key>] [--all] [--csv] [--to-block <n>] [--db <file>] [--no-sync]',
+    summary: 'Show failed transfers per coldkey and what each recipient is owed',
+    run: shortfallCommand
+  },
+  {
+    name: 'preflight',
+    usage: 'preflight [--manifest <file>] [--env-file <file>] [--offline] [--signed-off-by <name>] [--out <file>]',
+    summary: 'Check constructor arguments and the initial validator before deploying',
+    run: preflightCommand
+  },
+  {
+    name: 'verify-deployment',
+    usage: 'verify-deployment [--manifest <file>] [--env-file <file>] [--artifact <file>] [--deployment-block <n>] [--digest <hash>] [--ignore-metadata]',
+    summary: 'Check a deployed contract against the approved manifest and the forge build',
+    run: verifyDeploymentCommand
+  }
+];
+
+/**
+ * Flags a command accepts: the global flags, the flag of every setting in CONFIG_SCHEMA
+ * and the flags in its usage line
+ * @param {Object} command - Entry from COMMANDS
+ * @returns {Set<string>} Flag names
+ */
+function commandFlags(command) {
+  return new Set([
+    ...GLOBAL_FLAGS.map(([flag]) => flag.split(' ')[0]),
+    ...Object.values(CONFIG_SCHEMA).map(spec => spec.flag).filter(Boolean),
+    ...(command.usage.match(/--[a-z-]+/g) || [])
+  ]);
+}
+
+/**
+ * Find the command named by the leading positionals
+ * @param {Array<string>} positionals - Positional arguments
+ * @returns {Object|null} { command, args } or null if none matches
+ */
+function findCommand(positionals) {
+  for (const words of [2, 1]) {
+    const name = positionals.slice(0, words).join(' ');
+    const command = positionals.length >= words && COMMANDS.find(c => c.name === name);
+    if (command) {
+      return { command, args: positionals.slice(words) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Help text for all commands, or the commands starting with a prefix
+ * @param {string} prefix - e.g. 'validator' (optional)
+ * @returns {string} Help text
+ */
+function formatHelp(prefix = '') {
+  const commands = COMMANDS.filter(c => c.name === prefix || c.name.startsWith(`${prefix} `) || prefix === '');
+  const width = Math.max(...GLOBAL_FLAGS.map(([flag]) => flag.length)) + 2;
+  return [
+    'Usage: saintdurbin <command> [flags]',
+    '',
+    'Commands:',
+    ...commands.flatMap(c => [`  ${c.usage}`, `      ${c.summary}`]),
+    '',
+    'Flags:',
+    ...GLOBAL_FLAGS.map(([flag, description]) => `  ${flag.padEnd(width)}${description}`),
+    '',
+    'Settings also come from the environment and the config file; see README.md.',
+    `Exit codes: ${EXIT_CODES.success} success, ${EXIT_CODES.failure} failure, ${EXIT_CODES.usage} usage or configuration error.`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments (process.argv.slice(2))
+ * @param {Object} io - Environment and output streams
+ * @param {Object} io.env - Environment (defaults to process.env)
+ * @param {Object} io.stdout - Stream for help and results (defaults to process.stdout)
+ * @param {Object} io.stderr - Stream for errors (defaults to process.stderr)
+ * @returns {Promise<number>} Exit code from EXIT_CODES
+ */
+async function run(argv, io = {}) {
+  const { env = process.env, stdout = process.stdout, stderr = process.stderr } = io;
+  const { positionals, flags, values } = parseArgs(argv);
+
+  if (positionals.length === 0 || positionals[0] === 'help') {
+    stdout.write(formatHelp(positionals.slice(1).join(' ')));
+    return positionals.length === 0 && !flags.has('--help') ? EXIT_CODES.usage : EXIT_CODES.success;
+  }
+
+  const found = findCommand(positionals);
+  if (!found) {
+    stderr.write(`Unknown command: ${positionals.join(' ')}\n\n${formatHelp(COMMANDS.some(c => c.name.startsWith(`${positionals[0]} `)) ? positionals[0] : '')}`);
+    return EXIT_CODES.usage;
+  }
+  if (flags.has('--help')) {
+    stdout.write(formatHelp(found.command.name));
+    return EXIT_CODES.success;
+  }
+  if (found.args.length > 0) {
+    stderr.write(`Unexpected argument: ${found.args[0]}\nUsage: saintdurbin ${found.command.usage}\n`);
+    return EXIT_CODES.usage;
+  }
+  // A misspelled flag such as --dryrun must not quietly turn into a real run
+  const accepted = commandFlags(found.command);
+  const unknown = [...flags, ...Object.keys(values)].find(flag => !accepted.has(flag));
+  if (unknown) {
+    stderr.write(`Unknown flag for ${found.command.name}: ${unknown}\nUsage: saintdurbin ${found.command.usage}\n`);
+    return EXIT_CODES.usage;
+  }
+
+  const json = flags.has('--json');
+  const providers = [];
+  const ctx = {
+    env,
+    flags,
+    values,
+    json,
+
+    /**
+     * Register a provider to be destroyed when the command finishes
+     * @param {ethers.JsonRpcProvider} provider - Provider
+     * @returns {ethers.JsonRpcProvider} The same provider
+     */
+    track(provider) {
+      providers.push(provider);
+      return provider;
+    },
+
+    /**
+     * Report a command result: JSON on stdout with SS58 addresses and labels next to
+     * each key, or the human-readable printer
+     * @param {Object} result - Result object
+     * @param {Function} print - (result) => void, for human-readable output (optional)
+     */
+    output(result, print) {
+      if (json) {
+        stdout.write(`${toJson(getAddressBook().annotate(result))}\n`);
+      } else if (print) {
+        print(result);
+      }
+    }
+  };
+
+  // In JSON mode, keep stdout for the result alone
+  const log = console.log;
+  if (json) {
+    console.log = console.error;
+  }
+  try {
+    return await found.command.run(ctx);
+  } catch (error) {
+    stderr.write(`❌ ${error.message}\n`);
+    return error.exitCode !== undefined ? error.exitCode : EXIT_CODES.failure;
+  } finally {
+    console.log = log;
+    providers.forEach(provider => provider.destroy());
+  }
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  process.exit(await run(process.argv.slice(2)));
+}
+
+// Export functions for testing
+module.exports = {
+  EXIT_CODES,
+  COMMANDS,
+  parseArgs,
+  findCommand,
+  formatHelp,
+  run,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(EXIT_CODES.failure);
+  });
+}
\ No newline at end of file
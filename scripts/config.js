@@ -0,0 +1,222 @@
+// scripts/config.js
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Every setting, where it can come from and what it must look like. Precedence is
+// CLI flag > environment variable > config file > default. Private keys have no
+// flag so they never show up in the process list.
+const CONFIG_SCHEMA = {
+  rpcUrl: { env: 'RPC_URL', flag: '--rpc-url', type: 'url' },
+  rpcUrls: { env: 'RPC_URLS', flag: '--rpc-urls', type: 'urlList' },
+  rpcQuorum: { env: 'RPC_QUORUM', flag: '--rpc-quorum', type: 'integer', min: 1, default: 1 },
+  privateKey: { env: 'PRIVATE_KEY', type: 'privateKey' },
+  signerType: { env: 'SIGNER_TYPE', flag: '--signer', type: 'enum', values: ['privateKey', 'keystore', 'remote', 'readonly'], default: 'privateKey' },
+  keystorePath: { env: 'KEYSTORE_PATH', flag: '--keystore', type: 'string' },
+  keystorePasswordFile: { env: 'KEYSTORE_PASSWORD_FILE', flag: '--password-file', type: 'string' },
+  remoteSignerUrl: { env: 'REMOTE_SIGNER_URL', flag: '--signer-url', type: 'url' },
+  remoteSignerAddress: { env: 'REMOTE_SIGNER_ADDRESS', flag: '--signer-address', type: 'address' },
+  // The emergency operator's signer for drain actions; the settings above when unset
+  emergencySignerType: { env: 'EMERGENCY_SIGNER_TYPE', flag: '--emergency-signer', type: 'enum', values: ['privateKey', 'keystore', 'remote', 'readonly'] },
+  emergencyPrivateKey: { env: 'EMERGENCY_PRIVATE_KEY', type: 'privateKey' },
+  emergencyKeystorePath: { env: 'EMERGENCY_KEYSTORE_PATH', flag: '--emergency-keystore', type: 'string' },
+  emergencyKeystorePasswordFile: { env: 'EMERGENCY_KEYSTORE_PASSWORD_FILE', flag: '--emergency-password-file', type: 'string' },
+  emergencyRemoteSignerUrl: { env: 'EMERGENCY_REMOTE_SIGNER_URL', flag: '--emergency-signer-url', type: 'url' },
+  emergencyRemoteSignerAddress: { env: 'EMERGENCY_REMOTE_SIGNER_ADDRESS', flag: '--emergency-signer-address', type: 'address' },
+  contractAddress: { env: 'CONTRACT_ADDRESS', flag: '--contract', type: 'address' },
+  validatorCheckInterval: { env: 'VALIDATOR_CHECK_INTERVAL', flag: '--check-interval', type: 'integer', min: 1, default: 10 },
+  deploymentsFile: { env: 'DEPLOYMENTS_FILE', flag: '--deployments', type: 'string' },
+  runStatePath: { env: 'RUN_STATE_PATH', flag: '--state', type: 'string', default: 'saintdurbin-state.json' },
+  metricsPort: { env: 'METRICS_PORT', flag: '--metrics-port', type: 'integer', min: 1 }
+};
+
+// Where the config file path itself comes from
+const CONFIG_FILE_ENV = 'SAINTDURBIN_CONFIG';
+const CONFIG_FILE_FLAG = '--config';
+
+/**
+ * Read a YAML (.yaml/.yml) or JSON config file
+ * @param {string} filePath - Config file path
+ * @returns {Object} Settings keyed by CONFIG_SCHEMA name
+ * @throws {Error} If the file is missing, unparsable or not a mapping
+ */
+function readConfigFile(filePath) {
+  let contents;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    contents = ext === '.yaml' || ext === '.yml' ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+
+  if (contents === null || contents === undefined) return {};
+  if (typeof contents !== 'object' || Array.isArray(contents)) {
+    throw new Error(`Config file ${filePath} must contain a mapping of settings`);
+  }
+  return contents;
+}
+
+/**
+ * Collect `--flag value` and `--flag=value` arguments
+ * @param {Array<string>} argv - Arguments (process.argv.slice(2))
+ * @returns {Object} Flag values keyed by flag name
+ */
+function parseFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      flags[arg.slice(0, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[arg] = argv[++i];
+    }
+  }
+  return flags;
+}
+
+/**
+ * Check a raw setting against its schema entry and convert it
+ * @param {Object} spec - CONFIG_SCHEMA entry
+ * @param {*} raw - Value from a flag, the environment or the config file
+ * @returns {*} Converted value
+ * @throws {Error} Describing what was expected
+ */
+function coerceValue(spec, raw) {
+  const text = String(raw).trim();
+
+  switch (spec.type) {
+  case 'integer': {
+    if (!/^-?\d+$/.test(text)) {
+      throw new Error(`expected an integer, got "${raw}"`);
+    }
+    const value = parseInt(text, 10);
+    if (spec.min !== undefined && value < spec.min) {
+      throw new Error(`must be at least ${spec.min}, got ${value}`);
+    }
+    return value;
+  }
+  case 'url':
+    if (!/^(https?|wss?):\/\/\S+$/.test(text)) {
+      throw new Error(`expected an http(s) or ws(s) URL, got "${raw}"`);
+    }
+    return text;
+  case 'urlList': {
+    // Comma-separated in flags and the environment, a list in the config file
+    const urls = (Array.isArray(raw) ? raw.map(String) : text.split(',')).map(url => url.trim()).filter(Boolean);
+    if (urls.length === 0) {
+      throw new Error('expected one or more comma-separated URLs');
+    }
+    return urls.map(url => coerceValue({ type: 'url' }, url));
+  }
+  case 'address':
+    if (!ethers.isAddress(text)) {
+      throw new Error(`expected a 0x-prefixed 20-byte address, got "${raw}"`);
+    }
+    return ethers.getAddress(text);
+  case 'privateKey':
+    // Never echo the value back
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(text)) {
+      throw new Error('expected 32 bytes of hex (with or without 0x)');
+    }
+    return text.startsWith('0x') ? text : `0x${text}`;
+  case 'enum':
+    if (!spec.values.includes(text)) {
+      throw new Error(`expected one of ${spec.values.join(', ')}, got "${raw}"`);
+    }
+    return text;
+  default:
+    if (text === '') {
+      throw new Error('must not be empty');
+    }
+    return text;
+  }
+}
+
+/**
+ * Load, merge and validate the configuration. Every problem is reported at once.
+ * @param {Object} options - Loader options
+ * @param {Array<string>} options.argv - CLI arguments (defaults to process.argv.slice(2))
+ * @param {Object} options.env - Environment (defaults to process.env)
+ * @param {Array<string>|Function} options.required - CONFIG_SCHEMA names that must be set, or a
+ *   function receiving the merged settings and returning them
+ * @returns {Object} Settings keyed by CONFIG_SCHEMA name, plus `sources` naming where each came from
+ * @throws {Error} Listing every invalid or missing setting (also in error.problems)
+ */
+function loadConfig(options = {}) {
+  const {
+    argv = process.argv.slice(2),
+    env = process.env,
+    required = []
+  } = options;
+
+  const flags = parseFlags(argv);
+  const configFile = flags[CONFIG_FILE_FLAG] || env[CONFIG_FILE_ENV] || null;
+  const file = configFile ? readConfigFile(configFile) : {};
+  const problems = [];
+
+  for (const key of Object.keys(file)) {
+    if (!CONFIG_SCHEMA[key]) {
+      problems.push(`${key} (${configFile}): unknown setting`);
+    }
+  }
+
+  const config = { configFile, sources: {} };
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    // Empty environment variables count as unset, like the blanks in .env.example
+    const candidates = [
+      spec.flag && [flags[spec.flag], spec.flag],
+      [env[spec.env] === '' ? undefined : env[spec.env], spec.env],
+      [file[key], `${key} (${configFile})`]
+    ].filter(Boolean);
+    const found = candidates.find(([raw]) => raw !== undefined && raw !== null);
+
+    if (!found) {
+      config[key] = spec.default !== undefined ? spec.default : null;
+      config.sources[key] = spec.default !== undefined ? 'default' : null;
+      continue;
+    }
+
+    const [raw, origin] = found;
+    try {
+      config[key] = coerceValue(spec, raw);
+      config.sources[key] = origin;
+    } catch (error) {
+      problems.push(`${origin}: ${error.message}`);
+    }
+  }
+
+  const requiredKeys = typeof required === 'function' ? required(config) : required;
+  for (const key of requiredKeys) {
+    if (config.sources[key] === null) {
+      const spec = CONFIG_SCHEMA[key];
+      const where = [spec.flag, spec.env].filter(Boolean).join(', ');
+      problems.push(`${key}: required; set ${where} or ${key} in the config file`);
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return config;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  readConfigFile,
+  parseFlags,
+  coerceValue,
+  loadConfig
+};
\ No newline at end of file
@@ -0,0 +1,243 @@
+// scripts/daemon.js
+const { executeDistribution } = require('./distribute');
+
+// Configuration for daemon mode
+const DAEMON_CONFIG = {
+  // First retry delay after a failed distribution (ms), doubled per failure
+  retryBaseDelay: 30 * 1000,
+
+  // Upper bound for the retry delay (ms)
+  retryMaxDelay: 30 * 60 * 1000,
+
+  // Poll the RPC directly if no block event arrived for this long (ms)
+  stallTimeout: 2 * 60 * 1000
+};
+
+/**
+ * Compute the retry delay for a number of consecutive failures
+ * @param {number} failures - Consecutive failures so far (>= 1)
+ * @param {Object} options - Options
+ * @param {number} options.retryBaseDelay - First retry delay (ms)
+ * @param {number} options.retryMaxDelay - Maximum retry delay (ms)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(failures, options = {}) {
+  const { retryBaseDelay = DAEMON_CONFIG.retryBaseDelay, retryMaxDelay = DAEMON_CONFIG.retryMaxDelay } = options;
+  return Math.min(retryBaseDelay * 2 ** Math.max(failures - 1, 0), retryMaxDelay);
+}
+
+/**
+ * Create a long-running distributor that fires at the eligible block
+ * @param {ethers.Contract} contract - The SaintDurbin contract instance
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @param {Object} options - Daemon options
+ * @param {Function} options.distribute - Distribution function (defaults to executeDistribution)
+ * @param {Function} options.onResult - Called with every distribution result
+ * @param {number} options.retryBaseDelay - First retry delay (ms)
+ * @param {number} options.retryMaxDelay - Maximum retry delay (ms)
+ * @param {number} options.stallTimeout - Block silence before polling the RPC directly (ms)
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Object} Daemon with start(), stop(), handleBlock() and getState()
+ */
+function createDistributionDaemon(contract, provider, options = {}) {
+  const {
+    distribute = executeDistribution,
+    onResult,
+    stallTimeout = DAEMON_CONFIG.stallTimeout,
+    silent = false
+  } = options;
+
+  const log = silent ? () => {} : console.log;
+  const error = silent ? () => {} : console.error;
+
+  const state = {
+    running: false,
+    inFlight: false,
+    latestBlock: null,
+    targetBlock: null,
+    consecutiveFailures: 0,
+    nextRetryAt: null,
+    lastBlockSeenAt: null,
+    lastResult: null,
+    rpcHealthy: true
+  };
+
+  let watchdog = null;
+
+  /**
+   * Work out the block at which the next transfer becomes eligible
+   * @param {number} currentBlock - Latest block number
+   */
+  async function schedule(currentBlock) {
+    const blocksRemaining = await contract.blocksUntilNextTransfer();
+    state.targetBlock = currentBlock + Number(blocksRemaining);
+    log(`Next distribution eligible at block ${state.targetBlock} (${blocksRemaining} blocks remaining)`);
+  }
+
+  /**
+   * Attempt a distribution and reschedule based on the outcome
+   * @param {number} blockNumber - Block that triggered the attempt
+   */
+  async function attempt(blockNumber) {
+    state.inFlight = true;
+    try {
+      log(`Block ${blockNumber}: attempting distribution`);
+      const result = await distribute(contract, provider, options);
+      state.lastResult = result;
+      if (onResult) {
+        onResult(result);
+      }
+
+      if (result.success) {
+        state.consecutiveFailures = 0;
+        state.nextRetryAt = null;
+        await schedule(blockNumber);
+      } else if (!result.canExecute && !result.error) {
+        // Not ready yet (e.g. another caller distributed first)
+        state.consecutiveFailures = 0;
+        state.nextRetryAt = null;
+        state.targetBlock = blockNumber + Number(result.blocksRemaining || 1);
+      } else {
+        state.consecutiveFailures++;
+        const delay = getRetryDelay(state.consecutiveFailures, options);
+        state.nextRetryAt = Date.now() + delay;
+        error(`Distribution attempt ${state.consecutiveFailures} failed; retrying in ${Math.round(delay / 1000)}s`);
+      }
+    } catch (err) {
+      state.consecutiveFailures++;
+      const delay = getRetryDelay(state.consecutiveFailures, options);
+      state.nextRetryAt = Date.now() + delay;
+      error(`Distribution attempt errored: ${err.message}; retrying in ${Math.round(delay / 1000)}s`);
+    } finally {
+      state.inFlight = false;
+    }
+  }
+
+  /**
+   * Handle a new block from the subscription (or the stall watchdog)
+   * @param {number} blockNumber - New block number
+   */
+  async function handleBlock(blockNumber) {
+    state.lastBlockSeenAt = Date.now();
+    if (state.latestBlock !== null && blockNumber <= state.latestBlock) return;
+    state.latestBlock = blockNumber;
+
+    if (!state.running || state.inFlight) return;
+    if (state.nextRetryAt !== null && Date.now() < state.nextRetryAt) return;
+
+    try {
+      if (state.targetBlock === null) {
+        await schedule(blockNumber);
+      }
+    } catch (err) {
+      error('Failed to schedule next distribution:', err.message);
+      return;
+    }
+
+    if (blockNumber >= state.targetBlock) {
+      await attempt(blockNumber);
+    }
+  }
+
+  const onBlock = (blockNumber) => {
+    handleBlock(blockNumber).catch(err => error('Block handler error:', err.message));
+  };
+
+  const onError = (err) => {
+    error('Provider error:', err && err.message ? err.message : err);
+  };
+
+  /**
+   * Poll the RPC when block events stop arriving, resubscribing after recovery
+   */
+  async function checkStall() {
+    if (state.lastBlockSeenAt !== null && Date.now() - state.lastBlockSeenAt < stallTimeout) return;
+
+    try {
+      const blockNumber = await provider.getBlockNumber();
+      if (!state.rpcHealthy) {
+        log('RPC connection restored; resubscribing to blocks');
+        await provider.off('block', onBlock);
+        await provider.on('block', onBlock);
+        state.rpcHealthy = true;
+      }
+      await handleBlock(blockNumber);
+    } catch (err) {
+      if (state.rpcHealthy) {
+        error('RPC unavailable, will keep retrying:', err.message);
+      }
+      state.rpcHealthy = false;
+    }
+  }
+
+  return {
+    /**
+     * Subscribe to new blocks and start scheduling distributions
+     */
+    async start() {
+      if (state.running) return;
+      state.running = true;
+      state.lastBlockSeenAt = Date.now();
+
+      await provider.on('block', onBlock);
+      await provider.on('error', onError);
+
+      watchdog = setInterval(() => {
+        checkStall().catch(err => error('Watchdog error:', err.message));
+      }, Math.max(Math.floor(stallTimeout / 2), 1000));
+
+      log('SaintDurbin distribution daemon started');
+    },
+
+    /**
+     * Unsubscribe and stop scheduling
+     */
+    async stop() {
+      state.running = false;
+      if (watchdog) {
+        clearInterval(watchdog);
+        watchdog = null;
+      }
+      await provider.off('block', onBlock);
+      await provider.off('error', onError);
+      log('SaintDurbin distribution daemon stopped');
+    },
+
+    handleBlock,
+    checkStall,
+
+    /**
+     * Snapshot of the daemon state
+     * @returns {Object} Current state
+     */
+    getState() {
+      return { ...state };
+    }
+  };
+}
+
+/**
+ * Run the daemon until SIGINT/SIGTERM
+ * @param {ethers.Contract} contract - The SaintDurbin contract instance
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @param {Object} options - Daemon options (see createDistributionDaemon)
+ * @returns {Promise<void>} Resolves after a clean shutdown
+ */
+async function runDaemon(contract, provider, options = {}) {
+  const daemon = createDistributionDaemon(contract, provider, options);
+  await daemon.start();
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+
+  await daemon.stop();
+}
+
+module.exports = {
+  DAEMON_CONFIG,
+  getRetryDelay,
+  createDistributionDaemon,
+  runDaemon
+};
\ No newline at end of file
@@ -0,0 +1,194 @@
+// scripts/deployments.js
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { CONFIG_SCHEMA, coerceValue } = require('./config');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for multi-deployment runs
+const DEPLOYMENTS_CONFIG = {
+  // Environment variable holding the key when a deployment does not name one
+  defaultPrivateKeyEnv: 'PRIVATE_KEY'
+};
+
+/**
+ * Load and validate a deployments file. Keys are never stored in the file; each
+ * deployment names the environment variable that holds its private key, or uses
+ * the configured keystore or remote signer.
+ *
+ * File format:
+ * {
+ *   "rpcUrl": "https://...",                 // optional default, falls back to the configured RPC URL
+ *   "deployments": [
+ *     { "name": "subnet-1", "contractAddress": "0x...", "privateKeyEnv": "PRIVATE_KEY_SN1" },
+ *     { "name": "subnet-7", "contractAddress": "0x...", "rpcUrl": "https://...", "enabled": false }
+ *   ]
+ * }
+ *
+ * @param {string} filePath - Path to the deployments file
+ * @param {Object} env - Environment (defaults to process.env)
+ * @param {Object} defaults - Fallbacks from the loaded configuration
+ * @param {string} defaults.rpcUrl - RPC URL for deployments and files that name none
+ * @param {Array<string>} defaults.rpcUrls - Failover RPC URLs, preferred over defaults.rpcUrl
+ * @param {number} defaults.rpcQuorum - Quorum for critical view reads over defaults.rpcUrls
+ * @param {ethers.Signer|null} defaults.signer - Keystore or remote signer (null when read-only) for
+ *   deployments that name no privateKeyEnv; without it they use DEPLOYMENTS_CONFIG.defaultPrivateKeyEnv
+ * @returns {Array<Object>} Enabled deployments as { name, contractAddress, rpcUrl, privateKey } or
+ *   { name, contractAddress, rpcUrl, signer }
+ * @throws {Error} If the file is missing, malformed or a deployment is invalid
+ */
+function loadDeployments(filePath, env = process.env, defaults = {}) {
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read deployments file ${filePath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(file) ? file : file.deployments;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Deployments file ${filePath} lists no deployments`);
+  }
+
+  const names = new Set();
+  const deployments = [];
+
+  entries.forEach((entry, index) => {
+    const name = entry.name || `deployment-${index}`;
+    const fail = (message) => {
+      throw new Error(`Deployment "${name}" (#${index}): ${message}`);
+    };
+
+    if (names.has(name)) fail('duplicate name');
+    names.add(name);
+    if (!entry.contractAddress || !ethers.isAddress(entry.contractAddress)) {
+      fail(`invalid contractAddress ${entry.contractAddress}`);
+    }
+    if (entry.enabled === false) return;
+
+    const ownRpcUrl = entry.rpcUrl || file.rpcUrl;
+    const rpcUrls = !ownRpcUrl && defaults.rpcUrls ? defaults.rpcUrls : null;
+    const rpcUrl = ownRpcUrl || (rpcUrls && rpcUrls[0]) || defaults.rpcUrl || env.RPC_URL;
+    if (!rpcUrl) fail('no rpcUrl and RPC_URL is not set');
+
+    const namedKeyEnv = entry.privateKeyEnv || file.privateKeyEnv;
+    const useSigner = !namedKeyEnv && defaults.signer !== undefined;
+    const privateKeyEnv = namedKeyEnv || DEPLOYMENTS_CONFIG.defaultPrivateKeyEnv;
+    if (!useSigner && !env[privateKeyEnv]) fail(`environment variable ${privateKeyEnv} is not set`);
+
+    const deployment = { name, contractAddress: ethers.getAddress(entry.contractAddress) };
+    try {
+      deployment.rpcUrl = coerceValue(CONFIG_SCHEMA.rpcUrl, rpcUrl);
+    } catch (error) {
+      fail(`rpcUrl ${error.message}`);
+    }
+    if (rpcUrls) {
+      // Deployments without their own RPC URL share the failover endpoints
+      deployment.rpcUrls = rpcUrls;
+      deployment.rpcQuorum = defaults.rpcQuorum;
+    }
+    if (useSigner) {
+      deployment.signer = defaults.signer;
+    } else {
+      try {
+        deployment.privateKey = coerceValue(CONFIG_SCHEMA.privateKey, env[privateKeyEnv]);
+      } catch (error) {
+        fail(`${privateKeyEnv} ${error.message}`);
+      }
+    }
+    deployments.push(deployment);
+  });
+
+  return deployments;
+}
+
+/**
+ * Fallbacks for loadDeployments from the loaded configuration. Deployments without their
+ * own privateKeyEnv share a keystore or remote signer, or run read-only.
+ * @param {Object} config - Settings from loadConfig
+ * @param {ethers.Signer|null} signer - Signer from createSignerFromConfig
+ * @returns {Object} Defaults for loadDeployments
+ */
+function getDeploymentDefaults(config, signer) {
+  const defaults = { rpcUrl: config.rpcUrl, rpcUrls: config.rpcUrls, rpcQuorum: config.rpcQuorum };
+  if (config.signerType !== 'privateKey') {
+    defaults.signer = signer;
+  }
+  return defaults;
+}
+
+/**
+ * Run a task against each deployment in turn. A failure (a thrown error, or a result
+ * that is unsuccessful and carries an error) is recorded and the run moves on to the
+ * next deployment. Unsuccessful results without an error, such as a distribution that
+ * is not due yet, count as succeeded, as they do for the single-contract exit code.
+ * @param {Array<Object>} deployments - Deployments from loadDeployments
+ * @param {Function} task - async (deployment) => result object with success and error fields
+ * @param {Object} options - Options
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Promise<Object>} { success, results, summary: { total, succeeded, failed } }
+ */
+async function runForDeployments(deployments, task, options = {}) {
+  const { silent = false } = options;
+  const log = silent ? () => {} : console.log;
+  const results = [];
+
+  for (const deployment of deployments) {
+    log(`\n=== ${deployment.name} (${deployment.contractAddress}) ===`);
+    const entry = {
+      name: deployment.name,
+      contractAddress: deployment.contractAddress,
+      success: false,
+      result: null,
+      error: null
+    };
+
+    try {
+      entry.result = await task(deployment);
+      entry.success = Boolean(entry.result && (entry.result.success || !entry.result.error));
+      if (!entry.success) {
+        entry.error = entry.result ? entry.result.error : 'Task returned no result';
+      }
+    } catch (error) {
+      entry.error = error.message;
+    }
+
+    results.push(entry);
+  }
+
+  const succeeded = results.filter(r => r.success).length;
+  return {
+    success: succeeded === results.length,
+    results,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded
+    }
+  };
+}
+
+/**
+ * Print the combined summary of a multi-deployment run
+ * @param {Object} run - Result from runForDeployments
+ * @param {Function} describe - Optional (result) => one-line detail for a successful deployment
+ */
+function printDeploymentSummary(run, describe = () => '') {
+  console.log('\nDeployment summary:');
+  for (const entry of run.results) {
+    const detail = entry.success ? describe(entry.result) : entry.error;
+    console.log(`  ${entry.success ? '✅' : '❌'} ${entry.name} (${entry.contractAddress})${detail ? `: ${detail}` : ''}`);
+  }
+  console.log(`${run.summary.succeeded}/${run.summary.total} succeeded, ${run.summary.failed} failed`);
+}
+
+module.exports = {
+  DEPLOYMENTS_CONFIG,
+  loadDeployments,
+  getDeploymentDefaults,
+  runForDeployments,
+  printDeploymentSummary
+};
\ No newline at end of file
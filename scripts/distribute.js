@@ -1,5 +1,14 @@
 // scripts/distribute.js
 const { ethers } = require('ethers');
+const { createNotifierFromEnv } = require('./notifications');
+const { createTransactionManager } = require('./tx-manager');
+const { decodeContractError, describeError } = require('./errors');
+const { loadDeployments, getDeploymentDefaults, runForDeployments, printDeploymentSummary } = require('./deployments');
+const { CONFIG_SCHEMA, loadConfig } = require('./config');
+const { requiredSignerSettings, createSignerFromConfig } = require('./signers');
+const { createProvider } = require('./rpc');
+const { recordRun, createRunStateStore } = require('./state-store');
+const { getAddressBook } = require('./address-book');
 
 // Only load dotenv if not in test environment
 if (process.env.NODE_ENV !== 'test') {
@@ -17,13 +26,14 @@ const SAINTDURBIN_ABI = [
   "function getCurrentValidatorInfo() external view returns (bytes32 hotkey, uint16 uid, bool isValid)",
   "function getStakedBalance() external view returns (uint256)",
   "function checkAndSwitchValidator() external",
-  "event ValidatorSwitched(bytes32 indexed oldHotkey, bytes32 indexed newHotkey, uint16 newUid, string reason)"
+  "event ValidatorSwitched(bytes32 indexed oldHotkey, bytes32 indexed newHotkey, uint16 newUid, string reason)",
+  "event PrincipalDetected(uint256 amount, uint256 totalPrincipal)"
 ];
 
 // Configuration for monitoring
 const CONFIG = {
-  // Check validator status every N distributions
-  checkInterval: parseInt(process.env.VALIDATOR_CHECK_INTERVAL || '10'),
+  // Check validator status every N distributions (main() applies the validated VALIDATOR_CHECK_INTERVAL)
+  checkInterval: CONFIG_SCHEMA.validatorCheckInterval.default,
   
   // Monitor for validator switches
   monitorValidatorSwitches: true
@@ -47,12 +57,46 @@ function setDistributionCount(count) {
   distributionCount = count;
 }
 
+/**
+ * Send a notification if a notifier was supplied
+ * @param {Object} options - Options passed to the calling function
+ * @param {Object} options.notifier - Notifier from notifications.js
+ * @param {boolean} options.skipNotifications - Skip sending notifications
+ * @param {string} event - Notification event type
+ * @param {Object} data - Template data
+ */
+async function sendNotification(options, event, data) {
+  if (!options.notifier || options.skipNotifications) return;
+  await options.notifier.notify(event, data);
+}
+
+/**
+ * Record a run in the state store; a failure to save is logged rather than thrown
+ * @param {Object} stateStore - Store from state-store.js
+ * @param {string} contractAddress - Contract address
+ * @param {ethers.providers.Provider} provider - The Ethereum provider
+ * @param {Object} result - Result from executeDistribution
+ * @param {boolean} validatorChecked - Whether the run checked the validator
+ */
+async function saveRunState(stateStore, contractAddress, provider, result, validatorChecked) {
+  try {
+    const validatorCheckBlock = validatorChecked ? await provider.getBlockNumber() : null;
+    const previous = stateStore.get(contractAddress);
+    stateStore.update(contractAddress, recordRun(previous, result, { runCount: distributionCount, validatorCheckBlock }));
+  } catch (error) {
+    console.error('Failed to save run state:', error.message);
+  }
+}
+
 /**
  * Execute a distribution
  * @param {ethers.Contract} contract - The SaintDurbin contract instance
  * @param {ethers.providers.Provider} provider - The Ethereum provider
  * @param {Object} options - Options for distribution
  * @param {boolean} options.skipValidatorCheck - Skip validator status check
+ * @param {Object} options.notifier - Notifier for success/not-ready/failure events
+ * @param {Object} options.txManager - Transaction manager (defaults to one for the contract's signer)
+ * @param {Object} options.stateStore - Run state store; continues its run count and records the run
  * @returns {Object} Result object with success status and details
  */
 async function executeDistribution(contract, provider, options = {}) {
@@ -64,16 +108,29 @@ async function executeDistribution(contract, provider, options = {}) {
     amount: null,
     gasUsed: null,
     error: null,
-    validatorSwitched: false
+    decodedError: null,
+    validatorSwitched: false,
+    principalDetected: false
   };
+  const { stateStore } = options;
+  let contractAddress = null;
+  let validatorChecked = false;
 
   try {
+    // Continue the persisted count so the check interval spans one-shot runs
+    if (stateStore) {
+      contractAddress = await contract.getAddress();
+      distributionCount = stateStore.get(contractAddress).runCount;
+    }
+
     // Increment distribution counter
     distributionCount++;
     
     // Check validator status periodically
     if (!options.skipValidatorCheck && distributionCount % CONFIG.checkInterval === 0) {
-      await checkValidatorStatus(contract, provider, options);
+      const status = await checkValidatorStatus(contract, provider, options);
+      validatorChecked = true;
+      result.validatorSwitched = status.validatorSwitched;
     }
 
     // Check if distribution can be executed
@@ -83,6 +140,7 @@ async function executeDistribution(contract, provider, options = {}) {
       result.blocksRemaining = await contract.blocksUntilNextTransfer();
       const message = `Distribution not ready. Blocks remaining: ${result.blocksRemaining}`;
       console.log(message);
+      await sendNotification(options, 'notReady', { blocksRemaining: result.blocksRemaining.toString() });
       return result;
     }
 
@@ -95,12 +153,9 @@ async function executeDistribution(contract, provider, options = {}) {
 
     // Execute the transfer
     console.log('Executing transfer...');
-    const tx = await contract.executeTransfer({
-      gasLimit: 1000000 // Adjust based on testing
-    });
-    
-    console.log('Transaction submitted:', tx.hash);
-    const receipt = await tx.wait();
+    const txManager = options.txManager || createTransactionManager({ signer: contract.runner, provider });
+    const tx = await txManager.send(contract, 'executeTransfer');
+    const { receipt } = tx;
     
     if (receipt.status === 1) {
       result.success = true;
@@ -110,18 +165,51 @@ async function executeDistribution(contract, provider, options = {}) {
       
       const message = `✅ Distribution successful!\nTx: ${tx.hash}\nAmount: ${ethers.formatUnits(nextAmount, 9)} TAO\nGas used: ${receipt.gasUsed.toString()}`;
       console.log(message);
+      await sendNotification(options, 'success', {
+        transactionHash: tx.hash,
+        amount: result.amount,
+        amountTao: ethers.formatUnits(nextAmount, 9),
+        gasUsed: result.gasUsed
+      });
+
+      // Report any principal reclassification made during this distribution
+      for (const log of receipt.logs) {
+        let parsed;
+        try {
+          parsed = contract.interface.parseLog(log);
+        } catch {
+          parsed = null;
+        }
+        if (parsed && parsed.name === 'PrincipalDetected') {
+          result.principalDetected = true;
+          await sendNotification(options, 'principalDetected', {
+            transactionHash: tx.hash,
+            amount: parsed.args.amount.toString(),
+            amountTao: ethers.formatUnits(parsed.args.amount, 9),
+            totalPrincipal: parsed.args.totalPrincipal.toString(),
+            totalPrincipalTao: ethers.formatUnits(parsed.args.totalPrincipal, 9)
+          });
+        }
+      }
       
       // Monitor for validator switches during distribution
       const switchEvents = await monitorValidatorSwitches(contract, receipt, options);
-      result.validatorSwitched = switchEvents.length > 0;
+      result.validatorSwitched = result.validatorSwitched || switchEvents.length > 0;
     } else {
       throw new Error('Transaction failed');
     }
 
   } catch (error) {
     result.error = error.message;
-    const message = `❌ Distribution failed!\nError: ${error.message}`;
+    result.decodedError = decodeContractError(error);
+    const description = describeError(error, result.decodedError);
+    const message = `❌ Distribution failed!\nError: ${description}`;
     console.error(message);
+    await sendNotification(options, 'failure', { operation: 'Distribution', error: description });
+  } finally {
+    if (stateStore && contractAddress) {
+      await saveRunState(stateStore, contractAddress, provider, result, validatorChecked);
+    }
   }
 
   return result;
@@ -131,35 +219,169 @@ async function executeDistribution(contract, provider, options = {}) {
  * Initialize distribution components
  * @param {Object} config - Configuration object
  * @param {string} config.rpcUrl - RPC URL
- * @param {string} config.privateKey - Private key
+ * @param {Array<string>} config.rpcUrls - RPC URLs to fail over between (used instead of rpcUrl when set)
+ * @param {number} config.rpcQuorum - Endpoints that must agree on critical view reads
+ * @param {string} config.privateKey - Private key (used when no signer is given)
+ * @param {ethers.Signer} config.signer - Signer from createSignerFromConfig, e.g. a keystore or remote signer
  * @param {string} config.contractAddress - Contract address
- * @returns {Object} Object with provider, wallet, and contract
+ * @returns {Object} Object with provider, wallet (null without a signer or key), and contract
  */
 function initializeDistribution(config) {
-  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
-  const wallet = new ethers.Wallet(config.privateKey, provider);
-  const contract = new ethers.Contract(config.contractAddress, SAINTDURBIN_ABI, wallet);
+  const provider = createProvider(config);
+  let wallet = null;
+  if (config.signer) {
+    wallet = config.signer.connect(provider);
+  } else if (config.privateKey) {
+    wallet = new ethers.Wallet(config.privateKey, provider);
+  }
+  const contract = new ethers.Contract(config.contractAddress, SAINTDURBIN_ABI, wallet || provider);
   
   return { provider, wallet, contract };
 }
 
+/**
+ * Distribute for every deployment in a deployments file, isolating failures
+ * @param {Array<Object>} deployments - Deployments from loadDeployments
+ * @param {Object} options - Options passed to executeDistribution (a stateStore keeps each contract's run count)
+ * @returns {Promise<Object>} Result from runForDeployments
+ */
+async function distributeDeployments(deployments, options = {}) {
+  const run = await runForDeployments(deployments, async (deployment) => {
+    const { provider, wallet, contract } = initializeDistribution(deployment);
+    if (!wallet) {
+      throw new Error('Distribution needs a signer; read-only mode only supports --dry-run');
+    }
+    console.log('Executor:', await wallet.getAddress());
+
+    const notifier = options.notifier || createNotifierFromEnv(process.env, {
+      title: `SaintDurbin Distribution Update (${deployment.name})`
+    });
+    return executeDistribution(contract, provider, { ...options, notifier });
+  });
+
+  printDeploymentSummary(run, (result) => (result.transactionHash
+    ? `distributed in ${result.transactionHash}`
+    : `not ready, ${result.blocksRemaining} blocks remaining`));
+  return run;
+}
+
+/**
+ * Run the distribution daemon until SIGINT/SIGTERM, serving /metrics when config.metricsPort is set
+ * @param {ethers.Contract} contract - SaintDurbin contract connected to a signer
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @param {Object} config - Settings from loadConfig (contractAddress, metricsPort)
+ * @param {Object} options - Daemon options (notifier, stateStore; see createDistributionDaemon)
+ * @returns {Promise<void>} Resolves after a clean shutdown
+ */
+async function runDistributionDaemon(contract, provider, config, options = {}) {
+  const { runDaemon } = require('./daemon');
+  const daemonOptions = { ...options };
+
+  // Expose /metrics for Prometheus while the daemon runs
+  let metricsServer = null;
+  if (config.metricsPort) {
+    const { SAINTDURBIN_FULL_ABI } = require('./abi');
+    const { createMetrics, createMetricsServer } = require('./metrics');
+    const metrics = createMetrics({ labels: { contract: config.contractAddress } });
+    const viewContract = new ethers.Contract(config.contractAddress, SAINTDURBIN_FULL_ABI, provider);
+    metricsServer = createMetricsServer(metrics, {
+      port: config.metricsPort,
+      beforeScrape: () => metrics.refresh(viewContract)
+    });
+    await metricsServer.start();
+    daemonOptions.onResult = metrics.recordDistribution;
+  }
+
+  await runDaemon(contract, provider, daemonOptions);
+  if (metricsServer) {
+    await metricsServer.stop();
+  }
+}
+
 /**
  * Main function for CLI execution
  */
 async function main() {
   console.log('SaintDurbin Distribution Script Started');
-  console.log('Contract:', process.env.CONTRACT_ADDRESS);
-  
+
+  let config;
   try {
-    const { provider, wallet, contract } = initializeDistribution({
-      rpcUrl: process.env.RPC_URL,
-      privateKey: process.env.PRIVATE_KEY,
-      contractAddress: process.env.CONTRACT_ADDRESS
+    // A deployments file supplies the contracts and keys itself
+    config = loadConfig({
+      required: (settings) => [
+        ...(settings.deploymentsFile ? [] : [settings.rpcUrls ? 'rpcUrls' : 'rpcUrl', 'contractAddress']),
+        ...requiredSignerSettings(settings)
+      ]
     });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  CONFIG.checkInterval = config.validatorCheckInterval;
+  const stateStore = createRunStateStore(config.runStatePath);
+
+  let signer;
+  try {
+    signer = await createSignerFromConfig(config);
+  } catch (error) {
+    console.error('Failed to initialize signer:', error.message);
+    process.exit(1);
+  }
+
+  // Process every deployment listed in a deployments file in one run
+  if (config.deploymentsFile) {
+    if (process.argv.includes('--daemon') || process.argv.includes('--dry-run')) {
+      console.error('--daemon and --dry-run take a single CONTRACT_ADDRESS; unset DEPLOYMENTS_FILE to use them');
+      process.exit(1);
+    }
+    try {
+      const deployments = loadDeployments(config.deploymentsFile, process.env, getDeploymentDefaults(config, signer));
+      console.log(`Deployments: ${deployments.length} from ${config.deploymentsFile}`);
+      const run = await distributeDeployments(deployments, { stateStore });
+      if (!run.success) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('Failed to initialize distribution:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  console.log('Contract:', config.contractAddress);
+  
+  try {
+    const { provider, wallet, contract } = initializeDistribution({ ...config, signer });
     
-    console.log('Executor:', wallet.address);
-    
-    const result = await executeDistribution(contract, provider);
+    console.log('Executor:', wallet ? await wallet.getAddress() : 'none (read-only)');
+
+    // Predict the payout without broadcasting anything
+    if (process.argv.includes('--dry-run')) {
+      const { SAINTDURBIN_FULL_ABI } = require('./abi');
+      const { simulateDistribution, printSimulation } = require('./simulate');
+      const viewContract = new ethers.Contract(config.contractAddress, SAINTDURBIN_FULL_ABI, wallet || provider);
+      const simulation = await simulateDistribution(viewContract, provider);
+      printSimulation(simulation);
+      if (!simulation.success) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (!wallet) {
+      console.error('Distribution needs a signer; SIGNER_TYPE=readonly only supports --dry-run');
+      process.exit(1);
+    }
+
+    const notifier = createNotifierFromEnv();
+
+    // Keep running and distribute at each eligible block instead of exiting
+    if (process.argv.includes('--daemon')) {
+      await runDistributionDaemon(contract, provider, config, { notifier, stateStore });
+      return;
+    }
+
+    const result = await executeDistribution(contract, provider, { notifier, stateStore });
     
     if (!result.success && result.error) {
       process.exit(1);
@@ -175,6 +397,7 @@ async function main() {
  * @param {ethers.Contract} contract - The SaintDurbin contract instance
  * @param {ethers.providers.Provider} provider - The Ethereum provider
  * @param {Object} options - Options
+ * @param {Object} options.txManager - Transaction manager (defaults to one for the contract's signer)
  * @returns {Object} Status object with validator information
  */
 async function checkValidatorStatus(contract, provider, options = {}) {
@@ -188,7 +411,8 @@ async function checkValidatorStatus(contract, provider, options = {}) {
     stakedBalance: null,
     validatorSwitched: false,
     switchTransactionHash: null,
-    error: null
+    error: null,
+    decodedError: null
   };
   
   try {
@@ -198,24 +422,23 @@ async function checkValidatorStatus(contract, provider, options = {}) {
     status.uid = uid.toString();
     status.isValid = isValid;
     
+    const book = getAddressBook();
     console.log('Current validator:');
-    console.log('  Hotkey:', hotkey);
+    console.log('  Hotkey:', book.format(hotkey));
     console.log('  UID:', uid.toString());
     console.log('  Is valid:', isValid);
     
     if (!isValid) {
-      const message = `⚠️ Current validator is no longer valid!\nThe contract will automatically switch to a new validator.\nHotkey: ${hotkey}\nUID: ${uid}`;
+      const message = `⚠️ Current validator is no longer valid!\nThe contract will automatically switch to a new validator.\nHotkey: ${book.format(hotkey)}\nUID: ${uid}`;
       console.warn(message);
       
       // Optionally trigger manual validator check
       console.log('Triggering validator check...');
       try {
-        const tx = await contract.checkAndSwitchValidator({
-          gasLimit: 500000
-        });
-        console.log('Validator check transaction:', tx.hash);
-        status.switchTransactionHash = tx.hash;
-        const receipt = await tx.wait();
+        const txManager = options.txManager || createTransactionManager({ signer: contract.runner, provider });
+        const { hash, receipt } = await txManager.send(contract, 'checkAndSwitchValidator');
+        console.log('Validator check transaction:', hash);
+        status.switchTransactionHash = hash;
         
         // Check for ValidatorSwitched event
         const switchEvent = receipt.logs.find(log => {
@@ -230,11 +453,17 @@ async function checkValidatorStatus(contract, provider, options = {}) {
         if (switchEvent) {
           const parsed = contract.interface.parseLog(switchEvent);
           status.validatorSwitched = true;
-          const message = `✅ Validator switched successfully!\nOld: ${parsed.args.oldHotkey}\nNew: ${parsed.args.newHotkey}\nNew UID: ${parsed.args.newUid}\nReason: ${parsed.args.reason}`;
+          const message = `✅ Validator switched successfully!\nOld: ${book.format(parsed.args.oldHotkey)}\nNew: ${book.format(parsed.args.newHotkey)}\nNew UID: ${parsed.args.newUid}\nReason: ${parsed.args.reason}`;
           console.log(message);
+          await sendNotification(options, 'validatorSwitched', {
+            oldHotkey: parsed.args.oldHotkey,
+            newHotkey: parsed.args.newHotkey,
+            newUid: parsed.args.newUid.toString(),
+            reason: parsed.args.reason
+          });
         }
       } catch (error) {
-        console.log('Validator check transaction failed or no switch needed:', error.message);
+        console.log('Validator check transaction failed or no switch needed:', describeError(error));
       }
     } else {
       console.log('Validator status check passed');
@@ -248,8 +477,11 @@ async function checkValidatorStatus(contract, provider, options = {}) {
     status.success = true;
   } catch (error) {
     status.error = error.message;
-    const message = `❌ Validator status check failed!\nError: ${error.message}`;
+    status.decodedError = decodeContractError(error);
+    const description = describeError(error, status.decodedError);
+    const message = `❌ Validator status check failed!\nError: ${description}`;
     console.error(message);
+    await sendNotification(options, 'failure', { operation: 'Validator status check', error: description });
   }
   
   return status;
@@ -288,8 +520,10 @@ async function monitorValidatorSwitches(contract, receipt, options = {}) {
       };
       switchEvents.push(eventData);
       
-      const message = `🔄 Validator switched during distribution!\nOld: ${eventData.oldHotkey}\nNew: ${eventData.newHotkey}\nNew UID: ${eventData.newUid}\nReason: ${eventData.reason}`;
+      const book = getAddressBook();
+      const message = `🔄 Validator switched during distribution!\nOld: ${book.format(eventData.oldHotkey)}\nNew: ${book.format(eventData.newHotkey)}\nNew UID: ${eventData.newUid}\nReason: ${eventData.reason}`;
       console.log(message);
+      await sendNotification(options, 'validatorSwitched', eventData);
     }
   } catch (error) {
     console.error('Error monitoring validator switches:', error.message);
@@ -304,8 +538,11 @@ module.exports = {
   CONFIG,
   initializeDistribution,
   executeDistribution,
+  distributeDeployments,
+  runDistributionDaemon,
   checkValidatorStatus,
   monitorValidatorSwitches,
+  sendNotification,
   getDistributionCount,
   setDistributionCount,
   main
@@ -0,0 +1,290 @@
+// scripts/drain-watchdog.js
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('./abi');
+const { createNotifierFromEnv } = require('./notifications');
+const { createProviderFromEnv } = require('./rpc');
+const { coerceValue } = require('./config');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Mirrors EMERGENCY_TIMELOCK in SaintDurbin.sol
+const EMERGENCY_TIMELOCK = 86400;
+
+// Anyone may cancel once twice the timelock has passed
+const CANCEL_WINDOW = EMERGENCY_TIMELOCK * 2;
+
+// Configuration for the watchdog
+const WATCHDOG_CONFIG = {
+  // Delay between polls (ms); checked when the watchdog is created
+  pollInterval: process.env.DRAIN_WATCHDOG_INTERVAL || '60000',
+
+  // Escalate when the remaining timelock drops to these many seconds
+  thresholds: {
+    warning: 6 * 3600,
+    critical: 3600
+  }
+};
+
+// Alert levels in escalation order
+const ALERT_LEVELS = ['none', 'pending', 'warning', 'critical', 'executable', 'cancellable'];
+
+/**
+ * Format a number of seconds as a short duration
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "5h 12m"
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours === 0 && minutes === 0) {
+    return `${total % 60}s`;
+  }
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Read the emergency drain state from the contract
+ * @param {ethers.Contract} contract - The SaintDurbin contract instance
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @returns {Promise<Object>} Drain state
+ */
+async function getDrainState(contract, provider) {
+  const [isPending, timeRemaining] = await contract.getEmergencyDrainStatus();
+  const requestedAt = Number(await contract.emergencyDrainRequestedAt());
+  const block = await provider.getBlock('latest');
+  const now = block.timestamp;
+
+  const state = {
+    isPending,
+    requestedAt: isPending ? requestedAt : null,
+    executableAt: isPending ? requestedAt + EMERGENCY_TIMELOCK : null,
+    cancelWindowOpensAt: isPending ? requestedAt + CANCEL_WINDOW : null,
+    timeRemaining: Number(timeRemaining),
+    secondsUntilCancelWindow: null,
+    isExecutable: false,
+    cancelWindowOpen: false,
+    blockNumber: block.number,
+    now
+  };
+
+  if (isPending) {
+    state.isExecutable = state.timeRemaining === 0;
+    state.secondsUntilCancelWindow = Math.max(state.cancelWindowOpensAt - now, 0);
+    state.cancelWindowOpen = now >= state.cancelWindowOpensAt;
+  }
+
+  return state;
+}
+
+/**
+ * Classify a drain state into an alert level
+ * @param {Object} state - State from getDrainState
+ * @param {Object} thresholds - { warning, critical } in seconds remaining
+ * @returns {string} One of ALERT_LEVELS
+ */
+function classifyDrainState(state, thresholds = WATCHDOG_CONFIG.thresholds) {
+  if (!state.isPending) return 'none';
+  if (state.cancelWindowOpen) return 'cancellable';
+  if (state.isExecutable) return 'executable';
+  if (state.timeRemaining <= thresholds.critical) return 'critical';
+  if (state.timeRemaining <= thresholds.warning) return 'warning';
+  return 'pending';
+}
+
+/**
+ * Human-readable description of a drain state
+ * @param {Object} state - State from getDrainState
+ * @param {string} level - Alert level
+ * @returns {Object} Template data for the emergencyDrainRequested notification
+ */
+function describeDrainState(state, level) {
+  const iso = (timestamp) => (timestamp !== null ? new Date(timestamp * 1000).toISOString() : '');
+  return {
+    level,
+    requestedAt: iso(state.requestedAt),
+    executionTime: iso(state.executableAt),
+    timeRemaining: state.isExecutable ? 'executable now' : formatDuration(state.timeRemaining),
+    cancelWindowOpensAt: iso(state.cancelWindowOpensAt),
+    cancelWindow: state.cancelWindowOpen
+      ? 'open (anyone can cancel)'
+      : `opens in ${formatDuration(state.secondsUntilCancelWindow)}`
+  };
+}
+
+/**
+ * Create a watchdog that alerts on pending emergency drains
+ * @param {ethers.Contract} contract - The SaintDurbin contract instance
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @param {Object} options - Watchdog options
+ * @param {Object} options.notifier - Notifier from notifications.js
+ * @param {number} options.pollInterval - Delay between polls (ms), a positive integer
+ * @param {Object} options.thresholds - { warning, critical } seconds remaining
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Object} Watchdog with poll(), start(), stop() and getState()
+ * @throws {Error} If the poll interval is not a positive integer
+ */
+function createDrainWatchdog(contract, provider, options = {}) {
+  const {
+    notifier = null,
+    thresholds = WATCHDOG_CONFIG.thresholds,
+    silent = false
+  } = options;
+
+  // setInterval treats NaN or 0 as 1 ms, which would flood the RPC node
+  let pollInterval;
+  try {
+    pollInterval = coerceValue({ type: 'integer', min: 1 }, options.pollInterval ?? WATCHDOG_CONFIG.pollInterval);
+  } catch (err) {
+    throw new Error(`Invalid drain watchdog poll interval (DRAIN_WATCHDOG_INTERVAL): ${err.message}`);
+  }
+
+  const log = silent ? () => {} : console.log;
+  const error = silent ? () => {} : console.error;
+
+  const watch = {
+    level: 'none',
+    requestedAt: null,
+    lastState: null
+  };
+
+  let timer = null;
+
+  /**
+   * Check the drain status once, alerting when the level escalates
+   * @returns {Promise<Object>} { success, state, level, alerted, error }
+   */
+  async function poll() {
+    const result = {
+      success: false,
+      state: null,
+      level: null,
+      alerted: false,
+      error: null
+    };
+
+    try {
+      const state = await getDrainState(contract, provider);
+      const level = classifyDrainState(state, thresholds);
+      result.state = state;
+      result.level = level;
+
+      const isNewRequest = state.isPending && state.requestedAt !== watch.requestedAt;
+      const escalated = ALERT_LEVELS.indexOf(level) > ALERT_LEVELS.indexOf(watch.level);
+
+      if (state.isPending && (isNewRequest || escalated)) {
+        const details = describeDrainState(state, level);
+        log(`🚨 Emergency drain ${level}: executable at ${details.executionTime} (${details.timeRemaining}), ` +
+          `permissionless cancel window ${details.cancelWindow}`);
+        if (notifier) {
+          await notifier.notify('emergencyDrainRequested', details);
+        }
+        result.alerted = true;
+      } else if (!state.isPending && watch.requestedAt !== null) {
+        log('Emergency drain request is no longer pending (executed or cancelled)');
+      }
+
+      watch.level = level;
+      watch.requestedAt = state.requestedAt;
+      watch.lastState = state;
+      result.success = true;
+    } catch (err) {
+      result.error = err.message;
+      error('❌ Emergency drain status check failed!\nError:', err.message);
+    }
+
+    return result;
+  }
+
+  const onRequested = () => {
+    poll().catch(err => error('Watchdog poll error:', err.message));
+  };
+
+  return {
+    poll,
+
+    /**
+     * Poll on an interval and immediately on EmergencyDrainRequested events
+     */
+    async start() {
+      await poll();
+      timer = setInterval(onRequested, pollInterval);
+      await contract.on('EmergencyDrainRequested', onRequested);
+      log('Emergency drain watchdog started');
+    },
+
+    /**
+     * Stop polling and unsubscribe
+     */
+    async stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+      await contract.off('EmergencyDrainRequested', onRequested);
+    },
+
+    /**
+     * Snapshot of the watchdog state
+     * @returns {Object} Current alert level and last drain state
+     */
+    getState() {
+      return { ...watch };
+    }
+  };
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const provider = createProviderFromEnv();
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, provider);
+
+  console.log('SaintDurbin Emergency Drain Watchdog');
+  console.log('Contract:', process.env.CONTRACT_ADDRESS);
+
+  const watchdog = createDrainWatchdog(contract, provider, { notifier: createNotifierFromEnv() });
+
+  if (process.argv.includes('--once')) {
+    const result = await watchdog.poll();
+    if (!result.success) {
+      process.exit(1);
+    }
+    if (result.level === 'none') {
+      console.log('✅ No emergency drain pending');
+    }
+    return;
+  }
+
+  await watchdog.start();
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await watchdog.stop();
+}
+
+// Export functions for testing
+module.exports = {
+  EMERGENCY_TIMELOCK,
+  CANCEL_WINDOW,
+  ALERT_LEVELS,
+  formatDuration,
+  getDrainState,
+  classifyDrainState,
+  describeDrainState,
+  createDrainWatchdog,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
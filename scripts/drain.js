@@ -0,0 +1,299 @@
+// scripts/drain.js
+const readline = require('readline');
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('./abi');
+const { getDrainState, classifyDrainState, describeDrainState } = require('./drain-watchdog');
+const { createTransactionManager } = require('./tx-manager');
+const { decodeContractError, describeError } = require('./errors');
+const { createProviderFromEnv } = require('./rpc');
+const { loadConfig } = require('./config');
+const { createSignerFromConfig, emergencySignerSettings, requiredEmergencySignerSettings } = require('./signers');
+const { decodeSs58, getAddressBook } = require('./address-book');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+const DRAIN_ACTIONS = {
+  request: 'requestEmergencyDrain',
+  execute: 'executeEmergencyDrain',
+  cancel: 'cancelEmergencyDrain'
+};
+
+/**
+ * Prompt on the terminal and resolve with the typed answer
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Answer
+ */
+function askQuestion(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Require the operator to type the drain target before funds can move
+ * @param {string} target - Drain SS58 public key (bytes32)
+ * @param {Object} options - Options
+ * @param {string} options.confirm - Pre-supplied confirmation (non-interactive use)
+ * @param {Function} options.ask - Prompt function (defaults to a terminal prompt)
+ * @returns {Promise<boolean>} True if the typed value is the target, as bytes32 hex or its SS58 address
+ */
+async function confirmDrainTarget(target, options = {}) {
+  const { confirm, ask = askQuestion } = options;
+  const typed = (confirm !== undefined
+    ? confirm
+    : await ask(`Type the drain target to confirm (${getAddressBook().format(target)}): `)).trim();
+  if (typed.toLowerCase() === target.toLowerCase()) {
+    return true;
+  }
+  try {
+    return decodeSs58(typed).publicKey === target.toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read drain status plus the operator and target configured in the contract
+ * @param {ethers.Contract} contract - The SaintDurbin contract instance
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @returns {Promise<Object>} Status object
+ */
+async function getDrainStatus(contract, provider) {
+  const state = await getDrainState(contract, provider);
+  const level = classifyDrainState(state);
+  return {
+    ...state,
+    level,
+    details: describeDrainState(state, level),
+    emergencyOperator: await contract.emergencyOperator(),
+    drainTarget: await contract.drainSs58Address(),
+    stakedBalance: (await contract.getStakedBalance()).toString()
+  };
+}
+
+/**
+ * Check that an action is allowed right now, before anything is sent
+ * @param {string} action - request, execute or cancel
+ * @param {Object} status - Status from getDrainStatus
+ * @param {string} caller - Address that will send the transaction
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Allow re-requesting while a request is pending
+ * @returns {string|null} Reason the action is blocked, or null if allowed
+ */
+function checkDrainPreconditions(action, status, caller, options = {}) {
+  const isOperator = caller.toLowerCase() === status.emergencyOperator.toLowerCase();
+
+  switch (action) {
+  case 'request':
+    if (!isOperator) return `Caller ${caller} is not the emergency operator (${status.emergencyOperator})`;
+    if (status.isPending && !options.force) {
+      return 'A drain request is already pending; re-requesting restarts the 24h timelock (use --force to proceed)';
+    }
+    return null;
+  case 'execute':
+    if (!isOperator) return `Caller ${caller} is not the emergency operator (${status.emergencyOperator})`;
+    if (!status.isPending) return 'No drain request is pending';
+    if (!status.isExecutable) return `Timelock has not expired (${status.details.timeRemaining} remaining)`;
+    if (BigInt(status.stakedBalance) === 0n) return 'Contract has no staked balance to drain';
+    return null;
+  case 'cancel':
+    if (!status.isPending) return 'No drain request is pending';
+    if (!isOperator && !status.cancelWindowOpen) {
+      return `Only the emergency operator can cancel until the permissionless window opens (${status.details.cancelWindow})`;
+    }
+    return null;
+  default:
+    return `Unknown drain action: ${action}`;
+  }
+}
+
+/**
+ * Run a drain action with pre-checks, simulation and target confirmation
+ * @param {ethers.Contract} contract - The SaintDurbin contract instance (connected to a signer)
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @param {string} action - request, execute or cancel
+ * @param {Object} options - Options
+ * @param {string} options.confirm - Pre-supplied drain target confirmation
+ * @param {Function} options.ask - Prompt function used for confirmation
+ * @param {boolean} options.force - Allow re-requesting while a request is pending
+ * @param {boolean} options.dryRun - Stop after the pre-checks and simulation; nothing is sent
+ * @param {number} options.gasLimit - Gas limit override (estimated when omitted)
+ * @param {Object} options.txManager - Transaction manager (defaults to one for the contract's signer)
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Promise<Object>} Result object with success status and details
+ */
+async function runDrainAction(contract, provider, action, options = {}) {
+  const { gasLimit, dryRun = false, silent = false } = options;
+  const log = silent ? () => {} : console.log;
+
+  const result = {
+    success: false,
+    action,
+    status: null,
+    simulated: false,
+    transactionHash: null,
+    error: null,
+    decodedError: null
+  };
+
+  try {
+    const method = DRAIN_ACTIONS[action];
+    if (!method) {
+      throw new Error(`Unknown drain action: ${action}`);
+    }
+
+    const caller = await contract.runner.getAddress();
+    const status = await getDrainStatus(contract, provider);
+    result.status = status;
+
+    const blocked = checkDrainPreconditions(action, status, caller, options);
+    if (blocked) {
+      throw new Error(blocked);
+    }
+
+    // Simulate with eth_call so a revert is caught before anything is broadcast
+    await contract[method].staticCall({ from: caller });
+    result.simulated = true;
+    log(`Simulation of ${method}() succeeded`);
+
+    if (dryRun) {
+      result.success = true;
+      return result;
+    }
+
+    if (action !== 'cancel') {
+      log(`Drain target: ${getAddressBook().format(status.drainTarget)}`);
+      log(`Staked balance: ${ethers.formatUnits(status.stakedBalance, 9)} TAO`);
+      const confirmed = await confirmDrainTarget(status.drainTarget, options);
+      if (!confirmed) {
+        throw new Error('Drain target confirmation did not match; aborting');
+      }
+    }
+
+    const txManager = options.txManager || createTransactionManager({ signer: contract.runner, provider, silent });
+    const { hash, receipt } = await txManager.send(contract, method, [], { gasLimit });
+    result.transactionHash = hash;
+
+    if (receipt.status !== 1) {
+      throw new Error('Transaction failed');
+    }
+
+    result.status = await getDrainStatus(contract, provider);
+    result.success = true;
+    log(`✅ ${method}() confirmed`);
+  } catch (error) {
+    result.error = error.message;
+    result.decodedError = decodeContractError(error);
+    if (!silent) {
+      console.error(`❌ Drain ${action} failed!\nError: ${describeError(error, result.decodedError)}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Print a drain status
+ * @param {Object} status - Status from getDrainStatus
+ */
+function printDrainStatus(status) {
+  console.log('Emergency operator:', status.emergencyOperator);
+  console.log('Drain target:', getAddressBook().format(status.drainTarget));
+  console.log('Staked balance:', ethers.formatUnits(status.stakedBalance, 9), 'TAO');
+  if (!status.isPending) {
+    console.log('Drain pending: no');
+    return;
+  }
+  console.log('Drain pending: yes');
+  console.log('  Requested at:', status.details.requestedAt);
+  console.log('  Executable at:', status.details.executionTime, `(${status.details.timeRemaining})`);
+  console.log('  Permissionless cancel window:', status.details.cancelWindow);
+}
+
+/**
+ * Read the value following a CLI flag
+ * @param {string} flag - Flag name, e.g. '--confirm'
+ * @returns {string|undefined} Flag value
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const action = process.argv[2];
+  const provider = createProviderFromEnv();
+
+  if (action === 'status') {
+    const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, provider);
+    printDrainStatus(await getDrainStatus(contract, provider));
+    return;
+  }
+
+  if (!DRAIN_ACTIONS[action]) {
+    console.error('Usage: node drain.js <request|status|execute|cancel> [--confirm <drain target>] [--force] [--dry-run]');
+    process.exit(1);
+  }
+
+  // The emergency operator's own signer settings, or the distributor's when it has none
+  let signer;
+  try {
+    const config = loadConfig({ required: requiredEmergencySignerSettings });
+    signer = await createSignerFromConfig(emergencySignerSettings(config));
+  } catch (error) {
+    console.error('Failed to initialize signer:', error.message);
+    process.exit(1);
+  }
+  if (!signer) {
+    console.error(`drain ${action} needs a signer; read-only mode only supports drain status`);
+    process.exit(1);
+  }
+  const wallet = signer.connect(provider);
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, wallet);
+
+  console.log('SaintDurbin Emergency Drain');
+  console.log('Contract:', process.env.CONTRACT_ADDRESS);
+  console.log('Caller:', await wallet.getAddress());
+
+  const result = await runDrainAction(contract, provider, action, {
+    confirm: getArgValue('--confirm'),
+    force: process.argv.includes('--force'),
+    dryRun: process.argv.includes('--dry-run')
+  });
+
+  if (result.status) {
+    printDrainStatus(result.status);
+  }
+  if (!result.success) {
+    process.exit(1);
+  }
+}
+
+// Export functions for testing
+module.exports = {
+  DRAIN_ACTIONS,
+  confirmDrainTarget,
+  getDrainStatus,
+  checkDrainPreconditions,
+  runDrainAction,
+  printDrainStatus,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
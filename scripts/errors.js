@@ -0,0 +1,193 @@
+// scripts/errors.js
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('./abi');
+
+const SAINTDURBIN_INTERFACE = new ethers.Interface(SAINTDURBIN_FULL_ABI);
+
+// Selectors of the built-in Solidity revert payloads
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// What each SaintDurbin revert means and what to do about it
+const ERROR_HELP = {
+  NotEmergencyOperator: {
+    description: 'Caller is not the emergency operator',
+    suggestion: 'Send from the emergencyOperator() address (EMERGENCY_PRIVATE_KEY)'
+  },
+  InvalidAddress: {
+    description: 'A zero address or key was supplied',
+    suggestion: 'Check the operator, drain, contract SS58 key and recipient coldkeys passed to the constructor'
+  },
+  InvalidHotkey: {
+    description: 'The validator hotkey is zero',
+    suggestion: 'Set VALIDATOR_HOTKEY before deploying'
+  },
+  InvalidProportion: {
+    description: 'A recipient proportion is zero',
+    suggestion: 'Every recipient needs a non-zero share in basis points'
+  },
+  ProportionsMismatch: {
+    description: 'Recipients and proportions do not line up',
+    suggestion: 'Supply exactly 16 recipients whose proportions sum to 10000'
+  },
+  TransferTooSoon: {
+    description: 'The 7200-block distribution interval has not passed',
+    suggestion: 'Wait until blocksUntilNextTransfer() reaches 0'
+  },
+  NoBalance: {
+    description: 'The contract has no staked balance',
+    suggestion: 'Nothing to drain; check getStakedBalance()'
+  },
+  ReentrancyGuard: {
+    description: 'The call re-entered the contract',
+    suggestion: 'Retry once the other SaintDurbin transaction has been mined'
+  },
+  TimelockNotExpired: {
+    description: 'The 24 hour emergency drain timelock has not expired',
+    suggestion: 'Check getEmergencyDrainStatus() and retry once timeRemaining is 0'
+  },
+  NoPendingRequest: {
+    description: 'No emergency drain request is pending',
+    suggestion: 'Request a drain first (node drain.js request)'
+  },
+  NoValidValidatorFound: {
+    description: 'No permitted, active validator was found on the subnet',
+    suggestion: 'Inspect the subnet with node validators.js rank'
+  },
+  StakeMoveFailure: {
+    description: 'The staking precompile rejected the stake move',
+    suggestion: 'Check the target hotkey and the contract balance, then retry'
+  },
+  'Not authorized to cancel yet': {
+    description: 'Only the emergency operator can cancel during the first 48 hours',
+    suggestion: 'Cancel from the emergency operator key, or wait for the permissionless window'
+  },
+  'Invalid index': {
+    description: 'Recipient index out of range',
+    suggestion: 'Use an index below getRecipientCount()'
+  }
+};
+
+// Solidity panic codes
+const PANIC_REASONS = {
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x22: 'Invalid storage byte array',
+  0x31: 'pop() on an empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory',
+  0x51: 'Call to an uninitialized function'
+};
+
+/**
+ * Find the ABI-encoded revert payload in an ethers or JSON-RPC error
+ * @param {Error} error - Error thrown by a call, estimateGas or transaction
+ * @returns {string|null} Revert data as hex, or null if there is none
+ */
+function extractRevertData(error) {
+  const isRevertData = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(value);
+  const seen = new Set();
+  const queue = [error];
+
+  // Providers nest the node's error at varying depths (error.info.error.data, error.error.data, ...)
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || seen.has(current)) continue;
+    seen.add(current);
+
+    if (isRevertData(current.data)) return current.data;
+    if (current.data && typeof current.data === 'object') queue.push(current.data);
+    queue.push(current.error, current.info, current.cause);
+  }
+
+  // Last resort: ethers includes the payload in its message as data="0x..."
+  const match = /data="(0x[0-9a-fA-F]{8,})"/.exec((error && error.message) || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Decode a SaintDurbin revert into a structured result
+ * @param {Error} error - Error thrown by a call, estimateGas or transaction
+ * @param {ethers.Interface} iface - Interface with the contract's custom errors
+ * @returns {Object|null} { name, signature, selector, args, message, suggestion }, or null if
+ *   the error is not a contract revert (e.g. a network failure)
+ */
+function decodeContractError(error, iface = SAINTDURBIN_INTERFACE) {
+  const data = extractRevertData(error);
+  const withHelp = (decoded, key) => {
+    const help = ERROR_HELP[key] || {};
+    return { ...decoded, message: help.description || decoded.message, suggestion: help.suggestion || null };
+  };
+
+  if (!data) {
+    // Some nodes only return the reason string
+    const reason = error && (error.reason || (error.revert && error.revert.args && error.revert.args[0]));
+    if (!reason) return null;
+    return withHelp({ name: 'Error', signature: 'Error(string)', selector: ERROR_STRING_SELECTOR, args: [reason], message: reason }, reason);
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [reason] = coder.decode(['string'], ethers.dataSlice(data, 4));
+      return withHelp({ name: 'Error', signature: 'Error(string)', selector, args: [reason], message: reason }, reason);
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+      return {
+        name: 'Panic',
+        signature: 'Panic(uint256)',
+        selector,
+        args: [code.toString()],
+        message: PANIC_REASONS[Number(code)] || `Panic code 0x${code.toString(16)}`,
+        suggestion: 'This is a contract bug; report it with the transaction hash'
+      };
+    }
+
+    const parsed = iface.parseError(data);
+    if (parsed) {
+      return withHelp({
+        name: parsed.name,
+        signature: parsed.signature,
+        selector,
+        args: parsed.args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg)),
+        message: parsed.name
+      }, parsed.name);
+    }
+  } catch {
+    // Malformed payload; fall through to the unknown result
+  }
+
+  return {
+    name: null,
+    signature: null,
+    selector,
+    args: [],
+    message: `Unknown revert ${selector}`,
+    suggestion: 'The selector does not match the SaintDurbin ABI; check the contract address'
+  };
+}
+
+/**
+ * Describe an error for logs and notifications, decoding it when it is a contract revert
+ * @param {Error} error - Error to describe
+ * @param {Object|null} decoded - Result from decodeContractError
+ * @returns {string} Human-readable description
+ */
+function describeError(error, decoded = decodeContractError(error)) {
+  if (!decoded) return error.message;
+  const name = decoded.name === 'Error' ? 'Reverted' : (decoded.name || 'Reverted');
+  return `${name}: ${decoded.message}${decoded.suggestion ? ` (${decoded.suggestion})` : ''}`;
+}
+
+module.exports = {
+  ERROR_HELP,
+  extractRevertData,
+  decodeContractError,
+  describeError
+};
\ No newline at end of file
@@ -0,0 +1,579 @@
+// scripts/indexer.js
+const fs = require('fs');
+const { ethers } = require('ethers');
+const initSqlJs = require('sql.js');
+const { SAINTDURBIN_FULL_ABI } = require('./abi');
+const { createProviderFromEnv } = require('./rpc');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for the event indexer
+const INDEXER_CONFIG = {
+  // SQLite database file holding the indexed history
+  dbPath: process.env.INDEXER_DB_PATH || 'saintdurbin-events.sqlite',
+
+  // Block the contract was deployed at (nothing to index before it); checked when indexing starts
+  deploymentBlock: process.env.DEPLOYMENT_BLOCK || '0',
+
+  // Blocks requested per eth_getLogs call
+  batchSize: 2000,
+
+  // Stay this many blocks behind the head to avoid indexing unstable blocks
+  confirmations: 3,
+
+  // Number of block hashes kept for reorg detection
+  reorgDepth: 128,
+
+  // Delay between polls in follow mode (ms)
+  pollInterval: 12000
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    contract_address TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    event_name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    timestamp INTEGER,
+    PRIMARY KEY (transaction_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_block ON events (contract_address, block_number);
+  CREATE INDEX IF NOT EXISTS idx_events_name ON events (contract_address, event_name, block_number);
+  CREATE TABLE IF NOT EXISTS blocks (
+    contract_address TEXT NOT NULL,
+    number INTEGER NOT NULL,
+    hash TEXT NOT NULL,
+    PRIMARY KEY (contract_address, number)
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+/**
+ * Run a statement and collect every row as a plain object
+ * @param {Object} db - sql.js Database
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Array<Object>} Result rows
+ */
+function queryAll(db, sql, params = []) {
+  const stmt = db.prepare(sql);
+  const rows = [];
+  try {
+    stmt.bind(params);
+    while (stmt.step()) {
+      rows.push(stmt.getAsObject());
+    }
+  } finally {
+    stmt.free();
+  }
+  return rows;
+}
+
+/**
+ * Open (or create) the local event store
+ * @param {string|null} dbPath - Database file path, or null for an in-memory store
+ * @returns {Promise<Object>} Event store
+ */
+async function openEventStore(dbPath = INDEXER_CONFIG.dbPath) {
+  const SQL = await initSqlJs();
+  const db = dbPath && fs.existsSync(dbPath)
+    ? new SQL.Database(fs.readFileSync(dbPath))
+    : new SQL.Database();
+  db.run(SCHEMA);
+
+  const metaKey = (contractAddress) => `lastIndexedBlock:${contractAddress.toLowerCase()}`;
+
+  const store = {
+    dbPath,
+
+    /**
+     * Last block fully indexed for a contract
+     * @param {string} contractAddress - Contract address
+     * @returns {number|null} Block number, or null if never indexed
+     */
+    getLastIndexedBlock(contractAddress) {
+      const rows = queryAll(db, 'SELECT value FROM meta WHERE key = ?', [metaKey(contractAddress)]);
+      return rows.length ? Number(rows[0].value) : null;
+    },
+
+    /**
+     * Record the last block fully indexed for a contract
+     * @param {string} contractAddress - Contract address
+     * @param {number} blockNumber - Block number
+     */
+    setLastIndexedBlock(contractAddress, blockNumber) {
+      db.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [metaKey(contractAddress), String(blockNumber)]);
+    },
+
+    /**
+     * Insert decoded events (idempotent on transaction hash + log index)
+     * @param {Array<Object>} events - Decoded events
+     */
+    insertEvents(events) {
+      for (const event of events) {
+        db.run(
+          `INSERT OR REPLACE INTO events
+            (contract_address, block_number, block_hash, transaction_hash, log_index, event_name, args, timestamp)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            event.contractAddress.toLowerCase(),
+            event.blockNumber,
+            event.blockHash,
+            event.transactionHash,
+            event.logIndex,
+            event.name,
+            JSON.stringify(event.args),
+            event.timestamp ?? null
+          ]
+        );
+      }
+    },
+
+    /**
+     * Remember a block hash for reorg detection
+     * @param {string} contractAddress - Contract address
+     * @param {number} number - Block number
+     * @param {string} hash - Block hash
+     */
+    recordBlock(contractAddress, number, hash) {
+      db.run(
+        'INSERT OR REPLACE INTO blocks (contract_address, number, hash) VALUES (?, ?, ?)',
+        [contractAddress.toLowerCase(), number, hash]
+      );
+    },
+
+    /**
+     * Recorded block hashes at or below a block, newest first
+     * @param {string} contractAddress - Contract address
+     * @param {number} atOrBelow - Highest block number to return
+     * @param {number} limit - Maximum number of blocks
+     * @returns {Array<Object>} Array of { number, hash }
+     */
+    getRecordedBlocks(contractAddress, atOrBelow, limit = INDEXER_CONFIG.reorgDepth) {
+      return queryAll(
+        db,
+        'SELECT number, hash FROM blocks WHERE contract_address = ? AND number <= ? ORDER BY number DESC LIMIT ?',
+        [contractAddress.toLowerCase(), atOrBelow, limit]
+      );
+    },
+
+    /**
+     * Drop recorded block hashes that are too deep to matter for reorgs
+     * @param {string} contractAddress - Contract address
+     * @param {number} keep - Number of most recent blocks to keep
+     */
+    pruneBlocks(contractAddress, keep = INDEXER_CONFIG.reorgDepth) {
+      db.run(
+        `DELETE FROM blocks WHERE contract_address = ? AND number NOT IN
+          (SELECT number FROM blocks WHERE contract_address = ? ORDER BY number DESC LIMIT ?)`,
+        [contractAddress.toLowerCase(), contractAddress.toLowerCase(), keep]
+      );
+    },
+
+    /**
+     * Remove everything indexed above a block (used when a reorg is detected)
+     * @param {string} contractAddress - Contract address
+     * @param {number} blockNumber - Last block to keep
+     */
+    rollbackTo(contractAddress, blockNumber) {
+      const address = contractAddress.toLowerCase();
+      db.run('DELETE FROM events WHERE contract_address = ? AND block_number > ?', [address, blockNumber]);
+      db.run('DELETE FROM blocks WHERE contract_address = ? AND number > ?', [address, blockNumber]);
+      store.setLastIndexedBlock(address, blockNumber);
+    },
+
+    /**
+     * Query indexed events
+     * @param {Object} filter - Query filter
+     * @param {string} filter.contractAddress - Contract address
+     * @param {string|Array<string>} filter.names - Event name(s) to include
+     * @param {number} filter.fromBlock - First block (inclusive)
+     * @param {number} filter.toBlock - Last block (inclusive)
+     * @param {number} filter.fromTimestamp - First block timestamp (inclusive, seconds)
+     * @param {number} filter.toTimestamp - Last block timestamp (inclusive, seconds)
+     * @param {boolean} filter.newestFirst - Return the latest events first
+     * @param {number} filter.limit - Return at most this many events
+     * @returns {Array<Object>} Events in chain order (reversed with newestFirst)
+     */
+    getEvents(filter = {}) {
+      const clauses = [];
+      const params = [];
+
+      if (filter.contractAddress) {
+        clauses.push('contract_address = ?');
+        params.push(filter.contractAddress.toLowerCase());
+      }
+      if (filter.names) {
+        const names = Array.isArray(filter.names) ? filter.names : [filter.names];
+        clauses.push(`event_name IN (${names.map(() => '?').join(', ')})`);
+        params.push(...names);
+      }
+      if (filter.fromBlock !== undefined && filter.fromBlock !== null) {
+        clauses.push('block_number >= ?');
+        params.push(filter.fromBlock);
+      }
+      if (filter.toBlock !== undefined && filter.toBlock !== null) {
+        clauses.push('block_number <= ?');
+        params.push(filter.toBlock);
+      }
+      if (filter.fromTimestamp !== undefined && filter.fromTimestamp !== null) {
+        clauses.push('timestamp >= ?');
+        params.push(filter.fromTimestamp);
+      }
+      if (filter.toTimestamp !== undefined && filter.toTimestamp !== null) {
+        clauses.push('timestamp <= ?');
+        params.push(filter.toTimestamp);
+      }
+
+      const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+      const order = filter.newestFirst ? 'block_number DESC, log_index DESC' : 'block_number, log_index';
+      let limit = '';
+      if (filter.limit !== undefined && filter.limit !== null) {
+        limit = 'LIMIT ?';
+        params.push(filter.limit);
+      }
+      const rows = queryAll(db, `SELECT * FROM events ${where} ORDER BY ${order} ${limit}`, params);
+
+      return rows.map(row => ({
+        contractAddress: row.contract_address,
+        blockNumber: row.block_number,
+        blockHash: row.block_hash,
+        transactionHash: row.transaction_hash,
+        logIndex: row.log_index,
+        name: row.event_name,
+        args: JSON.parse(row.args),
+        timestamp: row.timestamp
+      }));
+    },
+
+    /**
+     * Run a function atomically
+     * @param {Function} fn - Function performing store writes
+     */
+    transaction(fn) {
+      db.run('BEGIN');
+      try {
+        fn();
+        db.run('COMMIT');
+      } catch (error) {
+        db.run('ROLLBACK');
+        throw error;
+      }
+    },
+
+    /**
+     * Persist the database to disk (no-op for in-memory stores)
+     */
+    save() {
+      if (dbPath) {
+        fs.writeFileSync(dbPath, Buffer.from(db.export()));
+      }
+    },
+
+    /**
+     * Persist and release the database
+     */
+    close() {
+      store.save();
+      db.close();
+    }
+  };
+
+  return store;
+}
+
+/**
+ * Convert a parsed log's arguments into JSON-safe named values
+ * @param {ethers.LogDescription} parsed - Parsed log
+ * @returns {Object} Arguments keyed by name; integers as decimal strings
+ */
+function normalizeEventArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Find the newest recorded block that is still on the canonical chain
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @param {Object} store - Event store
+ * @param {string} contractAddress - Contract address
+ * @param {number} lastIndexed - Last indexed block
+ * @returns {Promise<Object>} { reorged, ancestor } where ancestor is the last safe block
+ */
+async function findCommonAncestor(provider, store, contractAddress, lastIndexed) {
+  const recorded = store.getRecordedBlocks(contractAddress, lastIndexed);
+
+  for (let i = 0; i < recorded.length; i++) {
+    const block = await provider.getBlock(recorded[i].number);
+    if (block && block.hash === recorded[i].hash) {
+      return { reorged: i > 0, ancestor: recorded[i].number };
+    }
+  }
+
+  if (recorded.length === 0) {
+    return { reorged: false, ancestor: lastIndexed };
+  }
+
+  // Every remembered block was replaced; restart below the oldest one we know about
+  return { reorged: true, ancestor: recorded[recorded.length - 1].number - 1 };
+}
+
+/**
+ * Parse a block number given as a flag or in the environment
+ * @param {string|number} value - Block number
+ * @param {string} name - Flag or variable the value came from
+ * @returns {number} Block number
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function parseBlockNumber(value, name) {
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(`${name} must be a block number, got "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Index contract events from the last indexed block up to the (confirmed) head
+ * @param {Object} options - Indexing options
+ * @param {ethers.Contract} options.contract - The SaintDurbin contract instance
+ * @param {ethers.Provider} options.provider - The Ethereum provider
+ * @param {Object} options.store - Event store from openEventStore
+ * @param {number} options.fromBlock - Block to start from when nothing is indexed yet (defaults to DEPLOYMENT_BLOCK)
+ * @param {number} options.toBlock - Last block to index (defaults to head minus confirmations)
+ * @param {number} options.batchSize - Blocks per getLogs request
+ * @param {number} options.confirmations - Blocks to stay behind the head
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Promise<Object>} Result object with indexed range, event count and reorg info
+ */
+async function indexEvents(options) {
+  const {
+    contract,
+    provider,
+    store,
+    batchSize = INDEXER_CONFIG.batchSize,
+    confirmations = INDEXER_CONFIG.confirmations,
+    silent = false
+  } = options;
+
+  const log = silent ? () => {} : console.log;
+
+  const result = {
+    success: false,
+    fromBlock: null,
+    toBlock: null,
+    eventsIndexed: 0,
+    reorgDetected: false,
+    rolledBackTo: null,
+    error: null
+  };
+
+  try {
+    const contractAddress = (await contract.getAddress()).toLowerCase();
+    const head = options.toBlock ?? (await provider.getBlockNumber()) - confirmations;
+
+    let lastIndexed = store.getLastIndexedBlock(contractAddress);
+
+    if (lastIndexed !== null) {
+      const { reorged, ancestor } = await findCommonAncestor(provider, store, contractAddress, lastIndexed);
+      if (reorged) {
+        log(`Reorg detected: rolling back from block ${lastIndexed} to ${ancestor}`);
+        store.rollbackTo(contractAddress, ancestor);
+        store.save();
+        result.reorgDetected = true;
+        result.rolledBackTo = ancestor;
+        lastIndexed = ancestor;
+      }
+    }
+
+    const start = lastIndexed !== null
+      ? lastIndexed + 1
+      : options.fromBlock ?? parseBlockNumber(INDEXER_CONFIG.deploymentBlock, 'DEPLOYMENT_BLOCK');
+    result.fromBlock = start;
+    result.toBlock = head;
+
+    const timestamps = new Map();
+
+    for (let batchStart = start; batchStart <= head; batchStart += batchSize) {
+      const batchEnd = Math.min(batchStart + batchSize - 1, head);
+
+      const logs = await provider.getLogs({
+        address: contractAddress,
+        fromBlock: batchStart,
+        toBlock: batchEnd
+      });
+
+      const events = [];
+      for (const entry of logs) {
+        let parsed;
+        try {
+          parsed = contract.interface.parseLog(entry);
+        } catch {
+          parsed = null;
+        }
+        if (!parsed) continue;
+
+        if (!timestamps.has(entry.blockNumber)) {
+          const block = await provider.getBlock(entry.blockNumber);
+          timestamps.set(entry.blockNumber, block ? block.timestamp : null);
+        }
+
+        events.push({
+          contractAddress,
+          blockNumber: entry.blockNumber,
+          blockHash: entry.blockHash,
+          transactionHash: entry.transactionHash,
+          logIndex: entry.index ?? entry.logIndex,
+          name: parsed.name,
+          args: normalizeEventArgs(parsed),
+          timestamp: timestamps.get(entry.blockNumber)
+        });
+      }
+
+      // Checkpoint the batch tip so the next run can detect a reorg below it
+      const tip = await provider.getBlock(batchEnd);
+
+      store.transaction(() => {
+        store.insertEvents(events);
+        for (const event of events) {
+          store.recordBlock(contractAddress, event.blockNumber, event.blockHash);
+        }
+        if (tip) {
+          store.recordBlock(contractAddress, batchEnd, tip.hash);
+        }
+        store.setLastIndexedBlock(contractAddress, batchEnd);
+        store.pruneBlocks(contractAddress);
+      });
+      store.save();
+
+      result.eventsIndexed += events.length;
+      log(`Indexed blocks ${batchStart}-${batchEnd}: ${events.length} events`);
+    }
+
+    result.success = true;
+  } catch (error) {
+    result.error = error.message;
+    if (!silent) {
+      console.error('❌ Event indexing failed!\nError:', error.message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Keep indexing new blocks until aborted
+ * @param {Object} options - Same options as indexEvents, plus:
+ * @param {number} options.pollInterval - Delay between polls (ms)
+ * @param {AbortSignal} options.signal - Signal that stops the loop
+ * @param {Function} options.onBatch - Called with each indexEvents result
+ * @returns {Promise<void>} Resolves once the signal aborts
+ */
+async function tailEvents(options) {
+  const { pollInterval = INDEXER_CONFIG.pollInterval, signal, onBatch } = options;
+
+  while (!signal || !signal.aborted) {
+    const result = await indexEvents(options);
+    if (onBatch) {
+      onBatch(result);
+    }
+
+    await new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      // Remove the listener when the timer fires, or every poll would leave one behind
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, pollInterval);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+}
+
+/**
+ * Read the value following a CLI flag
+ * @param {string} flag - Flag name, e.g. '--from'
+ * @returns {string|undefined} Flag value
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const dbPath = getArgValue('--db') || INDEXER_CONFIG.dbPath;
+  let fromBlock;
+  try {
+    fromBlock = getArgValue('--from') !== undefined
+      ? parseBlockNumber(getArgValue('--from'), '--from')
+      : parseBlockNumber(INDEXER_CONFIG.deploymentBlock, 'DEPLOYMENT_BLOCK');
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  const follow = process.argv.includes('--follow');
+
+  console.log('SaintDurbin Event Indexer');
+  console.log('Contract:', process.env.CONTRACT_ADDRESS);
+  console.log('Database:', dbPath);
+
+  const provider = createProviderFromEnv();
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, provider);
+  const store = await openEventStore(dbPath);
+
+  try {
+    if (follow) {
+      const controller = new AbortController();
+      process.on('SIGINT', () => controller.abort());
+      process.on('SIGTERM', () => controller.abort());
+      await tailEvents({ contract, provider, store, fromBlock, signal: controller.signal });
+    } else {
+      const result = await indexEvents({ contract, provider, store, fromBlock });
+      if (!result.success) {
+        process.exitCode = 1;
+      }
+    }
+  } finally {
+    store.close();
+  }
+}
+
+// Export functions for testing
+module.exports = {
+  INDEXER_CONFIG,
+  parseBlockNumber,
+  openEventStore,
+  normalizeEventArgs,
+  findCommonAncestor,
+  indexEvents,
+  tailEvents,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+// scripts/metrics.js
+const http = require('http');
+const { ethers } = require('ethers');
+
+// Configuration for the Prometheus endpoint
+const METRICS_CONFIG = {
+  // Interface the /metrics server listens on
+  host: process.env.METRICS_HOST || '0.0.0.0',
+
+  // Prefix of every metric name
+  prefix: 'saintdurbin_'
+};
+
+// Gauges refreshed from the contract on every scrape
+const GAUGES = {
+  up: '1 if the last scrape read the contract successfully',
+  staked_balance_tao: 'Stake held by the contract (getStakedBalance) in TAO',
+  available_rewards_tao: 'Yield available for the next distribution in TAO',
+  principal_locked_tao: 'Principal locked in the contract in TAO',
+  blocks_until_next_transfer: 'Blocks until executeTransfer can be called',
+  validator_uid: 'UID of the current validator',
+  validator_valid: '1 if the current validator holds a validator permit',
+  emergency_drain_pending: '1 if an emergency drain has been requested',
+  emergency_drain_time_remaining_seconds: 'Seconds until a pending emergency drain can execute'
+};
+
+// Counters updated from distribution results
+const COUNTERS = {
+  distributions_total: 'Successful distributions',
+  distribution_failures_total: 'Failed distribution attempts',
+  principal_detections_total: 'Distributions that reclassified yield as principal',
+  validator_switches_total: 'Validator switches made during distributions'
+};
+
+/**
+ * Create the metric set for one contract
+ * @param {Object} options - Metric options
+ * @param {Object} options.labels - Labels added to every sample, e.g. { contract: '0x...' }
+ * @param {string} options.prefix - Metric name prefix (defaults to METRICS_CONFIG.prefix)
+ * @returns {Object} Metrics with setGauge, incCounter, recordDistribution, refresh and render
+ */
+function createMetrics(options = {}) {
+  const { labels = {}, prefix = METRICS_CONFIG.prefix } = options;
+  const gauges = {};
+  const counters = Object.fromEntries(Object.keys(COUNTERS).map(name => [name, 0]));
+
+  const labelText = Object.keys(labels).length > 0
+    ? `{${Object.entries(labels).map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, '\\$&')}"`).join(',')}}`
+    : '';
+
+  /**
+   * Set a gauge
+   * @param {string} name - Name from GAUGES
+   * @param {number|boolean} value - New value (booleans become 1/0)
+   */
+  function setGauge(name, value) {
+    if (!GAUGES[name]) throw new Error(`Unknown gauge: ${name}`);
+    gauges[name] = typeof value === 'boolean' ? Number(value) : value;
+  }
+
+  /**
+   * Increment a counter
+   * @param {string} name - Name from COUNTERS
+   * @param {number} by - Increment
+   */
+  function incCounter(name, by = 1) {
+    if (!COUNTERS[name]) throw new Error(`Unknown counter: ${name}`);
+    counters[name] += by;
+  }
+
+  /**
+   * Count a distribution attempt; not-ready results count as nothing
+   * @param {Object} result - Result from executeDistribution
+   */
+  function recordDistribution(result) {
+    if (result.success) {
+      incCounter('distributions_total');
+      if (result.principalDetected) incCounter('principal_detections_total');
+      if (result.validatorSwitched) incCounter('validator_switches_total');
+    } else if (result.error) {
+      incCounter('distribution_failures_total');
+    }
+  }
+
+  /**
+   * Read the gauges from the contract; up is 0 when any read fails
+   * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI
+   * @returns {Promise<boolean>} Whether the reads succeeded
+   */
+  async function refresh(contract) {
+    try {
+      const [staked, available, principal, blocksRemaining, validator, drain] = await Promise.all([
+        contract.getStakedBalance(),
+        contract.getAvailableRewards(),
+        contract.principalLocked(),
+        contract.blocksUntilNextTransfer(),
+        contract.getCurrentValidatorInfo(),
+        contract.getEmergencyDrainStatus()
+      ]);
+      const [, uid, isValid] = validator;
+      const [isPending, timeRemaining] = drain;
+
+      setGauge('staked_balance_tao', Number(ethers.formatUnits(staked, 9)));
+      setGauge('available_rewards_tao', Number(ethers.formatUnits(available, 9)));
+      setGauge('principal_locked_tao', Number(ethers.formatUnits(principal, 9)));
+      setGauge('blocks_until_next_transfer', Number(blocksRemaining));
+      setGauge('validator_uid', Number(uid));
+      setGauge('validator_valid', isValid);
+      setGauge('emergency_drain_pending', isPending);
+      setGauge('emergency_drain_time_remaining_seconds', Number(timeRemaining));
+      setGauge('up', true);
+      return true;
+    } catch {
+      // Keep the last known values; dashboards alert on up == 0
+      setGauge('up', false);
+      return false;
+    }
+  }
+
+  /**
+   * Render in the Prometheus text exposition format
+   * @returns {string} Exposition text
+   */
+  function render() {
+    const lines = [];
+    for (const [name, help] of Object.entries(GAUGES)) {
+      if (gauges[name] === undefined) continue;
+      lines.push(`# HELP ${prefix}${name} ${help}`, `# TYPE ${prefix}${name} gauge`, `${prefix}${name}${labelText} ${gauges[name]}`);
+    }
+    for (const [name, help] of Object.entries(COUNTERS)) {
+      lines.push(`# HELP ${prefix}${name} ${help}`, `# TYPE ${prefix}${name} counter`, `${prefix}${name}${labelText} ${counters[name]}`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return {
+    setGauge,
+    incCounter,
+    recordDistribution,
+    refresh,
+    render
+  };
+}
+
+/**
+ * Create an HTTP server exposing GET /metrics
+ * @param {Object} metrics - Metrics from createMetrics
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} options.host - Interface to listen on (defaults to METRICS_CONFIG.host)
+ * @param {Function} options.beforeScrape - async () => void, run before each scrape (e.g. metrics.refresh);
+ *   if it throws, the scrape is answered with 500 and the last known values
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Object} Server with start() and stop()
+ */
+function createMetricsServer(metrics, options = {}) {
+  const { port, host = METRICS_CONFIG.host, beforeScrape, silent = false } = options;
+  const log = silent ? () => {} : console.log;
+  const error = silent ? () => {} : console.error;
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+
+    let status = 200;
+    if (beforeScrape) {
+      try {
+        await beforeScrape();
+      } catch (err) {
+        error('❌ Metrics refresh failed:', err.message);
+        status = 500;
+      }
+    }
+    res.writeHead(status, { 'Content-Type': 'text/plain; version=0.0.4' });
+    res.end(metrics.render());
+  });
+
+  return {
+    server,
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} Port the server is listening on
+     */
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const actualPort = server.address().port;
+          log(`Metrics available at http://${host}:${actualPort}/metrics`);
+          resolve(actualPort);
+        });
+      });
+    },
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>} Resolves once the server is closed
+     */
+    stop() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  METRICS_CONFIG,
+  GAUGES,
+  COUNTERS,
+  createMetrics,
+  createMetricsServer
+};
\ No newline at end of file
@@ -0,0 +1,372 @@
+// scripts/notifications.js
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { ADDRESS_BOOK_CONFIG, getAddressBook } = require('./address-book');
+const { coerceValue } = require('./config');
+
+// Event types a notifier can be asked to deliver
+const NOTIFICATION_EVENTS = [
+  'success',
+  'notReady',
+  'failure',
+  'validatorSwitched',
+  'principalDetected',
+  'emergencyDrainRequested',
+  'validatorHealth'
+];
+
+// Severity per event type (drives colours and subject prefixes)
+const EVENT_SEVERITY = {
+  success: 'success',
+  notReady: 'warning',
+  failure: 'error',
+  validatorSwitched: 'warning',
+  principalDetected: 'warning',
+  emergencyDrainRequested: 'error',
+  validatorHealth: 'warning'
+};
+
+// Default message templates; {{name}} is replaced with the matching data field
+const DEFAULT_TEMPLATES = {
+  success: '✅ Distribution successful!\nTx: {{transactionHash}}\nAmount: {{amountTao}} TAO\nGas used: {{gasUsed}}',
+  notReady: 'Distribution not ready. Blocks remaining: {{blocksRemaining}}',
+  failure: '❌ {{operation}} failed!\nError: {{error}}',
+  validatorSwitched: '🔄 Validator switched!\nOld: {{oldHotkey}}\nNew: {{newHotkey}}\nNew UID: {{newUid}}\nReason: {{reason}}',
+  principalDetected: '⚠️ Principal addition detected!\nAmount: {{amountTao}} TAO\nTotal principal: {{totalPrincipalTao}} TAO\nTx: {{transactionHash}}',
+  emergencyDrainRequested: '🚨 Emergency drain requested ({{level}})!\nExecutable at: {{executionTime}}\nTime remaining: {{timeRemaining}}\nPermissionless cancel window: {{cancelWindow}}',
+  validatorHealth: '🩺 Validator health {{status}} (score {{score}}/100)\nUID: {{uid}}\nHotkey: {{hotkey}}\n{{warnings}}'
+};
+
+const DEFAULT_TITLE = 'SaintDurbin Distribution Update';
+
+/**
+ * Fill a template with event data
+ * @param {string} template - Template with {{name}} placeholders
+ * @param {Object} data - Event data
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, data = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const value = data[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Slack incoming-webhook channel
+ * @param {Object} config - Channel configuration
+ * @param {string} config.webhookUrl - Slack webhook URL
+ * @returns {Object} Channel with name and send(message)
+ */
+function createSlackChannel({ webhookUrl, name = 'slack' }) {
+  const colors = { success: 'good', error: 'danger', warning: 'warning', info: '#439FE0' };
+  return {
+    name,
+    async send(message) {
+      await axios.post(webhookUrl, {
+        attachments: [{
+          color: colors[message.severity] || 'warning',
+          title: message.title,
+          text: message.text,
+          footer: 'SaintDurbin',
+          ts: Math.floor(Date.now() / 1000)
+        }]
+      });
+    }
+  };
+}
+
+/**
+ * Discord webhook channel
+ * @param {Object} config - Channel configuration
+ * @param {string} config.webhookUrl - Discord webhook URL
+ * @returns {Object} Channel with name and send(message)
+ */
+function createDiscordChannel({ webhookUrl, name = 'discord' }) {
+  const colors = { success: 0x2eb886, error: 0xd00000, warning: 0xdaa038, info: 0x439fe0 };
+  return {
+    name,
+    async send(message) {
+      await axios.post(webhookUrl, {
+        embeds: [{
+          title: message.title,
+          description: message.text,
+          color: colors[message.severity] || colors.warning,
+          timestamp: new Date().toISOString()
+        }]
+      });
+    }
+  };
+}
+
+/**
+ * Telegram bot channel
+ * @param {Object} config - Channel configuration
+ * @param {string} config.botToken - Bot API token
+ * @param {string} config.chatId - Target chat ID
+ * @param {string} config.apiUrl - Bot API base URL
+ * @returns {Object} Channel with name and send(message)
+ */
+function createTelegramChannel({ botToken, chatId, apiUrl = 'https://api.telegram.org', name = 'telegram' }) {
+  return {
+    name,
+    async send(message) {
+      await axios.post(`${apiUrl}/bot${botToken}/sendMessage`, {
+        chat_id: chatId,
+        text: `${message.title}\n\n${message.text}`,
+        disable_web_page_preview: true
+      });
+    }
+  };
+}
+
+/**
+ * Generic JSON webhook channel
+ * @param {Object} config - Channel configuration
+ * @param {string} config.url - Endpoint receiving a JSON POST
+ * @param {Object} config.headers - Extra request headers
+ * @returns {Object} Channel with name and send(message)
+ */
+function createWebhookChannel({ url, headers = {}, name = 'webhook' }) {
+  return {
+    name,
+    async send(message) {
+      await axios.post(url, {
+        event: message.event,
+        severity: message.severity,
+        title: message.title,
+        text: message.text,
+        data: message.data,
+        timestamp: new Date().toISOString()
+      }, { headers });
+    }
+  };
+}
+
+/**
+ * Email channel over SMTP
+ * @param {Object} config - Channel configuration
+ * @param {string} config.host - SMTP host
+ * @param {number} config.port - SMTP port
+ * @param {boolean} config.secure - Use implicit TLS
+ * @param {string} config.user - SMTP username
+ * @param {string} config.pass - SMTP password
+ * @param {string} config.from - Sender address
+ * @param {string} config.to - Comma-separated recipient addresses
+ * @param {Object} config.transport - Pre-built nodemailer transport options (overrides SMTP settings)
+ * @returns {Object} Channel with name and send(message)
+ */
+function createEmailChannel(config) {
+  const { from, to, name = 'email' } = config;
+  const transporter = nodemailer.createTransport(config.transport || {
+    host: config.host,
+    port: config.port || 587,
+    secure: Boolean(config.secure),
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined
+  });
+
+  return {
+    name,
+    transporter,
+    async send(message) {
+      await transporter.sendMail({
+        from,
+        to,
+        subject: `[${message.severity.toUpperCase()}] ${message.title}`,
+        text: message.text
+      });
+    }
+  };
+}
+
+/**
+ * Create a notifier that routes events to channels
+ * @param {Object} options - Notifier options
+ * @param {Array<Object>} options.channels - Channels from the create*Channel factories
+ * @param {Object} options.routes - Map of event type to channel names ('*' is the fallback route)
+ * @param {Object} options.templates - Template overrides per event type
+ * @param {string} options.title - Message title
+ * @param {Object} options.rateLimit - { max, windowMs } per channel and event type
+ * @param {Object} options.addressBook - Address book for keys in event data (defaults to getAddressBook())
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Object} Notifier with notify(event, data)
+ */
+function createNotifier(options = {}) {
+  const {
+    channels = [],
+    routes = {},
+    templates = {},
+    title = DEFAULT_TITLE,
+    rateLimit = null,
+    addressBook = getAddressBook(),
+    silent = false
+  } = options;
+
+  const error = silent ? () => {} : console.error;
+  const sentAt = new Map();
+
+  const channelsFor = (event) => {
+    const names = routes[event] || routes['*'];
+    return names ? channels.filter(c => names.includes(c.name)) : channels;
+  };
+
+  const allow = (key) => {
+    if (!rateLimit) return true;
+    const now = Date.now();
+    const recent = (sentAt.get(key) || []).filter(t => now - t < rateLimit.windowMs);
+    if (recent.length >= rateLimit.max) {
+      sentAt.set(key, recent);
+      return false;
+    }
+    recent.push(now);
+    sentAt.set(key, recent);
+    return true;
+  };
+
+  return {
+    channels,
+
+    /**
+     * Deliver an event to every routed channel; never throws
+     * @param {string} event - One of NOTIFICATION_EVENTS
+     * @param {Object} data - Template data
+     * @returns {Promise<Object>} { success, sent, rateLimited, errors }
+     */
+    async notify(event, data = {}) {
+      const result = {
+        success: true,
+        sent: [],
+        rateLimited: [],
+        errors: []
+      };
+
+      const template = templates[event] || DEFAULT_TEMPLATES[event];
+      if (!template) {
+        result.success = false;
+        result.errors.push({ channel: null, error: `Unknown notification event: ${event}` });
+        return result;
+      }
+
+      // Keys are shown as names and SS58 addresses; webhooks also get them next to the hex
+      const display = { ...data };
+      for (const field of ADDRESS_BOOK_CONFIG.keyFields) {
+        if (field in data) {
+          display[field] = addressBook.format(data[field]);
+        }
+      }
+      const message = {
+        event,
+        severity: EVENT_SEVERITY[event] || 'info',
+        title,
+        text: renderTemplate(template, display),
+        data: addressBook.annotate(data)
+      };
+
+      await Promise.all(channelsFor(event).map(async (channel) => {
+        if (!allow(`${channel.name}:${event}`)) {
+          result.rateLimited.push(channel.name);
+          return;
+        }
+        try {
+          await channel.send(message);
+          result.sent.push(channel.name);
+        } catch (err) {
+          result.success = false;
+          result.errors.push({ channel: channel.name, error: err.message });
+          error(`Failed to send ${channel.name} notification:`, err.message);
+        }
+      }));
+
+      return result;
+    }
+  };
+}
+
+/**
+ * Parse NOTIFY_ROUTES, e.g. "failure=slack,email;success=slack;*=slack"
+ * @param {string} value - Route specification
+ * @returns {Object} Map of event type to channel names
+ */
+function parseRoutes(value) {
+  const routes = {};
+  if (!value) return routes;
+
+  for (const entry of value.split(';')) {
+    const [event, names] = entry.split('=');
+    if (!event || !names) continue;
+    routes[event.trim()] = names.split(',').map(n => n.trim()).filter(Boolean);
+  }
+  return routes;
+}
+
+/**
+ * Build a notifier from environment variables; channels without settings are left out
+ * @param {Object} env - Environment (defaults to process.env)
+ * @param {Object} options - Extra createNotifier options
+ * @param {string} options.title - Message title (e.g. naming the deployment)
+ * @returns {Object} Notifier
+ * @throws {Error} If a rate limit setting is not a positive integer
+ */
+function createNotifierFromEnv(env = process.env, options = {}) {
+  const channels = [];
+
+  if (env.SLACK_WEBHOOK) {
+    channels.push(createSlackChannel({ webhookUrl: env.SLACK_WEBHOOK }));
+  }
+  if (env.DISCORD_WEBHOOK) {
+    channels.push(createDiscordChannel({ webhookUrl: env.DISCORD_WEBHOOK }));
+  }
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    channels.push(createTelegramChannel({ botToken: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID }));
+  }
+  if (env.NOTIFY_WEBHOOK_URL) {
+    channels.push(createWebhookChannel({ url: env.NOTIFY_WEBHOOK_URL }));
+  }
+  if (env.SMTP_HOST && env.SMTP_TO) {
+    channels.push(createEmailChannel({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT || '587'),
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.SMTP_FROM || env.SMTP_USER,
+      to: env.SMTP_TO
+    }));
+  }
+
+  // NaN would disable the limit without saying so
+  const rateLimitSetting = (name, value) => {
+    try {
+      return coerceValue({ type: 'integer', min: 1 }, value);
+    } catch (err) {
+      throw new Error(`Invalid notification rate limit (${name}): ${err.message}`);
+    }
+  };
+  const rateLimit = env.NOTIFY_RATE_LIMIT_MAX
+    ? {
+      max: rateLimitSetting('NOTIFY_RATE_LIMIT_MAX', env.NOTIFY_RATE_LIMIT_MAX),
+      windowMs: rateLimitSetting('NOTIFY_RATE_LIMIT_WINDOW_MS', env.NOTIFY_RATE_LIMIT_WINDOW_MS || '3600000')
+    }
+    : null;
+
+  return createNotifier({
+    channels,
+    routes: parseRoutes(env.NOTIFY_ROUTES),
+    rateLimit,
+    ...options
+  });
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  createSlackChannel,
+  createDiscordChannel,
+  createTelegramChannel,
+  createWebhookChannel,
+  createEmailChannel,
+  createNotifier,
+  parseRoutes,
+  createNotifierFromEnv
+};
\ No newline at end of file
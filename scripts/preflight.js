@@ -0,0 +1,553 @@
+// scripts/preflight.js
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { METAGRAPH_ADDRESS, METAGRAPH_ABI } = require('./abi');
+const { createProviderFromEnv } = require('./rpc');
+const { toPublicKey, getAddressBook } = require('./address-book');
+const { coerceValue } = require('./config');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for pre-deployment checks
+const PREFLIGHT_CONFIG = {
+  // Recipient manifest (YAML or JSON) with the constructor arguments
+  manifestPath: process.env.DEPLOY_MANIFEST || null,
+
+  // Forge script that deploys the contract; its hard-coded proportions must match the manifest
+  deployScript: path.join(__dirname, '..', 'script', 'DeploySaintDurbin.s.sol'),
+
+  // The constructor reverts unless there are exactly this many recipients
+  recipientCount: 16,
+
+  // Proportions must sum to the contract's BASIS_POINTS
+  basisPoints: 10000,
+
+  // Minimum stake (rao) for the initial validator, 1000 TAO by default; checked when the
+  // validator is checked on chain, so a bad value does not break other commands
+  minValidatorStake: process.env.PREFLIGHT_MIN_STAKE || '1000000000000',
+
+  // Environment variables DeploySaintDurbin.s.sol reads, in recipient order
+  recipientEnvVars: [
+    'RECIPIENT_SAM', 'RECIPIENT_WSL', 'RECIPIENT_PAPER', 'RECIPIENT_FLORIAN',
+    ...Array.from({ length: 12 }, (_, i) => `RECIPIENT_${i + 4}`)
+  ],
+
+  // Environment variables for the other constructor arguments
+  argumentEnvVars: {
+    emergencyOperator: 'EMERGENCY_OPERATOR',
+    drainSs58Address: 'DRAIN_SS58_ADDRESS',
+    validatorHotkey: 'VALIDATOR_HOTKEY',
+    validatorUid: 'VALIDATOR_UID',
+    thisSs58PublicKey: 'CONTRACT_SS58_KEY',
+    netuid: 'NETUID'
+  }
+};
+
+// Constructor parameter types, in order
+const CONSTRUCTOR_TYPES = ['address', 'bytes32', 'bytes32', 'uint16', 'bytes32', 'uint16', 'bytes32[]', 'uint256[]'];
+
+/**
+ * Read a manifest file
+ * @param {string} filePath - YAML (.yaml/.yml) or JSON file
+ * @returns {Object} Raw manifest
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function loadManifest(filePath) {
+  let contents;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    contents = ext === '.yaml' || ext === '.yml' ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot read manifest ${filePath}: ${error.message}`);
+  }
+  if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+    throw new Error(`Manifest ${filePath} must be a mapping of constructor arguments`);
+  }
+  return contents;
+}
+
+/**
+ * Read the proportions DeploySaintDurbin.s.sol hard-codes
+ * @param {string} scriptPath - Path to the forge script
+ * @returns {Array<number>} Basis points per recipient index
+ * @throws {Error} If the script does not assign every proportion
+ */
+function readScriptProportions(scriptPath = PREFLIGHT_CONFIG.deployScript) {
+  const source = fs.readFileSync(scriptPath, 'utf8');
+  const proportions = [];
+  for (const [, index, value] of source.matchAll(/proportions\[(\d+)\]\s*=\s*(\d+)\s*;/g)) {
+    proportions[parseInt(index)] = parseInt(value);
+  }
+  if (proportions.length !== PREFLIGHT_CONFIG.recipientCount || proportions.includes(undefined)) {
+    throw new Error(`Cannot find ${PREFLIGHT_CONFIG.recipientCount} proportions in ${scriptPath}`);
+  }
+  return proportions;
+}
+
+/**
+ * Build a manifest from the deployment environment, as DeploySaintDurbin.s.sol would read it
+ * @param {Object} env - Deployment environment variables
+ * @param {Array<number>} proportions - Proportions from readScriptProportions
+ * @returns {Object} Raw manifest
+ */
+function manifestFromEnv(env, proportions) {
+  const manifest = {};
+  for (const [field, name] of Object.entries(PREFLIGHT_CONFIG.argumentEnvVars)) {
+    manifest[field] = env[name];
+  }
+  manifest.recipients = PREFLIGHT_CONFIG.recipientEnvVars.map((name, i) => ({
+    name,
+    coldkey: env[name],
+    proportion: proportions[i]
+  }));
+  return manifest;
+}
+
+/**
+ * Check a manifest against everything the constructor requires, and more
+ * @param {Object} manifest - Raw manifest from loadManifest or manifestFromEnv
+ * @returns {Object} { args, recipients, problems } with keys normalized to bytes32 hex;
+ *   args is null unless every argument is valid
+ */
+function validateManifest(manifest) {
+  const problems = [];
+  const args = {};
+  const ZERO_KEY = ethers.ZeroHash;
+
+  const key = (field) => {
+    try {
+      const value = toPublicKey(manifest[field]);
+      if (value === ZERO_KEY) {
+        problems.push(`${field}: must not be zero`);
+      }
+      args[field] = value;
+    } catch (error) {
+      problems.push(`${field}: ${manifest[field] === undefined ? 'required' : error.message}`);
+    }
+  };
+  const u16 = (field) => {
+    const value = Number(manifest[field]);
+    if (manifest[field] === undefined || manifest[field] === null || manifest[field] === '' || !Number.isInteger(value) || value < 0 || value > 65535) {
+      problems.push(`${field}: expected an integer from 0 to 65535, got ${manifest[field]}`);
+    } else {
+      args[field] = value;
+    }
+  };
+
+  if (typeof manifest.emergencyOperator !== 'string' || !ethers.isAddress(manifest.emergencyOperator)) {
+    problems.push(`emergencyOperator: expected an EVM address, got ${manifest.emergencyOperator}`);
+  } else if (manifest.emergencyOperator.toLowerCase() === ethers.ZeroAddress) {
+    problems.push('emergencyOperator: must not be zero');
+  } else {
+    args.emergencyOperator = ethers.getAddress(manifest.emergencyOperator.toLowerCase());
+  }
+  key('drainSs58Address');
+  key('validatorHotkey');
+  u16('validatorUid');
+  key('thisSs58PublicKey');
+  u16('netuid');
+
+  const recipients = [];
+  if (!Array.isArray(manifest.recipients)) {
+    problems.push('recipients: expected a list of { name, coldkey, proportion }');
+  } else {
+    if (manifest.recipients.length !== PREFLIGHT_CONFIG.recipientCount) {
+      problems.push(`recipients: expected ${PREFLIGHT_CONFIG.recipientCount}, got ${manifest.recipients.length}`);
+    }
+    const seen = new Map();
+    let total = 0;
+    manifest.recipients.forEach((entry, index) => {
+      const name = (entry && entry.name) || `#${index}`;
+      const where = `recipients[${index}] (${name})`;
+      let coldkey = null;
+      try {
+        coldkey = toPublicKey(entry && entry.coldkey);
+      } catch (error) {
+        problems.push(`${where}: ${error.message}`);
+      }
+      if (coldkey === ZERO_KEY) {
+        problems.push(`${where}: coldkey must not be zero`);
+      } else if (coldkey && seen.has(coldkey)) {
+        problems.push(`${where}: same coldkey as ${seen.get(coldkey)}`);
+      } else if (coldkey && coldkey === args.thisSs58PublicKey) {
+        problems.push(`${where}: coldkey is the contract's own SS58 key`);
+      } else if (coldkey) {
+        seen.set(coldkey, where);
+      }
+
+      const proportion = Number(entry && entry.proportion);
+      if (!Number.isInteger(proportion) || proportion <= 0) {
+        problems.push(`${where}: proportion must be a positive integer (basis points), got ${entry && entry.proportion}`);
+      } else {
+        total += proportion;
+      }
+      recipients.push({ index, name, coldkey, proportion });
+    });
+    if (total !== PREFLIGHT_CONFIG.basisPoints) {
+      problems.push(`recipients: proportions sum to ${total}, expected ${PREFLIGHT_CONFIG.basisPoints}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    return { args: null, recipients, problems };
+  }
+  args.recipientColdkeys = recipients.map(r => r.coldkey);
+  args.proportions = recipients.map(r => r.proportion);
+  return { args, recipients, problems };
+}
+
+/**
+ * Compare validated arguments with what DeploySaintDurbin.s.sol will actually deploy
+ * @param {Object} args - Arguments from validateManifest
+ * @param {Object} options
+ * @param {Array<number>} options.proportions - Proportions the script hard-codes
+ * @param {Object} options.env - Deployment environment the script reads (optional; only the
+ *   proportions are compared without it)
+ * @returns {Array<string>} Problems
+ */
+function compareWithDeployScript(args, { proportions, env }) {
+  const problems = [];
+  const script = path.basename(PREFLIGHT_CONFIG.deployScript);
+
+  args.proportions.forEach((proportion, i) => {
+    if (proportion !== proportions[i]) {
+      problems.push(`recipients[${i}]: manifest has ${proportion} bps but ${script} deploys ${proportions[i]}`);
+    }
+  });
+  if (!env) return problems;
+
+  // vm.envBytes32 only parses hex, so SS58 addresses in the environment fail the deployment
+  const compareKey = (name, expected) => {
+    const value = env[name];
+    if (value === undefined || value === '') {
+      problems.push(`${name}: not set`);
+    } else if (!/^0x[0-9a-fA-F]{64}$/.test(value)) {
+      problems.push(`${name}: must be 0x-prefixed bytes32 hex for vm.envBytes32, got ${value}`);
+    } else if (value.toLowerCase() !== expected) {
+      problems.push(`${name}: ${value} does not match the manifest (${expected})`);
+    }
+  };
+  const names = PREFLIGHT_CONFIG.argumentEnvVars;
+  if (String(env[names.emergencyOperator] || '').toLowerCase() !== args.emergencyOperator.toLowerCase()) {
+    problems.push(`${names.emergencyOperator}: ${env[names.emergencyOperator]} does not match the manifest (${args.emergencyOperator})`);
+  }
+  compareKey(names.drainSs58Address, args.drainSs58Address);
+  compareKey(names.validatorHotkey, args.validatorHotkey);
+  compareKey(names.thisSs58PublicKey, args.thisSs58PublicKey);
+  for (const field of ['validatorUid', 'netuid']) {
+    if (String(env[names[field]]) !== String(args[field])) {
+      problems.push(`${names[field]}: ${env[names[field]]} does not match the manifest (${args[field]})`);
+    }
+  }
+  PREFLIGHT_CONFIG.recipientEnvVars.forEach((name, i) => compareKey(name, args.recipientColdkeys[i]));
+
+  return problems;
+}
+
+/**
+ * Parse the minimum validator stake
+ * @param {string|bigint} value - Stake in rao
+ * @returns {bigint} Minimum stake
+ */
+function parseMinStake(value) {
+  if (typeof value === 'bigint') return value;
+  try {
+    coerceValue({ type: 'integer', min: 0 }, value);
+  } catch (error) {
+    throw new Error(`Invalid minimum validator stake (PREFLIGHT_MIN_STAKE): ${error.message}`);
+  }
+  return BigInt(String(value).trim());
+}
+
+/**
+ * Confirm through the metagraph precompile that the initial validator is usable: the
+ * hotkey sits at the UID, and the UID has a validator permit, is active and has enough stake
+ * @param {ethers.Contract} metagraph - Metagraph precompile contract
+ * @param {Object} args - { validatorHotkey, validatorUid, netuid }
+ * @param {Object} options
+ * @param {bigint|string} options.minStake - Minimum stake in rao
+ * @returns {Promise<Object>} { hotkeyAtUid, isValidator, isActive, stake, problems }
+ */
+async function checkValidatorOnChain(metagraph, args, options = {}) {
+  const minStake = parseMinStake(options.minStake ?? PREFLIGHT_CONFIG.minValidatorStake);
+  const { validatorHotkey, validatorUid, netuid } = args;
+  const [hotkeyAtUid, isValidator, isActive, stake] = await Promise.all([
+    metagraph.getHotkey(netuid, validatorUid),
+    metagraph.getValidatorStatus(netuid, validatorUid),
+    metagraph.getIsActive(netuid, validatorUid),
+    metagraph.getStake(netuid, validatorUid)
+  ]);
+
+  const problems = [];
+  if (hotkeyAtUid.toLowerCase() !== validatorHotkey) {
+    problems.push(`UID ${validatorUid} on subnet ${netuid} holds hotkey ${hotkeyAtUid}, not ${validatorHotkey}`);
+  }
+  if (!isValidator) {
+    problems.push(`UID ${validatorUid} has no validator permit`);
+  }
+  if (!isActive) {
+    problems.push(`UID ${validatorUid} is not active`);
+  }
+  if (BigInt(stake) < minStake) {
+    problems.push(`UID ${validatorUid} has ${ethers.formatUnits(stake, 9)} TAO stake, below ${ethers.formatUnits(minStake, 9)} TAO`);
+  }
+
+  return { hotkeyAtUid: hotkeyAtUid.toLowerCase(), isValidator, isActive, stake: BigInt(stake), problems };
+}
+
+/**
+ * ABI-encode the constructor arguments as they are appended to the creation bytecode
+ * @param {Object} args - Arguments from validateManifest
+ * @returns {Object} { encoded, digest } where digest is keccak256 of the encoding
+ */
+function encodeConstructorArgs(args) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(CONSTRUCTOR_TYPES, [
+    args.emergencyOperator,
+    args.drainSs58Address,
+    args.validatorHotkey,
+    args.validatorUid,
+    args.thisSs58PublicKey,
+    args.netuid,
+    args.recipientColdkeys,
+    args.proportions
+  ]);
+  return { encoded, digest: ethers.keccak256(encoded) };
+}
+
+/**
+ * Run every pre-deployment check
+ * @param {Object} options
+ * @param {Object} options.manifest - Raw manifest
+ * @param {string} options.source - Where the manifest came from, for the summary
+ * @param {Array<number>} options.proportions - Proportions from readScriptProportions
+ * @param {Object} options.env - Deployment environment to compare (optional)
+ * @param {ethers.Contract} options.metagraph - Metagraph precompile; omit to skip on-chain checks
+ * @param {ethers.Provider} options.provider - Provider, for the block number checked at (optional)
+ * @param {bigint} options.minStake - Minimum validator stake in rao (optional)
+ * @returns {Promise<Object>} Result object with args, checks and the constructor digest
+ */
+async function runPreflight(options) {
+  const result = {
+    success: false,
+    // Every check ran and passed, so the summary can be signed off
+    complete: false,
+    source: options.source || null,
+    checkedAt: new Date().toISOString(),
+    blockNumber: null,
+    args: null,
+    recipients: [],
+    checks: [],
+    validator: null,
+    encodedArgs: null,
+    digest: null,
+    error: null
+  };
+
+  try {
+    const { args, recipients, problems } = validateManifest(options.manifest);
+    result.recipients = recipients;
+    result.checks.push({ name: 'manifest', ok: problems.length === 0, problems });
+    if (!args) {
+      result.error = `Manifest has ${problems.length} problem${problems.length === 1 ? '' : 's'}`;
+      return result;
+    }
+    result.args = args;
+
+    const scriptProblems = compareWithDeployScript(args, { proportions: options.proportions, env: options.env });
+    if (scriptProblems.length === 0 && !options.env) {
+      // The script would deploy whatever its environment holds, so this check is not done
+      result.checks.push({ name: 'deploy script', ok: null, problems: ['deployment environment not compared'] });
+    } else {
+      result.checks.push({ name: 'deploy script', ok: scriptProblems.length === 0, problems: scriptProblems });
+    }
+
+    if (options.metagraph) {
+      result.validator = await checkValidatorOnChain(options.metagraph, args, { minStake: options.minStake });
+      result.checks.push({ name: 'validator', ok: result.validator.problems.length === 0, problems: result.validator.problems });
+      if (options.provider) {
+        result.blockNumber = await options.provider.getBlockNumber();
+      }
+    } else {
+      result.checks.push({ name: 'validator', ok: null, problems: ['not checked on chain (--offline)'] });
+    }
+
+    const { encoded, digest } = encodeConstructorArgs(args);
+    result.encodedArgs = encoded;
+    result.digest = digest;
+
+    const failed = result.checks.filter(check => check.ok === false);
+    result.success = failed.length === 0;
+    result.complete = result.checks.every(check => check.ok === true);
+    if (!result.success) {
+      result.error = `Failed checks: ${failed.map(check => check.name).join(', ')}`;
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Render the sign-off summary reviewers approve before running DeploySaintDurbin.s.sol
+ * @param {Object} result - Result from runPreflight
+ * @param {Object} options
+ * @param {string} options.signedOffBy - Reviewer name (optional; leaves a blank to sign otherwise)
+ * @returns {string} Markdown document
+ */
+function formatSignOff(result, options = {}) {
+  const book = getAddressBook();
+  const { args } = result;
+  const icon = (ok) => (ok === true ? '✅' : ok === false ? '❌' : '⚠️');
+  const lines = [
+    '# SaintDurbin pre-deployment sign-off',
+    '',
+    `Manifest: ${result.source || '-'}`,
+    `Checked: ${result.checkedAt}${result.blockNumber !== null ? ` at block ${result.blockNumber}` : ''}`,
+    ''
+  ];
+
+  if (args) {
+    lines.push(
+      '## Constructor arguments',
+      '',
+      '| Argument | Value |',
+      '| --- | --- |',
+      `| Emergency operator | ${args.emergencyOperator} |`,
+      `| Drain SS58 address | ${book.format(args.drainSs58Address)} (${args.drainSs58Address}) |`,
+      `| Validator hotkey | ${book.format(args.validatorHotkey)} (${args.validatorHotkey}) |`,
+      `| Validator UID | ${args.validatorUid} |`,
+      `| Contract SS58 key | ${book.format(args.thisSs58PublicKey)} (${args.thisSs58PublicKey}) |`,
+      `| Netuid | ${args.netuid} |`,
+      '',
+      '## Recipients',
+      '',
+      '| # | Name | Coldkey | Basis points | Share |',
+      '| --- | --- | --- | --- | --- |',
+      ...result.recipients.map(r =>
+        `| ${r.index} | ${r.name} | ${book.toSs58(r.coldkey)} (${r.coldkey}) | ${r.proportion} | ${(r.proportion / 100).toFixed(2)}% |`),
+      ''
+    );
+  }
+
+  lines.push('## Checks', '');
+  for (const check of result.checks) {
+    lines.push(`- ${icon(check.ok)} ${check.name}`);
+    lines.push(...check.problems.map(problem => `  - ${problem}`));
+  }
+  if (result.validator) {
+    lines.push(`- Validator stake: ${ethers.formatUnits(result.validator.stake, 9)} TAO`);
+  }
+  lines.push('');
+
+  if (result.digest) {
+    lines.push(
+      `Constructor arguments digest (keccak256 of the ABI encoding): \`${result.digest}\``,
+      ''
+    );
+  }
+  if (result.complete) {
+    lines.push(`Signed off by: ${options.signedOffBy || '________________'}    Date: ${result.checkedAt.slice(0, 10)}`);
+  } else if (result.success) {
+    const unchecked = result.checks.filter(check => check.ok === null).map(check => `${check.name}: ${check.problems.join('; ')}`);
+    lines.push(`NOT READY TO SIGN OFF: ${unchecked.join(', ')}`);
+  } else {
+    lines.push(`NOT READY TO DEPLOY: ${result.error}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Print the result of a pre-flight run
+ * @param {Object} result - Result from runPreflight
+ * @param {Object} options - Options for formatSignOff
+ */
+function printPreflight(result, options = {}) {
+  console.log(formatSignOff(result, options));
+}
+
+/**
+ * Read the value following a CLI flag
+ * @param {string} flag - Flag name, e.g. '--manifest'
+ * @returns {string|undefined} Flag value
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const manifestPath = getArgValue('--manifest') || PREFLIGHT_CONFIG.manifestPath;
+  const envFile = getArgValue('--env-file');
+  const offline = process.argv.includes('--offline');
+  const out = getArgValue('--out');
+
+  const env = envFile ? require('dotenv').parse(fs.readFileSync(envFile)) : undefined;
+  const proportions = readScriptProportions();
+  const manifest = manifestPath ? loadManifest(manifestPath) : manifestFromEnv(env || process.env, proportions);
+
+  const provider = offline ? null : createProviderFromEnv();
+  const result = await runPreflight({
+    manifest,
+    source: manifestPath || envFile || 'environment',
+    proportions,
+    // Forge reads the deployment settings from the environment unless an env file is given
+    env: env || process.env,
+    provider,
+    metagraph: provider && new ethers.Contract(METAGRAPH_ADDRESS, METAGRAPH_ABI, provider)
+  });
+  if (provider) provider.destroy();
+
+  const signOff = { signedOffBy: getArgValue('--signed-off-by') };
+  if (process.argv.includes('--json')) {
+    const replacer = (_, value) => (typeof value === 'bigint' ? value.toString() : value);
+    process.stdout.write(JSON.stringify(getAddressBook().annotate(result), replacer, 2) + '\n');
+  } else {
+    printPreflight(result, signOff);
+  }
+  if (out && result.complete) {
+    fs.writeFileSync(out, formatSignOff(result, signOff));
+    console.error('Wrote', out);
+  } else if (out) {
+    console.error(`Not writing ${out}: the sign-off needs every check to pass`);
+  }
+  if (!result.success) {
+    console.error('❌ Pre-flight failed:', result.error);
+    process.exitCode = 1;
+  }
+}
+
+// Export functions for testing
+module.exports = {
+  PREFLIGHT_CONFIG,
+  loadManifest,
+  readScriptProportions,
+  manifestFromEnv,
+  validateManifest,
+  compareWithDeployScript,
+  parseMinStake,
+  checkValidatorOnChain,
+  encodeConstructorArgs,
+  runPreflight,
+  formatSignOff,
+  printPreflight,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,388 @@
+// scripts/reconcile.js
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('./abi');
+const { INDEXER_CONFIG, openEventStore, indexEvents } = require('./indexer');
+const { createProviderFromEnv } = require('./rpc');
+const { getAddressBook } = require('./address-book');
+const { coerceValue } = require('./config');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for Substrate-side reconciliation
+const RECONCILE_CONFIG = {
+  // Subtensor WebSocket endpoint (the EVM RPC node usually serves it too)
+  chainEndpoint: process.env.CHAIN_ENDPOINT || 'ws://127.0.0.1:9944',
+
+  // Time allowed (ms) to open the WebSocket before giving up instead of retrying forever
+  connectTimeout: 30000,
+
+  // Stake difference (rao) tolerated per account; share-based stake can round by 1 rao.
+  // Checked when a reconciliation runs, so a bad value does not break other commands
+  tolerance: process.env.RECONCILE_TOLERANCE || '0',
+
+  // Events that make up a distribution, including a validator switch made in the same transaction
+  events: ['RecipientTransfer', 'TransferFailed', 'StakeTransferred', 'PrincipalDetected', 'ValidatorSwitched']
+};
+
+/**
+ * Parse the per-account stake tolerance
+ * @param {string|bigint} value - Tolerance in rao
+ * @returns {bigint} Tolerance
+ */
+function parseTolerance(value) {
+  if (typeof value === 'bigint') return value;
+  try {
+    coerceValue({ type: 'integer', min: 0 }, value);
+  } catch (error) {
+    throw new Error(`Invalid reconcile tolerance (RECONCILE_TOLERANCE): ${error.message}`);
+  }
+  return BigInt(String(value).trim());
+}
+
+/**
+ * Connect to the Subtensor WebSocket endpoint. The provider is created without
+ * auto-reconnect, so an unreachable endpoint fails the command instead of retrying forever.
+ * @param {string} endpoint - WebSocket URL
+ * @param {number} timeout - Time allowed (ms) to open the connection
+ * @returns {Promise<ApiPromise>} Connected @polkadot/api instance
+ */
+async function connectChain(endpoint, timeout = RECONCILE_CONFIG.connectTimeout) {
+  const { ApiPromise, WsProvider } = require('@polkadot/api');
+  const provider = new WsProvider(endpoint, false);
+  const cleanup = [];
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Could not connect to ${endpoint} within ${timeout}ms`)), timeout);
+      cleanup.push(() => clearTimeout(timer));
+      cleanup.push(provider.on('connected', resolve));
+      cleanup.push(provider.on('error', () => reject(new Error(`Could not connect to ${endpoint}`))));
+      provider.connect().catch(reject);
+    });
+  } catch (error) {
+    await provider.disconnect().catch(() => {});
+    throw error;
+  } finally {
+    cleanup.forEach(fn => fn());
+  }
+  return ApiPromise.create({ provider, noInitWarn: true, throwOnConnect: true });
+}
+
+/**
+ * Read stake from SubtensorModule storage at a block. On dynamic-TAO runtimes stake is
+ * Alpha shares valued against TotalHotkeyAlpha / TotalHotkeyShares, the same value the
+ * staking precompile's getStake returns; older runtimes keep it in Stake(hotkey, coldkey).
+ * @param {ApiPromise} api - Connected @polkadot/api instance
+ * @returns {Object} Reader with getStake(blockNumber, { hotkey, coldkey, netuid })
+ */
+function createStakeReader(api) {
+  const blocks = new Map();
+
+  /**
+   * Storage queries decorated at a block, cached per block number
+   * @param {number} blockNumber - Substrate block number (the same as the EVM block number)
+   * @returns {Promise<Object>} api.at(hash) result
+   */
+  function at(blockNumber) {
+    if (!blocks.has(blockNumber)) {
+      blocks.set(blockNumber, api.rpc.chain.getBlockHash(blockNumber).then(hash => api.at(hash)));
+    }
+    return blocks.get(blockNumber);
+  }
+
+  return {
+    /**
+     * @param {number} blockNumber - Block to read the state after
+     * @param {Object} key - { hotkey, coldkey, netuid } with keys as bytes32 hex
+     * @returns {Promise<bigint>} Stake in rao
+     */
+    async getStake(blockNumber, { hotkey, coldkey, netuid }) {
+      const { query } = await at(blockNumber);
+      const subtensor = query.subtensorModule;
+
+      if (!subtensor.alpha) {
+        return (await subtensor.stake(hotkey, coldkey)).toBigInt();
+      }
+      const [shares, totalAlpha, totalShares] = await Promise.all([
+        subtensor.alpha(hotkey, coldkey, netuid),
+        subtensor.totalHotkeyAlpha(hotkey, netuid),
+        subtensor.totalHotkeyShares(hotkey, netuid)
+      ]);
+      // Both share values are U64F64 fixed point, so their scale cancels out
+      const totalShareBits = totalShares.bits.toBigInt();
+      if (totalShareBits === 0n) {
+        return 0n;
+      }
+      return (shares.bits.toBigInt() * totalAlpha.toBigInt()) / totalShareBits;
+    }
+  };
+}
+
+/**
+ * Group indexed events into distributions, one per StakeTransferred transaction
+ * @param {Array<Object>} events - Events from the event store, in chain order
+ * @returns {Array<Object>} [{ blockNumber, transactionHash, timestamp, totalAmount, newBalance, principalDetected,
+ *   validatorSwitch, transfers, failures }]
+ */
+function groupDistributions(events) {
+  const byTransaction = new Map();
+  for (const event of events) {
+    if (!byTransaction.has(event.transactionHash)) {
+      byTransaction.set(event.transactionHash, {
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        timestamp: event.timestamp ?? null,
+        totalAmount: null,
+        newBalance: null,
+        principalDetected: null,
+        validatorSwitch: null,
+        transfers: [],
+        failures: []
+      });
+    }
+    const distribution = byTransaction.get(event.transactionHash);
+    if (event.name === 'StakeTransferred') {
+      distribution.totalAmount = BigInt(event.args.totalAmount);
+      distribution.newBalance = BigInt(event.args.newBalance);
+    } else if (event.name === 'PrincipalDetected') {
+      distribution.principalDetected = BigInt(event.args.amount);
+    } else if (event.name === 'ValidatorSwitched') {
+      distribution.validatorSwitch = { oldHotkey: event.args.oldHotkey, newHotkey: event.args.newHotkey };
+    } else if (event.name === 'RecipientTransfer') {
+      distribution.transfers.push({ coldkey: event.args.coldkey.toLowerCase(), amount: BigInt(event.args.amount) });
+    } else if (event.name === 'TransferFailed') {
+      distribution.failures.push({ coldkey: event.args.coldkey.toLowerCase(), amount: BigInt(event.args.amount), reason: event.args.reason });
+    }
+  }
+  return [...byTransaction.values()].filter(distribution => distribution.totalAmount !== null);
+}
+
+/**
+ * Compare one account's stake change across a distribution block with what the events claim
+ * @param {Function} getStake - (blockNumber, key) => Promise<bigint>
+ * @param {number} blockNumber - Distribution block
+ * @param {Object} key - { hotkey, coldkey, netuid }
+ * @param {bigint} expected - Expected change in rao (negative for the contract)
+ * @param {bigint} tolerance - Allowed difference in rao
+ * @returns {Promise<Object>} { coldkey, expected, before, after, actual, difference, matches }
+ */
+async function checkStakeChange(getStake, blockNumber, key, expected, tolerance) {
+  const [before, after] = await Promise.all([
+    getStake(blockNumber - 1, key),
+    getStake(blockNumber, key)
+  ]);
+  const actual = after - before;
+  const difference = actual - expected;
+  return {
+    coldkey: key.coldkey,
+    expected,
+    before,
+    after,
+    actual,
+    difference,
+    matches: (difference < 0n ? -difference : difference) <= tolerance
+  };
+}
+
+/**
+ * Check one distribution against Substrate stake storage: every RecipientTransfer
+ * coldkey's stake under the validator hotkey must grow by its amount, coldkeys with
+ * TransferFailed must not change, and the contract's SS58 key must shrink by the
+ * StakeTransferred total
+ * @param {Object} distribution - Entry from groupDistributions
+ * @param {Object} context - { getStake, hotkey, contractKey, netuid, tolerance }
+ * @returns {Promise<Object>} { blockNumber, transactionHash, hotkey, previousHotkey, recipients, contract, matches }
+ */
+async function reconcileDistribution(distribution, context) {
+  const { getStake, hotkey, contractKey, netuid } = context;
+  const tolerance = parseTolerance(context.tolerance ?? RECONCILE_CONFIG.tolerance);
+  const { blockNumber } = distribution;
+
+  const expectations = [
+    ...distribution.transfers.map(t => ({ coldkey: t.coldkey, expected: t.amount, failed: false })),
+    ...distribution.failures.map(f => ({ coldkey: f.coldkey, expected: 0n, failed: true }))
+  ];
+  const recipients = [];
+  for (const { coldkey, expected, failed } of expectations) {
+    const check = await checkStakeChange(getStake, blockNumber, { hotkey, coldkey, netuid }, expected, tolerance);
+    recipients.push({ ...check, failed });
+  }
+
+
+  // A switch in the same transaction moves all of the contract's stake to the new hotkey
+  // before the transfers, so only its stake summed over both hotkeys is comparable
+  const { validatorSwitch } = distribution;
+  const contractHotkeys = validatorSwitch ? [validatorSwitch.oldHotkey, validatorSwitch.newHotkey] : [hotkey];
+  const getContractStake = async (block, key) => {
+    const stakes = await Promise.all(contractHotkeys.map(h => getStake(block, { ...key, hotkey: h })));
+    return stakes.reduce((sum, value) => sum + value, 0n);
+  };
+  const contract = await checkStakeChange(
+    getContractStake, blockNumber, { hotkey, coldkey: contractKey, netuid }, -distribution.totalAmount, tolerance);
+
+  return {
+    blockNumber,
+    transactionHash: distribution.transactionHash,
+    hotkey,
+    previousHotkey: validatorSwitch ? validatorSwitch.oldHotkey : null,
+    recipients,
+    contract,
+    matches: contract.matches && recipients.every(r => r.matches)
+  };
+}
+
+/**
+ * Reconcile every indexed distribution in a block range
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI
+ * @param {Object} store - Event store from openEventStore
+ * @param {Object} options - Options
+ * @param {Function} options.getStake - (blockNumber, { hotkey, coldkey, netuid }) => Promise<bigint>
+ * @param {number} options.fromBlock - First block (inclusive)
+ * @param {number} options.toBlock - Last block (inclusive)
+ * @param {string} options.transactionHash - Only reconcile this distribution
+ * @param {bigint} options.tolerance - Allowed difference per account in rao
+ * @returns {Promise<Object>} Result with distributions and a summary
+ */
+async function reconcileDistributions(contract, store, options = {}) {
+  const result = {
+    success: false,
+    distributions: [],
+    summary: { checked: 0, matched: 0, mismatched: 0 },
+    error: null
+  };
+
+  try {
+    const { getStake } = options;
+    const tolerance = parseTolerance(options.tolerance ?? RECONCILE_CONFIG.tolerance);
+    const contractAddress = await contract.getAddress();
+    const [contractKey, netuid] = await Promise.all([contract.thisSs58PublicKey(), contract.netuid()]);
+
+    let distributions = groupDistributions(store.getEvents({
+      contractAddress,
+      names: RECONCILE_CONFIG.events,
+      fromBlock: options.fromBlock,
+      toBlock: options.toBlock
+    }));
+    if (options.transactionHash) {
+      distributions = distributions.filter(d => d.transactionHash.toLowerCase() === options.transactionHash.toLowerCase());
+    }
+
+    for (const distribution of distributions) {
+      // Stake moves under the hotkey the contract held when the transfer ran
+      const hotkey = await contract.currentValidatorHotkey({ blockTag: distribution.blockNumber });
+      const reconciled = await reconcileDistribution(distribution, { getStake, hotkey, contractKey, netuid: Number(netuid), tolerance });
+      result.distributions.push(reconciled);
+      result.summary.checked++;
+      result.summary[reconciled.matches ? 'matched' : 'mismatched']++;
+    }
+    result.success = result.summary.mismatched === 0;
+    if (!result.success) {
+      result.error = `${result.summary.mismatched} of ${result.summary.checked} distributions do not match Substrate stake`;
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Print a reconciliation report, listing every account that does not match
+ * @param {Object} result - Result from reconcileDistributions
+ */
+function printReconciliation(result) {
+  const tao = (amount) => ethers.formatUnits(amount, 9);
+  const book = getAddressBook();
+
+  for (const distribution of result.distributions) {
+    console.log(`${distribution.matches ? '✅' : '❌'} Block ${distribution.blockNumber} ${distribution.transactionHash}`);
+    console.log('   Hotkey:', book.format(distribution.hotkey) +
+      (distribution.previousHotkey ? ` (switched from ${book.format(distribution.previousHotkey)})` : ''));
+    for (const check of [...distribution.recipients, { ...distribution.contract, contract: true }]) {
+      if (check.matches) continue;
+      const who = check.contract ? `contract ${book.format(check.coldkey)}` : book.format(check.coldkey);
+      console.log(`   ${who}: expected ${tao(check.expected)} TAO${check.failed ? ' (transfer failed)' : ''}, ` +
+        `stake changed ${tao(check.actual)} TAO (${tao(check.before)} -> ${tao(check.after)}), off by ${tao(check.difference)} TAO`);
+    }
+  }
+  const { checked, matched, mismatched } = result.summary;
+  console.log('');
+  console.log(`Reconciled ${checked} distributions: ${matched} match, ${mismatched} do not`);
+}
+
+/**
+ * Read the value following a CLI flag
+ * @param {string} flag - Flag name, e.g. '--from-block'
+ * @returns {string|undefined} Flag value
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const toNumber = (value) => (value !== undefined ? parseInt(value) : undefined);
+
+  const provider = createProviderFromEnv();
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, provider);
+  const api = await connectChain(RECONCILE_CONFIG.chainEndpoint);
+  const store = await openEventStore(getArgValue('--db') || INDEXER_CONFIG.dbPath);
+
+  try {
+    if (!process.argv.includes('--no-sync')) {
+      const sync = await indexEvents({ contract, provider, store, silent: true });
+      if (!sync.success) {
+        console.error('Failed to sync event index:', sync.error);
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    const result = await reconcileDistributions(contract, store, {
+      getStake: createStakeReader(api).getStake,
+      fromBlock: toNumber(getArgValue('--from-block')),
+      toBlock: toNumber(getArgValue('--to-block')),
+      transactionHash: getArgValue('--tx')
+    });
+
+    if (process.argv.includes('--json')) {
+      const replacer = (_, value) => (typeof value === 'bigint' ? value.toString() : value);
+      process.stdout.write(JSON.stringify(getAddressBook().annotate(result), replacer, 2) + '\n');
+    } else {
+      printReconciliation(result);
+    }
+    if (!result.success) {
+      console.error('❌ Reconciliation failed:', result.error);
+      process.exitCode = 1;
+    }
+  } finally {
+    store.close();
+    await api.disconnect();
+  }
+}
+
+// Export functions for testing
+module.exports = {
+  RECONCILE_CONFIG,
+  parseTolerance,
+  connectChain,
+  createStakeReader,
+  groupDistributions,
+  reconcileDistribution,
+  reconcileDistributions,
+  printReconciliation,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,324 @@
+// scripts/rpc.js
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('./abi');
+const { CONFIG_SCHEMA, coerceValue } = require('./config');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for RPC failover and quorum reads
+const RPC_CONFIG = {
+  // Timeout for each request to a single endpoint (ms); checked when a provider is created
+  requestTimeout: process.env.RPC_REQUEST_TIMEOUT || '10000',
+
+  // A failed endpoint is skipped for this long before it is tried again (ms)
+  cooldown: 60000,
+
+  // Endpoints more than this many blocks away from the median height count as unhealthy
+  maxBlockLag: 5,
+
+  // Interval between background health checks (ms); 0 checks only on demand
+  healthCheckInterval: process.env.RPC_HEALTH_CHECK_INTERVAL || '0',
+
+  // View functions answered by a quorum of endpoints when RPC_QUORUM is above 1
+  quorumMethods: ['getStakedBalance', 'canExecuteTransfer', 'getAvailableRewards', 'principalLocked', 'getCurrentValidatorInfo']
+};
+
+/**
+ * Provider that spreads JSON-RPC requests over several endpoints. Requests go to the
+ * first healthy endpoint and fail over to the next on transport errors (timeouts,
+ * refused connections, HTTP errors). JSON-RPC errors such as reverts are answers, not
+ * failures, and are returned as-is. With a quorum above 1, eth_call to the functions in
+ * quorumMethods is sent to every healthy endpoint at a common block and only answered
+ * when enough endpoints agree. Extends JsonRpcProvider so contracts, wallets and block
+ * polling work unchanged.
+ */
+class FailoverProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {Array<string>} urls - Endpoints in order of preference
+   * @param {Object} options - Options overriding RPC_CONFIG, plus quorum and silent
+   * @throws {Error} If the request timeout or health check interval is not an integer
+   */
+  constructor(urls, options = {}) {
+    super(urls[0], undefined, { batchMaxCount: 1 });
+    this.rpcOptions = { ...RPC_CONFIG, quorum: 1, ...options };
+    for (const [key, env, min] of [['requestTimeout', 'RPC_REQUEST_TIMEOUT', 1], ['healthCheckInterval', 'RPC_HEALTH_CHECK_INTERVAL', 0]]) {
+      try {
+        this.rpcOptions[key] = coerceValue({ type: 'integer', min }, this.rpcOptions[key]);
+      } catch (error) {
+        throw new Error(`Invalid RPC setting ${env}: ${error.message}`);
+      }
+    }
+    this.endpoints = urls.map(url => ({ url, healthy: true, blockNumber: null, lastError: null, retryAt: 0 }));
+    this.log = this.rpcOptions.silent ? () => {} : console.warn;
+
+    const iface = new ethers.Interface(SAINTDURBIN_FULL_ABI);
+    this.quorumSelectors = new Map(this.rpcOptions.quorumMethods.map(name => [iface.getFunction(name).selector, name]));
+
+    this.healthTimer = null;
+    if (this.rpcOptions.healthCheckInterval > 0) {
+      this.healthTimer = setInterval(() => this.checkHealth().catch(() => {}), this.rpcOptions.healthCheckInterval);
+      this.healthTimer.unref();
+    }
+  }
+
+  /**
+   * Whether an endpoint should receive requests now
+   * @param {Object} endpoint - Entry from this.endpoints
+   * @returns {boolean} True if healthy or its cooldown has passed
+   */
+  isUsable(endpoint) {
+    return endpoint.healthy || Date.now() >= endpoint.retryAt;
+  }
+
+  /**
+   * Take an endpoint out of rotation for the cooldown
+   * @param {Object} endpoint - Entry from this.endpoints
+   * @param {string} reason - Why it failed
+   */
+  markFailed(endpoint, reason) {
+    if (endpoint.healthy) {
+      this.log(`RPC endpoint ${endpoint.url} failed: ${reason}`);
+    }
+    endpoint.healthy = false;
+    endpoint.lastError = reason;
+    endpoint.retryAt = Date.now() + this.rpcOptions.cooldown;
+  }
+
+  /**
+   * POST one JSON-RPC payload to one endpoint
+   * @param {Object} endpoint - Entry from this.endpoints
+   * @param {Object} payload - JSON-RPC request
+   * @returns {Promise<Object>} JSON-RPC response with result or error
+   * @throws {Error} On transport errors or a malformed response
+   */
+  async post(endpoint, payload) {
+    const { data } = await axios.post(endpoint.url, payload, { timeout: this.rpcOptions.requestTimeout });
+    if (!data || typeof data !== 'object' || !('result' in data || 'error' in data)) {
+      throw new Error('invalid JSON-RPC response');
+    }
+    return data;
+  }
+
+  /**
+   * Send to the first endpoint that answers, healthy endpoints first
+   * @param {Object} payload - JSON-RPC request
+   * @returns {Promise<Object>} JSON-RPC response
+   * @throws {Error} If every endpoint fails
+   */
+  async sendWithFailover(payload) {
+    const ordered = [
+      ...this.endpoints.filter(endpoint => this.isUsable(endpoint)),
+      ...this.endpoints.filter(endpoint => !this.isUsable(endpoint))
+    ];
+    const failures = [];
+
+    for (const endpoint of ordered) {
+      try {
+        const response = await this.post(endpoint, payload);
+        endpoint.healthy = true;
+        endpoint.lastError = null;
+        return response;
+      } catch (error) {
+        this.markFailed(endpoint, error.message);
+        failures.push(`${endpoint.url}: ${error.message}`);
+      }
+    }
+    throw new Error(`All RPC endpoints failed for ${payload.method}: ${failures.join('; ')}`);
+  }
+
+  /**
+   * Read each endpoint's latest block. Endpoints that fail, or are more than maxBlockLag
+   * behind or ahead of the median height, leave rotation. The median keeps a single node
+   * that over-reports its height from pushing every honest node out.
+   * @param {Array<Object>} endpoints - Entries from this.endpoints
+   * @returns {Promise<Array<Object>>} The in-sync endpoints, with blockNumber updated
+   */
+  async pollHeights(endpoints) {
+    const outcomes = await Promise.allSettled(endpoints.map(endpoint =>
+      this.post(endpoint, { jsonrpc: '2.0', id: 0, method: 'eth_blockNumber', params: [] })));
+
+    const answered = [];
+    outcomes.forEach((outcome, index) => {
+      const failure = outcome.status === 'rejected'
+        ? outcome.reason.message
+        : outcome.value.error && outcome.value.error.message;
+      if (failure) {
+        this.markFailed(endpoints[index], failure);
+        return;
+      }
+      endpoints[index].blockNumber = Number(outcome.value.result);
+      answered.push(endpoints[index]);
+    });
+
+    // Upper median: with two endpoints the higher one is trusted, as a lagging node is
+    // far more common than one reporting blocks that do not exist
+    const heights = answered.map(endpoint => endpoint.blockNumber).sort((a, b) => a - b);
+    const median = heights[Math.floor(heights.length / 2)];
+    return answered.filter((endpoint) => {
+      const lag = median - endpoint.blockNumber;
+      if (lag > this.rpcOptions.maxBlockLag) {
+        this.markFailed(endpoint, `${lag} blocks behind`);
+        return false;
+      }
+      if (-lag > this.rpcOptions.maxBlockLag) {
+        this.markFailed(endpoint, `${-lag} blocks ahead of the other endpoints`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Send an eth_call to every in-sync endpoint at a common block and return the
+   * answer given by at least `quorum` of them
+   * @param {Object} payload - JSON-RPC eth_call request
+   * @param {string} name - Contract function being read, for error messages
+   * @returns {Promise<Object>} JSON-RPC response agreed by the quorum
+   * @throws {Error} If too few endpoints are in sync or they disagree
+   */
+  async sendWithQuorum(payload, name) {
+    const { quorum } = this.rpcOptions;
+    const [tx, blockTag = 'latest'] = payload.params;
+
+    const endpoints = await this.pollHeights(this.endpoints.filter(endpoint => this.isUsable(endpoint)));
+    if (endpoints.length < quorum) {
+      throw new Error(`RPC quorum of ${quorum} for ${name} needs ${quorum} in-sync endpoints, ${endpoints.length} available`);
+    }
+    // Pin "latest" to one block so honest endpoints give identical answers
+    const block = blockTag === 'latest'
+      ? ethers.toQuantity(Math.min(...endpoints.map(endpoint => endpoint.blockNumber)))
+      : blockTag;
+    const params = [tx, block];
+
+    const answers = await Promise.allSettled(endpoints.map(endpoint => this.post(endpoint, { ...payload, params })));
+    const tally = new Map();
+    answers.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        this.markFailed(endpoints[index], outcome.reason.message);
+        return;
+      }
+      // Reverts agree when their data does; messages differ between node implementations
+      const response = outcome.value;
+      const key = response.error
+        ? `error:${response.error.data || response.error.message}`
+        : `result:${response.result}`;
+      if (!tally.has(key)) {
+        tally.set(key, { response, urls: [] });
+      }
+      tally.get(key).urls.push(endpoints[index].url);
+    });
+
+    for (const { response, urls } of tally.values()) {
+      if (urls.length >= quorum) {
+        return { ...response, id: payload.id };
+      }
+    }
+    const seen = [...tally.entries()].map(([key, { urls }]) => `${key} from ${urls.join(', ')}`);
+    throw new Error(`RPC quorum of ${quorum} not reached for ${name} at block ${block}: ${seen.join('; ') || 'no answers'}`);
+  }
+
+  /**
+   * JsonRpcApiProvider transport hook
+   * @param {Object|Array<Object>} payload - JSON-RPC request or batch
+   * @returns {Promise<Array<Object>>} JSON-RPC responses
+   */
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    return Promise.all(payloads.map((request) => {
+      const name = this.rpcOptions.quorum > 1 && request.method === 'eth_call' && request.params[0].data
+        ? this.quorumSelectors.get(request.params[0].data.slice(0, 10))
+        : undefined;
+      return name ? this.sendWithQuorum(request, name) : this.sendWithFailover(request);
+    }));
+  }
+
+  /**
+   * Check every endpoint's latest block; failed or lagging endpoints leave rotation
+   * @returns {Promise<Array<Object>>} [{ url, healthy, blockNumber, error }]
+   */
+  async checkHealth() {
+    const inSync = await this.pollHeights(this.endpoints);
+    for (const endpoint of inSync) {
+      endpoint.healthy = true;
+      endpoint.lastError = null;
+    }
+    return this.getEndpointStatus();
+  }
+
+  /**
+   * @returns {Array<Object>} [{ url, healthy, blockNumber, error }] as last seen
+   */
+  getEndpointStatus() {
+    return this.endpoints.map(({ url, healthy, blockNumber, lastError }) => ({ url, healthy, blockNumber, error: lastError }));
+  }
+
+  /**
+   * Stop background health checks and the provider
+   */
+  destroy() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+    super.destroy();
+  }
+}
+
+/**
+ * Create a provider that fails over between several RPC endpoints
+ * @param {Array<string>} urls - Endpoints in order of preference
+ * @param {Object} options - Options overriding RPC_CONFIG
+ * @param {number} options.quorum - Endpoints that must agree on quorumMethods reads (1 disables quorum)
+ * @param {boolean} options.silent - Suppress failover warnings
+ * @returns {FailoverProvider} Provider
+ * @throws {Error} If no URLs are given or the quorum cannot be met
+ */
+function createFailoverProvider(urls, options = {}) {
+  if (!urls || urls.length === 0) {
+    throw new Error('At least one RPC URL is required');
+  }
+  const quorum = options.quorum || 1;
+  if (quorum > urls.length) {
+    throw new Error(`RPC quorum of ${quorum} needs at least ${quorum} RPC URLs, got ${urls.length}`);
+  }
+  return new FailoverProvider(urls, { ...options, quorum });
+}
+
+/**
+ * Create the provider for loaded settings: a FailoverProvider when rpcUrls lists
+ * endpoints, otherwise a plain JsonRpcProvider for rpcUrl
+ * @param {Object} config - Settings with rpcUrl, rpcUrls and rpcQuorum
+ * @param {Object} options - Options for createFailoverProvider
+ * @returns {ethers.JsonRpcProvider} Provider
+ */
+function createProvider(config, options = {}) {
+  if (config.rpcUrls && config.rpcUrls.length > 0) {
+    return createFailoverProvider(config.rpcUrls, { ...options, quorum: config.rpcQuorum || 1 });
+  }
+  return new ethers.JsonRpcProvider(config.rpcUrl);
+}
+
+/**
+ * Create the provider from RPC_URLS / RPC_QUORUM, falling back to RPC_URL
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {ethers.JsonRpcProvider} Provider
+ */
+function createProviderFromEnv(env = process.env) {
+  return createProvider({
+    rpcUrl: env.RPC_URL,
+    rpcUrls: env.RPC_URLS ? coerceValue(CONFIG_SCHEMA.rpcUrls, env.RPC_URLS) : null,
+    rpcQuorum: env.RPC_QUORUM ? coerceValue(CONFIG_SCHEMA.rpcQuorum, env.RPC_QUORUM) : 1
+  });
+}
+
+module.exports = {
+  RPC_CONFIG,
+  FailoverProvider,
+  createFailoverProvider,
+  createProvider,
+  createProviderFromEnv
+};
\ No newline at end of file
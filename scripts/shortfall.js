@@ -0,0 +1,375 @@
+// scripts/shortfall.js
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('./abi');
+const { INDEXER_CONFIG, openEventStore, indexEvents } = require('./indexer');
+const { createProviderFromEnv } = require('./rpc');
+const { getAddressBook } = require('./address-book');
+const { groupDistributions } = require('./reconcile');
+const { coerceValue } = require('./config');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for the failed-transfer ledger
+const SHORTFALL_CONFIG = {
+  // Shortfalls within this many rao count as settled; re-splitting a rolled-over amount
+  // rounds down per recipient and the last recipient takes the remainder. Checked when a
+  // ledger is built, so a bad value does not break other commands
+  dust: process.env.SHORTFALL_DUST || '1000',
+
+  // Events the ledger is built from. PrincipalDetected marks distributions where the
+  // rolled-over amount was locked as principal instead of being paid out again
+  events: ['RecipientTransfer', 'TransferFailed', 'StakeTransferred', 'PrincipalDetected']
+};
+
+const CSV_COLUMNS = [
+  'coldkey',
+  'coldkey_ss58',
+  'label',
+  'proportion_bps',
+  'status',
+  'entitled_tao',
+  'received_tao',
+  'shortfall_tao',
+  'failed_tao',
+  'failures',
+  'last_failure_block',
+  'recovered_at_block'
+];
+
+/**
+ * Format a rao amount as TAO (9 decimals)
+ * @param {bigint} amount - Amount in rao
+ * @returns {string} Amount in TAO
+ */
+function formatTao(amount) {
+  return ethers.formatUnits(amount, 9);
+}
+
+/**
+ * Parse the settled-shortfall threshold
+ * @param {string|bigint} value - Threshold in rao
+ * @returns {bigint} Threshold
+ */
+function parseDust(value) {
+  if (typeof value === 'bigint') return value;
+  try {
+    coerceValue({ type: 'integer', min: 0 }, value);
+  } catch (error) {
+    throw new Error(`Invalid shortfall dust (SHORTFALL_DUST): ${error.message}`);
+  }
+  return BigInt(String(value).trim());
+}
+
+/**
+ * Settlement status of a ledger entry
+ * @param {Object} entry - Ledger entry with shortfall and failures
+ * @param {bigint} dust - Shortfall treated as settled
+ * @returns {string} 'owed', 'made-up' (failed, since paid back through later distributions),
+ *   'overpaid' (received part of someone else's failed transfer) or 'even'
+ */
+function settlementStatus(entry, dust) {
+  if (entry.shortfall > dust) return 'owed';
+  if (entry.failures.length > 0) return 'made-up';
+  if (entry.shortfall < -dust) return 'overpaid';
+  return 'even';
+}
+
+/**
+ * Build the failed-transfer ledger from distributions in chain order.
+ *
+ * executeTransfer leaves a failed recipient's amount staked, so the next distribution's
+ * available yield includes it and every recipient receives their proportion of it. A
+ * recipient's entitlement is therefore what each distribution allocated to them (sent or
+ * failed) minus their share of the amount that rolled in from the previous distribution;
+ * the shortfall is entitlement minus what actually arrived. When the next distribution
+ * detects principal, the rolled-over amount is locked as principal and nobody receives it.
+ * @param {Object} params
+ * @param {Array<Object>} params.recipients - [{ coldkey, proportion }] from getAllRecipients
+ * @param {Array<Object>} params.distributions - Distributions from groupDistributions, covering full history
+ * @param {bigint|string} params.dust - Shortfall treated as settled (optional)
+ * @returns {Object} { recipients: [entry], totals }
+ */
+function buildShortfallLedger({ recipients, distributions, dust: dustSetting }) {
+  const dust = parseDust(dustSetting ?? SHORTFALL_CONFIG.dust);
+  const entries = new Map();
+  const entryFor = (coldkey, proportion = null) => {
+    const key = coldkey.toLowerCase();
+    if (!entries.has(key)) {
+      entries.set(key, {
+        coldkey: key,
+        proportion,
+        entitled: 0n,
+        received: 0n,
+        shortfall: 0n,
+        failedTotal: 0n,
+        failures: [],
+        recoveredAtBlock: null,
+        status: 'even'
+      });
+    }
+    return entries.get(key);
+  };
+  for (const { coldkey, proportion } of recipients) {
+    entryFor(coldkey, Number(proportion));
+  }
+
+  const totals = {
+    distributions: 0,
+    failedTotal: 0n,
+    redistributed: 0n,
+    absorbedIntoPrincipal: 0n,
+    pending: 0n
+  };
+
+  let carried = 0n;
+  for (const distribution of distributions) {
+    totals.distributions++;
+    const principalDetected = distribution.principalDetected !== null && distribution.principalDetected !== undefined;
+    const rolledIn = principalDetected ? 0n : carried;
+    totals[principalDetected ? 'absorbedIntoPrincipal' : 'redistributed'] += carried;
+
+    for (const entry of entries.values()) {
+      if (entry.proportion !== null) {
+        entry.entitled -= rolledIn * BigInt(entry.proportion) / 10000n;
+      }
+    }
+    for (const transfer of distribution.transfers) {
+      const entry = entryFor(transfer.coldkey);
+      entry.entitled += transfer.amount;
+      entry.received += transfer.amount;
+      if (entry.failures.length > 0 && entry.recoveredAtBlock === null) {
+        entry.recoveredAtBlock = distribution.blockNumber;
+      }
+    }
+    carried = 0n;
+    for (const failure of distribution.failures) {
+      const entry = entryFor(failure.coldkey);
+      entry.entitled += failure.amount;
+      entry.failedTotal += failure.amount;
+      // A later failure means the coldkey is broken again
+      entry.recoveredAtBlock = null;
+      entry.failures.push({
+        blockNumber: distribution.blockNumber,
+        transactionHash: distribution.transactionHash,
+        timestamp: distribution.timestamp,
+        amount: failure.amount,
+        reason: failure.reason
+      });
+      totals.failedTotal += failure.amount;
+      carried += failure.amount;
+    }
+  }
+  // Failed in the latest distribution and not yet paid out again
+  totals.pending = carried;
+
+  for (const entry of entries.values()) {
+    entry.shortfall = entry.entitled - entry.received;
+    entry.status = settlementStatus(entry, dust);
+  }
+
+  return { recipients: [...entries.values()], totals };
+}
+
+/**
+ * Build the ledger from indexed events
+ * @param {ethers.Contract} contract - SaintDurbin contract (read-only)
+ * @param {Object} store - Event store from openEventStore
+ * @param {Object} options
+ * @param {number} options.toBlock - Ledger as of this block (optional; the ledger always starts at deployment)
+ * @param {string} options.coldkey - Only report this coldkey (hex, SS58 or address book name)
+ * @param {boolean} options.all - Include recipients with no failures and nothing owed
+ * @returns {Promise<Object>} Result object with the ledger
+ */
+async function generateShortfallLedger(contract, store, options = {}) {
+  const result = {
+    success: false,
+    asOfBlock: null,
+    recipients: [],
+    totals: null,
+    error: null
+  };
+
+  try {
+    const contractAddress = await contract.getAddress();
+    const [coldkeys, proportions] = await contract.getAllRecipients();
+    const recipients = coldkeys.map((coldkey, i) => ({ coldkey, proportion: proportions[i] }));
+
+    const events = store.getEvents({ contractAddress, names: SHORTFALL_CONFIG.events, toBlock: options.toBlock });
+    const ledger = buildShortfallLedger({ recipients, distributions: groupDistributions(events), dust: options.dust });
+
+    let entries = ledger.recipients;
+    if (options.coldkey) {
+      const coldkey = getAddressBook().resolve(options.coldkey);
+      entries = entries.filter(entry => entry.coldkey === coldkey);
+    } else if (!options.all) {
+      entries = entries.filter(entry => entry.status !== 'even');
+    }
+
+    result.asOfBlock = options.toBlock ?? store.getLastIndexedBlock(contractAddress);
+    result.recipients = entries;
+    result.totals = ledger.totals;
+    result.success = true;
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Escape a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the ledger as CSV, one row per recipient
+ * @param {Object} result - Result from generateShortfallLedger
+ * @returns {string} CSV document
+ */
+function formatShortfallCsv(result) {
+  const book = getAddressBook();
+  const rows = [CSV_COLUMNS.join(',')];
+
+  for (const entry of result.recipients) {
+    const label = book.lookup(entry.coldkey);
+    const lastFailure = entry.failures[entry.failures.length - 1];
+    rows.push([
+      entry.coldkey,
+      book.toSs58(entry.coldkey),
+      label ? label.name : '',
+      entry.proportion,
+      entry.status,
+      formatTao(entry.entitled),
+      formatTao(entry.received),
+      formatTao(entry.shortfall),
+      formatTao(entry.failedTotal),
+      entry.failures.length,
+      lastFailure ? lastFailure.blockNumber : '',
+      entry.recoveredAtBlock
+    ].map(csvCell).join(','));
+  }
+
+  return rows.join('\n') + '\n';
+}
+
+/**
+ * Print the ledger: every failure per coldkey and what is still owed
+ * @param {Object} result - Result from generateShortfallLedger
+ */
+function printShortfallLedger(result) {
+  const book = getAddressBook();
+  const { totals } = result;
+
+  console.log(`Failed-transfer ledger as of block ${result.asOfBlock ?? 'latest'} (${totals.distributions} distributions)`);
+  if (result.recipients.length === 0) {
+    console.log('No failed transfers and nothing owed.');
+  }
+  for (const entry of result.recipients) {
+    const icon = { owed: '❌', 'made-up': '✅', overpaid: '➕', even: '  ' }[entry.status];
+    console.log('');
+    console.log(`${icon} ${book.format(entry.coldkey)} (${entry.proportion ?? '?'} bps): ${entry.status}`);
+    for (const failure of entry.failures) {
+      const date = failure.timestamp ? ` ${new Date(failure.timestamp * 1000).toISOString().slice(0, 10)}` : '';
+      console.log(`   Block ${failure.blockNumber}${date}: ${formatTao(failure.amount)} TAO failed (${failure.reason}) ${failure.transactionHash}`);
+    }
+    if (entry.recoveredAtBlock !== null) {
+      console.log(`   Transfers succeeding again since block ${entry.recoveredAtBlock}`);
+    }
+    console.log(`   Entitled ${formatTao(entry.entitled)} TAO, received ${formatTao(entry.received)} TAO, ` +
+      `${entry.shortfall >= 0n ? 'short' : 'over'} by ${formatTao(entry.shortfall >= 0n ? entry.shortfall : -entry.shortfall)} TAO`);
+  }
+  console.log('');
+  console.log(`Failed in total: ${formatTao(totals.failedTotal)} TAO`);
+  console.log(`  Paid out again to all recipients: ${formatTao(totals.redistributed)} TAO`);
+  console.log(`  Locked as principal: ${formatTao(totals.absorbedIntoPrincipal)} TAO`);
+  console.log(`  Waiting for the next distribution: ${formatTao(totals.pending)} TAO`);
+}
+
+/**
+ * Read the value following a CLI flag
+ * @param {string} flag - Flag name, e.g. '--coldkey'
+ * @returns {string|undefined} Flag value
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const format = getArgValue('--format') || (process.argv.includes('--json') ? 'json' : 'text');
+  const toBlock = getArgValue('--to-block');
+
+  if (!['text', 'csv', 'json'].includes(format)) {
+    console.error(`Unknown format: ${format} (expected text, csv or json)`);
+    process.exit(1);
+  }
+
+  const provider = createProviderFromEnv();
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, provider);
+  const store = await openEventStore(getArgValue('--db') || INDEXER_CONFIG.dbPath);
+
+  try {
+    if (!process.argv.includes('--no-sync')) {
+      const sync = await indexEvents({ contract, provider, store, silent: true });
+      if (!sync.success) {
+        console.error('Failed to sync event index:', sync.error);
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    const result = await generateShortfallLedger(contract, store, {
+      toBlock: toBlock !== undefined ? parseInt(toBlock) : undefined,
+      coldkey: getArgValue('--coldkey'),
+      all: process.argv.includes('--all')
+    });
+
+    if (!result.success) {
+      console.error('❌ Failed to build the shortfall ledger:', result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (format === 'json') {
+      const replacer = (_, value) => (typeof value === 'bigint' ? value.toString() : value);
+      process.stdout.write(JSON.stringify(getAddressBook().annotate(result), replacer, 2) + '\n');
+    } else if (format === 'csv') {
+      process.stdout.write(formatShortfallCsv(result));
+    } else {
+      printShortfallLedger(result);
+    }
+  } finally {
+    store.close();
+  }
+}
+
+// Export functions for testing
+module.exports = {
+  SHORTFALL_CONFIG,
+  parseDust,
+  buildShortfallLedger,
+  generateShortfallLedger,
+  formatShortfallCsv,
+  printShortfallLedger,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,360 @@
+// scripts/signers.js
+const fs = require('fs');
+const readline = require('readline');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { CONFIG_SCHEMA } = require('./config');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for transaction signers
+const SIGNER_CONFIG = {
+  // Accepted SIGNER_TYPE / --signer values
+  types: CONFIG_SCHEMA.signerType.values,
+
+  // Timeout for each request to a remote signer (ms); signers that ask a human to approve need a while
+  remoteTimeout: 60000
+};
+
+// Emergency operator settings standing in for each signer setting
+const EMERGENCY_SIGNER_SETTINGS = {
+  signerType: 'emergencySignerType',
+  privateKey: 'emergencyPrivateKey',
+  keystorePath: 'emergencyKeystorePath',
+  keystorePasswordFile: 'emergencyKeystorePasswordFile',
+  remoteSignerUrl: 'emergencyRemoteSignerUrl',
+  remoteSignerAddress: 'emergencyRemoteSignerAddress'
+};
+
+// TransactionRequest fields and their JSON-RPC names, sent as hex quantities
+const RPC_QUANTITY_FIELDS = [
+  ['type', 'type'],
+  ['nonce', 'nonce'],
+  ['gasLimit', 'gas'],
+  ['gasPrice', 'gasPrice'],
+  ['maxFeePerGas', 'maxFeePerGas'],
+  ['maxPriorityFeePerGas', 'maxPriorityFeePerGas'],
+  ['value', 'value'],
+  ['chainId', 'chainId']
+];
+
+/**
+ * Ask for a password on the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @param {Object} input - Readable stream (defaults to process.stdin)
+ * @param {Object} output - Writable stream for the prompt (defaults to process.stderr)
+ * @returns {Promise<string>} The password
+ */
+function promptPassword(question, input = process.stdin, output = process.stderr) {
+  return new Promise((resolve) => {
+    output.write(question);
+    const rl = readline.createInterface({ input, output, terminal: true });
+    // Swallow readline's echo of the typed characters
+    rl._writeToOutput = () => {};
+    rl.question('', (answer) => {
+      rl.close();
+      output.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Get the keystore password from a file, or prompt for it on an interactive terminal
+ * @param {Object} options - Password options
+ * @param {string} options.passwordFile - File holding the password (a trailing newline is ignored)
+ * @param {Object} options.input - Stream to prompt on (defaults to process.stdin)
+ * @param {Function} options.prompt - async (question) => password (defaults to promptPassword)
+ * @returns {Promise<string>} The password
+ * @throws {Error} If there is no password file and no terminal to prompt on
+ */
+async function readKeystorePassword(options = {}) {
+  const { passwordFile, input = process.stdin, prompt = promptPassword } = options;
+
+  if (passwordFile) {
+    try {
+      return fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '');
+    } catch (error) {
+      throw new Error(`Cannot read keystore password file ${passwordFile}: ${error.message}`);
+    }
+  }
+  if (!input.isTTY) {
+    throw new Error('No keystore password: set KEYSTORE_PASSWORD_FILE or run in a terminal to be prompted');
+  }
+  return prompt('Keystore password: ');
+}
+
+/**
+ * Decrypt an encrypted JSON keystore (geth / `cast wallet` format)
+ * @param {string} keystorePath - Keystore file
+ * @param {string} password - Keystore password
+ * @returns {Promise<ethers.Wallet>} Wallet without a provider
+ * @throws {Error} If the file is missing, not a keystore or the password is wrong
+ */
+async function loadKeystoreSigner(keystorePath, password) {
+  let json;
+  try {
+    json = fs.readFileSync(keystorePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read keystore ${keystorePath}: ${error.message}`);
+  }
+
+  try {
+    return await ethers.Wallet.fromEncryptedJson(json, password);
+  } catch (error) {
+    throw new Error(`Cannot decrypt keystore ${keystorePath}: ${error.shortMessage || error.message}`);
+  }
+}
+
+/**
+ * Convert a transaction to the JSON-RPC form expected by eth_signTransaction
+ * @param {Object} tx - ethers Transaction or TransactionRequest with resolved addresses
+ * @param {string} from - Signing address
+ * @param {string|null} to - Resolved recipient (defaults to tx.to)
+ * @returns {Object} JSON-RPC transaction object
+ */
+function toRpcTransaction(tx, from, to = tx.to) {
+  const rpcTx = { from };
+  if (to !== null && to !== undefined) rpcTx.to = to;
+  for (const [field, rpcField] of RPC_QUANTITY_FIELDS) {
+    if (tx[field] !== null && tx[field] !== undefined) {
+      rpcTx[rpcField] = ethers.toQuantity(tx[field]);
+    }
+  }
+  if (tx.data) rpcTx.data = tx.data;
+  if (tx.accessList && tx.accessList.length > 0) rpcTx.accessList = tx.accessList;
+  return rpcTx;
+}
+
+/**
+ * Signer that delegates signing to an external JSON-RPC service (web3signer, Clef,
+ * an HSM gateway, ...). The key never leaves that service; this process only sees
+ * signed transactions. ethers needs a Signer subclass to send through a Contract.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} url - JSON-RPC endpoint of the signer
+   * @param {Object} options - Signer options
+   * @param {string} options.address - Account to sign with (defaults to the signer's first eth_accounts entry)
+   * @param {Object} options.headers - Extra HTTP headers, e.g. Authorization
+   * @param {number} options.timeout - Request timeout (ms)
+   * @param {ethers.Provider} provider - Provider used to populate and broadcast transactions
+   */
+  constructor(url, options = {}, provider = null) {
+    super(provider);
+    this.url = url;
+    this.options = options;
+    this.address = options.address ? ethers.getAddress(options.address) : null;
+    this.requestId = 0;
+  }
+
+  /**
+   * Call a method on the remote signer
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - Parameters
+   * @returns {Promise<*>} The result
+   * @throws {Error} If the request fails or the signer returns an error
+   */
+  async request(method, params) {
+    let response;
+    try {
+      response = await axios.post(this.url, { jsonrpc: '2.0', id: ++this.requestId, method, params }, {
+        timeout: this.options.timeout || SIGNER_CONFIG.remoteTimeout,
+        headers: this.options.headers
+      });
+    } catch (error) {
+      throw new Error(`Remote signer ${method} failed: ${error.message}`);
+    }
+
+    const { error, result } = response.data;
+    if (error) {
+      throw new Error(`Remote signer ${method} failed: ${error.message} (code ${error.code})`);
+    }
+    return result;
+  }
+
+  /**
+   * @returns {Promise<string>} Signing address
+   */
+  async getAddress() {
+    if (!this.address) {
+      const [account] = await this.request('eth_accounts', []);
+      if (!account) {
+        throw new Error('Remote signer has no accounts');
+      }
+      this.address = ethers.getAddress(account);
+    }
+    return this.address;
+  }
+
+  /**
+   * @param {ethers.Provider} provider - Provider to use
+   * @returns {RemoteSigner} This signer connected to the provider
+   */
+  connect(provider) {
+    return new RemoteSigner(this.url, { ...this.options, address: this.address }, provider);
+  }
+
+  /**
+   * Sign with eth_signTransaction and check that the signer signed what was asked
+   * @param {Object} tx - Transaction or TransactionRequest
+   * @returns {Promise<string>} Serialized signed transaction
+   * @throws {Error} If the signed transaction is from another account or differs from the request
+   */
+  async signTransaction(tx) {
+    const from = await this.getAddress();
+    const to = tx.to ? await ethers.resolveAddress(tx.to, this.provider) : null;
+    const result = await this.request('eth_signTransaction', [toRpcTransaction(tx, from, to)]);
+
+    // Clef returns { raw, tx }, most other signers just the raw transaction
+    const raw = typeof result === 'string' ? result : result && result.raw;
+    const signed = ethers.Transaction.from(raw);
+    if (signed.from !== from) {
+      throw new Error(`Remote signer signed as ${signed.from}, expected ${from}`);
+    }
+    // Every requested field must survive signing; a missing value means zero
+    const differs = [];
+    if (signed.to !== (to && ethers.getAddress(to))) differs.push('to');
+    if (signed.data !== ethers.hexlify(tx.data || '0x')) differs.push('data');
+    for (const [field] of RPC_QUANTITY_FIELDS) {
+      const requested = field === 'value' ? (tx.value ?? 0) : tx[field];
+      if (requested !== null && requested !== undefined && BigInt(signed[field] ?? 0) !== BigInt(requested)) {
+        differs.push(field);
+      }
+    }
+    if (differs.length > 0) {
+      throw new Error(`Remote signer returned a transaction that differs from the request (${differs.join(', ')})`);
+    }
+    return raw;
+  }
+
+  /**
+   * @param {string|Uint8Array} message - Message to sign
+   * @returns {Promise<string>} Signature
+   */
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+    return this.request('personal_sign', [data, await this.getAddress()]);
+  }
+
+  /**
+   * @param {Object} domain - EIP-712 domain
+   * @param {Object} types - EIP-712 types
+   * @param {Object} value - Value to sign
+   * @returns {Promise<string>} Signature
+   */
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    return this.request('eth_signTypedData_v4', [await this.getAddress(), JSON.stringify(payload)]);
+  }
+}
+
+/**
+ * Create a signer backed by a remote JSON-RPC signing service
+ * @param {string} url - JSON-RPC endpoint of the signer
+ * @param {Object} options - Options for RemoteSigner (address, headers, timeout)
+ * @returns {RemoteSigner} Signer without a provider
+ */
+function createRemoteSigner(url, options = {}) {
+  return new RemoteSigner(url, options);
+}
+
+/**
+ * Settings the configured signer type needs, for loadConfig's `required`
+ * @param {Object} settings - Merged settings from loadConfig
+ * @returns {Array<string>} CONFIG_SCHEMA names
+ */
+function requiredSignerSettings(settings) {
+  switch (settings.signerType) {
+  case 'keystore':
+    return ['keystorePath'];
+  case 'remote':
+    return ['remoteSignerUrl'];
+  case 'readonly':
+    return [];
+  default:
+    // Deployments files name their own key variables
+    return settings.deploymentsFile ? [] : ['privateKey'];
+  }
+}
+
+/**
+ * Whether the emergency operator has its own signer settings
+ * @param {Object} settings - Merged settings from loadConfig
+ * @returns {boolean} True when EMERGENCY_SIGNER_TYPE or EMERGENCY_PRIVATE_KEY is set
+ */
+function hasEmergencySigner(settings) {
+  return Boolean(settings.emergencySignerType || settings.emergencyPrivateKey);
+}
+
+/**
+ * Signer settings for the emergency operator: its EMERGENCY_* settings in place of the
+ * distributor's, or the distributor's own when it has none
+ * @param {Object} settings - Merged settings from loadConfig
+ * @returns {Object} Settings for createSignerFromConfig
+ */
+function emergencySignerSettings(settings) {
+  if (!hasEmergencySigner(settings)) {
+    return settings;
+  }
+
+  // A bare EMERGENCY_PRIVATE_KEY is a privateKey signer, as PRIVATE_KEY is
+  const mapped = { ...settings, signerType: settings.emergencySignerType || 'privateKey', deploymentsFile: null };
+  for (const [key, emergencyKey] of Object.entries(EMERGENCY_SIGNER_SETTINGS)) {
+    if (key !== 'signerType') {
+      mapped[key] = settings[emergencyKey] ?? null;
+    }
+  }
+  return mapped;
+}
+
+/**
+ * Settings the emergency operator's signer needs, for loadConfig's `required`
+ * @param {Object} settings - Merged settings from loadConfig
+ * @returns {Array<string>} CONFIG_SCHEMA names
+ */
+function requiredEmergencySignerSettings(settings) {
+  if (!hasEmergencySigner(settings)) {
+    return requiredSignerSettings(settings);
+  }
+  return requiredSignerSettings(emergencySignerSettings(settings)).map(key => EMERGENCY_SIGNER_SETTINGS[key]);
+}
+
+/**
+ * Create the signer selected by the configuration
+ * @param {Object} config - Settings from loadConfig
+ * @param {Object} options - Options passed to readKeystorePassword (input, prompt)
+ * @returns {Promise<ethers.Signer|null>} Signer without a provider; null in read-only mode, or when
+ *   no PRIVATE_KEY is set because a deployments file names each deployment's key
+ */
+async function createSignerFromConfig(config, options = {}) {
+  switch (config.signerType) {
+  case 'readonly':
+    return null;
+  case 'keystore': {
+    const password = await readKeystorePassword({ ...options, passwordFile: config.keystorePasswordFile });
+    return loadKeystoreSigner(config.keystorePath, password);
+  }
+  case 'remote':
+    return createRemoteSigner(config.remoteSignerUrl, { address: config.remoteSignerAddress || undefined });
+  default:
+    return config.privateKey ? new ethers.Wallet(config.privateKey) : null;
+  }
+}
+
+module.exports = {
+  SIGNER_CONFIG,
+  promptPassword,
+  readKeystorePassword,
+  loadKeystoreSigner,
+  toRpcTransaction,
+  RemoteSigner,
+  createRemoteSigner,
+  requiredSignerSettings,
+  createSignerFromConfig,
+  emergencySignerSettings,
+  requiredEmergencySignerSettings
+};
\ No newline at end of file
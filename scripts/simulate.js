@@ -0,0 +1,254 @@
+// scripts/simulate.js
+const { ethers } = require('ethers');
+const { decodeContractError, describeError } = require('./errors');
+const { getAddressBook } = require('./address-book');
+
+// Mirrors the constants in SaintDurbin.sol
+const MIN_BLOCK_INTERVAL = 7200n;
+const EXISTENTIAL_AMOUNT = 1000000000n;
+const BASIS_POINTS = 10000n;
+const RATE_MULTIPLIER_THRESHOLD = 2n;
+const VALIDATOR_CHECK_INTERVAL = 100n;
+const RATE_PRECISION = 10n ** 18n;
+
+/**
+ * Read every value executeTransfer depends on, all at the same block so a block mined
+ * between reads cannot mix two states
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI (see abi.js)
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @param {number} latestBlock - Block to read at (defaults to the current head)
+ * @returns {Promise<Object>} Contract state as bigints, plus the block the transfer would land in
+ */
+async function readSimulationState(contract, provider, latestBlock) {
+  if (latestBlock === undefined) {
+    latestBlock = await provider.getBlockNumber();
+  }
+  const at = { blockTag: latestBlock };
+  const [coldkeys, proportions] = await contract.getAllRecipients(at);
+
+  return {
+    // A transaction sent now is included in the next block
+    blockNumber: BigInt(latestBlock) + 1n,
+    principalLocked: await contract.principalLocked(at),
+    previousBalance: await contract.previousBalance(at),
+    lastTransferBlock: await contract.lastTransferBlock(at),
+    lastRewardRate: await contract.lastRewardRate(at),
+    lastPaymentAmount: await contract.lastPaymentAmount(at),
+    lastValidatorCheckBlock: await contract.lastValidatorCheckBlock(at),
+    currentBalance: await contract.getStakedBalance(at),
+    recipients: coldkeys.map((coldkey, i) => ({ coldkey, proportion: BigInt(proportions[i]) }))
+  };
+}
+
+/**
+ * Reproduce SaintDurbin.executeTransfer() in JS
+ * @param {Object} state - State from readSimulationState
+ * @returns {Object} Predicted outcome, principal detection details and per-recipient amounts
+ */
+function predictTransfer(state) {
+  const prediction = {
+    outcome: null,
+    blockNumber: state.blockNumber,
+    validatorCheckDue: state.blockNumber >= state.lastValidatorCheckBlock + VALIDATOR_CHECK_INTERVAL,
+    usedLastPaymentFallback: false,
+    availableYield: 0n,
+    blocksSinceLastTransfer: state.blockNumber - state.lastTransferBlock,
+    principalDetection: {
+      evaluated: false,
+      triggered: false,
+      rateBased: false,
+      absolute: false,
+      currentRate: null,
+      lastRewardRate: state.lastRewardRate,
+      detectedPrincipal: 0n,
+      newPrincipalLocked: state.principalLocked
+    },
+    newRewardRate: state.lastRewardRate,
+    recipients: [],
+    totalTransferred: 0n
+  };
+
+  if (state.blockNumber < state.lastTransferBlock + MIN_BLOCK_INTERVAL) {
+    prediction.outcome = 'too-soon';
+    return prediction;
+  }
+
+  const { currentBalance, principalLocked, lastPaymentAmount, previousBalance, lastRewardRate } = state;
+  const blocksSince = prediction.blocksSinceLastTransfer;
+  let availableYield;
+
+  if (currentBalance <= principalLocked) {
+    if (lastPaymentAmount > 0n) {
+      availableYield = lastPaymentAmount;
+      prediction.usedLastPaymentFallback = true;
+    } else {
+      prediction.outcome = 'no-yield';
+      return prediction;
+    }
+  } else {
+    availableYield = currentBalance - principalLocked;
+  }
+
+  if (lastPaymentAmount > 0n && previousBalance > 0n && currentBalance > principalLocked) {
+    const currentRate = (availableYield * RATE_PRECISION) / blocksSince;
+    const detection = prediction.principalDetection;
+    detection.evaluated = true;
+    detection.currentRate = currentRate;
+    detection.rateBased = lastRewardRate > 0n && currentRate > lastRewardRate * RATE_MULTIPLIER_THRESHOLD;
+    detection.absolute = availableYield > lastPaymentAmount * 3n;
+
+    if (detection.rateBased || detection.absolute) {
+      detection.triggered = true;
+      detection.detectedPrincipal = availableYield - lastPaymentAmount;
+      detection.newPrincipalLocked = principalLocked + detection.detectedPrincipal;
+      availableYield = lastPaymentAmount;
+    }
+
+    prediction.newRewardRate = currentRate;
+  } else if (currentBalance > principalLocked && blocksSince > 0n) {
+    prediction.newRewardRate = (availableYield * RATE_PRECISION) / blocksSince;
+  }
+
+  prediction.availableYield = availableYield;
+
+  if (availableYield < EXISTENTIAL_AMOUNT) {
+    prediction.outcome = 'below-existential';
+    return prediction;
+  }
+
+  let remainingYield = availableYield;
+  state.recipients.forEach((recipient, i) => {
+    let amount;
+    if (i === state.recipients.length - 1) {
+      // Last recipient receives the remainder so no dust is left behind
+      amount = remainingYield;
+    } else {
+      amount = (availableYield * recipient.proportion) / BASIS_POINTS;
+      remainingYield -= amount;
+    }
+    prediction.recipients.push({ coldkey: recipient.coldkey, proportion: recipient.proportion, amount });
+    prediction.totalTransferred += amount;
+  });
+
+  prediction.outcome = 'transfer';
+  return prediction;
+}
+
+/**
+ * Predict the next distribution and cross-check it with a staticCall
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI (see abi.js)
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @returns {Promise<Object>} Result object with prediction and cross-check
+ */
+async function simulateDistribution(contract, provider) {
+  const result = {
+    success: false,
+    state: null,
+    prediction: null,
+    crossCheck: {
+      success: null,
+      error: null,
+      decodedError: null,
+      consistent: null
+    },
+    error: null
+  };
+
+  try {
+    // The cross-check must run against the state the prediction was made from
+    const latestBlock = await provider.getBlockNumber();
+    result.state = await readSimulationState(contract, provider, latestBlock);
+    result.prediction = predictTransfer(result.state);
+
+    try {
+      await contract.executeTransfer.staticCall({ blockTag: latestBlock });
+      result.crossCheck.success = true;
+    } catch (error) {
+      result.crossCheck.success = false;
+      result.crossCheck.decodedError = decodeContractError(error);
+      result.crossCheck.error = result.crossCheck.decodedError
+        ? describeError(error, result.crossCheck.decodedError)
+        : error.shortMessage || error.message;
+    }
+
+    // executeTransfer only reverts when it is too soon, and then with TransferTooSoon
+    const { decodedError } = result.crossCheck;
+    result.crossCheck.consistent = result.prediction.outcome === 'too-soon'
+      ? !result.crossCheck.success && (!decodedError || decodedError.name === 'TransferTooSoon')
+      : result.crossCheck.success;
+    result.success = true;
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Print a simulation result
+ * @param {Object} simulation - Result from simulateDistribution
+ */
+function printSimulation(simulation) {
+  const tao = (amount) => ethers.formatUnits(amount, 9);
+
+  if (!simulation.success) {
+    console.error('❌ Simulation failed!\nError:', simulation.error);
+    return;
+  }
+
+  const { state, prediction, crossCheck } = simulation;
+  console.log('Dry run for block', prediction.blockNumber.toString());
+  console.log('  Staked balance:', tao(state.currentBalance), 'TAO');
+  console.log('  Principal locked:', tao(state.principalLocked), 'TAO');
+  console.log('  Last payment:', tao(state.lastPaymentAmount), 'TAO');
+  console.log('  Blocks since last transfer:', prediction.blocksSinceLastTransfer.toString());
+  if (prediction.validatorCheckDue) {
+    console.log('  Validator check due: the contract may switch validators before paying out');
+  }
+
+  switch (prediction.outcome) {
+  case 'too-soon':
+    console.log('⏳ Transfer would revert with TransferTooSoon');
+    break;
+  case 'no-yield':
+    console.log('⏭️  Skipped: no yield and no previous payment to fall back to');
+    break;
+  case 'below-existential':
+    console.log(`⏭️  Skipped: yield ${tao(prediction.availableYield)} TAO is below the 1 TAO existential amount`);
+    break;
+  default:
+    break;
+  }
+
+  if (prediction.usedLastPaymentFallback) {
+    console.log('⚠️  Balance is at or below principal; the contract falls back to the last payment amount');
+  }
+
+  const detection = prediction.principalDetection;
+  if (detection.triggered) {
+    console.log('⚠️  Principal detection will trigger:', [
+      detection.rateBased ? 'rate more than 2x last rate' : null,
+      detection.absolute ? 'yield more than 3x last payment' : null
+    ].filter(Boolean).join(', '));
+    console.log('  Reclassified as principal:', tao(detection.detectedPrincipal), 'TAO');
+    console.log('  Payout clipped to last payment:', tao(prediction.availableYield), 'TAO');
+  }
+
+  if (prediction.outcome === 'transfer') {
+    console.log('Predicted payouts:');
+    for (const recipient of prediction.recipients) {
+      console.log(`  ${getAddressBook().format(recipient.coldkey)} (${recipient.proportion} bps): ${tao(recipient.amount)} TAO`);
+    }
+    console.log('  Total:', tao(prediction.totalTransferred), 'TAO');
+  }
+
+  console.log('staticCall cross-check:', crossCheck.success ? 'succeeds' : `reverts (${crossCheck.error})`,
+    crossCheck.consistent ? '✅ consistent' : '❌ inconsistent with prediction');
+}
+
+module.exports = {
+  readSimulationState,
+  predictTransfer,
+  simulateDistribution,
+  printSimulation
+};
\ No newline at end of file
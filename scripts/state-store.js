@@ -0,0 +1,144 @@
+// scripts/state-store.js
+const fs = require('fs');
+const path = require('path');
+
+// State of a contract that has never been run against
+const EMPTY_RUN_STATE = {
+  runCount: 0,
+  lastRunAt: null,
+  lastOutcome: null,
+  lastTransactionHash: null,
+  lastError: null,
+  lastValidatorCheckBlock: null,
+  lastValidatorCheckAt: null
+};
+
+/**
+ * Outcome of a distribution run
+ * @param {Object} result - Result from executeDistribution
+ * @returns {string} 'distributed', 'not-ready' or 'failed'
+ */
+function getRunOutcome(result) {
+  if (result.success) return 'distributed';
+  return result.error ? 'failed' : 'not-ready';
+}
+
+/**
+ * Fold a distribution run into a contract's run state
+ * @param {Object} previous - Run state before the run
+ * @param {Object} result - Result from executeDistribution
+ * @param {Object} details - Run details
+ * @param {number} details.runCount - Run count including this run
+ * @param {number|null} details.validatorCheckBlock - Block of the validator check this run made, if any
+ * @param {Date} details.now - Time of the run
+ * @returns {Object} New run state
+ */
+function recordRun(previous, result, details) {
+  const { runCount, validatorCheckBlock = null, now = new Date() } = details;
+  const checked = validatorCheckBlock !== null;
+
+  return {
+    ...previous,
+    runCount,
+    lastRunAt: now.toISOString(),
+    lastOutcome: getRunOutcome(result),
+    lastTransactionHash: result.transactionHash || previous.lastTransactionHash,
+    lastError: result.error || null,
+    lastValidatorCheckBlock: checked ? validatorCheckBlock : previous.lastValidatorCheckBlock,
+    lastValidatorCheckAt: checked ? now.toISOString() : previous.lastValidatorCheckAt
+  };
+}
+
+/**
+ * Create a store keeping each contract's run state in a JSON file, so periodic work
+ * such as the validator check interval survives between one-shot runs
+ * @param {string} filePath - State file
+ * @param {Object} options - Store options
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Object} Store with get and update
+ */
+function createRunStateStore(filePath, options = {}) {
+  const { silent = false } = options;
+  const error = silent ? () => {} : console.error;
+
+  /**
+   * Read every contract's state. A corrupt or truncated file is moved aside and every
+   * contract starts again from EMPTY_RUN_STATE, so one bad write cannot stop distributions.
+   * @returns {Object} States keyed by lower-case contract address
+   */
+  function readAll() {
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+
+    let data;
+    try {
+      data = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+      throw new Error(`Cannot read run state ${filePath}: ${err.message}`);
+    }
+
+    try {
+      const parsed = JSON.parse(data);
+      if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('expected a JSON object');
+      }
+      return parsed.contracts || {};
+    } catch (err) {
+      const asidePath = `${filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(filePath, asidePath);
+      error(`⚠️  Run state ${filePath} is corrupt (${err.message}); moved it to ${asidePath} and starting from an empty state`);
+      return {};
+    }
+  }
+
+  return {
+    filePath,
+
+    /**
+     * Run state of a contract
+     * @param {string} contractAddress - Contract address
+     * @returns {Object} Run state (EMPTY_RUN_STATE for a new contract)
+     */
+    get(contractAddress) {
+      return { ...EMPTY_RUN_STATE, ...readAll()[contractAddress.toLowerCase()] };
+    },
+
+    /**
+     * Replace a contract's run state. The file is written to a temporary path and
+     * renamed so a crash never leaves it half-written.
+     * @param {string} contractAddress - Contract address
+     * @param {Object} state - New run state
+     * @returns {Object} The saved state
+     */
+    update(contractAddress, state) {
+      const contracts = readAll();
+      contracts[contractAddress.toLowerCase()] = state;
+
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      try {
+        // Flush before the rename so a crash cannot leave a renamed but empty file
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+          fs.writeSync(fd, JSON.stringify({ contracts }, null, 2));
+          fs.fsyncSync(fd);
+        } finally {
+          fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, filePath);
+      } catch (err) {
+        fs.rmSync(tmpPath, { force: true });
+        throw err;
+      }
+      return state;
+    }
+  };
+}
+
+module.exports = {
+  EMPTY_RUN_STATE,
+  getRunOutcome,
+  recordRun,
+  createRunStateStore
+};
\ No newline at end of file
@@ -0,0 +1,412 @@
+// scripts/statements.js
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('./abi');
+const { INDEXER_CONFIG, openEventStore, indexEvents } = require('./indexer');
+const { createProviderFromEnv } = require('./rpc');
+const { getAddressBook } = require('./address-book');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+const STATEMENT_EVENTS = ['RecipientTransfer', 'TransferFailed'];
+
+const CSV_COLUMNS = [
+  'coldkey',
+  'type',
+  'block',
+  'date',
+  'transaction',
+  'amount_tao',
+  'proportion_bps',
+  'running_total_tao',
+  'reason',
+  'coldkey_ss58',
+  'label'
+];
+
+/**
+ * Format a rao amount as TAO (9 decimals)
+ * @param {bigint|string} amount - Amount in rao
+ * @returns {string} Amount in TAO
+ */
+function formatTao(amount) {
+  return ethers.formatUnits(BigInt(amount), 9);
+}
+
+/**
+ * Resolve a date range into inclusive unix timestamps (UTC)
+ * @param {Object} range - Range options
+ * @param {string} range.fromDate - First day, YYYY-MM-DD
+ * @param {string} range.toDate - Last day, YYYY-MM-DD (inclusive)
+ * @param {number|string} range.year - Calendar year shortcut
+ * @returns {Object} { fromTimestamp, toTimestamp } (either may be null)
+ */
+function resolveDateRange({ fromDate, toDate, year } = {}) {
+  if (year !== undefined && year !== null) {
+    fromDate = `${year}-01-01`;
+    toDate = `${year}-12-31`;
+  }
+
+  const parse = (value, endOfDay) => {
+    if (!value) return null;
+    const ms = Date.parse(`${value}T${endOfDay ? '23:59:59' : '00:00:00'}Z`);
+    if (Number.isNaN(ms)) {
+      throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+    }
+    return Math.floor(ms / 1000);
+  };
+
+  return {
+    fromTimestamp: parse(fromDate, false),
+    toTimestamp: parse(toDate, true)
+  };
+}
+
+/**
+ * Build per-recipient statements from payout events
+ * @param {Object} params - Statement inputs
+ * @param {Array<Object>} params.recipients - Array of { coldkey, proportion }
+ * @param {Array<Object>} params.events - RecipientTransfer / TransferFailed events from the event store
+ * @param {Object} params.period - Period description copied onto each statement
+ * @returns {Array<Object>} One statement per coldkey
+ */
+function buildStatements({ recipients, events, period = {} }) {
+  const statements = new Map();
+
+  const statementFor = (coldkey, proportion) => {
+    const key = coldkey.toLowerCase();
+    if (!statements.has(key)) {
+      statements.set(key, {
+        coldkey: key,
+        proportion: proportion !== undefined ? Number(proportion) : null,
+        period,
+        payouts: [],
+        failures: [],
+        totals: {
+          paid: '0',
+          paidTao: formatTao(0n),
+          failed: '0',
+          failedTao: formatTao(0n),
+          payoutCount: 0,
+          failureCount: 0
+        }
+      });
+    }
+    return statements.get(key);
+  };
+
+  for (const recipient of recipients) {
+    statementFor(recipient.coldkey, recipient.proportion);
+  }
+
+  for (const event of events) {
+    const statement = statementFor(event.args.coldkey);
+    const amount = BigInt(event.args.amount);
+    const item = {
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      date: event.timestamp ? new Date(event.timestamp * 1000).toISOString() : null,
+      transactionHash: event.transactionHash,
+      amount: amount.toString(),
+      amountTao: formatTao(amount)
+    };
+
+    if (event.name === 'RecipientTransfer') {
+      const paid = BigInt(statement.totals.paid) + amount;
+      statement.totals.paid = paid.toString();
+      statement.totals.paidTao = formatTao(paid);
+      statement.totals.payoutCount++;
+      statement.payouts.push({
+        ...item,
+        proportion: Number(event.args.proportion),
+        runningTotal: paid.toString(),
+        runningTotalTao: formatTao(paid)
+      });
+    } else if (event.name === 'TransferFailed') {
+      const failed = BigInt(statement.totals.failed) + amount;
+      statement.totals.failed = failed.toString();
+      statement.totals.failedTao = formatTao(failed);
+      statement.totals.failureCount++;
+      statement.failures.push({ ...item, reason: event.args.reason });
+    }
+  }
+
+  return Array.from(statements.values());
+}
+
+/**
+ * Escape a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render statements as CSV, one row per payout or failed transfer
+ * @param {Array<Object>} statements - Statements from buildStatements
+ * @returns {string} CSV document
+ */
+function formatStatementsCsv(statements) {
+  const book = getAddressBook();
+  const rows = [CSV_COLUMNS.join(',')];
+
+  for (const statement of statements) {
+    const entry = book.lookup(statement.coldkey);
+    const items = [
+      ...statement.payouts.map(p => ({ ...p, type: 'payout' })),
+      ...statement.failures.map(f => ({ ...f, type: 'failed' }))
+    ].sort((a, b) => a.blockNumber - b.blockNumber);
+
+    for (const item of items) {
+      rows.push([
+        statement.coldkey,
+        item.type,
+        item.blockNumber,
+        item.date,
+        item.transactionHash,
+        item.amountTao,
+        item.type === 'payout' ? item.proportion : statement.proportion,
+        item.type === 'payout' ? item.runningTotalTao : '',
+        item.reason || '',
+        book.toSs58(statement.coldkey),
+        entry ? entry.name : ''
+      ].map(csvCell).join(','));
+    }
+  }
+
+  return rows.join('\n') + '\n';
+}
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a single statement as a printable HTML page (print to PDF from a browser)
+ * @param {Object} statement - Statement from buildStatements
+ * @returns {string} HTML document
+ */
+function formatStatementHtml(statement) {
+  const book = getAddressBook();
+  const entry = book.lookup(statement.coldkey);
+  const periodLabel = [statement.period.from, statement.period.to].filter(Boolean).join(' – ') || 'All time';
+
+  const payoutRows = statement.payouts.map(p => `
+        <tr><td>${escapeHtml(p.date)}</td><td>${p.blockNumber}</td><td>${escapeHtml(p.transactionHash)}</td>` +
+    `<td class="num">${p.amountTao}</td><td class="num">${p.proportion}</td><td class="num">${p.runningTotalTao}</td></tr>`).join('');
+
+  const failureRows = statement.failures.map(f => `
+        <tr><td>${escapeHtml(f.date)}</td><td>${f.blockNumber}</td><td>${escapeHtml(f.transactionHash)}</td>` +
+    `<td class="num">${f.amountTao}</td><td colspan="2">${escapeHtml(f.reason)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>SaintDurbin payout statement ${escapeHtml(entry ? entry.name : book.toSs58(statement.coldkey))}</title>
+    <style>
+      body { font-family: sans-serif; font-size: 12px; margin: 2em; }
+      table { border-collapse: collapse; width: 100%; margin-bottom: 2em; }
+      th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+      td.num { text-align: right; font-family: monospace; }
+      @media print { body { margin: 0; } }
+    </style>
+  </head>
+  <body>
+    <h1>SaintDurbin Payout Statement</h1>
+    <p>Coldkey: ${entry ? `${escapeHtml(entry.name)} ` : ''}<code>${escapeHtml(book.toSs58(statement.coldkey))}</code> (<code>${escapeHtml(statement.coldkey)}</code>)</p>
+    <p>Proportion: ${statement.proportion ?? 'n/a'} bps</p>
+    <p>Period: ${escapeHtml(periodLabel)}</p>
+    <h2>Payouts</h2>
+    <table>
+      <thead>
+        <tr><th>Date (UTC)</th><th>Block</th><th>Transaction</th><th>Amount (TAO)</th><th>Proportion (bps)</th><th>Running total (TAO)</th></tr>
+      </thead>
+      <tbody>${payoutRows}
+      </tbody>
+    </table>
+    <h2>Failed transfers</h2>
+    <table>
+      <thead>
+        <tr><th>Date (UTC)</th><th>Block</th><th>Transaction</th><th>Amount (TAO)</th><th colspan="2">Reason</th></tr>
+      </thead>
+      <tbody>${failureRows}
+      </tbody>
+    </table>
+    <h2>Totals</h2>
+    <p>Paid: ${statement.totals.paidTao} TAO in ${statement.totals.payoutCount} payouts</p>
+    <p>Failed: ${statement.totals.failedTao} TAO in ${statement.totals.failureCount} transfers</p>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Generate payout statements for a block or date range
+ * @param {ethers.Contract} contract - The SaintDurbin contract instance
+ * @param {Object} store - Event store from openEventStore
+ * @param {Object} options - Statement options
+ * @param {number} options.fromBlock - First block (inclusive)
+ * @param {number} options.toBlock - Last block (inclusive)
+ * @param {string} options.fromDate - First day, YYYY-MM-DD
+ * @param {string} options.toDate - Last day, YYYY-MM-DD
+ * @param {number|string} options.year - Calendar year shortcut
+ * @param {string} options.coldkey - Only produce the statement for this coldkey (hex, SS58 or address book name)
+ * @returns {Promise<Object>} Result object with statements
+ */
+async function generateStatements(contract, store, options = {}) {
+  const result = {
+    success: false,
+    statements: [],
+    error: null
+  };
+
+  try {
+    const { fromTimestamp, toTimestamp } = resolveDateRange(options);
+    const contractAddress = await contract.getAddress();
+
+    const [coldkeys, proportions] = await contract.getAllRecipients();
+    const recipients = coldkeys.map((coldkey, i) => ({
+      coldkey,
+      proportion: proportions[i].toString()
+    }));
+
+    const events = store.getEvents({
+      contractAddress,
+      names: STATEMENT_EVENTS,
+      fromBlock: options.fromBlock,
+      toBlock: options.toBlock,
+      fromTimestamp,
+      toTimestamp
+    });
+
+    const period = {
+      fromBlock: options.fromBlock ?? null,
+      toBlock: options.toBlock ?? null,
+      from: fromTimestamp !== null ? new Date(fromTimestamp * 1000).toISOString().slice(0, 10) : null,
+      to: toTimestamp !== null ? new Date(toTimestamp * 1000).toISOString().slice(0, 10) : null
+    };
+
+    let statements = buildStatements({ recipients, events, period });
+    if (options.coldkey) {
+      const coldkey = getAddressBook().resolve(options.coldkey);
+      statements = statements.filter(s => s.coldkey === coldkey);
+    }
+
+    result.statements = statements;
+    result.success = true;
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Read the value following a CLI flag
+ * @param {string} flag - Flag name, e.g. '--year'
+ * @returns {string|undefined} Flag value
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const format = getArgValue('--format') || 'csv';
+  const outDir = getArgValue('--out');
+  const toNumber = (value) => (value !== undefined ? parseInt(value) : undefined);
+
+  if (!['csv', 'json', 'html'].includes(format)) {
+    console.error(`Unknown format: ${format} (expected csv, json or html)`);
+    process.exit(1);
+  }
+
+  const provider = createProviderFromEnv();
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, provider);
+  const store = await openEventStore(getArgValue('--db') || INDEXER_CONFIG.dbPath);
+
+  try {
+    // Bring the local index up to date before reporting
+    if (!process.argv.includes('--no-sync')) {
+      const sync = await indexEvents({ contract, provider, store, silent: true });
+      if (!sync.success) {
+        console.error('Failed to sync event index:', sync.error);
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    const result = await generateStatements(contract, store, {
+      fromBlock: toNumber(getArgValue('--from-block')),
+      toBlock: toNumber(getArgValue('--to-block')),
+      fromDate: getArgValue('--from-date'),
+      toDate: getArgValue('--to-date'),
+      year: getArgValue('--year'),
+      coldkey: getArgValue('--coldkey')
+    });
+
+    if (!result.success) {
+      console.error('❌ Failed to generate statements:', result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    const render = {
+      csv: (statements) => formatStatementsCsv(statements),
+      json: (statements) => JSON.stringify(getAddressBook().annotate(statements.length === 1 ? statements[0] : statements), null, 2) + '\n',
+      html: (statements) => statements.map(formatStatementHtml).join('\n')
+    }[format];
+
+    if (outDir) {
+      fs.mkdirSync(outDir, { recursive: true });
+      for (const statement of result.statements) {
+        const file = path.join(outDir, `${statement.coldkey}.${format}`);
+        fs.writeFileSync(file, render([statement]));
+        console.log('Wrote', file);
+      }
+    } else {
+      process.stdout.write(render(result.statements));
+    }
+  } finally {
+    store.close();
+  }
+}
+
+// Export functions for testing
+module.exports = {
+  resolveDateRange,
+  buildStatements,
+  formatStatementsCsv,
+  formatStatementHtml,
+  generateStatements,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,385 @@
+// scripts/status-server.js
+const http = require('http');
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('./abi');
+const { getDrainState, classifyDrainState } = require('./drain-watchdog');
+const { INDEXER_CONFIG, openEventStore, indexEvents } = require('./indexer');
+const { createProviderFromEnv } = require('./rpc');
+const { getAddressBook } = require('./address-book');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for the status API
+const STATUS_CONFIG = {
+  // Port and interface to listen on (local only by default)
+  port: parseInt(process.env.STATUS_PORT || '8080'),
+  host: process.env.STATUS_HOST || '127.0.0.1',
+
+  // Serve cached contract reads for this long (ms); about one block
+  cacheTtl: parseInt(process.env.STATUS_CACHE_TTL || '12000'),
+
+  // Access-Control-Allow-Origin for a browser frontend; no CORS header unless set
+  corsOrigin: process.env.STATUS_CORS_ORIGIN || null,
+
+  // Default and maximum number of events returned by /history
+  historyLimit: 50,
+  maxHistoryLimit: 500
+};
+
+/**
+ * Distribution status for /status
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @returns {Promise<Object>} Status
+ */
+async function readStatus(contract, provider) {
+  const [
+    blockNumber,
+    stakedBalance,
+    principalLocked,
+    availableRewards,
+    nextTransferAmount,
+    blocksUntilNextTransfer,
+    canExecuteTransfer,
+    lastTransferBlock,
+    lastPaymentAmount
+  ] = await Promise.all([
+    provider.getBlockNumber(),
+    contract.getStakedBalance(),
+    contract.principalLocked(),
+    contract.getAvailableRewards(),
+    contract.getNextTransferAmount(),
+    contract.blocksUntilNextTransfer(),
+    contract.canExecuteTransfer(),
+    contract.lastTransferBlock(),
+    contract.lastPaymentAmount()
+  ]);
+
+  return {
+    contractAddress: await contract.getAddress(),
+    blockNumber,
+    stakedBalance,
+    stakedBalanceTao: ethers.formatUnits(stakedBalance, 9),
+    principalLocked,
+    principalLockedTao: ethers.formatUnits(principalLocked, 9),
+    availableRewards,
+    availableRewardsTao: ethers.formatUnits(availableRewards, 9),
+    nextTransferAmount,
+    nextTransferAmountTao: ethers.formatUnits(nextTransferAmount, 9),
+    canExecuteTransfer,
+    blocksUntilNextTransfer,
+    nextTransferBlock: BigInt(blockNumber) + blocksUntilNextTransfer,
+    lastTransferBlock,
+    lastPaymentAmount,
+    lastPaymentAmountTao: ethers.formatUnits(lastPaymentAmount, 9)
+  };
+}
+
+/**
+ * Recipients and their shares for /recipients
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI
+ * @returns {Promise<Object>} { count, recipients: [{ index, coldkey, proportion, percent }] }
+ */
+async function readRecipients(contract) {
+  const [coldkeys, proportions] = await contract.getAllRecipients();
+  return {
+    count: coldkeys.length,
+    recipients: coldkeys.map((coldkey, index) => ({
+      index,
+      coldkey,
+      proportion: Number(proportions[index]),
+      percent: Number(proportions[index]) / 100
+    }))
+  };
+}
+
+/**
+ * Current validator for /validator
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI
+ * @returns {Promise<Object>} { netuid, hotkey, uid, isValid, lastValidatorCheckBlock }
+ */
+async function readValidator(contract) {
+  const [[hotkey, uid, isValid], netuid, lastValidatorCheckBlock] = await Promise.all([
+    contract.getCurrentValidatorInfo(),
+    contract.netuid(),
+    contract.lastValidatorCheckBlock()
+  ]);
+  return {
+    netuid: Number(netuid),
+    hotkey,
+    uid: Number(uid),
+    isValid,
+    lastValidatorCheckBlock
+  };
+}
+
+/**
+ * Emergency drain state for /emergency
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @returns {Promise<Object>} Drain state from getDrainState plus its alert level
+ */
+async function readEmergency(contract, provider) {
+  const state = await getDrainState(contract, provider);
+  return { ...state, level: classifyDrainState(state) };
+}
+
+/**
+ * Convert a value to JSON, writing bigints as decimal strings
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text
+ */
+function toJson(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+}
+
+/**
+ * Create the status API server
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @param {Object} options - Server options (defaults from STATUS_CONFIG)
+ * @param {Object} options.store - Event store from openEventStore; /history returns 503 without one
+ * @param {boolean} options.syncHistory - Index new events in the background while /history is used (at most once per cacheTtl)
+ * @param {Object} options.addressBook - Adds SS58 addresses and labels next to keys (defaults to getAddressBook())
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Object} Server with handle(path, query), sync(), start() and stop()
+ */
+function createStatusServer(contract, provider, options = {}) {
+  const config = { ...STATUS_CONFIG, ...options };
+  const { store = null, syncHistory = false, addressBook = getAddressBook(), silent = false } = config;
+  const log = silent ? () => {} : console.log;
+  const cache = new Map();
+  let lastSyncAt = 0;
+  let syncing = null;
+
+  /**
+   * Serve a cached read, refreshing it once it is older than cacheTtl
+   * @param {string} key - Cache key
+   * @param {Function} read - async () => value
+   * @returns {Promise<*>} Value
+   */
+  async function cached(key, read) {
+    const entry = cache.get(key);
+    if (entry && Date.now() - entry.at < config.cacheTtl) {
+      return entry.value;
+    }
+    const value = await read();
+    cache.set(key, { value, at: Date.now() });
+    return value;
+  }
+
+  /**
+   * Start indexing new events unless a sync is already running or ran within cacheTtl.
+   * Requests never wait for it, so a long catch-up cannot hold /history open.
+   * @returns {Promise<void>|null} The running sync, if any
+   */
+  function sync() {
+    if (!syncHistory || !store || syncing || Date.now() - lastSyncAt < config.cacheTtl) {
+      return syncing;
+    }
+    lastSyncAt = Date.now();
+    syncing = indexEvents({ contract, provider, store, silent: true })
+      .then(result => {
+        if (!result.success) {
+          log('History sync failed:', result.error);
+        }
+      })
+      .finally(() => {
+        syncing = null;
+      });
+    return syncing;
+  }
+
+  /**
+   * Indexed events, newest first
+   * @param {URLSearchParams} query - ?limit=N&event=Name
+   * @returns {Promise<Object>} { contractAddress, lastIndexedBlock, events }
+   * @throws {Error} With status 400 if limit is not a positive integer
+   */
+  async function readHistory(query) {
+    const contractAddress = await contract.getAddress();
+    sync();
+
+    const rawLimit = query.get('limit');
+    if (rawLimit !== null && !(/^\d+$/.test(rawLimit) && parseInt(rawLimit) >= 1)) {
+      // SQLite treats a negative LIMIT as no limit at all
+      const error = new Error(`limit must be a positive integer, got "${rawLimit}"`);
+      error.status = 400;
+      throw error;
+    }
+    const limit = Math.min(rawLimit !== null ? parseInt(rawLimit) : config.historyLimit, config.maxHistoryLimit);
+    const names = query.get('event') ? query.get('event').split(',') : undefined;
+    const events = store.getEvents({ contractAddress, names, newestFirst: true, limit });
+    return { contractAddress, lastIndexedBlock: store.getLastIndexedBlock(contractAddress), events };
+  }
+
+  const routes = {
+    '/status': () => cached('status', () => readStatus(contract, provider)),
+    '/recipients': () => cached('recipients', () => readRecipients(contract)),
+    '/validator': () => cached('validator', () => readValidator(contract)),
+    '/emergency': () => cached('emergency', () => readEmergency(contract, provider)),
+    '/history': (query) => readHistory(query)
+  };
+
+  /**
+   * Answer a request path
+   * @param {string} pathname - Request path, e.g. '/status'
+   * @param {URLSearchParams} query - Query parameters
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function handle(pathname, query = new URLSearchParams()) {
+    const route = routes[pathname];
+    if (!route) {
+      return { status: 404, body: { error: `Unknown endpoint ${pathname}`, endpoints: Object.keys(routes) } };
+    }
+    if (pathname === '/history' && !store) {
+      return { status: 503, body: { error: 'Event history is not available (no event store)' } };
+    }
+    try {
+      return { status: 200, body: addressBook.annotate(await route(query)) };
+    } catch (error) {
+      // Errors without a status are failed contract reads
+      return { status: error.status || 502, body: { error: error.shortMessage || error.message } };
+    }
+  }
+
+  /**
+   * Answer an HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function respond(req) {
+    if (req.method !== 'GET') {
+      return { status: 405, body: { error: 'Read-only API: only GET is supported' } };
+    }
+
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      return { status: 400, body: { error: `Invalid request path ${req.url}` } };
+    }
+    return handle(url.pathname, url.searchParams);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.corsOrigin) {
+      headers['Access-Control-Allow-Origin'] = config.corsOrigin;
+    }
+
+    // One bad request must never take the API down
+    let status;
+    let body;
+    try {
+      const result = await respond(req);
+      status = result.status;
+      body = toJson(result.body);
+    } catch (error) {
+      log('Request failed:', error.message);
+      status = 500;
+      body = toJson({ error: 'Internal error' });
+    }
+
+    res.writeHead(status, headers);
+    res.end(body);
+  });
+
+  return {
+    server,
+    handle,
+    sync,
+
+    /**
+     * Start listening and catch the event index up in the background
+     * @returns {Promise<number>} Port the server is listening on
+     */
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.port, config.host, () => {
+          const port = server.address().port;
+          log(`Status API listening on http://${config.host}:${port}`);
+          sync();
+          resolve(port);
+        });
+      });
+    },
+
+    /**
+     * Stop listening, after any running history sync has finished
+     * @returns {Promise<void>} Resolves once the server is closed
+     */
+    async stop() {
+      await new Promise(resolve => server.close(() => resolve()));
+      if (syncing) {
+        await syncing;
+      }
+    }
+  };
+}
+
+/**
+ * Get a CLI flag's value
+ * @param {string} flag - Flag name, e.g. '--port'
+ * @returns {string|undefined} Flag value
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const provider = createProviderFromEnv();
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, provider);
+
+  // History comes from the event indexer's database; skip it with --no-history
+  const store = process.argv.includes('--no-history')
+    ? null
+    : await openEventStore(getArgValue('--db') || INDEXER_CONFIG.dbPath);
+
+  const statusServer = createStatusServer(contract, provider, {
+    port: getArgValue('--port') !== undefined ? parseInt(getArgValue('--port')) : STATUS_CONFIG.port,
+    store,
+    syncHistory: store !== null && !process.argv.includes('--no-sync')
+  });
+
+  console.log('SaintDurbin Status API');
+  console.log('Contract:', process.env.CONTRACT_ADDRESS);
+  await statusServer.start();
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+
+  await statusServer.stop();
+  if (store) {
+    store.close();
+  }
+}
+
+// Export functions for testing
+module.exports = {
+  STATUS_CONFIG,
+  readStatus,
+  readRecipients,
+  readValidator,
+  readEmergency,
+  createStatusServer,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  encodeSs58,
+  decodeSs58,
+  loadAddressLabels,
+  createAddressBook
+} = require('../address-book');
+const { createNotifier } = require('../notifications');
+
+// Well-known Substrate development key (Alice)
+const ALICE = '0xd43593c715fdd31c61141abd04a99fd6822c8558854ccde39a5684e7a56da27d';
+const ALICE_SS58 = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+const HOTKEY = '0x' + '0a'.repeat(32);
+
+describe('SaintDurbin Address Book', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'address-book-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('SS58', function() {
+    it('should convert between bytes32 and SS58 with the network prefix', function() {
+      expect(encodeSs58(ALICE)).to.equal(ALICE_SS58);
+      expect(encodeSs58(ALICE, 0)).to.equal('15oF4uVJwmo4TdGW7VfQxNLavjCXviqxT9S1MgbjMNHr6Sp5');
+      expect(decodeSs58(ALICE_SS58)).to.deep.equal({ publicKey: ALICE, prefix: 42 });
+      expect(decodeSs58(encodeSs58(HOTKEY, 1221))).to.deep.equal({ publicKey: HOTKEY, prefix: 1221 });
+    });
+
+    it('should reject addresses with a bad checksum or length', function() {
+      expect(() => decodeSs58(ALICE_SS58.slice(0, -1) + 'Z')).to.throw('checksum mismatch');
+      expect(() => decodeSs58(ALICE_SS58.slice(0, -4))).to.throw('expected a 32-byte public key');
+      expect(() => decodeSs58('0xnot-base58')).to.throw('not base58');
+    });
+  });
+
+  describe('labels', function() {
+    it('should load names for SS58 and hex addresses and list every problem', function() {
+      const file = path.join(dir, 'address-book.yaml');
+      fs.writeFileSync(file, `recipients:\n  Sam: ${ALICE_SS58}\nvalidators:\n  Foundry: '${HOTKEY}'\n`);
+      expect(loadAddressLabels(file)).to.deep.equal({ recipients: { Sam: ALICE }, validators: { Foundry: HOTKEY } });
+
+      fs.writeFileSync(file, `recipients:\n  Sam: ${ALICE_SS58}\n  WSL: 5Bogus\ndrain:\n  Multisig: '${ALICE}'\nfriends:\n  Bob: ${ALICE_SS58}\n`);
+      let error;
+      try {
+        loadAddressLabels(file);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.problems).to.have.lengthOf(3);
+      expect(error.problems[0]).to.include('recipients.WSL: Invalid SS58 address 5Bogus');
+      expect(error.problems[1]).to.equal('drain.Multisig: same key as recipients.Sam');
+      expect(error.problems[2]).to.include('friends: unknown category');
+    });
+
+    it('should format, resolve and annotate keys', function() {
+      const book = createAddressBook({ labels: { recipients: { Sam: ALICE } } });
+
+      expect(book.format(ALICE.toUpperCase().replace('0X', '0x'))).to.equal(`Sam (${ALICE_SS58})`);
+      expect(book.format(HOTKEY)).to.equal(encodeSs58(HOTKEY));
+      expect(book.format(null)).to.be.null;
+      expect(book.resolve('sam')).to.equal(ALICE);
+      expect(book.resolve(ALICE_SS58)).to.equal(ALICE);
+
+      const annotated = book.annotate({ recipients: [{ coldkey: ALICE, amount: 5n }], transactionHash: HOTKEY });
+      expect(annotated.recipients[0]).to.deep.equal({ coldkey: ALICE, coldkeySs58: ALICE_SS58, coldkeyLabel: 'Sam', amount: 5n });
+      expect(annotated.transactionHash).to.equal(HOTKEY);
+    });
+
+    it('should show names in notification text and webhook data', async function() {
+      const sent = [];
+      const notifier = createNotifier({
+        channels: [{ name: 'webhook', send: async (message) => { sent.push(message); } }],
+        addressBook: createAddressBook({ labels: { validators: { Foundry: HOTKEY } } }),
+        silent: true
+      });
+
+      await notifier.notify('validatorSwitched', { oldHotkey: HOTKEY, newHotkey: ALICE, newUid: '3', reason: 'Validator inactive' });
+
+      expect(sent[0].text).to.include(`Old: Foundry (${encodeSs58(HOTKEY)})\nNew: ${ALICE_SS58}`);
+      expect(sent[0].data).to.include({ oldHotkey: HOTKEY, oldHotkeyLabel: 'Foundry', newHotkeySs58: ALICE_SS58 });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,163 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const http = require('http');
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('../abi');
+const { EXIT_CODES, COMMANDS, parseArgs, run } = require('../cli');
+
+const CONTRACT = '0x' + 'ab'.repeat(20);
+const HOTKEY = '0x' + '0a'.repeat(32);
+
+/**
+ * Collect what a command writes to a stream
+ */
+function captureStream() {
+  const stream = { text: '', write(chunk) { stream.text += chunk; } };
+  return stream;
+}
+
+/**
+ * Local stand-in RPC node answering SaintDurbin view calls from `results`,
+ * batched or not
+ */
+function startNode(results) {
+  const iface = new ethers.Interface(SAINTDURBIN_FULL_ABI);
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      const replies = (Array.isArray(request) ? request : [request]).map(({ id, method, params }) => {
+        let reply;
+        if (method === 'eth_chainId') {
+          reply = { result: '0x3c4' };
+        } else if (method === 'eth_call') {
+          const fragment = iface.getFunction(params[0].data.slice(0, 10));
+          reply = { result: iface.encodeFunctionResult(fragment, results[fragment.name]) };
+        } else {
+          reply = { error: { code: -32601, message: 'method not found' } };
+        }
+        return { jsonrpc: '2.0', id, ...reply };
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(Array.isArray(request) ? replies : replies[0]));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('SaintDurbin CLI', function() {
+  let stdout;
+  let stderr;
+  let sandbox;
+
+  beforeEach(function() {
+    stdout = captureStream();
+    stderr = captureStream();
+    sandbox = sinon.createSandbox();
+    // Progress logs from the commands themselves
+    sandbox.stub(console, 'log');
+    sandbox.stub(console, 'error');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe('parseArgs', function() {
+    it('should separate subcommands, boolean flags and flag values', function() {
+      const { positionals, flags, values } = parseArgs(['--json', 'validator', 'rank', '--top', '5', '--rpc=http://node']);
+
+      expect(positionals).to.deep.equal(['validator', 'rank']);
+      expect([...flags]).to.deep.equal(['--json']);
+      expect(values).to.deep.equal({ '--top': '5', '--rpc': 'http://node' });
+    });
+  });
+
+  describe('run', function() {
+    it('should print help for every command and reject unknown ones', async function() {
+      expect(await run(['--help'], { env: {}, stdout, stderr })).to.equal(EXIT_CODES.success);
+      for (const command of COMMANDS) {
+        expect(stdout.text).to.include(command.usage);
+      }
+
+      expect(await run(['validator', 'frobnicate'], { env: {}, stdout, stderr })).to.equal(EXIT_CODES.usage);
+      expect(stderr.text).to.include('Unknown command: validator frobnicate').and.to.include('validator rank');
+    });
+
+    it('should reject flags the command does not define before doing anything', async function() {
+      const env = { RPC_URL: 'http://127.0.0.1:1', CONTRACT_ADDRESS: CONTRACT, PRIVATE_KEY: '11'.repeat(32) };
+
+      expect(await run(['distribute', '--dryrun'], { env, stdout, stderr })).to.equal(EXIT_CODES.usage);
+      expect(stderr.text).to.include('Unknown flag for distribute: --dryrun');
+      expect(await run(['drain', 'execute', '--confirm', '0x00', '--dryrun'], { env, stdout, stderr })).to.equal(EXIT_CODES.usage);
+      expect(stderr.text).to.include('Unknown flag for drain execute: --dryrun');
+      expect(await run(['status', '--jsn', 'x'], { env, stdout, stderr })).to.equal(EXIT_CODES.usage);
+      expect(await run(['recipients', '--top', '3'], { env, stdout, stderr })).to.equal(EXIT_CODES.usage);
+      expect(stderr.text).to.include('Unknown flag for recipients: --top');
+    });
+
+    it('should exit with the usage code for missing or conflicting settings', async function() {
+      expect(await run(['status'], { env: {}, stdout, stderr })).to.equal(EXIT_CODES.usage);
+      expect(stderr.text).to.include('rpcUrl: required').and.to.include('contractAddress: required');
+
+      const env = { RPC_URL: 'http://127.0.0.1:1', CONTRACT_ADDRESS: CONTRACT };
+      expect(await run(['validator', 'switch'], { env, stdout, stderr })).to.equal(EXIT_CODES.usage);
+      expect(stderr.text).to.include('privateKey: required');
+
+      expect(await run(['drain', 'request', '--json'], { env: { ...env, PRIVATE_KEY: '11'.repeat(32) }, stdout, stderr }))
+        .to.equal(EXIT_CODES.usage);
+      expect(stderr.text).to.include('needs --confirm');
+
+      expect(await run(['validator', 'rank', '--top', '0'], { env, stdout, stderr })).to.equal(EXIT_CODES.usage);
+      expect(stderr.text).to.include('--top must be an integer from 1');
+      expect(await run(['validator', 'rank', '--netuid', 'one'], { env, stdout, stderr })).to.equal(EXIT_CODES.usage);
+      expect(stderr.text).to.include('--netuid must be an integer from 0 to 65535, got "one"');
+
+      // The emergency operator's own signer settings are required for drain actions
+      const emergency = { ...env, PRIVATE_KEY: '11'.repeat(32), EMERGENCY_SIGNER_TYPE: 'remote' };
+      expect(await run(['drain', 'cancel'], { env: emergency, stdout, stderr })).to.equal(EXIT_CODES.usage);
+      expect(stderr.text).to.include('emergencyRemoteSignerUrl: required');
+    });
+
+    describe('against an RPC node', function() {
+      let server;
+      let rpc;
+
+      beforeEach(async function() {
+        server = await startNode({
+          getAllRecipients: [['0x' + '01'.repeat(32), '0x' + '02'.repeat(32)], [2500n, 7500n]],
+          getCurrentValidatorInfo: [HOTKEY, 7n, false],
+          getStakedBalance: [1010000000000n]
+        });
+        rpc = `http://127.0.0.1:${server.address().port}`;
+      });
+
+      afterEach(function() {
+        server.close();
+      });
+
+      it('should print recipients as JSON with --rpc and --contract', async function() {
+        const code = await run(['recipients', '--json', '--rpc', rpc, '--contract', CONTRACT], { env: {}, stdout, stderr });
+
+        expect(code).to.equal(EXIT_CODES.success);
+        const result = JSON.parse(stdout.text);
+        expect(result.count).to.equal(2);
+        expect(result.recipients.map(r => r.percent)).to.deep.equal([25, 75]);
+      });
+
+      it('should check the validator without a key and simulate a switch', async function() {
+        const env = { RPC_URL: rpc, CONTRACT_ADDRESS: CONTRACT };
+
+        expect(await run(['validator', 'check', '--json'], { env, stdout, stderr })).to.equal(EXIT_CODES.success);
+        const check = JSON.parse(stdout.text);
+        expect(check.currentValidator).to.include({ uid: '7', isValid: false });
+        expect(check.switchPerformed).to.be.false;
+
+        stdout.text = '';
+        expect(await run(['validator', 'switch', '--dry-run', '--json'], { env, stdout, stderr })).to.equal(EXIT_CODES.success);
+        expect(JSON.parse(stdout.text).switchResult).to.include({ skipped: true });
+      });
+    });
+  });
+});
\ No newline at end of file
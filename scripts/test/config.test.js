@@ -0,0 +1,112 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, parseFlags } = require('../config');
+
+const ADDRESS = '0x' + 'ab'.repeat(20);
+const KEY = '11'.repeat(32);
+
+describe('SaintDurbin Configuration', function() {
+  let dir;
+
+  /**
+   * Write a config file and return its path
+   */
+  function writeFile(name, contents) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  }
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('loadConfig', function() {
+    it('should prefer CLI flags over the environment over the config file', function() {
+      const file = writeFile('saintdurbin.yaml', [
+        'rpcUrl: http://file-rpc',
+        `contractAddress: "${ADDRESS}"`,
+        'validatorCheckInterval: 5'
+      ].join('\n'));
+
+      const config = loadConfig({
+        argv: ['--config', file, '--check-interval=3'],
+        env: { RPC_URL: 'http://env-rpc', PRIVATE_KEY: KEY, VALIDATOR_CHECK_INTERVAL: '4' }
+      });
+
+      expect(config.rpcUrl).to.equal('http://env-rpc');
+      expect(config.validatorCheckInterval).to.equal(3);
+      expect(config.contractAddress).to.equal('0xABaBaBaBABabABabAbAbABAbABabababaBaBABaB');
+      expect(config.privateKey).to.equal(`0x${KEY}`);
+      expect(config.sources).to.include({
+        rpcUrl: 'RPC_URL',
+        validatorCheckInterval: '--check-interval',
+        contractAddress: `contractAddress (${file})`
+      });
+    });
+
+    it('should read JSON config files named by SAINTDURBIN_CONFIG and fall back to defaults', function() {
+      const file = writeFile('saintdurbin.json', JSON.stringify({ deploymentsFile: 'deployments.json' }));
+
+      const config = loadConfig({ argv: [], env: { SAINTDURBIN_CONFIG: file, VALIDATOR_CHECK_INTERVAL: '' } });
+
+      expect(config.deploymentsFile).to.equal('deployments.json');
+      expect(config.validatorCheckInterval).to.equal(10);
+      expect(config.sources.validatorCheckInterval).to.equal('default');
+      expect(config.rpcUrl).to.be.null;
+    });
+
+    it('should report every invalid and missing setting at once', function() {
+      try {
+        loadConfig({
+          argv: ['--contract', '0x1234'],
+          env: { VALIDATOR_CHECK_INTERVAL: 'ten', PRIVATE_KEY: 'not-a-key' },
+          required: ['rpcUrl', 'contractAddress']
+        });
+        expect.fail('loadConfig should have thrown');
+      } catch (error) {
+        expect(error.problems).to.deep.equal([
+          'PRIVATE_KEY: expected 32 bytes of hex (with or without 0x)',
+          '--contract: expected a 0x-prefixed 20-byte address, got "0x1234"',
+          'VALIDATOR_CHECK_INTERVAL: expected an integer, got "ten"',
+          'rpcUrl: required; set --rpc-url, RPC_URL or rpcUrl in the config file'
+        ]);
+        expect(error.message).to.match(/^Invalid configuration:\n {2}- /);
+        expect(error.message).to.not.include('not-a-key');
+      }
+    });
+
+    it('should reject a zero check interval and unknown config file keys', function() {
+      const file = writeFile('saintdurbin.yml', 'checkInterval: 5\n');
+
+      expect(() => loadConfig({ argv: ['--config', file], env: { VALIDATOR_CHECK_INTERVAL: '0' } }))
+        .to.throw(`checkInterval (${file}): unknown setting`)
+        .and.to.have.property('problems').that.includes('VALIDATOR_CHECK_INTERVAL: must be at least 1, got 0');
+    });
+
+    it('should evaluate required settings against the merged configuration', function() {
+      const required = (settings) => (settings.deploymentsFile ? [] : ['contractAddress']);
+
+      expect(() => loadConfig({ argv: ['--deployments', 'deployments.json'], env: {}, required })).to.not.throw();
+      expect(() => loadConfig({ argv: [], env: {}, required })).to.throw('contractAddress: required');
+    });
+
+    it('should fail clearly on an unreadable config file', function() {
+      expect(() => loadConfig({ argv: ['--config', writeFile('bad.json', '{')], env: {} }))
+        .to.throw('Cannot read config file');
+    });
+  });
+
+  describe('parseFlags', function() {
+    it('should read spaced and inline values and skip bare switches', function() {
+      expect(parseFlags(['--switch', '--contract', ADDRESS, '--check-interval=2', '--dry-run']))
+        .to.deep.equal({ '--contract': ADDRESS, '--check-interval': '2' });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,149 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  getRetryDelay,
+  createDistributionDaemon
+} = require('../daemon');
+
+describe('SaintDurbin Distribution Daemon', function() {
+  let sandbox;
+  let mockContract;
+  let mockProvider;
+  let distribute;
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+
+    mockContract = {
+      blocksUntilNextTransfer: sandbox.stub()
+    };
+
+    mockProvider = {
+      on: sandbox.stub().resolves(),
+      off: sandbox.stub().resolves(),
+      getBlockNumber: sandbox.stub()
+    };
+
+    distribute = sandbox.stub();
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  function createDaemon(options = {}) {
+    return createDistributionDaemon(mockContract, mockProvider, {
+      distribute,
+      silent: true,
+      stallTimeout: 60000,
+      ...options
+    });
+  }
+
+  describe('getRetryDelay', function() {
+    it('should back off exponentially up to the maximum', function() {
+      const options = { retryBaseDelay: 1000, retryMaxDelay: 5000 };
+
+      expect(getRetryDelay(1, options)).to.equal(1000);
+      expect(getRetryDelay(2, options)).to.equal(2000);
+      expect(getRetryDelay(3, options)).to.equal(4000);
+      expect(getRetryDelay(4, options)).to.equal(5000);
+    });
+  });
+
+  describe('createDistributionDaemon', function() {
+    it('should subscribe to blocks on start and unsubscribe on stop', async function() {
+      const daemon = createDaemon();
+
+      await daemon.start();
+      expect(mockProvider.on.calledWith('block')).to.be.true;
+
+      await daemon.stop();
+      expect(mockProvider.off.calledWith('block')).to.be.true;
+    });
+
+    it('should wait for the eligible block before distributing', async function() {
+      mockContract.blocksUntilNextTransfer.resolves(3n);
+      distribute.resolves({ success: true, canExecute: true });
+
+      const daemon = createDaemon();
+      await daemon.start();
+
+      await daemon.handleBlock(100);
+      await daemon.handleBlock(102);
+      expect(daemon.getState().targetBlock).to.equal(103);
+      expect(distribute.called).to.be.false;
+
+      mockContract.blocksUntilNextTransfer.resolves(7200n);
+      await daemon.handleBlock(103);
+
+      expect(distribute.calledOnce).to.be.true;
+      expect(daemon.getState().targetBlock).to.equal(103 + 7200);
+      await daemon.stop();
+    });
+
+    it('should back off after a failed distribution', async function() {
+      mockContract.blocksUntilNextTransfer.resolves(0n);
+      distribute.resolves({ success: false, canExecute: true, error: 'RPC error' });
+
+      const daemon = createDaemon({ retryBaseDelay: 60000 });
+      await daemon.start();
+
+      await daemon.handleBlock(100);
+      await daemon.handleBlock(101);
+
+      expect(distribute.calledOnce).to.be.true;
+      expect(daemon.getState().consecutiveFailures).to.equal(1);
+      expect(daemon.getState().nextRetryAt).to.be.greaterThan(Date.now());
+      await daemon.stop();
+    });
+
+    it('should retry once the backoff has elapsed', async function() {
+      mockContract.blocksUntilNextTransfer.resolves(0n);
+      distribute.onFirstCall().resolves({ success: false, canExecute: true, error: 'RPC error' });
+      distribute.onSecondCall().resolves({ success: true, canExecute: true });
+
+      const daemon = createDaemon({ retryBaseDelay: 0 });
+      await daemon.start();
+
+      await daemon.handleBlock(100);
+      await daemon.handleBlock(101);
+
+      expect(distribute.calledTwice).to.be.true;
+      expect(daemon.getState().consecutiveFailures).to.equal(0);
+      await daemon.stop();
+    });
+
+    it('should reschedule when the transfer is not ready yet', async function() {
+      mockContract.blocksUntilNextTransfer.resolves(0n);
+      distribute.resolves({ success: false, canExecute: false, blocksRemaining: 50n, error: null });
+
+      const daemon = createDaemon();
+      await daemon.start();
+      await daemon.handleBlock(100);
+
+      expect(daemon.getState().targetBlock).to.equal(150);
+      expect(daemon.getState().consecutiveFailures).to.equal(0);
+      await daemon.stop();
+    });
+
+    it('should keep running across RPC outages and resubscribe on recovery', async function() {
+      mockContract.blocksUntilNextTransfer.resolves(10n);
+      const daemon = createDaemon({ stallTimeout: 0 });
+      await daemon.start();
+
+      mockProvider.getBlockNumber.rejects(new Error('connection refused'));
+      await daemon.checkStall();
+      expect(daemon.getState().rpcHealthy).to.be.false;
+
+      mockProvider.getBlockNumber.resolves(200);
+      mockProvider.on.resetHistory();
+      await daemon.checkStall();
+
+      expect(daemon.getState().rpcHealthy).to.be.true;
+      expect(daemon.getState().latestBlock).to.equal(200);
+      expect(mockProvider.on.calledWith('block')).to.be.true;
+      await daemon.stop();
+    });
+  });
+});
\ No newline at end of file
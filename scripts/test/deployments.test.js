@@ -0,0 +1,126 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadDeployments, runForDeployments } = require('../deployments');
+
+const ADDRESS_A = '0x' + '0a'.repeat(20);
+const ADDRESS_B = '0x' + '0b'.repeat(20);
+const ENV = {
+  RPC_URL: 'http://default-rpc',
+  PRIVATE_KEY: '11'.repeat(32),
+  PRIVATE_KEY_SN7: '0x' + '77'.repeat(32)
+};
+
+describe('SaintDurbin Deployments', function() {
+  describe('loadDeployments', function() {
+    let dir;
+
+    /**
+     * Write a deployments file and return its path
+     */
+    function writeFile(contents) {
+      const file = path.join(dir, 'deployments.json');
+      fs.writeFileSync(file, JSON.stringify(contents));
+      return file;
+    }
+
+    beforeEach(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'));
+    });
+
+    afterEach(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should resolve RPC URLs and keys from the file and environment', function() {
+      const file = writeFile({
+        rpcUrl: 'http://file-rpc',
+        deployments: [
+          { name: 'subnet-1', contractAddress: ADDRESS_A },
+          { name: 'subnet-7', contractAddress: ADDRESS_B, rpcUrl: 'http://sn7-rpc', privateKeyEnv: 'PRIVATE_KEY_SN7' }
+        ]
+      });
+
+      const deployments = loadDeployments(file, ENV);
+
+      expect(deployments).to.have.length(2);
+      expect(deployments[0]).to.include({ name: 'subnet-1', rpcUrl: 'http://file-rpc', privateKey: `0x${ENV.PRIVATE_KEY}` });
+      expect(deployments[1]).to.include({ name: 'subnet-7', rpcUrl: 'http://sn7-rpc', privateKey: ENV.PRIVATE_KEY_SN7 });
+      expect(deployments[1].contractAddress).to.equal(ethers.getAddress(ADDRESS_B));
+    });
+
+    it('should skip disabled deployments and fall back to RPC_URL', function() {
+      const file = writeFile([
+        { name: 'subnet-1', contractAddress: ADDRESS_A, enabled: false },
+        { name: 'subnet-7', contractAddress: ADDRESS_B }
+      ]);
+
+      const deployments = loadDeployments(file, ENV);
+
+      expect(deployments.map(d => d.name)).to.deep.equal(['subnet-7']);
+      expect(deployments[0].rpcUrl).to.equal('http://default-rpc');
+    });
+
+    it('should give deployments without a privateKeyEnv the configured signer', function() {
+      const signer = new ethers.Wallet('0x' + '22'.repeat(32));
+      const file = writeFile([
+        { name: 'subnet-1', contractAddress: ADDRESS_A },
+        { name: 'subnet-7', contractAddress: ADDRESS_B, privateKeyEnv: 'PRIVATE_KEY_SN7' }
+      ]);
+
+      const deployments = loadDeployments(file, { RPC_URL: ENV.RPC_URL, PRIVATE_KEY_SN7: ENV.PRIVATE_KEY_SN7 }, { signer });
+
+      expect(deployments[0].signer).to.equal(signer);
+      expect(deployments[0]).to.not.have.property('privateKey');
+      expect(deployments[1]).to.include({ privateKey: ENV.PRIVATE_KEY_SN7 }).and.to.not.have.property('signer');
+    });
+
+    it('should reject invalid addresses, duplicate names and missing or malformed keys', function() {
+      const load = (entries) => () => loadDeployments(writeFile({ deployments: entries }), ENV);
+
+      expect(load([{ name: 'a', contractAddress: '0x1234' }])).to.throw('Deployment "a" (#0): invalid contractAddress 0x1234');
+      expect(load([
+        { name: 'a', contractAddress: ADDRESS_A },
+        { name: 'a', contractAddress: ADDRESS_B }
+      ])).to.throw('Deployment "a" (#1): duplicate name');
+      expect(load([{ name: 'a', contractAddress: ADDRESS_A, privateKeyEnv: 'MISSING_KEY' }]))
+        .to.throw('environment variable MISSING_KEY is not set');
+      expect(() => loadDeployments(writeFile([{ name: 'a', contractAddress: ADDRESS_A }]), { ...ENV, PRIVATE_KEY: 'abc' }))
+        .to.throw('Deployment "a" (#0): PRIVATE_KEY expected 32 bytes of hex');
+      expect(load([])).to.throw('lists no deployments');
+      expect(() => loadDeployments(path.join(dir, 'missing.json'), ENV)).to.throw('Cannot read deployments file');
+    });
+  });
+
+  describe('runForDeployments', function() {
+    const deployments = [
+      { name: 'subnet-1', contractAddress: ADDRESS_A },
+      { name: 'subnet-2', contractAddress: ADDRESS_B },
+      { name: 'subnet-3', contractAddress: ADDRESS_A }
+    ];
+
+    it('should keep going after a deployment fails and summarize the run', async function() {
+      const task = sinon.stub();
+      task.onCall(0).rejects(new Error('RPC error'));
+      task.onCall(1).resolves({ success: false, error: 'Transaction failed' });
+      task.onCall(2).resolves({ success: true, error: null });
+
+      const run = await runForDeployments(deployments, task, { silent: true });
+
+      expect(task.callCount).to.equal(3);
+      expect(run.success).to.be.false;
+      expect(run.summary).to.deep.equal({ total: 3, succeeded: 1, failed: 2 });
+      expect(run.results.map(r => r.error)).to.deep.equal(['RPC error', 'Transaction failed', null]);
+    });
+
+    it('should count unsuccessful results without an error as succeeded', async function() {
+      const run = await runForDeployments(deployments.slice(0, 1), async () => ({ success: false, error: null }), { silent: true });
+
+      expect(run.success).to.be.true;
+      expect(run.results[0].result).to.deep.equal({ success: false, error: null });
+    });
+  });
+});
\ No newline at end of file
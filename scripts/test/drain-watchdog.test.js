@@ -0,0 +1,156 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  EMERGENCY_TIMELOCK,
+  formatDuration,
+  getDrainState,
+  classifyDrainState,
+  createDrainWatchdog
+} = require('../drain-watchdog');
+
+const REQUESTED_AT = 1700000000;
+
+describe('SaintDurbin Emergency Drain Watchdog', function() {
+  let sandbox;
+  let mockContract;
+  let mockProvider;
+  let notifier;
+
+  /**
+   * Point the mocks at a drain requested REQUESTED_AT, observed `elapsed` seconds later
+   */
+  function setElapsed(elapsed) {
+    const remaining = Math.max(REQUESTED_AT + EMERGENCY_TIMELOCK - (REQUESTED_AT + elapsed), 0);
+    mockContract.getEmergencyDrainStatus.resolves([true, BigInt(remaining)]);
+    mockContract.emergencyDrainRequestedAt.resolves(BigInt(REQUESTED_AT));
+    mockProvider.getBlock.resolves({ number: 1000 + elapsed, timestamp: REQUESTED_AT + elapsed });
+  }
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+
+    mockContract = {
+      getEmergencyDrainStatus: sandbox.stub().resolves([false, 0n]),
+      emergencyDrainRequestedAt: sandbox.stub().resolves(0n),
+      on: sandbox.stub().resolves(),
+      off: sandbox.stub().resolves()
+    };
+    mockProvider = {
+      getBlock: sandbox.stub().resolves({ number: 1000, timestamp: REQUESTED_AT })
+    };
+    notifier = { notify: sandbox.stub().resolves({ success: true }) };
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe('formatDuration', function() {
+    it('should format hours, minutes and seconds', function() {
+      expect(formatDuration(5 * 3600 + 12 * 60 + 30)).to.equal('5h 12m');
+      expect(formatDuration(600)).to.equal('10m');
+      expect(formatDuration(42)).to.equal('42s');
+    });
+  });
+
+  describe('getDrainState', function() {
+    it('should report no pending drain', async function() {
+      const state = await getDrainState(mockContract, mockProvider);
+
+      expect(state.isPending).to.be.false;
+      expect(state.executableAt).to.be.null;
+      expect(classifyDrainState(state)).to.equal('none');
+    });
+
+    it('should compute the execution time and cancel window', async function() {
+      setElapsed(3600);
+      const state = await getDrainState(mockContract, mockProvider);
+
+      expect(state.isPending).to.be.true;
+      expect(state.timeRemaining).to.equal(EMERGENCY_TIMELOCK - 3600);
+      expect(state.executableAt).to.equal(REQUESTED_AT + EMERGENCY_TIMELOCK);
+      expect(state.cancelWindowOpensAt).to.equal(REQUESTED_AT + 2 * EMERGENCY_TIMELOCK);
+      expect(state.secondsUntilCancelWindow).to.equal(2 * EMERGENCY_TIMELOCK - 3600);
+      expect(state.cancelWindowOpen).to.be.false;
+    });
+  });
+
+  describe('classifyDrainState', function() {
+    const cases = [
+      [3600, 'pending'],
+      [EMERGENCY_TIMELOCK - 6 * 3600, 'warning'],
+      [EMERGENCY_TIMELOCK - 1800, 'critical'],
+      [EMERGENCY_TIMELOCK + 60, 'executable'],
+      [2 * EMERGENCY_TIMELOCK, 'cancellable']
+    ];
+
+    for (const [elapsed, level] of cases) {
+      it(`should classify ${elapsed}s after the request as ${level}`, async function() {
+        setElapsed(elapsed);
+        expect(classifyDrainState(await getDrainState(mockContract, mockProvider))).to.equal(level);
+      });
+    }
+  });
+
+  describe('createDrainWatchdog', function() {
+    it('should alert on a new request and on each escalation only', async function() {
+      const watchdog = createDrainWatchdog(mockContract, mockProvider, { notifier, silent: true });
+
+      let result = await watchdog.poll();
+      expect(result.level).to.equal('none');
+      expect(notifier.notify.called).to.be.false;
+
+      setElapsed(60);
+      result = await watchdog.poll();
+      expect(result.alerted).to.be.true;
+      expect(notifier.notify.firstCall.args[0]).to.equal('emergencyDrainRequested');
+      expect(notifier.notify.firstCall.args[1]).to.deep.include({
+        level: 'pending',
+        executionTime: new Date((REQUESTED_AT + EMERGENCY_TIMELOCK) * 1000).toISOString()
+      });
+
+      setElapsed(120);
+      result = await watchdog.poll();
+      expect(result.alerted).to.be.false;
+
+      setElapsed(EMERGENCY_TIMELOCK - 1800);
+      result = await watchdog.poll();
+      expect(result.alerted).to.be.true;
+      expect(notifier.notify.secondCall.args[1].level).to.equal('critical');
+
+      setElapsed(2 * EMERGENCY_TIMELOCK);
+      await watchdog.poll();
+      expect(notifier.notify.thirdCall.args[1]).to.deep.include({
+        level: 'cancellable',
+        cancelWindow: 'open (anyone can cancel)'
+      });
+    });
+
+    it('should report RPC failures without throwing', async function() {
+      mockContract.getEmergencyDrainStatus.rejects(new Error('RPC error'));
+      const watchdog = createDrainWatchdog(mockContract, mockProvider, { notifier, silent: true });
+
+      const result = await watchdog.poll();
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('RPC error');
+    });
+
+    it('should subscribe to drain request events while running', async function() {
+      const watchdog = createDrainWatchdog(mockContract, mockProvider, { silent: true, pollInterval: 60000 });
+
+      await watchdog.start();
+      expect(mockContract.on.calledWith('EmergencyDrainRequested')).to.be.true;
+
+      await watchdog.stop();
+      expect(mockContract.off.calledWith('EmergencyDrainRequested')).to.be.true;
+    });
+
+    it('should reject a poll interval that is not a positive integer', function() {
+      for (const pollInterval of ['6OOOO', '0', NaN]) {
+        expect(() => createDrainWatchdog(mockContract, mockProvider, { silent: true, pollInterval }))
+          .to.throw('Invalid drain watchdog poll interval (DRAIN_WATCHDOG_INTERVAL)');
+      }
+    });
+  });
+});
\ No newline at end of file
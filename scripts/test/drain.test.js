@@ -0,0 +1,175 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  confirmDrainTarget,
+  checkDrainPreconditions,
+  runDrainAction
+} = require('../drain');
+const { encodeSs58 } = require('../address-book');
+
+const OPERATOR = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const STRANGER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const DRAIN_TARGET = '0x' + '01'.repeat(32);
+const NOW = 1700000000;
+
+describe('SaintDurbin Emergency Drain CLI', function() {
+  let sandbox;
+  let mockContract;
+  let mockProvider;
+  let txManager;
+
+  function stubAction() {
+    const fn = sandbox.stub();
+    fn.staticCall = sandbox.stub().resolves();
+    return fn;
+  }
+
+  function setPending(requestedAt, remaining) {
+    mockContract.getEmergencyDrainStatus.resolves([true, BigInt(remaining)]);
+    mockContract.emergencyDrainRequestedAt.resolves(BigInt(requestedAt));
+  }
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+
+    mockContract = {
+      runner: { getAddress: sandbox.stub().resolves(OPERATOR) },
+      getEmergencyDrainStatus: sandbox.stub().resolves([false, 0n]),
+      emergencyDrainRequestedAt: sandbox.stub().resolves(0n),
+      emergencyOperator: sandbox.stub().resolves(OPERATOR),
+      drainSs58Address: sandbox.stub().resolves(DRAIN_TARGET),
+      getStakedBalance: sandbox.stub().resolves(10000000000000n),
+      requestEmergencyDrain: stubAction(),
+      executeEmergencyDrain: stubAction(),
+      cancelEmergencyDrain: stubAction()
+    };
+    mockProvider = {
+      getBlock: sandbox.stub().resolves({ number: 5000, timestamp: NOW })
+    };
+    txManager = {
+      send: sandbox.stub().resolves({ hash: '0xdrain', receipt: { status: 1 } })
+    };
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe('confirmDrainTarget', function() {
+    it('should accept an exact (case-insensitive) match', async function() {
+      expect(await confirmDrainTarget(DRAIN_TARGET, { confirm: DRAIN_TARGET.toUpperCase() })).to.be.true;
+    });
+
+    it('should accept the SS58 address of the target', async function() {
+      expect(await confirmDrainTarget(DRAIN_TARGET, { confirm: encodeSs58(DRAIN_TARGET) })).to.be.true;
+      expect(await confirmDrainTarget(DRAIN_TARGET, { confirm: encodeSs58('0x' + '02'.repeat(32)) })).to.be.false;
+    });
+
+    it('should reject anything else', async function() {
+      const ask = sandbox.stub().resolves('0x01');
+      expect(await confirmDrainTarget(DRAIN_TARGET, { ask })).to.be.false;
+      expect(ask.calledOnce).to.be.true;
+    });
+  });
+
+  describe('checkDrainPreconditions', function() {
+    const base = {
+      emergencyOperator: OPERATOR,
+      isPending: false,
+      isExecutable: false,
+      cancelWindowOpen: false,
+      stakedBalance: '1',
+      details: { timeRemaining: '5h 0m', cancelWindow: 'opens in 29h 0m' }
+    };
+
+    it('should only let the operator request or execute', function() {
+      expect(checkDrainPreconditions('request', base, STRANGER)).to.include('not the emergency operator');
+      expect(checkDrainPreconditions('request', base, OPERATOR)).to.be.null;
+    });
+
+    it('should refuse to restart a pending timelock without force', function() {
+      const pending = { ...base, isPending: true };
+      expect(checkDrainPreconditions('request', pending, OPERATOR)).to.include('already pending');
+      expect(checkDrainPreconditions('request', pending, OPERATOR, { force: true })).to.be.null;
+    });
+
+    it('should block execution until the timelock expires', function() {
+      expect(checkDrainPreconditions('execute', { ...base, isPending: true }, OPERATOR)).to.include('Timelock has not expired');
+      expect(checkDrainPreconditions('execute', { ...base, isPending: true, isExecutable: true }, OPERATOR)).to.be.null;
+    });
+
+    it('should let anyone cancel once the permissionless window opens', function() {
+      const pending = { ...base, isPending: true };
+      expect(checkDrainPreconditions('cancel', pending, STRANGER)).to.include('Only the emergency operator');
+      expect(checkDrainPreconditions('cancel', { ...pending, cancelWindowOpen: true }, STRANGER)).to.be.null;
+    });
+  });
+
+  describe('runDrainAction', function() {
+    it('should simulate, confirm and send a drain request', async function() {
+      const result = await runDrainAction(mockContract, mockProvider, 'request', {
+        confirm: DRAIN_TARGET,
+        txManager,
+        silent: true
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.simulated).to.be.true;
+      expect(result.transactionHash).to.equal('0xdrain');
+      expect(mockContract.requestEmergencyDrain.staticCall.calledOnce).to.be.true;
+      expect(txManager.send.calledOnceWith(mockContract, 'requestEmergencyDrain')).to.be.true;
+    });
+
+    it('should abort when the confirmation does not match', async function() {
+      const result = await runDrainAction(mockContract, mockProvider, 'request', {
+        confirm: '0x' + '02'.repeat(32),
+        txManager,
+        silent: true
+      });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.include('confirmation did not match');
+      expect(txManager.send.called).to.be.false;
+    });
+
+    it('should not send when the simulation reverts', async function() {
+      setPending(NOW - 90000, 0);
+      mockContract.executeEmergencyDrain.staticCall.rejects(new Error('execution reverted'));
+
+      const result = await runDrainAction(mockContract, mockProvider, 'execute', {
+        confirm: DRAIN_TARGET,
+        txManager,
+        silent: true
+      });
+
+      expect(result.success).to.be.false;
+      expect(result.simulated).to.be.false;
+      expect(result.error).to.equal('execution reverted');
+      expect(txManager.send.called).to.be.false;
+    });
+
+    it('should refuse to execute before the timelock expires', async function() {
+      setPending(NOW - 3600, 82800);
+
+      const result = await runDrainAction(mockContract, mockProvider, 'execute', {
+        confirm: DRAIN_TARGET,
+        silent: true
+      });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.include('Timelock has not expired (23h 0m remaining)');
+      expect(mockContract.executeEmergencyDrain.staticCall.called).to.be.false;
+    });
+
+    it('should cancel without asking for the drain target', async function() {
+      setPending(NOW - 3600, 82800);
+      const ask = sandbox.stub();
+
+      const result = await runDrainAction(mockContract, mockProvider, 'cancel', { ask, txManager, silent: true });
+
+      expect(result.success).to.be.true;
+      expect(ask.called).to.be.false;
+      expect(txManager.send.calledOnceWith(mockContract, 'cancelEmergencyDrain')).to.be.true;
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { extractRevertData, decodeContractError, describeError } = require('../errors');
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * ABI-encoded revert payload for a signature and its arguments
+ */
+function revertData(signature, types = [], values = []) {
+  return ethers.concat([ethers.id(signature).slice(0, 10), coder.encode(types, values)]);
+}
+
+/**
+ * Error shaped like an ethers CALL_EXCEPTION carrying revert data
+ */
+function revertError(data) {
+  const error = new Error('execution reverted');
+  error.data = data;
+  return error;
+}
+
+describe('SaintDurbin Error Decoding', function() {
+  describe('decodeContractError', function() {
+    it('should decode custom errors with a description and suggestion', function() {
+      const decoded = decodeContractError(revertError(revertData('TimelockNotExpired()')));
+
+      expect(decoded.name).to.equal('TimelockNotExpired');
+      expect(decoded.signature).to.equal('TimelockNotExpired()');
+      expect(decoded.message).to.equal('The 24 hour emergency drain timelock has not expired');
+      expect(decoded.suggestion).to.include('getEmergencyDrainStatus()');
+    });
+
+    it('should decode require() reason strings', function() {
+      const decoded = decodeContractError(revertError(revertData('Error(string)', ['string'], ['Not authorized to cancel yet'])));
+
+      expect(decoded.name).to.equal('Error');
+      expect(decoded.args).to.deep.equal(['Not authorized to cancel yet']);
+      expect(decoded.message).to.equal('Only the emergency operator can cancel during the first 48 hours');
+    });
+
+    it('should decode panics', function() {
+      const decoded = decodeContractError(revertError(revertData('Panic(uint256)', ['uint256'], [0x11])));
+
+      expect(decoded.name).to.equal('Panic');
+      expect(decoded.args).to.deep.equal(['17']);
+      expect(decoded.message).to.equal('Arithmetic overflow or underflow');
+    });
+
+    it('should report selectors outside the ABI as unknown', function() {
+      const decoded = decodeContractError(revertError('0xdeadbeef'));
+
+      expect(decoded.name).to.be.null;
+      expect(decoded.message).to.equal('Unknown revert 0xdeadbeef');
+    });
+
+    it('should return null for errors that are not reverts', function() {
+      expect(decodeContractError(new Error('RPC error'))).to.be.null;
+    });
+  });
+
+  describe('extractRevertData', function() {
+    it('should find data nested in provider errors or only in the message', function() {
+      const data = revertData('NoPendingRequest()');
+      const nested = new Error('could not coalesce error');
+      nested.info = { error: { code: 3, message: 'execution reverted', data } };
+
+      expect(extractRevertData(nested)).to.equal(data);
+      expect(extractRevertData(new Error(`execution reverted (action="call", data="${data}")`))).to.equal(data);
+    });
+  });
+
+  describe('describeError', function() {
+    it('should combine the decoded name, message and suggestion', function() {
+      const error = revertError(revertData('TransferTooSoon()'));
+
+      expect(describeError(error)).to.equal(
+        'TransferTooSoon: The 7200-block distribution interval has not passed (Wait until blocksUntilNextTransfer() reaches 0)'
+      );
+      expect(describeError(new Error('RPC error'))).to.equal('RPC error');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,236 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('../abi');
+const { getEventListeners } = require('events');
+const {
+  INDEXER_CONFIG,
+  parseBlockNumber,
+  openEventStore,
+  indexEvents,
+  tailEvents
+} = require('../indexer');
+
+const CONTRACT_ADDRESS = '0x1234567890123456789012345678901234567890';
+const COLDKEY_A = '0x' + 'aa'.repeat(32);
+const COLDKEY_B = '0x' + 'bb'.repeat(32);
+
+/**
+ * Build an in-memory chain that answers the provider calls used by the indexer
+ */
+function createFakeChain(head) {
+  const iface = new ethers.Interface(SAINTDURBIN_FULL_ABI);
+  const chain = {
+    head,
+    logs: [],
+    hashes: new Map(),
+
+    blockHash(number) {
+      return chain.hashes.get(number) || ethers.id(`block-${number}`);
+    },
+
+    addEvent(blockNumber, name, args) {
+      const { data, topics } = iface.encodeEventLog(name, args);
+      chain.logs.push({
+        address: CONTRACT_ADDRESS,
+        blockNumber,
+        blockHash: chain.blockHash(blockNumber),
+        transactionHash: ethers.id(`tx-${blockNumber}`),
+        index: chain.logs.filter(l => l.blockNumber === blockNumber).length,
+        data,
+        topics
+      });
+    },
+
+    provider: {
+      getBlockNumber: async () => chain.head,
+      getBlock: async (number) => (number <= chain.head
+        ? { number, hash: chain.blockHash(number), timestamp: 1700000000 + number * 12 }
+        : null),
+      getLogs: async ({ fromBlock, toBlock }) =>
+        chain.logs.filter(l => l.blockNumber >= fromBlock && l.blockNumber <= toBlock)
+    }
+  };
+
+  chain.contract = new ethers.Contract(CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, chain.provider);
+  return chain;
+}
+
+describe('SaintDurbin Event Indexer', function() {
+  let chain;
+  let store;
+
+  beforeEach(async function() {
+    chain = createFakeChain(120);
+    chain.addEvent(105, 'RecipientTransfer', [COLDKEY_A, 600000000n, 6000n]);
+    chain.addEvent(105, 'TransferFailed', [COLDKEY_B, 400000000n, 'Unknown error']);
+    chain.addEvent(105, 'StakeTransferred', [600000000n, 10000000000000n]);
+    chain.addEvent(110, 'ValidatorSwitched', [COLDKEY_A, COLDKEY_B, 7n, 'Validator lost permit']);
+    store = await openEventStore(null);
+  });
+
+  afterEach(function() {
+    store.close();
+  });
+
+  describe('indexEvents', function() {
+    it('should index every event up to the confirmed head', async function() {
+      const result = await indexEvents({
+        contract: chain.contract,
+        provider: chain.provider,
+        store,
+        fromBlock: 100,
+        batchSize: 5,
+        confirmations: 2,
+        silent: true
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.fromBlock).to.equal(100);
+      expect(result.toBlock).to.equal(118);
+      expect(result.eventsIndexed).to.equal(4);
+      expect(store.getLastIndexedBlock(CONTRACT_ADDRESS)).to.equal(118);
+
+      const events = store.getEvents({ contractAddress: CONTRACT_ADDRESS });
+      expect(events.map(e => e.name)).to.deep.equal([
+        'RecipientTransfer',
+        'TransferFailed',
+        'StakeTransferred',
+        'ValidatorSwitched'
+      ]);
+      expect(events[0].args).to.deep.equal({ coldkey: COLDKEY_A, amount: '600000000', proportion: '6000' });
+      expect(events[0].timestamp).to.equal(1700000000 + 105 * 12);
+      expect(events[3].args.newUid).to.equal('7');
+    });
+
+    it('should resume from the last indexed block', async function() {
+      await indexEvents({
+        contract: chain.contract, provider: chain.provider, store, fromBlock: 100, confirmations: 0, silent: true
+      });
+
+      chain.head = 130;
+      chain.addEvent(125, 'PrincipalDetected', [5000000000n, 15000000000000n]);
+
+      const result = await indexEvents({
+        contract: chain.contract, provider: chain.provider, store, fromBlock: 100, confirmations: 0, silent: true
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.fromBlock).to.equal(121);
+      expect(result.eventsIndexed).to.equal(1);
+      expect(store.getEvents({ names: 'PrincipalDetected' })).to.have.lengthOf(1);
+    });
+
+    it('should roll back and re-index after a reorg', async function() {
+      await indexEvents({
+        contract: chain.contract, provider: chain.provider, store, fromBlock: 100, batchSize: 5, confirmations: 0, silent: true
+      });
+
+      // Blocks from 110 onward are replaced; the switch event disappears
+      for (let n = 110; n <= 120; n++) {
+        chain.hashes.set(n, ethers.id(`fork-${n}`));
+      }
+      chain.logs = chain.logs.filter(l => l.blockNumber < 110);
+
+      const result = await indexEvents({
+        contract: chain.contract, provider: chain.provider, store, fromBlock: 100, batchSize: 5, confirmations: 0, silent: true
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.reorgDetected).to.be.true;
+      expect(result.rolledBackTo).to.equal(109);
+      expect(store.getEvents({ names: 'ValidatorSwitched' })).to.have.lengthOf(0);
+      expect(store.getEvents({})).to.have.lengthOf(3);
+      expect(store.getLastIndexedBlock(CONTRACT_ADDRESS)).to.equal(120);
+    });
+
+    it('should report RPC errors without throwing', async function() {
+      chain.provider.getLogs = async () => { throw new Error('RPC error'); };
+
+      const result = await indexEvents({
+        contract: chain.contract, provider: chain.provider, store, fromBlock: 100, silent: true
+      });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('RPC error');
+      expect(store.getLastIndexedBlock(CONTRACT_ADDRESS)).to.be.null;
+    });
+
+    it('should reject a deployment block that is not a block number', async function() {
+      const deploymentBlock = INDEXER_CONFIG.deploymentBlock;
+      INDEXER_CONFIG.deploymentBlock = '12e5';
+      try {
+        const result = await indexEvents({ contract: chain.contract, provider: chain.provider, store, silent: true });
+
+        expect(result.success).to.be.false;
+        expect(result.error).to.equal('DEPLOYMENT_BLOCK must be a block number, got "12e5"');
+      } finally {
+        INDEXER_CONFIG.deploymentBlock = deploymentBlock;
+      }
+      expect(parseBlockNumber(' 100 ', '--from')).to.equal(100);
+      expect(() => parseBlockNumber('-1', '--from')).to.throw('--from must be a block number, got "-1"');
+    });
+  });
+
+  describe('openEventStore', function() {
+    it('should filter events by name, block and timestamp range', async function() {
+      await indexEvents({
+        contract: chain.contract, provider: chain.provider, store, fromBlock: 100, confirmations: 0, silent: true
+      });
+
+      expect(store.getEvents({ names: ['RecipientTransfer', 'TransferFailed'] })).to.have.lengthOf(2);
+      expect(store.getEvents({ fromBlock: 106 })).to.have.lengthOf(1);
+      expect(store.getEvents({ toTimestamp: 1700000000 + 105 * 12 })).to.have.lengthOf(3);
+
+      const all = store.getEvents({});
+      const latest = store.getEvents({ newestFirst: true, limit: 2 });
+      expect(latest).to.deep.equal(all.slice(-2).reverse());
+    });
+
+    it('should persist to disk and reopen', async function() {
+      const dbPath = path.join(os.tmpdir(), `saintdurbin-indexer-${process.pid}.sqlite`);
+      try {
+        const fileStore = await openEventStore(dbPath);
+        await indexEvents({
+          contract: chain.contract, provider: chain.provider, store: fileStore, fromBlock: 100, confirmations: 0, silent: true
+        });
+        fileStore.close();
+
+        const reopened = await openEventStore(dbPath);
+        expect(reopened.getLastIndexedBlock(CONTRACT_ADDRESS)).to.equal(120);
+        expect(reopened.getEvents({})).to.have.lengthOf(4);
+        reopened.close();
+      } finally {
+        fs.rmSync(dbPath, { force: true });
+      }
+    });
+  });
+
+  describe('tailEvents', function() {
+    it('should not leave an abort listener behind after each poll', async function() {
+      const controller = new AbortController();
+      let batches = 0;
+      let listeners = 0;
+
+      await tailEvents({
+        contract: chain.contract,
+        provider: chain.provider,
+        store,
+        fromBlock: 100,
+        confirmations: 0,
+        silent: true,
+        pollInterval: 1,
+        signal: controller.signal,
+        onBatch: () => {
+          listeners = Math.max(listeners, getEventListeners(controller.signal, 'abort').length);
+          if (++batches === 5) controller.abort();
+        }
+      });
+
+      expect(batches).to.equal(5);
+      expect(listeners).to.equal(0);
+    });
+  });
+});
\ No newline at end of file
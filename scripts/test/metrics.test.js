@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const http = require('http');
+const { createMetrics, createMetricsServer } = require('../metrics');
+
+const CONTRACT = '0x' + 'ab'.repeat(20);
+
+/**
+ * GET a path from a local server
+ */
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+describe('SaintDurbin Metrics', function() {
+  let sandbox;
+  let contract;
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    contract = {
+      getStakedBalance: sandbox.stub().resolves(1010500000000n),
+      getAvailableRewards: sandbox.stub().resolves(10500000000n),
+      principalLocked: sandbox.stub().resolves(1000000000000n),
+      blocksUntilNextTransfer: sandbox.stub().resolves(42n),
+      getCurrentValidatorInfo: sandbox.stub().resolves(['0x' + '0a'.repeat(32), 7n, true]),
+      getEmergencyDrainStatus: sandbox.stub().resolves([true, 3600n])
+    };
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe('createMetrics', function() {
+    it('should read the contract gauges and render them with labels', async function() {
+      const metrics = createMetrics({ labels: { contract: CONTRACT } });
+
+      expect(await metrics.refresh(contract)).to.be.true;
+      const text = metrics.render();
+
+      expect(text).to.include('# TYPE saintdurbin_staked_balance_tao gauge');
+      expect(text).to.include(`saintdurbin_staked_balance_tao{contract="${CONTRACT}"} 1010.5\n`);
+      expect(text).to.include(`saintdurbin_principal_locked_tao{contract="${CONTRACT}"} 1000\n`);
+      expect(text).to.include(`saintdurbin_blocks_until_next_transfer{contract="${CONTRACT}"} 42\n`);
+      expect(text).to.include(`saintdurbin_validator_uid{contract="${CONTRACT}"} 7\n`);
+      expect(text).to.include(`saintdurbin_validator_valid{contract="${CONTRACT}"} 1\n`);
+      expect(text).to.include(`saintdurbin_emergency_drain_time_remaining_seconds{contract="${CONTRACT}"} 3600\n`);
+      expect(text).to.include(`saintdurbin_up{contract="${CONTRACT}"} 1\n`);
+    });
+
+    it('should keep the last values and report up 0 when a read fails', async function() {
+      const metrics = createMetrics();
+      await metrics.refresh(contract);
+      contract.getStakedBalance.rejects(new Error('RPC error'));
+
+      expect(await metrics.refresh(contract)).to.be.false;
+      expect(metrics.render()).to.include('saintdurbin_up 0\n').and.to.include('saintdurbin_staked_balance_tao 1010.5\n');
+    });
+
+    it('should count distributions, failures, principal detections and switches', function() {
+      const metrics = createMetrics();
+
+      metrics.recordDistribution({ success: true, principalDetected: true, validatorSwitched: false, error: null });
+      metrics.recordDistribution({ success: true, principalDetected: false, validatorSwitched: true, error: null });
+      metrics.recordDistribution({ success: false, error: 'Transaction failed' });
+      metrics.recordDistribution({ success: false, error: null });
+      const text = metrics.render();
+
+      expect(text).to.include('# TYPE saintdurbin_distributions_total counter\nsaintdurbin_distributions_total 2\n');
+      expect(text).to.include('saintdurbin_distribution_failures_total 1\n');
+      expect(text).to.include('saintdurbin_principal_detections_total 1\n');
+      expect(text).to.include('saintdurbin_validator_switches_total 1\n');
+      expect(text).to.not.include('saintdurbin_up');
+    });
+  });
+
+  describe('createMetricsServer', function() {
+    it('should refresh and serve /metrics and nothing else', async function() {
+      const metrics = createMetrics();
+      const beforeScrape = sandbox.spy(() => metrics.refresh(contract));
+      const server = createMetricsServer(metrics, { port: 0, host: '127.0.0.1', beforeScrape, silent: true });
+      const port = await server.start();
+
+      try {
+        const scrape = await get(port, '/metrics');
+        expect(scrape.status).to.equal(200);
+        expect(scrape.headers['content-type']).to.equal('text/plain; version=0.0.4');
+        expect(scrape.body).to.include('saintdurbin_validator_uid 7');
+        expect(beforeScrape.calledOnce).to.be.true;
+
+        expect((await get(port, '/')).status).to.equal(404);
+      } finally {
+        await server.stop();
+      }
+    });
+
+    it('should answer 500 with the last known values when the refresh throws', async function() {
+      const metrics = createMetrics();
+      metrics.setGauge('validator_uid', 7);
+      const beforeScrape = sandbox.stub().rejects(new Error('RPC unavailable'));
+      const server = createMetricsServer(metrics, { port: 0, host: '127.0.0.1', beforeScrape, silent: true });
+      const port = await server.start();
+
+      try {
+        const scrape = await get(port, '/metrics');
+        expect(scrape.status).to.equal(500);
+        expect(scrape.body).to.include('saintdurbin_validator_uid 7');
+      } finally {
+        await server.stop();
+      }
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,203 @@
+const { expect } = require('chai');
+const http = require('http');
+const {
+  renderTemplate,
+  createSlackChannel,
+  createDiscordChannel,
+  createTelegramChannel,
+  createWebhookChannel,
+  createEmailChannel,
+  createNotifier,
+  parseRoutes,
+  createNotifierFromEnv
+} = require('../notifications');
+
+/**
+ * Local HTTP stand-in that records every JSON POST
+ */
+function startStandIn() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, body: JSON.parse(body || '{}') });
+      const status = req.url.startsWith('/fail') ? 500 : 200;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        server,
+        requests,
+        url: `http://127.0.0.1:${server.address().port}`
+      });
+    });
+  });
+}
+
+describe('SaintDurbin Notifications', function() {
+  let standIn;
+
+  beforeEach(async function() {
+    standIn = await startStandIn();
+  });
+
+  afterEach(function(done) {
+    standIn.server.close(done);
+  });
+
+  describe('renderTemplate', function() {
+    it('should replace placeholders and blank out missing values', function() {
+      expect(renderTemplate('Tx: {{ transactionHash }} ({{missing}})', { transactionHash: '0xabc' }))
+        .to.equal('Tx: 0xabc ()');
+    });
+  });
+
+  describe('channels', function() {
+    it('should deliver to slack, discord, telegram and webhook endpoints', async function() {
+      const notifier = createNotifier({
+        silent: true,
+        channels: [
+          createSlackChannel({ webhookUrl: `${standIn.url}/slack` }),
+          createDiscordChannel({ webhookUrl: `${standIn.url}/discord` }),
+          createTelegramChannel({ botToken: 'TOKEN', chatId: '42', apiUrl: standIn.url }),
+          createWebhookChannel({ url: `${standIn.url}/hook` })
+        ]
+      });
+
+      const result = await notifier.notify('success', {
+        transactionHash: '0xabc',
+        amountTao: '12.5',
+        gasUsed: '21000'
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.sent).to.have.members(['slack', 'discord', 'telegram', 'webhook']);
+
+      const byUrl = Object.fromEntries(standIn.requests.map(r => [r.url, r.body]));
+      expect(byUrl['/slack'].attachments[0].color).to.equal('good');
+      expect(byUrl['/slack'].attachments[0].text).to.include('Amount: 12.5 TAO');
+      expect(byUrl['/discord'].embeds[0].description).to.include('Tx: 0xabc');
+      expect(byUrl['/botTOKEN/sendMessage'].chat_id).to.equal('42');
+      expect(byUrl['/hook']).to.deep.include({ event: 'success', severity: 'success' });
+      expect(byUrl['/hook'].data.gasUsed).to.equal('21000');
+    });
+
+    it('should send email through the configured transport', async function() {
+      const email = createEmailChannel({
+        from: 'bot@example.com',
+        to: 'ops@example.com',
+        transport: { jsonTransport: true }
+      });
+      const sent = [];
+      const originalSend = email.transporter.sendMail.bind(email.transporter);
+      email.transporter.sendMail = async (mail) => {
+        const info = await originalSend(mail);
+        sent.push(JSON.parse(info.message));
+        return info;
+      };
+
+      const result = await createNotifier({ channels: [email], silent: true })
+        .notify('failure', { operation: 'Distribution', error: 'boom' });
+
+      expect(result.sent).to.deep.equal(['email']);
+      expect(sent[0].subject).to.equal('[ERROR] SaintDurbin Distribution Update');
+      expect(sent[0].text).to.equal('❌ Distribution failed!\nError: boom');
+    });
+  });
+
+  describe('createNotifier', function() {
+    it('should route events to the configured channels only', async function() {
+      const notifier = createNotifier({
+        silent: true,
+        channels: [
+          createWebhookChannel({ name: 'ops', url: `${standIn.url}/ops` }),
+          createWebhookChannel({ name: 'public', url: `${standIn.url}/public` })
+        ],
+        routes: { failure: ['ops'], '*': ['public'] }
+      });
+
+      await notifier.notify('failure', { operation: 'Distribution', error: 'x' });
+      await notifier.notify('success', {});
+
+      expect(standIn.requests.map(r => r.url)).to.deep.equal(['/ops', '/public']);
+    });
+
+    it('should apply per-channel rate limits', async function() {
+      const notifier = createNotifier({
+        silent: true,
+        channels: [createWebhookChannel({ url: `${standIn.url}/hook` })],
+        rateLimit: { max: 1, windowMs: 60000 }
+      });
+
+      const first = await notifier.notify('notReady', { blocksRemaining: '10' });
+      const second = await notifier.notify('notReady', { blocksRemaining: '9' });
+      const other = await notifier.notify('failure', { operation: 'Distribution', error: 'x' });
+
+      expect(first.sent).to.deep.equal(['webhook']);
+      expect(second.rateLimited).to.deep.equal(['webhook']);
+      expect(other.sent).to.deep.equal(['webhook']);
+      expect(standIn.requests).to.have.lengthOf(2);
+    });
+
+    it('should use template overrides', async function() {
+      const notifier = createNotifier({
+        silent: true,
+        channels: [createWebhookChannel({ url: `${standIn.url}/hook` })],
+        templates: { notReady: 'Waiting {{blocksRemaining}} blocks' }
+      });
+
+      await notifier.notify('notReady', { blocksRemaining: '5' });
+
+      expect(standIn.requests[0].body.text).to.equal('Waiting 5 blocks');
+    });
+
+    it('should collect delivery errors without throwing', async function() {
+      const notifier = createNotifier({
+        silent: true,
+        channels: [createWebhookChannel({ url: `${standIn.url}/fail` })]
+      });
+
+      const result = await notifier.notify('success', {});
+
+      expect(result.success).to.be.false;
+      expect(result.errors[0].channel).to.equal('webhook');
+    });
+
+    it('should reject unknown event types', async function() {
+      const result = await createNotifier({ silent: true }).notify('bogus', {});
+
+      expect(result.success).to.be.false;
+      expect(result.errors[0].error).to.include('Unknown notification event');
+    });
+  });
+
+  describe('configuration', function() {
+    it('should parse route specifications', function() {
+      expect(parseRoutes('failure=slack,email; *=slack')).to.deep.equal({
+        failure: ['slack', 'email'],
+        '*': ['slack']
+      });
+    });
+
+    it('should only enable channels that are configured', function() {
+      const notifier = createNotifierFromEnv({
+        SLACK_WEBHOOK: 'http://127.0.0.1/slack',
+        TELEGRAM_BOT_TOKEN: 'TOKEN'
+      });
+
+      expect(notifier.channels.map(c => c.name)).to.deep.equal(['slack']);
+    });
+
+    it('should reject rate limit settings that are not positive integers', function() {
+      expect(() => createNotifierFromEnv({ NOTIFY_RATE_LIMIT_MAX: 'ten' }))
+        .to.throw('Invalid notification rate limit (NOTIFY_RATE_LIMIT_MAX): expected an integer, got "ten"');
+      expect(() => createNotifierFromEnv({ NOTIFY_RATE_LIMIT_MAX: '10', NOTIFY_RATE_LIMIT_WINDOW_MS: '1h' }))
+        .to.throw('Invalid notification rate limit (NOTIFY_RATE_LIMIT_WINDOW_MS): expected an integer, got "1h"');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,184 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  PREFLIGHT_CONFIG,
+  loadManifest,
+  readScriptProportions,
+  manifestFromEnv,
+  validateManifest,
+  compareWithDeployScript,
+  parseMinStake,
+  runPreflight,
+  formatSignOff
+} = require('../preflight');
+const { encodeSs58 } = require('../address-book');
+
+const EXAMPLE_MANIFEST = path.join(__dirname, '..', 'deploy-manifest.example.yaml');
+const SCRIPT_PROPORTIONS = [100, 100, 500, 100, 100, 100, 100, 300, 300, 300, 1000, 1000, 1000, 1500, 1500, 2000];
+const HOTKEY = '0x' + '00'.repeat(31) + '05';
+
+describe('SaintDurbin Pre-deployment Checks', function() {
+  let manifest;
+
+  beforeEach(function() {
+    manifest = loadManifest(EXAMPLE_MANIFEST);
+  });
+
+  /**
+   * Metagraph precompile stub where UID 123 on subnet 1 is a healthy validator
+   */
+  function stubMetagraph(overrides = {}) {
+    return {
+      getHotkey: sinon.stub().resolves(overrides.hotkey || HOTKEY),
+      getValidatorStatus: sinon.stub().resolves(overrides.isValidator ?? true),
+      getIsActive: sinon.stub().resolves(overrides.isActive ?? true),
+      getStake: sinon.stub().resolves(overrides.stake ?? 5000000000000n)
+    };
+  }
+
+  /**
+   * Deployment environment matching the example manifest
+   */
+  function deployEnv() {
+    const { args } = validateManifest(manifest);
+    const names = PREFLIGHT_CONFIG.argumentEnvVars;
+    const env = {
+      [names.emergencyOperator]: args.emergencyOperator,
+      [names.drainSs58Address]: args.drainSs58Address,
+      [names.validatorHotkey]: args.validatorHotkey,
+      [names.validatorUid]: String(args.validatorUid),
+      [names.thisSs58PublicKey]: args.thisSs58PublicKey,
+      [names.netuid]: String(args.netuid)
+    };
+    PREFLIGHT_CONFIG.recipientEnvVars.forEach((name, i) => { env[name] = args.recipientColdkeys[i]; });
+    return env;
+  }
+
+  describe('manifest', function() {
+    it('should accept the example manifest and match the deploy script', function() {
+      expect(readScriptProportions()).to.deep.equal(SCRIPT_PROPORTIONS);
+
+      const { args, problems } = validateManifest(manifest);
+
+      expect(problems).to.deep.equal([]);
+      expect(args).to.include({ validatorHotkey: HOTKEY, validatorUid: 123, netuid: 1 });
+      expect(args.recipientColdkeys).to.have.lengthOf(16);
+      expect(compareWithDeployScript(args, { proportions: SCRIPT_PROPORTIONS })).to.deep.equal([]);
+    });
+
+    it('should list every problem the constructor or a reviewer would reject', function() {
+      manifest.emergencyOperator = ethers.ZeroAddress;
+      manifest.validatorUid = 70000;
+      manifest.recipients[1].coldkey = manifest.recipients[0].coldkey;
+      manifest.recipients[2].coldkey = encodeSs58(ethers.ZeroHash);
+      manifest.recipients[3].proportion = 0;
+      manifest.recipients.pop();
+
+      const { args, problems } = validateManifest(manifest);
+
+      expect(args).to.be.null;
+      expect(problems).to.deep.equal([
+        'emergencyOperator: must not be zero',
+        'validatorUid: expected an integer from 0 to 65535, got 70000',
+        'recipients: expected 16, got 15',
+        'recipients[1] (WSL): same coldkey as recipients[0] (Sam)',
+        'recipients[2] (Paper): coldkey must not be zero',
+        'recipients[3] (Florian): proportion must be a positive integer (basis points), got 0',
+        'recipients: proportions sum to 7900, expected 10000'
+      ]);
+    });
+
+    it('should compare the manifest with the environment the deploy script reads', function() {
+      const { args } = validateManifest(manifest);
+      const env = {
+        EMERGENCY_OPERATOR: args.emergencyOperator,
+        DRAIN_SS58_ADDRESS: args.drainSs58Address,
+        VALIDATOR_HOTKEY: encodeSs58(HOTKEY),
+        VALIDATOR_UID: '124',
+        CONTRACT_SS58_KEY: args.thisSs58PublicKey,
+        NETUID: '1'
+      };
+      args.recipientColdkeys.forEach((coldkey, i) => {
+        env[i < 4 ? ['RECIPIENT_SAM', 'RECIPIENT_WSL', 'RECIPIENT_PAPER', 'RECIPIENT_FLORIAN'][i] : `RECIPIENT_${i}`] = coldkey;
+      });
+      env.RECIPIENT_15 = args.recipientColdkeys[14];
+      args.proportions[2] = 400;
+      args.proportions[3] = 200;
+
+      expect(compareWithDeployScript(args, { proportions: SCRIPT_PROPORTIONS, env })).to.deep.equal([
+        'recipients[2]: manifest has 400 bps but DeploySaintDurbin.s.sol deploys 500',
+        'recipients[3]: manifest has 200 bps but DeploySaintDurbin.s.sol deploys 100',
+        `VALIDATOR_HOTKEY: must be 0x-prefixed bytes32 hex for vm.envBytes32, got ${encodeSs58(HOTKEY)}`,
+        'VALIDATOR_UID: 124 does not match the manifest (123)',
+        `RECIPIENT_15: ${args.recipientColdkeys[14]} does not match the manifest (${args.recipientColdkeys[15]})`
+      ]);
+
+      // Without a manifest, the environment itself is checked
+      const fromEnv = validateManifest(manifestFromEnv({ ...env, VALIDATOR_UID: '123' }, SCRIPT_PROPORTIONS));
+      expect(fromEnv.problems).to.deep.equal(['recipients[15] (RECIPIENT_15): same coldkey as recipients[14] (RECIPIENT_14)']);
+    });
+  });
+
+  describe('runPreflight', function() {
+    it('should confirm the validator on chain and produce a signed-off summary', async function() {
+      const metagraph = stubMetagraph();
+      const provider = { getBlockNumber: sinon.stub().resolves(4200000) };
+
+      const result = await runPreflight({ manifest, source: 'manifest.yaml', proportions: SCRIPT_PROPORTIONS, env: deployEnv(), metagraph, provider });
+
+      expect(result.success).to.be.true;
+      expect(result.complete).to.be.true;
+      expect(result.blockNumber).to.equal(4200000);
+      expect(metagraph.getHotkey.firstCall.args).to.deep.equal([1, 123]);
+      const decoded = ethers.AbiCoder.defaultAbiCoder().decode(
+        ['address', 'bytes32', 'bytes32', 'uint16', 'bytes32', 'uint16', 'bytes32[]', 'uint256[]'], result.encodedArgs);
+      expect(decoded[7].map(Number)).to.deep.equal(SCRIPT_PROPORTIONS);
+      expect(result.digest).to.equal(ethers.keccak256(result.encodedArgs));
+
+      const summary = formatSignOff(result, { signedOffBy: 'Jon' });
+      expect(summary).to.include('| 2 | Paper |').and.to.include('| 500 | 5.00% |');
+      expect(summary).to.include(`digest (keccak256 of the ABI encoding): \`${result.digest}\``);
+      expect(summary).to.match(/Signed off by: Jon {4}Date: \d{4}-\d{2}-\d{2}/);
+    });
+
+    it('should refuse to sign off on a bad validator or without the on-chain check', async function() {
+      const result = await runPreflight({
+        manifest,
+        proportions: SCRIPT_PROPORTIONS,
+        metagraph: stubMetagraph({ hotkey: '0x' + '0a'.repeat(32), isActive: false, stake: 10n })
+      });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('Failed checks: validator');
+      expect(result.validator.problems).to.deep.equal([
+        `UID 123 on subnet 1 holds hotkey ${'0x' + '0a'.repeat(32)}, not ${HOTKEY}`,
+        'UID 123 is not active',
+        'UID 123 has 0.00000001 TAO stake, below 1000.0 TAO'
+      ]);
+      expect(formatSignOff(result)).to.include('NOT READY TO DEPLOY: Failed checks: validator').and.not.to.include('Signed off by');
+
+      const offline = await runPreflight({ manifest, proportions: SCRIPT_PROPORTIONS });
+      expect(offline).to.include({ success: true, complete: false });
+      expect(formatSignOff(offline)).to.include('NOT READY TO SIGN OFF');
+    });
+
+    it('should not sign off without comparing the deployment environment', async function() {
+      const result = await runPreflight({ manifest, proportions: SCRIPT_PROPORTIONS, metagraph: stubMetagraph() });
+
+      expect(result).to.include({ success: true, complete: false });
+      expect(result.checks.find(check => check.name === 'deploy script')).to.include({ ok: null });
+      expect(formatSignOff(result)).to.include('NOT READY TO SIGN OFF: deploy script: deployment environment not compared')
+        .and.not.to.include('Signed off by');
+    });
+
+    it('should reject a minimum validator stake that is not a non-negative integer', async function() {
+      const result = await runPreflight({ manifest, proportions: SCRIPT_PROPORTIONS, metagraph: stubMetagraph(), minStake: '1000 TAO' });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('Invalid minimum validator stake (PREFLIGHT_MIN_STAKE): expected an integer, got "1000 TAO"');
+      expect(parseMinStake('1000000000000')).to.equal(1000000000000n);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,182 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  groupDistributions,
+  classifyDetection,
+  replayPrincipalHistory,
+  analyzePrincipalHistory
+} = require('../principal-analyzer');
+
+const TAO = 1000000000n;
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const COLDKEY = '0x' + '01'.repeat(32);
+
+/**
+ * Events for one executeTransfer() call paying `paid` to a single recipient
+ */
+function distributionEvents(blockNumber, { paid, newBalance, detected = null }) {
+  const tx = '0x' + blockNumber.toString(16).padStart(64, '0');
+  const base = { contractAddress: CONTRACT, blockNumber, transactionHash: tx, timestamp: 1700000000 + blockNumber * 12 };
+  const events = [];
+  if (detected) {
+    events.push({ ...base, logIndex: 0, name: 'PrincipalDetected', args: {
+      amount: detected.amount.toString(),
+      totalPrincipal: detected.totalPrincipal.toString()
+    } });
+  }
+  events.push({ ...base, logIndex: 1, name: 'RecipientTransfer', args: {
+    coldkey: COLDKEY, amount: paid.toString(), proportion: '10000'
+  } });
+  events.push({ ...base, logIndex: 2, name: 'StakeTransferred', args: {
+    totalAmount: paid.toString(), newBalance: newBalance.toString()
+  } });
+  return events;
+}
+
+/**
+ * Deployed at block 1000 with 1000 TAO: two normal days, a 100 TAO deposit, then three missed days
+ */
+function historyEvents() {
+  return [
+    ...distributionEvents(8200, { paid: 10n * TAO, newBalance: 1000n * TAO }),
+    ...distributionEvents(15400, { paid: 10n * TAO, newBalance: 1000n * TAO }),
+    ...distributionEvents(22600, {
+      paid: 10n * TAO,
+      newBalance: 1100n * TAO,
+      detected: { amount: 100n * TAO, totalPrincipal: 1100n * TAO }
+    }),
+    ...distributionEvents(51400, {
+      paid: 10n * TAO,
+      newBalance: 1130n * TAO,
+      detected: { amount: 30n * TAO, totalPrincipal: 1130n * TAO }
+    })
+  ];
+}
+
+describe('SaintDurbin Principal Detection Analyzer', function() {
+  describe('groupDistributions', function() {
+    it('should collect each transfer call into one distribution', function() {
+      const distributions = groupDistributions(historyEvents());
+
+      expect(distributions).to.have.length(4);
+      expect(distributions[2]).to.deep.include({
+        blockNumber: 22600,
+        paid: 10n * TAO,
+        totalTransferred: 10n * TAO,
+        newBalance: 1100n * TAO
+      });
+      expect(distributions[2].principalDetected.amount).to.equal(100n * TAO);
+    });
+  });
+
+  describe('classifyDetection', function() {
+    it('should tell deposits from missed days', function() {
+      expect(classifyDetection({ blocksElapsed: 7200n, rawYield: 110n * TAO, expectedYield: 10n * TAO }))
+        .to.equal('likely-deposit');
+      expect(classifyDetection({ blocksElapsed: 28800n, rawYield: 40n * TAO, expectedYield: 40n * TAO }))
+        .to.equal('missed-day');
+      expect(classifyDetection({ blocksElapsed: 7200n, rawYield: 15n * TAO, expectedYield: 10n * TAO }))
+        .to.equal('ambiguous');
+    });
+  });
+
+  describe('replayPrincipalHistory', function() {
+    let replay;
+
+    beforeEach(function() {
+      replay = replayPrincipalHistory(groupDistributions(historyEvents()), {
+        initialPrincipal: 1000n * TAO,
+        deploymentBlock: 1000
+      });
+    });
+
+    it('should reconstruct the reward rate and cumulative balance increase', function() {
+      const [first, second, third] = replay.timeline;
+
+      expect(first.rewardRate).to.equal((10n * TAO * 10n ** 18n) / 7200n);
+      expect(second.cumulativeBalanceIncrease).to.equal(10n * TAO);
+      expect(third.cumulativeBalanceIncrease).to.equal(120n * TAO);
+      expect(third.rewardRate).to.equal((110n * TAO * 10n ** 18n) / 7200n);
+      expect(replay.timeline.every(entry => entry.consistent)).to.be.true;
+    });
+
+    it('should flag a real deposit without underpayment', function() {
+      const { detection, blocksElapsed } = replay.timeline[2];
+
+      expect(blocksElapsed).to.equal(7200n);
+      expect(detection.classification).to.equal('likely-deposit');
+      expect(detection.rateBased).to.be.true;
+      expect(detection.rateRatio).to.equal(11);
+      expect(detection.estimatedUnderpayment).to.equal(0n);
+    });
+
+    it('should flag a missed-day false positive and estimate the underpayment', function() {
+      const { detection, blocksElapsed } = replay.timeline[3];
+
+      expect(blocksElapsed).to.equal(28800n);
+      expect(detection.classification).to.equal('missed-day');
+      expect(detection.rateBased).to.be.false;
+      expect(detection.absolute).to.be.true;
+      // Four days at the distributed rate, less integer rounding
+      const expectedYield = ((10n * TAO * 10n ** 18n) / 7200n) * 28800n / 10n ** 18n;
+      expect(detection.expectedYield).to.equal(expectedYield);
+      expect(detection.estimatedUnderpayment).to.equal(expectedYield - 10n * TAO);
+
+      expect(replay.summary).to.deep.include({
+        distributions: 4,
+        detections: 2,
+        likelyDeposits: 1,
+        missedDays: 1,
+        totalReclassified: 130n * TAO
+      });
+      expect(replay.summary.estimatedUnderpayment).to.equal(expectedYield - 10n * TAO);
+    });
+
+    it('should prefer on-chain snapshots over reconstructed state', function() {
+      const distributions = groupDistributions(historyEvents()).slice(0, 2);
+      // A silent below-existential run at block 12000 moved lastTransferBlock
+      const snapshots = new Map([[15400, {
+        principalLocked: 1000n * TAO,
+        previousBalance: 1000n * TAO,
+        lastTransferBlock: 12000n,
+        lastRewardRate: (10n * TAO * 10n ** 18n) / 7200n,
+        lastPaymentAmount: 10n * TAO,
+        cumulativeBalanceIncrease: 0n,
+        stakedBalance: 1010n * TAO
+      }]]);
+
+      const { timeline } = replayPrincipalHistory(distributions, {
+        initialPrincipal: 1000n * TAO,
+        deploymentBlock: 1000,
+        snapshots
+      });
+
+      expect(timeline[1].blocksElapsed).to.equal(3400n);
+    });
+  });
+
+  describe('analyzePrincipalHistory', function() {
+    it('should derive the initial principal from the current one', async function() {
+      const contract = {
+        getAddress: sinon.stub().resolves(CONTRACT),
+        principalLocked: sinon.stub().resolves(1130n * TAO)
+      };
+      const store = { getEvents: sinon.stub().returns(historyEvents()) };
+
+      const result = await analyzePrincipalHistory(contract, store, { deploymentBlock: 1000 });
+
+      expect(result.success).to.be.true;
+      expect(result.timeline[0].principalBefore).to.equal(1000n * TAO);
+      expect(store.getEvents.firstCall.args[0].names).to.include('PrincipalDetected');
+    });
+
+    it('should report failures', async function() {
+      const contract = { getAddress: sinon.stub().rejects(new Error('RPC error')) };
+
+      const result = await analyzePrincipalHistory(contract, { getEvents: () => [] });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('RPC error');
+    });
+  });
+});
\ No newline at end of file
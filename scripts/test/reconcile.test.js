@@ -0,0 +1,167 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const net = require('net');
+const {
+  connectChain,
+  createStakeReader,
+  groupDistributions,
+  parseTolerance,
+  reconcileDistributions
+} = require('../reconcile');
+
+const CONTRACT_ADDRESS = '0x1234567890123456789012345678901234567890';
+const CONTRACT_KEY = '0x' + 'cc'.repeat(32);
+const HOTKEY = '0x' + '0a'.repeat(32);
+const COLDKEY_A = '0x' + 'aa'.repeat(32);
+const COLDKEY_B = '0x' + 'bb'.repeat(32);
+const OLD_HOTKEY = '0x' + '0b'.repeat(32);
+const TX = '0x' + '11'.repeat(32);
+
+/**
+ * Indexed event as returned by the event store
+ */
+function storedEvent(name, args, transactionHash = TX, blockNumber = 500) {
+  return { contractAddress: CONTRACT_ADDRESS.toLowerCase(), blockNumber, transactionHash, name, args };
+}
+
+describe('SaintDurbin Substrate Reconciliation', function() {
+  let events;
+  let stake;
+  let contract;
+  let store;
+
+  /**
+   * Stake lookup over `stake`, keyed by block then coldkey
+   */
+  const getStake = async (blockNumber, { hotkey, coldkey }) => {
+    expect(hotkey).to.equal(HOTKEY);
+    return stake[blockNumber][coldkey] || 0n;
+  };
+
+  beforeEach(function() {
+    events = [
+      storedEvent('RecipientTransfer', { coldkey: COLDKEY_A, amount: '6000', proportion: '6000' }),
+      storedEvent('TransferFailed', { coldkey: COLDKEY_B, amount: '4000', reason: 'Unknown error' }),
+      storedEvent('StakeTransferred', { totalAmount: '6000', newBalance: '994000' })
+    ];
+    stake = {
+      499: { [COLDKEY_A]: 100n, [COLDKEY_B]: 50n, [CONTRACT_KEY]: 1000000n },
+      500: { [COLDKEY_A]: 6100n, [COLDKEY_B]: 50n, [CONTRACT_KEY]: 994000n }
+    };
+    contract = {
+      getAddress: sinon.stub().resolves(CONTRACT_ADDRESS),
+      thisSs58PublicKey: sinon.stub().resolves(CONTRACT_KEY),
+      netuid: sinon.stub().resolves(1n),
+      currentValidatorHotkey: sinon.stub().resolves(HOTKEY)
+    };
+    store = { getEvents: sinon.stub().callsFake(() => events) };
+  });
+
+  it('should group events into distributions by transaction', function() {
+    events.push(storedEvent('RecipientTransfer', { coldkey: COLDKEY_A, amount: '1' }, '0x' + '22'.repeat(32), 600));
+
+    const distributions = groupDistributions(events);
+
+    expect(distributions).to.have.lengthOf(1);
+    expect(distributions[0]).to.deep.include({ blockNumber: 500, transactionHash: TX, totalAmount: 6000n });
+    expect(distributions[0].transfers).to.deep.equal([{ coldkey: COLDKEY_A, amount: 6000n }]);
+    expect(distributions[0].failures).to.deep.equal([{ coldkey: COLDKEY_B, amount: 4000n, reason: 'Unknown error' }]);
+  });
+
+  it('should confirm stake moved exactly as the events claim', async function() {
+    const result = await reconcileDistributions(contract, store, { getStake, fromBlock: 400 });
+
+    expect(result.success).to.be.true;
+    expect(result.summary).to.deep.equal({ checked: 1, matched: 1, mismatched: 0 });
+    expect(result.distributions[0].contract).to.include({ expected: -6000n, actual: -6000n, matches: true });
+    expect(store.getEvents.firstCall.args[0]).to.deep.include({
+      names: ['RecipientTransfer', 'TransferFailed', 'StakeTransferred', 'PrincipalDetected', 'ValidatorSwitched'],
+      fromBlock: 400
+    });
+    expect(contract.currentValidatorHotkey.firstCall.args[0]).to.deep.equal({ blockTag: 500 });
+  });
+
+  it('should report each recipient whose stake does not match', async function() {
+    stake[500][COLDKEY_A] = 6099n;
+    stake[500][COLDKEY_B] = 4050n;
+
+    const result = await reconcileDistributions(contract, store, { getStake });
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('1 of 1 distributions do not match Substrate stake');
+    const [a, b] = result.distributions[0].recipients;
+    expect(a).to.include({ coldkey: COLDKEY_A, expected: 6000n, actual: 5999n, difference: -1n, matches: false });
+    expect(b).to.include({ coldkey: COLDKEY_B, expected: 0n, actual: 4000n, failed: true, matches: false });
+
+    const tolerant = await reconcileDistributions(contract, store, { getStake, tolerance: 1n });
+    expect(tolerant.distributions[0].recipients.map(r => r.matches)).to.deep.equal([true, false]);
+  });
+
+  it('should reject a tolerance that is not a non-negative integer when reconciling', async function() {
+    expect(parseTolerance(' 2 ')).to.equal(2n);
+    expect(() => parseTolerance('-1')).to.throw('Invalid reconcile tolerance (RECONCILE_TOLERANCE): must be at least 0, got -1');
+
+    const result = await reconcileDistributions(contract, store, { getStake, tolerance: '1.5' });
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('Invalid reconcile tolerance (RECONCILE_TOLERANCE): expected an integer, got "1.5"');
+  });
+
+  it('should follow the contract\'s stake across a validator switch in the same transaction', async function() {
+    events.unshift(storedEvent('ValidatorSwitched', { oldHotkey: OLD_HOTKEY, newHotkey: HOTKEY, newUid: '4', reason: 'Validator inactive' }));
+    const byHotkey = {
+      [OLD_HOTKEY]: { 499: { [CONTRACT_KEY]: 1000000n }, 500: {} },
+      [HOTKEY]: {
+        499: { [COLDKEY_A]: 100n, [COLDKEY_B]: 50n },
+        500: { [COLDKEY_A]: 6100n, [COLDKEY_B]: 50n, [CONTRACT_KEY]: 994000n }
+      }
+    };
+    const getStakeByHotkey = async (blockNumber, { hotkey, coldkey }) => byHotkey[hotkey][blockNumber][coldkey] || 0n;
+
+    const result = await reconcileDistributions(contract, store, { getStake: getStakeByHotkey });
+
+    expect(result.success).to.be.true;
+    expect(result.distributions[0]).to.include({ hotkey: HOTKEY, previousHotkey: OLD_HOTKEY });
+    expect(result.distributions[0].contract).to.include({ before: 1000000n, after: 994000n, actual: -6000n, matches: true });
+  });
+
+  it('should value Alpha shares against the hotkey totals at each block', async function() {
+    const fixed = (value) => ({ bits: { toBigInt: () => value << 64n } });
+    const u64 = (value) => ({ toBigInt: () => value });
+    const query = {
+      subtensorModule: {
+        alpha: sinon.stub().resolves(fixed(30n)),
+        totalHotkeyAlpha: sinon.stub().resolves(u64(1000n)),
+        totalHotkeyShares: sinon.stub().resolves(fixed(90n))
+      }
+    };
+    const api = {
+      rpc: { chain: { getBlockHash: sinon.stub().callsFake(async (n) => `0xhash${n}`) } },
+      at: sinon.stub().resolves({ query })
+    };
+    const reader = createStakeReader(api);
+
+    expect(await reader.getStake(500, { hotkey: HOTKEY, coldkey: COLDKEY_A, netuid: 1 })).to.equal(333n);
+    await reader.getStake(500, { hotkey: HOTKEY, coldkey: COLDKEY_B, netuid: 1 });
+
+    expect(query.subtensorModule.alpha.firstCall.args).to.deep.equal([HOTKEY, COLDKEY_A, 1]);
+    expect(api.at.calledOnceWith('0xhash500')).to.be.true;
+  });
+
+  it('should give up on an unreachable chain endpoint instead of retrying', async function() {
+    let error = null;
+    await connectChain('ws://127.0.0.1:1', 1000).catch(err => { error = err; });
+    expect(error.message).to.include('Could not connect to ws://127.0.0.1:1');
+
+    // A server that accepts the socket but never answers the handshake
+    const server = net.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const endpoint = `ws://127.0.0.1:${server.address().port}`;
+    try {
+      error = null;
+      await connectChain(endpoint, 200).catch(err => { error = err; });
+      expect(error.message).to.equal(`Could not connect to ${endpoint} within 200ms`);
+    } finally {
+      server.close();
+    }
+  });
+});
\ No newline at end of file
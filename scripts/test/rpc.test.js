@@ -0,0 +1,167 @@
+const { expect } = require('chai');
+const http = require('http');
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('../abi');
+const { createFailoverProvider } = require('../rpc');
+const { loadConfig } = require('../config');
+
+const CONTRACT = '0x' + 'ab'.repeat(20);
+const TAO = 1000000000n;
+
+/**
+ * Local stand-in for an RPC node. `state` is read on every request, so tests can
+ * take the node down or make it lie: { block, stake, down, revert }.
+ */
+function startNode(state) {
+  state.calls = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      state.calls.push({ method, params });
+      if (state.down) {
+        res.writeHead(503);
+        res.end('Service Unavailable');
+        return;
+      }
+
+      let reply;
+      if (method === 'eth_chainId') {
+        reply = { result: '0x3c4' };
+      } else if (method === 'eth_blockNumber') {
+        reply = { result: ethers.toQuantity(state.block) };
+      } else if (method === 'eth_call' && state.revert) {
+        reply = { error: { code: 3, message: 'execution reverted', data: state.revert } };
+      } else if (method === 'eth_call') {
+        reply = { result: ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [state.stake]) };
+      } else {
+        reply = { error: { code: -32601, message: 'method not found' } };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, ...reply }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    state.url = `http://127.0.0.1:${server.address().port}`;
+    resolve(server);
+  }));
+}
+
+describe('SaintDurbin RPC Failover', function() {
+  let nodes;
+  let servers;
+  let provider;
+
+  beforeEach(async function() {
+    nodes = [
+      { block: 1000, stake: 1010n * TAO },
+      { block: 998, stake: 1010n * TAO },
+      { block: 1000, stake: 1010n * TAO }
+    ];
+    servers = await Promise.all(nodes.map(startNode));
+  });
+
+  afterEach(function() {
+    if (provider) {
+      provider.destroy();
+      provider = null;
+    }
+    servers.forEach(server => server.close());
+  });
+
+  /**
+   * SaintDurbin contract read through the provider under test
+   */
+  function contractOn(rpcProvider) {
+    return new ethers.Contract(CONTRACT, SAINTDURBIN_FULL_ABI, rpcProvider);
+  }
+
+  it('should fail over to the next endpoint and take the failed one out of rotation', async function() {
+    nodes[0].down = true;
+    provider = createFailoverProvider(nodes.map(n => n.url), { silent: true });
+
+    expect(await provider.getBlockNumber()).to.equal(998);
+    const status = provider.getEndpointStatus();
+    expect(status[0]).to.include({ healthy: false, error: 'Request failed with status code 503' });
+    expect(status[1]).to.include({ healthy: true });
+
+    // The failed endpoint is not retried during its cooldown
+    const callsToFailed = nodes[0].calls.length;
+    await provider.send('eth_blockNumber', []);
+    expect(nodes[0].calls).to.have.length(callsToFailed);
+  });
+
+  it('should return reverts as answers without failing over', async function() {
+    nodes[0].revert = '0x7a2a5e6d';
+    provider = createFailoverProvider(nodes.map(n => n.url), { silent: true });
+
+    let error;
+    try {
+      await contractOn(provider).getStakedBalance();
+    } catch (err) {
+      error = err;
+    }
+    expect(error.data).to.equal('0x7a2a5e6d');
+    expect(nodes[1].calls.filter(c => c.method === 'eth_call')).to.be.empty;
+  });
+
+  it('should answer quorum reads from agreeing endpoints at a common block', async function() {
+    nodes[1].stake = 999999n * TAO;
+    provider = createFailoverProvider(nodes.map(n => n.url), { quorum: 2, silent: true });
+
+    expect(await contractOn(provider).getStakedBalance()).to.equal(1010n * TAO);
+    for (const node of nodes) {
+      const call = node.calls.find(c => c.method === 'eth_call');
+      expect(call.params[1]).to.equal(ethers.toQuantity(998));
+    }
+  });
+
+  it('should refuse quorum reads the endpoints disagree on', async function() {
+    nodes[1].stake = 999999n * TAO;
+    nodes[2].stake = 5n * TAO;
+    provider = createFailoverProvider(nodes.map(n => n.url), { quorum: 2, silent: true });
+
+    let error;
+    try {
+      await contractOn(provider).getStakedBalance();
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.include('RPC quorum of 2 not reached for getStakedBalance at block 0x3e6');
+  });
+
+  it('should mark lagging endpoints unhealthy in health checks', async function() {
+    nodes[1].block = 900;
+    nodes[2].down = true;
+    provider = createFailoverProvider(nodes.map(n => n.url), { silent: true });
+
+    const status = await provider.checkHealth();
+
+    expect(status.map(s => s.healthy)).to.deep.equal([true, false, false]);
+    expect(status[1]).to.include({ blockNumber: 900, error: '100 blocks behind' });
+  });
+
+  it('should not let one endpoint that over-reports its height push the others out', async function() {
+    nodes[1].block = 1000;
+    nodes[2].block = 50000000;
+    provider = createFailoverProvider(nodes.map(n => n.url), { quorum: 2, silent: true });
+
+    const status = await provider.checkHealth();
+    expect(status.map(s => s.healthy)).to.deep.equal([true, true, false]);
+    expect(status[2].error).to.equal('49999000 blocks ahead of the other endpoints');
+
+    const contract = new ethers.Contract(CONTRACT, SAINTDURBIN_FULL_ABI, provider);
+    expect(await contract.getStakedBalance()).to.equal(1010n * TAO);
+  });
+
+  it('should validate RPC_URLS and the quorum', function() {
+    const config = loadConfig({ argv: [], env: { RPC_URLS: `${nodes[0].url}, ${nodes[1].url}`, RPC_QUORUM: '2' } });
+    expect(config.rpcUrls).to.deep.equal([nodes[0].url, nodes[1].url]);
+
+    expect(() => loadConfig({ argv: [], env: { RPC_URLS: 'http://ok,not-a-url' } })).to.throw('RPC_URLS: expected an http(s) or ws(s) URL, got "not-a-url"');
+    expect(() => createFailoverProvider([nodes[0].url], { quorum: 2 })).to.throw('RPC quorum of 2 needs at least 2 RPC URLs, got 1');
+    expect(() => createFailoverProvider([nodes[0].url], { requestTimeout: '10s' }))
+      .to.throw('Invalid RPC setting RPC_REQUEST_TIMEOUT: expected an integer, got "10s"');
+  });
+});
\ No newline at end of file
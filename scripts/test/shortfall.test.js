@@ -0,0 +1,135 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { groupDistributions } = require('../reconcile');
+const {
+  buildShortfallLedger,
+  generateShortfallLedger,
+  parseDust,
+  formatShortfallCsv
+} = require('../shortfall');
+const { encodeSs58 } = require('../address-book');
+
+const CONTRACT_ADDRESS = '0x1234567890123456789012345678901234567890';
+const COLDKEY_A = '0x' + 'aa'.repeat(32);
+const COLDKEY_B = '0x' + 'bb'.repeat(32);
+
+/**
+ * Indexed events for one distribution at `blockNumber`
+ * @param {number} blockNumber - Block of the distribution
+ * @param {Object} amounts - { sent: [[coldkey, amount]], failed: [[coldkey, amount]], principal }
+ */
+function distributionEvents(blockNumber, { sent = [], failed = [], principal }) {
+  const event = (name, args) => ({
+    contractAddress: CONTRACT_ADDRESS.toLowerCase(),
+    blockNumber,
+    timestamp: 1704067200 + blockNumber,
+    transactionHash: `0xtx${blockNumber}`,
+    name,
+    args
+  });
+  const total = sent.reduce((sum, [, amount]) => sum + amount, 0n);
+  return [
+    ...(principal !== undefined ? [event('PrincipalDetected', { amount: principal.toString(), totalPrincipal: '0' })] : []),
+    ...sent.map(([coldkey, amount]) => event('RecipientTransfer', { coldkey, amount: amount.toString(), proportion: '0' })),
+    ...failed.map(([coldkey, amount]) => event('TransferFailed', { coldkey, amount: amount.toString(), reason: 'Unknown error' })),
+    event('StakeTransferred', { totalAmount: total.toString(), newBalance: '0' })
+  ];
+}
+
+describe('SaintDurbin Shortfall Ledger', function() {
+  const recipients = [
+    { coldkey: COLDKEY_A, proportion: 6000n },
+    { coldkey: COLDKEY_B, proportion: 4000n }
+  ];
+
+  /**
+   * Ledger over the given distributions, keyed by coldkey
+   */
+  function ledgerFor(...distributions) {
+    const events = distributions.flatMap(([block, amounts]) => distributionEvents(block, amounts));
+    const ledger = buildShortfallLedger({ recipients, distributions: groupDistributions(events), dust: 0n });
+    return { ...ledger, byColdkey: Object.fromEntries(ledger.recipients.map(entry => [entry.coldkey, entry])) };
+  }
+
+  it('should count a failed amount paid out again to everyone as owed to the failed recipient', function() {
+    const ledger = ledgerFor(
+      [100, { sent: [[COLDKEY_A, 6000n]], failed: [[COLDKEY_B, 4000n]] }],
+      // 10000 new yield plus the 4000 that stayed staked
+      [200, { sent: [[COLDKEY_A, 8400n], [COLDKEY_B, 5600n]] }]
+    );
+    const a = ledger.byColdkey[COLDKEY_A];
+    const b = ledger.byColdkey[COLDKEY_B];
+
+    expect(b).to.include({ entitled: 8000n, received: 5600n, shortfall: 2400n, failedTotal: 4000n, recoveredAtBlock: 200, status: 'owed' });
+    expect(b.failures).to.deep.equal([{
+      blockNumber: 100,
+      transactionHash: '0xtx100',
+      timestamp: 1704067300,
+      amount: 4000n,
+      reason: 'Unknown error'
+    }]);
+    expect(a).to.include({ entitled: 12000n, received: 14400n, shortfall: -2400n, status: 'overpaid' });
+    expect(ledger.totals).to.deep.equal({ distributions: 2, failedTotal: 4000n, redistributed: 4000n, absorbedIntoPrincipal: 0n, pending: 0n });
+  });
+
+  it('should owe the whole amount when it is locked as principal or not yet paid out', function() {
+    const locked = ledgerFor(
+      [100, { sent: [[COLDKEY_A, 6000n]], failed: [[COLDKEY_B, 4000n]] }],
+      [200, { sent: [[COLDKEY_A, 3600n], [COLDKEY_B, 2400n]], principal: 8000n }]
+    );
+    expect(locked.byColdkey[COLDKEY_B]).to.include({ shortfall: 4000n, status: 'owed' });
+    expect(locked.byColdkey[COLDKEY_A]).to.include({ shortfall: 0n, status: 'even' });
+    expect(locked.totals).to.include({ absorbedIntoPrincipal: 4000n, redistributed: 0n });
+
+    const pending = ledgerFor([100, { sent: [[COLDKEY_A, 6000n]], failed: [[COLDKEY_B, 4000n]] }]);
+    expect(pending.byColdkey[COLDKEY_B]).to.include({ shortfall: 4000n, recoveredAtBlock: null });
+    expect(pending.totals.pending).to.equal(4000n);
+  });
+
+  it('should show a shortfall made up by later failures in the recipient\'s favour', function() {
+    const ledger = ledgerFor(
+      [100, { sent: [[COLDKEY_A, 6000n]], failed: [[COLDKEY_B, 4000n]] }],
+      [200, { sent: [[COLDKEY_B, 5600n]], failed: [[COLDKEY_A, 8400n]] }],
+      [300, { sent: [[COLDKEY_A, 11040n], [COLDKEY_B, 7360n]] }]
+    );
+
+    expect(ledger.byColdkey[COLDKEY_B]).to.include({ shortfall: -960n, recoveredAtBlock: 200, status: 'made-up' });
+    expect(ledger.byColdkey[COLDKEY_A]).to.include({ shortfall: 960n, recoveredAtBlock: 300, status: 'owed' });
+    expect(ledger.totals).to.include({ failedTotal: 12400n, redistributed: 12400n });
+  });
+
+  it('should report only affected recipients from the event store and export CSV', async function() {
+    const events = [
+      ...distributionEvents(100, { sent: [[COLDKEY_A, 6000n]], failed: [[COLDKEY_B, 4000n]] })
+    ];
+    const contract = {
+      getAddress: sinon.stub().resolves(CONTRACT_ADDRESS),
+      getAllRecipients: sinon.stub().resolves([[COLDKEY_A, COLDKEY_B], [6000n, 4000n]])
+    };
+    const store = {
+      getEvents: sinon.stub().returns(events),
+      getLastIndexedBlock: sinon.stub().returns(150)
+    };
+
+    const result = await generateShortfallLedger(contract, store);
+
+    expect(result.success).to.be.true;
+    expect(result.asOfBlock).to.equal(150);
+    expect(result.recipients.map(entry => entry.coldkey)).to.deep.equal([COLDKEY_B]);
+    expect(store.getEvents.firstCall.args[0]).to.deep.include({
+      names: ['RecipientTransfer', 'TransferFailed', 'StakeTransferred', 'PrincipalDetected']
+    });
+
+    const single = await generateShortfallLedger(contract, store, { coldkey: encodeSs58(COLDKEY_A) });
+    expect(single.recipients.map(entry => entry.coldkey)).to.deep.equal([COLDKEY_A]);
+
+    const [header, row] = formatShortfallCsv(result).trim().split('\n');
+    expect(header).to.equal('coldkey,coldkey_ss58,label,proportion_bps,status,entitled_tao,received_tao,shortfall_tao,failed_tao,failures,last_failure_block,recovered_at_block');
+    expect(row).to.equal(`${COLDKEY_B},${encodeSs58(COLDKEY_B)},,4000,owed,0.000004,0.0,0.000004,0.000004,1,100,`);
+
+    const invalid = await generateShortfallLedger(contract, store, { dust: '1e3' });
+    expect(invalid.success).to.be.false;
+    expect(invalid.error).to.equal('Invalid shortfall dust (SHORTFALL_DUST): expected an integer, got "1e3"');
+    expect(parseDust('5000')).to.equal(5000n);
+  });
+});
\ No newline at end of file
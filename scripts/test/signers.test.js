@@ -0,0 +1,214 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { ethers } = require('ethers');
+const {
+  readKeystorePassword,
+  createRemoteSigner,
+  requiredSignerSettings,
+  createSignerFromConfig,
+  emergencySignerSettings,
+  requiredEmergencySignerSettings
+} = require('../signers');
+const { checkValidator } = require('../check-validator');
+
+const CONTRACT = '0x' + 'ab'.repeat(20);
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const TX = {
+  to: CONTRACT,
+  data: '0x5e5ec58f',
+  nonce: 3,
+  gasLimit: 200000n,
+  maxFeePerGas: 20000000000n,
+  maxPriorityFeePerGas: 1000000000n,
+  chainId: 964n,
+  type: 2
+};
+
+/**
+ * Local stand-in for a remote JSON-RPC signer holding `wallet`'s key; `tamper` edits
+ * the transaction before it is signed
+ */
+function startSignerStandIn(wallet, calls, tamper = tx => tx) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const { id, method, params } = JSON.parse(body);
+      calls.push({ method, params });
+
+      let reply;
+      if (method === 'eth_accounts') {
+        reply = { result: [wallet.address.toLowerCase()] };
+      } else if (method === 'eth_signTransaction') {
+        const { from, gas, ...tx } = params[0];
+        reply = { result: await wallet.signTransaction(tamper({ ...tx, gasLimit: gas, type: Number(tx.type), nonce: Number(tx.nonce) })) };
+      } else {
+        reply = { error: { code: -32601, message: `the method ${method} does not exist` } };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, ...reply }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('SaintDurbin Signers', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signers-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('keystore', function() {
+    it('should decrypt a keystore with the password from a file', async function() {
+      const wallet = ethers.Wallet.createRandom();
+      const keystorePath = path.join(dir, 'keystore.json');
+      const passwordFile = path.join(dir, 'password');
+      // Cheap scrypt parameters keep the test fast
+      fs.writeFileSync(keystorePath, await ethers.encryptKeystoreJson(wallet, 'hunter2', { scrypt: { N: 1024 } }));
+      fs.writeFileSync(passwordFile, 'hunter2\n');
+
+      const signer = await createSignerFromConfig({ signerType: 'keystore', keystorePath, keystorePasswordFile: passwordFile });
+      expect(signer.address).to.equal(wallet.address);
+
+      fs.writeFileSync(passwordFile, 'wrong');
+      let error;
+      try {
+        await createSignerFromConfig({ signerType: 'keystore', keystorePath, keystorePasswordFile: passwordFile });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.include(`Cannot decrypt keystore ${keystorePath}`);
+    });
+
+    it('should prompt for the password only on a terminal', async function() {
+      const prompt = sinon.stub().resolves('hunter2');
+
+      expect(await readKeystorePassword({ input: { isTTY: true }, prompt })).to.equal('hunter2');
+      let error;
+      try {
+        await readKeystorePassword({ input: { isTTY: false }, prompt });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.include('KEYSTORE_PASSWORD_FILE');
+      expect(prompt.calledOnce).to.be.true;
+    });
+  });
+
+  describe('remote signer', function() {
+    let wallet;
+    let server;
+    let calls;
+    let url;
+
+    beforeEach(async function() {
+      wallet = ethers.Wallet.createRandom();
+      calls = [];
+      server = await startSignerStandIn(wallet, calls);
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(function() {
+      server.close();
+    });
+
+    it('should sign transactions with eth_signTransaction', async function() {
+      const signer = createRemoteSigner(url);
+
+      expect(await signer.getAddress()).to.equal(wallet.address);
+      const signed = ethers.Transaction.from(await signer.signTransaction(TX));
+
+      expect(signed.from).to.equal(wallet.address);
+      expect(signed).to.include({ to: ethers.getAddress(CONTRACT), data: TX.data, nonce: 3 });
+      expect(calls[1].params[0]).to.include({ from: wallet.address, gas: '0x30d40', chainId: '0x3c4' });
+    });
+
+    it('should reject a transaction signed by another account', async function() {
+      const signer = createRemoteSigner(url, { address: ethers.Wallet.createRandom().address });
+
+      let error;
+      try {
+        await signer.signTransaction(TX);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.include(`Remote signer signed as ${wallet.address}`);
+    });
+
+    it('should reject a transaction whose value or fees differ from the request', async function() {
+      server.close();
+      server = await startSignerStandIn(wallet, calls, tx => ({ ...tx, value: 1n, maxFeePerGas: 30000000000n }));
+      const signer = createRemoteSigner(`http://127.0.0.1:${server.address().port}`, { address: wallet.address });
+
+      let error;
+      try {
+        await signer.signTransaction(TX);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('Remote signer returned a transaction that differs from the request (maxFeePerGas, value)');
+    });
+
+    it('should report JSON-RPC errors from the signer', async function() {
+      const signer = createRemoteSigner(url, { address: wallet.address });
+
+      let error;
+      try {
+        await signer.signMessage('hello');
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('Remote signer personal_sign failed: the method personal_sign does not exist (code -32601)');
+    });
+  });
+
+  describe('read-only', function() {
+    it('should need no key settings and create no signer', async function() {
+      expect(requiredSignerSettings({ signerType: 'readonly' })).to.deep.equal([]);
+      expect(requiredSignerSettings({ signerType: 'privateKey' })).to.deep.equal(['privateKey']);
+      expect(requiredSignerSettings({ signerType: 'privateKey', deploymentsFile: 'deployments.json' })).to.deep.equal([]);
+      expect(await createSignerFromConfig({ signerType: 'readonly' })).to.be.null;
+    });
+  });
+
+  describe('emergency operator', function() {
+    it('should use the EMERGENCY_ settings in place of the distributor\'s', async function() {
+      const distributor = { signerType: 'keystore', keystorePath: 'distributor.json', privateKey: null, emergencySignerType: null, emergencyPrivateKey: null };
+
+      expect(emergencySignerSettings(distributor)).to.equal(distributor);
+      expect(requiredEmergencySignerSettings(distributor)).to.deep.equal(['keystorePath']);
+
+      const remote = { ...distributor, emergencySignerType: 'remote', emergencyRemoteSignerUrl: 'http://127.0.0.1:9000' };
+      expect(emergencySignerSettings(remote)).to.include({ signerType: 'remote', remoteSignerUrl: 'http://127.0.0.1:9000', keystorePath: null });
+      expect(requiredEmergencySignerSettings({ ...remote, emergencySignerType: 'keystore' })).to.deep.equal(['emergencyKeystorePath']);
+
+      // A bare emergency key is a plain private key signer, even beside a deployments file
+      const plain = { ...distributor, deploymentsFile: 'deployments.json', emergencyPrivateKey: PRIVATE_KEY };
+      expect(requiredEmergencySignerSettings(plain)).to.deep.equal(['emergencyPrivateKey']);
+      expect(await (await createSignerFromConfig(emergencySignerSettings(plain))).getAddress()).to.equal(ADDRESS);
+    });
+
+    it('should refuse to switch validators without a signer', async function() {
+      const result = await checkValidator({
+        rpcUrl: 'http://127.0.0.1:1',
+        contractAddress: CONTRACT,
+        readOnly: true,
+        shouldSwitch: true,
+        silent: true
+      });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.include('read-only mode');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,176 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const { predictTransfer, simulateDistribution } = require('../simulate');
+
+const TAO = 1000000000n;
+
+/**
+ * Contract state one day after a 10 TAO payout on 1000 TAO principal
+ */
+function baseState(overrides = {}) {
+  const lastPaymentAmount = 10n * TAO;
+  return {
+    blockNumber: 17200n,
+    principalLocked: 1000n * TAO,
+    previousBalance: 1000n * TAO,
+    lastTransferBlock: 10000n,
+    lastRewardRate: (lastPaymentAmount * 10n ** 18n) / 7200n,
+    lastPaymentAmount,
+    lastValidatorCheckBlock: 17150n,
+    currentBalance: 1010n * TAO,
+    recipients: [
+      { coldkey: '0x' + '01'.repeat(32), proportion: 3333n },
+      { coldkey: '0x' + '02'.repeat(32), proportion: 3333n },
+      { coldkey: '0x' + '03'.repeat(32), proportion: 3334n }
+    ],
+    ...overrides
+  };
+}
+
+describe('SaintDurbin Distribution Simulator', function() {
+  describe('predictTransfer', function() {
+    it('should split the yield by proportion and give the remainder to the last recipient', function() {
+      const prediction = predictTransfer(baseState({ currentBalance: 1000n * TAO + 10000000001n }));
+
+      expect(prediction.outcome).to.equal('transfer');
+      expect(prediction.principalDetection.triggered).to.be.false;
+      expect(prediction.recipients.map(r => r.amount)).to.deep.equal([3333000000n, 3333000000n, 3334000001n]);
+      expect(prediction.totalTransferred).to.equal(10000000001n);
+      expect(prediction.validatorCheckDue).to.be.false;
+    });
+
+    it('should predict TransferTooSoon before the interval has passed', function() {
+      const prediction = predictTransfer(baseState({ blockNumber: 17199n }));
+
+      expect(prediction.outcome).to.equal('too-soon');
+      expect(prediction.recipients).to.be.empty;
+    });
+
+    it('should clip the payout when the reward rate more than doubles', function() {
+      const prediction = predictTransfer(baseState({ currentBalance: 1025n * TAO }));
+
+      expect(prediction.principalDetection.rateBased).to.be.true;
+      expect(prediction.principalDetection.absolute).to.be.false;
+      expect(prediction.principalDetection.detectedPrincipal).to.equal(15n * TAO);
+      expect(prediction.principalDetection.newPrincipalLocked).to.equal(1015n * TAO);
+      expect(prediction.totalTransferred).to.equal(10n * TAO);
+    });
+
+    it('should detect principal from the 3x absolute rule when there is no previous rate', function() {
+      const prediction = predictTransfer(baseState({ lastRewardRate: 0n, currentBalance: 1031n * TAO }));
+
+      expect(prediction.principalDetection.rateBased).to.be.false;
+      expect(prediction.principalDetection.absolute).to.be.true;
+      expect(prediction.availableYield).to.equal(10n * TAO);
+    });
+
+    it('should fall back to the last payment when the balance is at or below principal', function() {
+      const prediction = predictTransfer(baseState({ currentBalance: 990n * TAO }));
+
+      expect(prediction.usedLastPaymentFallback).to.be.true;
+      expect(prediction.principalDetection.evaluated).to.be.false;
+      expect(prediction.totalTransferred).to.equal(10n * TAO);
+    });
+
+    it('should skip payouts below the existential amount', function() {
+      const prediction = predictTransfer(baseState({
+        lastPaymentAmount: 0n,
+        currentBalance: 1000n * TAO + TAO - 1n
+      }));
+
+      expect(prediction.outcome).to.equal('below-existential');
+      expect(prediction.recipients).to.be.empty;
+    });
+
+    it('should skip when there is no yield and no previous payment', function() {
+      const prediction = predictTransfer(baseState({ lastPaymentAmount: 0n, currentBalance: 1000n * TAO }));
+
+      expect(prediction.outcome).to.equal('no-yield');
+    });
+  });
+
+  describe('simulateDistribution', function() {
+    let sandbox;
+    let mockContract;
+    let mockProvider;
+
+    beforeEach(function() {
+      sandbox = sinon.createSandbox();
+      const state = baseState();
+
+      mockContract = {
+        getAllRecipients: sandbox.stub().resolves([
+          state.recipients.map(r => r.coldkey),
+          state.recipients.map(r => r.proportion)
+        ]),
+        principalLocked: sandbox.stub().resolves(state.principalLocked),
+        previousBalance: sandbox.stub().resolves(state.previousBalance),
+        lastTransferBlock: sandbox.stub().resolves(state.lastTransferBlock),
+        lastRewardRate: sandbox.stub().resolves(state.lastRewardRate),
+        lastPaymentAmount: sandbox.stub().resolves(state.lastPaymentAmount),
+        lastValidatorCheckBlock: sandbox.stub().resolves(state.lastValidatorCheckBlock),
+        getStakedBalance: sandbox.stub().resolves(state.currentBalance),
+        executeTransfer: { staticCall: sandbox.stub().resolves() }
+      };
+      mockProvider = { getBlockNumber: sandbox.stub().resolves(17199) };
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('should predict for the next block and agree with the staticCall', async function() {
+      const result = await simulateDistribution(mockContract, mockProvider);
+
+      expect(result.success).to.be.true;
+      expect(result.prediction.blockNumber).to.equal(17200n);
+      expect(result.prediction.outcome).to.equal('transfer');
+      expect(result.crossCheck).to.deep.equal({ success: true, error: null, decodedError: null, consistent: true });
+    });
+
+    it('should read every value and run the staticCall at the same block', async function() {
+      await simulateDistribution(mockContract, mockProvider);
+
+      expect(mockProvider.getBlockNumber.calledOnce).to.be.true;
+      const reads = ['getAllRecipients', 'principalLocked', 'previousBalance', 'lastTransferBlock', 'lastRewardRate',
+        'lastPaymentAmount', 'lastValidatorCheckBlock', 'getStakedBalance'].map(name => mockContract[name]);
+      for (const read of [...reads, mockContract.executeTransfer.staticCall]) {
+        expect(read.firstCall.args).to.deep.equal([{ blockTag: 17199 }]);
+      }
+    });
+
+    it('should flag a staticCall that disagrees with the prediction', async function() {
+      mockContract.executeTransfer.staticCall.rejects(new Error('execution reverted'));
+
+      const result = await simulateDistribution(mockContract, mockProvider);
+
+      expect(result.crossCheck.success).to.be.false;
+      expect(result.crossCheck.error).to.equal('execution reverted');
+      expect(result.crossCheck.consistent).to.be.false;
+    });
+
+    it('should decode the TransferTooSoon revert when it is too soon', async function() {
+      mockContract.lastTransferBlock.resolves(15000n);
+      const error = new Error('execution reverted');
+      error.data = ethers.id('TransferTooSoon()').slice(0, 10);
+      mockContract.executeTransfer.staticCall.rejects(error);
+
+      const result = await simulateDistribution(mockContract, mockProvider);
+
+      expect(result.prediction.outcome).to.equal('too-soon');
+      expect(result.crossCheck.decodedError.name).to.equal('TransferTooSoon');
+      expect(result.crossCheck.error).to.match(/^TransferTooSoon: /);
+      expect(result.crossCheck.consistent).to.be.true;
+    });
+
+    it('should report read failures', async function() {
+      mockProvider.getBlockNumber.rejects(new Error('RPC error'));
+
+      const result = await simulateDistribution(mockContract, mockProvider);
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('RPC error');
+    });
+  });
+});
\ No newline at end of file
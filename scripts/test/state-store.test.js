@@ -0,0 +1,125 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EMPTY_RUN_STATE, recordRun, createRunStateStore } = require('../state-store');
+const { CONFIG, executeDistribution, setDistributionCount } = require('../distribute');
+
+const CONTRACT = '0x' + 'Ab'.repeat(20);
+const OTHER_CONTRACT = '0x' + 'cd'.repeat(20);
+const NOW = new Date('2024-01-01T00:00:00.000Z');
+
+describe('SaintDurbin Run State', function() {
+  let dir;
+  let filePath;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-state-'));
+    filePath = path.join(dir, 'state', 'saintdurbin-state.json');
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('recordRun', function() {
+    it('should record the outcome and keep the last transaction and validator check', function() {
+      const distributed = recordRun(EMPTY_RUN_STATE, { success: true, transactionHash: '0xabc', error: null }, {
+        runCount: 1,
+        validatorCheckBlock: 500,
+        now: NOW
+      });
+      const notReady = recordRun(distributed, { success: false, transactionHash: null, error: null }, { runCount: 2, now: NOW });
+      const failed = recordRun(notReady, { success: false, transactionHash: null, error: 'RPC error' }, { runCount: 3, now: NOW });
+
+      expect(distributed).to.deep.equal({
+        runCount: 1,
+        lastRunAt: NOW.toISOString(),
+        lastOutcome: 'distributed',
+        lastTransactionHash: '0xabc',
+        lastError: null,
+        lastValidatorCheckBlock: 500,
+        lastValidatorCheckAt: NOW.toISOString()
+      });
+      expect(notReady).to.include({ lastOutcome: 'not-ready', lastTransactionHash: '0xabc', lastValidatorCheckBlock: 500 });
+      expect(failed).to.include({ runCount: 3, lastOutcome: 'failed', lastError: 'RPC error' });
+    });
+  });
+
+  describe('createRunStateStore', function() {
+    it('should keep each contract\'s state across store instances', function() {
+      createRunStateStore(filePath).update(CONTRACT, { ...EMPTY_RUN_STATE, runCount: 4 });
+      createRunStateStore(filePath).update(OTHER_CONTRACT, { ...EMPTY_RUN_STATE, runCount: 9 });
+
+      const store = createRunStateStore(filePath);
+      expect(store.get(CONTRACT.toLowerCase()).runCount).to.equal(4);
+      expect(store.get(OTHER_CONTRACT).runCount).to.equal(9);
+      expect(store.get('0x' + '00'.repeat(20))).to.deep.equal(EMPTY_RUN_STATE);
+      expect(fs.readdirSync(path.dirname(filePath))).to.deep.equal(['saintdurbin-state.json']);
+    });
+
+    it('should move a corrupt or truncated state file aside and start from an empty state', function() {
+      createRunStateStore(filePath).update(CONTRACT, { ...EMPTY_RUN_STATE, runCount: 4 });
+      const saved = fs.readFileSync(filePath, 'utf8');
+      fs.writeFileSync(filePath, saved.slice(0, 40));
+      const store = createRunStateStore(filePath, { silent: true });
+
+      expect(store.get(CONTRACT)).to.deep.equal(EMPTY_RUN_STATE);
+      const aside = fs.readdirSync(path.dirname(filePath)).filter(name => name.includes('.corrupt-'));
+      expect(aside).to.have.lengthOf(1);
+      expect(fs.readFileSync(path.join(path.dirname(filePath), aside[0]), 'utf8')).to.equal(saved.slice(0, 40));
+
+      store.update(CONTRACT, { ...EMPTY_RUN_STATE, runCount: 1 });
+      expect(createRunStateStore(filePath).get(CONTRACT).runCount).to.equal(1);
+
+      fs.writeFileSync(filePath, 'null');
+      expect(store.get(CONTRACT)).to.deep.equal(EMPTY_RUN_STATE);
+    });
+  });
+
+  describe('executeDistribution with a state store', function() {
+    let sandbox;
+    let contract;
+    let provider;
+    let checkInterval;
+
+    beforeEach(function() {
+      sandbox = sinon.createSandbox();
+      sandbox.stub(console, 'log');
+      checkInterval = CONFIG.checkInterval;
+      contract = {
+        getAddress: sandbox.stub().resolves(CONTRACT),
+        canExecuteTransfer: sandbox.stub().resolves(false),
+        blocksUntilNextTransfer: sandbox.stub().resolves(100n),
+        getCurrentValidatorInfo: sandbox.stub().resolves(['0x' + '0a'.repeat(32), 3n, true]),
+        getStakedBalance: sandbox.stub().resolves(1000000000n)
+      };
+      provider = { getBlockNumber: sandbox.stub().resolves(12345) };
+    });
+
+    afterEach(function() {
+      CONFIG.checkInterval = checkInterval;
+      setDistributionCount(0);
+      sandbox.restore();
+    });
+
+    it('should run the periodic validator check across restarts', async function() {
+      CONFIG.checkInterval = 2;
+      const run = async () => {
+        // Each one-shot run starts with a fresh process
+        setDistributionCount(0);
+        return executeDistribution(contract, provider, { stateStore: createRunStateStore(filePath) });
+      };
+
+      await run();
+      expect(contract.getCurrentValidatorInfo.called).to.be.false;
+
+      await run();
+      expect(contract.getCurrentValidatorInfo.calledOnce).to.be.true;
+
+      const state = createRunStateStore(filePath).get(CONTRACT);
+      expect(state).to.include({ runCount: 2, lastOutcome: 'not-ready', lastValidatorCheckBlock: 12345 });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,133 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  resolveDateRange,
+  buildStatements,
+  formatStatementsCsv,
+  formatStatementHtml,
+  generateStatements
+} = require('../statements');
+
+const COLDKEY_A = '0x' + 'aa'.repeat(32);
+const COLDKEY_B = '0x' + 'bb'.repeat(32);
+
+function payoutEvent(name, blockNumber, coldkey, amount, extra = {}) {
+  return {
+    name,
+    blockNumber,
+    timestamp: 1704067200 + blockNumber,
+    transactionHash: `0xtx${blockNumber}`,
+    args: { coldkey, amount: amount.toString(), ...extra }
+  };
+}
+
+describe('SaintDurbin Payout Statements', function() {
+  const recipients = [
+    { coldkey: COLDKEY_A, proportion: '6000' },
+    { coldkey: COLDKEY_B, proportion: '4000' }
+  ];
+
+  const events = [
+    payoutEvent('RecipientTransfer', 100, COLDKEY_A, 1500000000n, { proportion: '6000' }),
+    payoutEvent('TransferFailed', 100, COLDKEY_B, 1000000000n, { reason: 'Unknown error' }),
+    payoutEvent('RecipientTransfer', 200, COLDKEY_A, 2500000000n, { proportion: '6000' })
+  ];
+
+  describe('resolveDateRange', function() {
+    it('should expand a year into an inclusive UTC range', function() {
+      expect(resolveDateRange({ year: 2024 })).to.deep.equal({
+        fromTimestamp: 1704067200,
+        toTimestamp: 1735689599
+      });
+    });
+
+    it('should reject malformed dates', function() {
+      expect(() => resolveDateRange({ fromDate: '2024-13-45' })).to.throw('Invalid date');
+    });
+  });
+
+  describe('buildStatements', function() {
+    it('should produce running totals per coldkey', function() {
+      const statements = buildStatements({ recipients, events });
+      const [a, b] = statements;
+
+      expect(statements).to.have.lengthOf(2);
+      expect(a.coldkey).to.equal(COLDKEY_A);
+      expect(a.proportion).to.equal(6000);
+      expect(a.payouts.map(p => p.runningTotalTao)).to.deep.equal(['1.5', '4.0']);
+      expect(a.totals).to.deep.include({ paid: '4000000000', paidTao: '4.0', payoutCount: 2, failureCount: 0 });
+
+      expect(b.payouts).to.have.lengthOf(0);
+      expect(b.failures[0]).to.deep.include({ amountTao: '1.0', reason: 'Unknown error' });
+      expect(b.totals).to.deep.include({ failed: '1000000000', failedTao: '1.0', failureCount: 1 });
+    });
+
+    it('should include coldkeys that appear only in events', function() {
+      const stranger = '0x' + 'cc'.repeat(32);
+      const statements = buildStatements({
+        recipients,
+        events: [payoutEvent('RecipientTransfer', 300, stranger, 1n, { proportion: '1' })]
+      });
+
+      expect(statements.map(s => s.coldkey)).to.include(stranger);
+      expect(statements.find(s => s.coldkey === stranger).proportion).to.be.null;
+    });
+  });
+
+  describe('formatters', function() {
+    it('should render CSV rows in block order', function() {
+      const csv = formatStatementsCsv(buildStatements({ recipients, events }));
+      const lines = csv.trim().split('\n');
+
+      expect(lines[0]).to.equal('coldkey,type,block,date,transaction,amount_tao,proportion_bps,running_total_tao,reason,coldkey_ss58,label');
+      expect(lines).to.have.lengthOf(4);
+      expect(lines[1]).to.include(`${COLDKEY_A},payout,100,`);
+      expect(lines[1]).to.include(',1.5,6000,1.5,');
+      expect(lines[3]).to.include(`${COLDKEY_B},failed,100,`);
+      expect(lines[3]).to.include('Unknown error');
+    });
+
+    it('should render a printable HTML statement', function() {
+      const [statement] = buildStatements({ recipients, events, period: { from: '2024-01-01', to: '2024-12-31' } });
+      const html = formatStatementHtml(statement);
+
+      expect(html).to.include('<!DOCTYPE html>');
+      expect(html).to.include(COLDKEY_A);
+      expect(html).to.include('2024-01-01 – 2024-12-31');
+      expect(html).to.include('Paid: 4.0 TAO in 2 payouts');
+    });
+  });
+
+  describe('generateStatements', function() {
+    it('should combine contract recipients with indexed events', async function() {
+      const contract = {
+        getAddress: sinon.stub().resolves('0x1234567890123456789012345678901234567890'),
+        getAllRecipients: sinon.stub().resolves([[COLDKEY_A, COLDKEY_B], [6000n, 4000n]])
+      };
+      const store = { getEvents: sinon.stub().returns(events) };
+
+      const result = await generateStatements(contract, store, { year: 2024, coldkey: COLDKEY_A });
+
+      expect(result.success).to.be.true;
+      expect(result.statements).to.have.lengthOf(1);
+      expect(result.statements[0].period).to.deep.include({ from: '2024-01-01', to: '2024-12-31' });
+      expect(store.getEvents.firstCall.args[0]).to.deep.include({
+        names: ['RecipientTransfer', 'TransferFailed'],
+        fromTimestamp: 1704067200,
+        toTimestamp: 1735689599
+      });
+    });
+
+    it('should return an error result when the contract call fails', async function() {
+      const contract = {
+        getAddress: sinon.stub().resolves('0x1234567890123456789012345678901234567890'),
+        getAllRecipients: sinon.stub().rejects(new Error('RPC error'))
+      };
+
+      const result = await generateStatements(contract, { getEvents: () => [] });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('RPC error');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,207 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const http = require('http');
+const { openEventStore } = require('../indexer');
+const { createStatusServer } = require('../status-server');
+const { encodeSs58 } = require('../address-book');
+
+const CONTRACT = '0x' + 'ab'.repeat(20);
+const TAO = 1000000000n;
+
+/**
+ * Send a request to a local server and parse the JSON body
+ */
+function request(port, path, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('SaintDurbin Status API', function() {
+  let sandbox;
+  let contract;
+  let provider;
+  let store;
+
+  beforeEach(async function() {
+    sandbox = sinon.createSandbox();
+    contract = {
+      getAddress: sandbox.stub().resolves(CONTRACT),
+      getStakedBalance: sandbox.stub().resolves(1010n * TAO),
+      principalLocked: sandbox.stub().resolves(1000n * TAO),
+      getAvailableRewards: sandbox.stub().resolves(10n * TAO),
+      getNextTransferAmount: sandbox.stub().resolves(10n * TAO),
+      blocksUntilNextTransfer: sandbox.stub().resolves(200n),
+      canExecuteTransfer: sandbox.stub().resolves(false),
+      lastTransferBlock: sandbox.stub().resolves(93000n),
+      lastPaymentAmount: sandbox.stub().resolves(9n * TAO),
+      getAllRecipients: sandbox.stub().resolves([['0x' + '01'.repeat(32), '0x' + '02'.repeat(32)], [2500n, 7500n]]),
+      getCurrentValidatorInfo: sandbox.stub().resolves(['0x' + '0a'.repeat(32), 7n, true]),
+      netuid: sandbox.stub().resolves(1n),
+      lastValidatorCheckBlock: sandbox.stub().resolves(99950n),
+      getEmergencyDrainStatus: sandbox.stub().resolves([false, 0n]),
+      emergencyDrainRequestedAt: sandbox.stub().resolves(0n)
+    };
+    provider = {
+      getBlockNumber: sandbox.stub().resolves(100000),
+      getBlock: sandbox.stub().resolves({ number: 100000, timestamp: 1700000000 })
+    };
+
+    store = await openEventStore(null);
+    store.insertEvents([1, 2, 3].map(i => ({
+      contractAddress: CONTRACT,
+      blockNumber: 90000 + i * 7200,
+      blockHash: '0x' + String(i).repeat(64),
+      transactionHash: '0x' + String(i + 3).repeat(64),
+      logIndex: 0,
+      name: i === 2 ? 'PrincipalDetected' : 'StakeTransferred',
+      args: { totalAmount: String(BigInt(i) * TAO) },
+      timestamp: 1700000000 + i * 86400
+    })));
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+    store.close();
+  });
+
+  describe('handle', function() {
+    it('should report the distribution status with bigints intact', async function() {
+      const { status, body } = await createStatusServer(contract, provider, { silent: true }).handle('/status');
+
+      expect(status).to.equal(200);
+      expect(body).to.include({
+        contractAddress: CONTRACT,
+        stakedBalanceTao: '1010.0',
+        canExecuteTransfer: false,
+        blocksUntilNextTransfer: 200n,
+        nextTransferBlock: 100200n
+      });
+    });
+
+    it('should list recipients, the validator and the emergency drain state', async function() {
+      const api = createStatusServer(contract, provider, { silent: true });
+
+      expect((await api.handle('/recipients')).body.recipients[1]).to.deep.equal({
+        index: 1,
+        coldkey: '0x' + '02'.repeat(32),
+        coldkeySs58: encodeSs58('0x' + '02'.repeat(32)),
+        coldkeyLabel: null,
+        proportion: 7500,
+        percent: 75
+      });
+      expect((await api.handle('/validator')).body).to.include({ netuid: 1, uid: 7, isValid: true });
+      expect((await api.handle('/emergency')).body).to.include({ isPending: false, level: 'none' });
+    });
+
+    it('should cache contract reads for the configured TTL', async function() {
+      const api = createStatusServer(contract, provider, { cacheTtl: 60000, silent: true });
+
+      await api.handle('/validator');
+      await api.handle('/validator');
+
+      expect(contract.getCurrentValidatorInfo.calledOnce).to.be.true;
+    });
+
+    it('should return history newest first, filtered and limited', async function() {
+      const api = createStatusServer(contract, provider, { store, silent: true });
+
+      const all = await api.handle('/history');
+      const limited = await api.handle('/history', new URLSearchParams('limit=1&event=StakeTransferred'));
+
+      expect(all.body.events.map(e => e.blockNumber)).to.deep.equal([111600, 104400, 97200]);
+      expect(limited.body.events).to.have.length(1);
+      expect(limited.body.events[0]).to.include({ name: 'StakeTransferred', blockNumber: 111600 });
+
+      for (const limit of ['-1', '0', 'all']) {
+        expect(await api.handle('/history', new URLSearchParams(`limit=${limit}`))).to.deep.equal({
+          status: 400,
+          body: { error: `limit must be a positive integer, got "${limit}"` }
+        });
+      }
+      const capped = await createStatusServer(contract, provider, { store, maxHistoryLimit: 2, silent: true })
+        .handle('/history', new URLSearchParams('limit=100'));
+      expect(capped.body.events).to.have.length(2);
+    });
+
+    it('should sync history in the background, one sync at a time', async function() {
+      let finishSync;
+      provider.getBlockNumber.returns(new Promise(resolve => { finishSync = resolve; }));
+      const api = createStatusServer(contract, provider, { store, syncHistory: true, cacheTtl: 0, silent: true });
+
+      const [first, second] = await Promise.all([api.handle('/history'), api.handle('/history')]);
+
+      expect(first.body.events).to.have.length(3);
+      expect(second.body.events).to.have.length(3);
+      expect(provider.getBlockNumber.calledOnce).to.be.true;
+
+      finishSync(100000);
+      await api.sync();
+      await api.handle('/history');
+      expect(provider.getBlockNumber.calledTwice).to.be.true;
+      await api.sync();
+    });
+
+    it('should report unknown endpoints, missing history and RPC failures', async function() {
+      const api = createStatusServer(contract, provider, { silent: true });
+      contract.getAllRecipients.rejects(new Error('RPC error'));
+
+      expect((await api.handle('/nope')).status).to.equal(404);
+      expect((await api.handle('/history')).status).to.equal(503);
+      expect(await api.handle('/recipients')).to.deep.equal({ status: 502, body: { error: 'RPC error' } });
+    });
+  });
+
+  describe('server', function() {
+    it('should serve JSON with CORS headers and reject writes', async function() {
+      const api = createStatusServer(contract, provider, {
+        port: 0, host: '127.0.0.1', corsOrigin: 'https://dashboard.example', silent: true
+      });
+      const port = await api.start();
+
+      try {
+        const status = await request(port, '/status');
+        expect(status.status).to.equal(200);
+        expect(status.headers['access-control-allow-origin']).to.equal('https://dashboard.example');
+        expect(status.body.blocksUntilNextTransfer).to.equal('200');
+
+        expect((await request(port, '/status', 'POST')).status).to.equal(405);
+      } finally {
+        await api.stop();
+      }
+    });
+
+    it('should answer bad paths and internal errors without stopping', async function() {
+      const circular = {};
+      circular.self = circular;
+      const addressBook = { annotate: (value) => (value.count !== undefined ? circular : value) };
+      const api = createStatusServer(contract, provider, { port: 0, host: '127.0.0.1', addressBook, silent: true });
+      const port = await api.start();
+
+      try {
+        expect((await request(port, '//')).status).to.equal(400);
+        expect(await request(port, '/recipients')).to.deep.include({ status: 500, body: { error: 'Internal error' } });
+        expect((await request(port, '/status')).status).to.equal(200);
+      } finally {
+        await api.stop();
+      }
+    });
+
+    it('should send no CORS header unless an origin is configured', async function() {
+      const api = createStatusServer(contract, provider, { port: 0, host: '127.0.0.1', silent: true });
+      const port = await api.start();
+
+      try {
+        expect((await request(port, '/status')).headers).to.not.have.property('access-control-allow-origin');
+      } finally {
+        await api.stop();
+      }
+    });
+  });
+});
\ No newline at end of file
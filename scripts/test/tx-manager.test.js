@@ -0,0 +1,223 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { acquireLock, bumpFees, createTransactionManager } = require('../tx-manager');
+
+const SIGNER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+
+describe('SaintDurbin Transaction Manager', function() {
+  let sandbox;
+  let dir;
+  let provider;
+  let signer;
+  let contract;
+
+  /**
+   * Manager with timings shrunk for tests
+   */
+  function createManager(overrides = {}) {
+    return createTransactionManager({
+      signer,
+      provider,
+      lockDir: dir,
+      pollInterval: 5,
+      stuckTimeout: 20,
+      confirmationTimeout: 1000,
+      silent: true,
+      ...overrides
+    });
+  }
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tx-manager-'));
+
+    provider = {
+      getFeeData: sandbox.stub().resolves({ maxFeePerGas: gwei(20), maxPriorityFeePerGas: gwei(2), gasPrice: gwei(10) }),
+      getTransactionCount: sandbox.stub().resolves(7),
+      getTransactionReceipt: sandbox.stub().resolves(null),
+      getBlockNumber: sandbox.stub().resolves(100)
+    };
+    signer = { getAddress: sandbox.stub().resolves(SIGNER) };
+
+    const executeTransfer = sandbox.stub();
+    executeTransfer.onCall(0).resolves({ hash: '0xfirst' });
+    executeTransfer.onCall(1).resolves({ hash: '0xsecond' });
+    executeTransfer.estimateGas = sandbox.stub().resolves(400000n);
+    contract = { executeTransfer };
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('send', function() {
+    it('should estimate gas with a margin and use EIP-1559 fees', async function() {
+      provider.getTransactionReceipt.withArgs('0xfirst').resolves({ hash: '0xfirst', status: 1, blockNumber: 100 });
+
+      const result = await createManager({ gasMargin: 25 }).send(contract, 'executeTransfer');
+
+      expect(result.hash).to.equal('0xfirst');
+      expect(result.receipt.status).to.equal(1);
+      expect(contract.executeTransfer.firstCall.args[0]).to.deep.equal({
+        gasLimit: 500000n,
+        nonce: 7,
+        maxFeePerGas: gwei(20),
+        maxPriorityFeePerGas: gwei(2)
+      });
+    });
+
+    it('should fall back to a capped legacy gas price', async function() {
+      provider.getFeeData.resolves({ maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: gwei(50) });
+      provider.getTransactionReceipt.withArgs('0xfirst').resolves({ hash: '0xfirst', status: 1, blockNumber: 100 });
+
+      await createManager({ maxFeeCap: '30' }).send(contract, 'executeTransfer', [], { gasLimit: 600000 });
+
+      expect(contract.executeTransfer.estimateGas.called).to.be.false;
+      expect(contract.executeTransfer.firstCall.args[0]).to.deep.include({ gasLimit: 600000n, gasPrice: gwei(30) });
+    });
+
+    it('should replace a stuck transaction with bumped fees and the same nonce', async function() {
+      provider.getTransactionReceipt.withArgs('0xsecond').callsFake(async () =>
+        (contract.executeTransfer.callCount > 1 ? { hash: '0xsecond', status: 1, blockNumber: 101 } : null));
+
+      const result = await createManager({ bumpPercent: 20 }).send(contract, 'executeTransfer');
+
+      expect(result.hash).to.equal('0xsecond');
+      expect(result.attempts.map(a => a.hash)).to.deep.equal(['0xfirst', '0xsecond']);
+      const replacement = contract.executeTransfer.secondCall.args[0];
+      expect(replacement.nonce).to.equal(7);
+      expect(replacement.maxFeePerGas).to.equal(gwei(24));
+      expect(replacement.maxPriorityFeePerGas).to.equal(gwei('2.4'));
+    });
+
+    it('should stop bumping once the fee cap leaves no room for a replacement', async function() {
+      try {
+        await createManager({ maxFeeCap: '22', confirmationTimeout: 200 }).send(contract, 'executeTransfer');
+        expect.fail('send should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Transaction 0xfirst not confirmed within 0s');
+      }
+
+      // 20 gwei bumped by 20% is capped at 22, the most the cap allows; a further bump would not replace it
+      expect(contract.executeTransfer.calledTwice).to.be.true;
+      expect(contract.executeTransfer.secondCall.args[0]).to.deep.include({
+        maxFeePerGas: gwei(22),
+        maxPriorityFeePerGas: gwei('2.4')
+      });
+    });
+
+    it('should wait for the configured confirmations', async function() {
+      provider.getTransactionReceipt.resolves({ hash: '0xfirst', status: 1, blockNumber: 100 });
+      provider.getBlockNumber.onFirstCall().resolves(100);
+      provider.getBlockNumber.resolves(102);
+
+      const result = await createManager({ confirmations: 3, stuckTimeout: 10000 }).send(contract, 'executeTransfer');
+
+      expect(result.hash).to.equal('0xfirst');
+      expect(provider.getBlockNumber.callCount).to.equal(2);
+    });
+
+    it('should give up once the confirmation timeout passes', async function() {
+      try {
+        await createManager({ confirmationTimeout: 60, maxBumps: 0 }).send(contract, 'executeTransfer');
+        expect.fail('send should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Transaction 0xfirst not confirmed within 0s');
+      }
+      expect(contract.executeTransfer.calledOnce).to.be.true;
+    });
+
+    it('should refuse timings or a gas margin that are not integers', function() {
+      expect(() => createManager({ stuckTimeout: '2m' }))
+        .to.throw('Invalid transaction setting TX_STUCK_TIMEOUT: expected an integer, got "2m"');
+      expect(() => createManager({ confirmationTimeout: '0' }))
+        .to.throw('Invalid transaction setting TX_CONFIRMATION_TIMEOUT: must be at least 1, got 0');
+      expect(() => createManager({ gasMargin: '-5' }))
+        .to.throw('Invalid transaction setting TX_GAS_MARGIN: must be at least 0, got -5');
+    });
+
+    it('should surface estimation failures without sending', async function() {
+      contract.executeTransfer.estimateGas.rejects(new Error('execution reverted'));
+
+      try {
+        await createManager().send(contract, 'executeTransfer');
+        expect.fail('send should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('execution reverted');
+      }
+      expect(contract.executeTransfer.called).to.be.false;
+    });
+  });
+
+  describe('getNonce', function() {
+    it('should continue from a nonce another run just used', async function() {
+      provider.getTransactionReceipt.resolves({ hash: '0xfirst', status: 1, blockNumber: 100 });
+      const manager = createManager();
+
+      await manager.send(contract, 'executeTransfer');
+
+      // The node has not seen the first transaction yet
+      expect(await manager.getNonce(SIGNER)).to.equal(8);
+    });
+
+    it('should ignore an expired nonce record', async function() {
+      const record = path.join(dir, `saintdurbin-${SIGNER.toLowerCase()}.nonce.json`);
+      fs.writeFileSync(record, JSON.stringify({ nextNonce: 12, updatedAt: Date.now() - 3600000 }));
+
+      expect(await createManager().getNonce(SIGNER)).to.equal(7);
+    });
+  });
+
+  describe('acquireLock', function() {
+    it('should serialize holders and break stale locks', async function() {
+      const lockPath = path.join(dir, 'test.lock');
+      const release = await acquireLock(lockPath);
+
+      try {
+        await acquireLock(lockPath, { timeout: 30, pollInterval: 5 });
+        expect.fail('second acquire should have timed out');
+      } catch (error) {
+        expect(error.message).to.include('Timed out waiting for nonce lock');
+      }
+
+      const second = await acquireLock(lockPath, { staleAge: 0, pollInterval: 5 });
+      second();
+      release();
+      expect(fs.existsSync(lockPath)).to.be.false;
+    });
+  });
+
+  describe('bumpFees', function() {
+    it('should raise fees by the bump percentage or to the current market', function() {
+      expect(bumpFees({ gasPrice: gwei(10) }, { gasPrice: gwei(11) }, 20)).to.deep.equal({ gasPrice: gwei(12) });
+      expect(bumpFees(
+        { maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(1) },
+        { maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(1) },
+        10
+      )).to.deep.equal({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei('1.1') });
+    });
+
+    it('should clamp fees to the cap and refuse a bump the node would reject', function() {
+      expect(bumpFees({ gasPrice: gwei(10) }, { gasPrice: gwei(50) }, 20, gwei(15))).to.deep.equal({ gasPrice: gwei(15) });
+      expect(bumpFees({ gasPrice: gwei(10) }, { gasPrice: gwei(10) }, 20, gwei('10.5'))).to.be.null;
+      expect(bumpFees(
+        { maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(5) },
+        { maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(20) },
+        20,
+        gwei(12)
+      )).to.deep.equal({ maxFeePerGas: gwei(12), maxPriorityFeePerGas: gwei(12) });
+      expect(bumpFees(
+        { maxFeePerGas: gwei(12), maxPriorityFeePerGas: gwei(12) },
+        { maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(1) },
+        20,
+        gwei(12)
+      )).to.be.null;
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,203 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadHealthHistory,
+  saveHealthHistory,
+  assessValidatorHealth,
+  createValidatorHealthMonitor
+} = require('../validator-health');
+
+const HOTKEY = '0x' + '0a'.repeat(32);
+const DAY = 86400;
+const T0 = 1700000000;
+
+/**
+ * A healthy snapshot `days` after T0
+ */
+function snapshot(days, overrides = {}) {
+  return {
+    timestamp: T0 + days * DAY,
+    blockNumber: 100000 + days * 7200,
+    netuid: 1,
+    uid: 3,
+    hotkey: HOTKEY,
+    isValidator: true,
+    isActive: true,
+    stake: '100000000000000',
+    dividends: 20000,
+    trust: 50000,
+    vtrust: 50000,
+    emission: '5000000000',
+    lastUpdate: 100000 + days * 7200 - 100,
+    ...overrides
+  };
+}
+
+describe('SaintDurbin Validator Health Monitor', function() {
+  describe('assessValidatorHealth', function() {
+    it('should report a steady validator as healthy', function() {
+      const assessment = assessValidatorHealth([snapshot(0), snapshot(1), snapshot(2)]);
+
+      expect(assessment.status).to.equal('healthy');
+      expect(assessment.score).to.equal(100);
+      expect(assessment.trends.stake.changePercent).to.equal(0);
+    });
+
+    it('should warn on gradual declines within the trend window', function() {
+      const assessment = assessValidatorHealth([
+        snapshot(0),
+        snapshot(2, { stake: '88000000000000', dividends: 8000 })
+      ]);
+
+      expect(assessment.status).to.equal('critical');
+      expect(assessment.warnings).to.deep.include.members([
+        { metric: 'stake', level: 'warning', message: `stake down 12% since ${new Date(T0 * 1000).toISOString()}` }
+      ]);
+      expect(assessment.warnings.find(w => w.metric === 'dividends').level).to.equal('critical');
+    });
+
+    it('should ignore snapshots outside the window or from another validator', function() {
+      const assessment = assessValidatorHealth([
+        snapshot(0, { stake: '500000000000000' }),
+        snapshot(4, { hotkey: '0x' + '0b'.repeat(32), stake: '900000000000000' }),
+        snapshot(5)
+      ]);
+
+      expect(assessment.trends.stake.changePercent).to.be.null;
+      expect(assessment.status).to.equal('healthy');
+    });
+
+    it('should escalate weight-update staleness toward the activity cutoff', function() {
+      const stale = (blocks) => assessValidatorHealth([snapshot(0, { lastUpdate: 100000 - blocks })]);
+
+      expect(stale(2600).warnings[0]).to.deep.include({ metric: 'lastUpdate', level: 'warning' });
+      expect(stale(4200).warnings[0]).to.deep.include({ metric: 'lastUpdate', level: 'critical' });
+      expect(stale(2600).staleness).to.equal(2600);
+    });
+
+    it('should use a configured activity cutoff and reject an invalid one', function() {
+      const stale = (blocks, activityCutoff) => assessValidatorHealth(
+        [snapshot(0, { lastUpdate: 100000 - blocks })],
+        { thresholds: { activityCutoff } }
+      );
+
+      expect(stale(2600, '10000').warnings).to.be.empty;
+      expect(stale(600, 1000).warnings[0]).to.deep.include({ metric: 'lastUpdate', level: 'warning' });
+      expect(() => stale(2600, '0')).to.throw('Invalid activity cutoff (VALIDATOR_ACTIVITY_CUTOFF): must be at least 1, got 0');
+      expect(() => createValidatorHealthMonitor({}, {}, {}, { silent: true, config: { thresholds: { activityCutoff: 'abc' } } }))
+        .to.throw('Invalid activity cutoff (VALIDATOR_ACTIVITY_CUTOFF)');
+    });
+
+    it('should reject a poll interval that is not a positive integer', function() {
+      expect(() => createValidatorHealthMonitor({}, {}, {}, { silent: true, pollInterval: '1h' }))
+        .to.throw('Invalid validator health poll interval (VALIDATOR_HEALTH_INTERVAL): expected an integer, got "1h"');
+      expect(() => createValidatorHealthMonitor({}, {}, {}, { silent: true, pollInterval: 0 }))
+        .to.throw('must be at least 1, got 0');
+    });
+
+    it('should flag low vtrust, zero emission and a lost permit', function() {
+      const assessment = assessValidatorHealth([
+        snapshot(0, { vtrust: 10000, emission: '0', isValidator: false })
+      ]);
+
+      expect(assessment.warnings.map(w => w.metric)).to.have.members(['permit', 'vtrust']);
+      expect(assessValidatorHealth([snapshot(0, { emission: '0' })]).warnings[0].metric).to.equal('emission');
+      expect(assessment.score).to.equal(30);
+    });
+  });
+
+  describe('health history', function() {
+    let dir;
+
+    beforeEach(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-health-'));
+    });
+
+    afterEach(function() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should persist snapshots and drop those past retention', function() {
+      const file = path.join(dir, 'history.json');
+      expect(loadHealthHistory(file)).to.deep.equal([]);
+
+      saveHealthHistory(file, [snapshot(0), snapshot(10), snapshot(20)], 14 * DAY);
+
+      expect(loadHealthHistory(file).map(s => s.timestamp)).to.deep.equal([T0 + 10 * DAY, T0 + 20 * DAY]);
+    });
+
+    describe('createValidatorHealthMonitor', function() {
+      let sandbox;
+      let contract;
+      let metagraph;
+      let provider;
+      let notifier;
+
+      beforeEach(function() {
+        sandbox = sinon.createSandbox();
+        contract = {
+          netuid: sandbox.stub().resolves(1n),
+          currentValidatorUid: sandbox.stub().resolves(3n),
+          currentValidatorHotkey: sandbox.stub().resolves(HOTKEY)
+        };
+        metagraph = {
+          getValidatorStatus: sandbox.stub().resolves(true),
+          getIsActive: sandbox.stub().resolves(true),
+          getStake: sandbox.stub().resolves(100000000000000n),
+          getDividends: sandbox.stub().resolves(20000n),
+          getTrust: sandbox.stub().resolves(50000n),
+          getVtrust: sandbox.stub().resolves(50000n),
+          getEmission: sandbox.stub().resolves(5000000000n),
+          getLastUpdate: sandbox.stub().resolves(99900n)
+        };
+        provider = { getBlock: sandbox.stub().resolves({ number: 100000, timestamp: T0 }) };
+        notifier = { notify: sandbox.stub().resolves({ success: true }) };
+      });
+
+      afterEach(function() {
+        sandbox.restore();
+      });
+
+      it('should alert only when health worsens', async function() {
+        const monitor = createValidatorHealthMonitor(contract, metagraph, provider, {
+          historyPath: path.join(dir, 'history.json'),
+          notifier,
+          silent: true
+        });
+
+        let result = await monitor.check();
+        expect(result.assessment.status).to.equal('healthy');
+        expect(result.alerted).to.be.false;
+
+        provider.getBlock.resolves({ number: 107200, timestamp: T0 + DAY });
+        metagraph.getLastUpdate.resolves(104000n);
+        result = await monitor.check();
+        expect(result.assessment.status).to.equal('warning');
+        expect(result.alerted).to.be.true;
+        expect(notifier.notify.firstCall.args[0]).to.equal('validatorHealth');
+        expect(notifier.notify.firstCall.args[1]).to.include({ status: 'warning', uid: 3 });
+
+        provider.getBlock.resolves({ number: 107300, timestamp: T0 + DAY + 3600 });
+        result = await monitor.check();
+        expect(result.alerted).to.be.false;
+        expect(loadHealthHistory(path.join(dir, 'history.json'))).to.have.length(3);
+      });
+
+      it('should report RPC failures without throwing', async function() {
+        metagraph.getStake.rejects(new Error('RPC error'));
+        const monitor = createValidatorHealthMonitor(contract, metagraph, provider, {
+          historyPath: path.join(dir, 'history.json'),
+          silent: true
+        });
+
+        const result = await monitor.check();
+
+        expect(result.success).to.be.false;
+        expect(result.error).to.equal('RPC error');
+      });
+    });
+  });
+});
\ No newline at end of file
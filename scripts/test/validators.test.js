@@ -0,0 +1,189 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  computeValidatorScore,
+  rankValidators,
+  getSwitchReason,
+  getValidatorLeaderboard
+} = require('../validators');
+
+const NETUID = 1;
+const hotkeyFor = (uid) => '0x' + (uid + 1).toString(16).padStart(64, '0');
+
+/**
+ * Metagraph stub backed by a table of neurons keyed by UID
+ */
+function createMetagraph(sandbox, neurons) {
+  const read = (field) => sandbox.stub().callsFake(async (netuid, uid) => {
+    const neuron = neurons[uid];
+    if (neuron[field] instanceof Error) throw neuron[field];
+    return neuron[field];
+  });
+
+  return {
+    getUidCount: sandbox.stub().resolves(neurons.length),
+    getValidatorStatus: read('isValidator'),
+    getIsActive: read('isActive'),
+    getStake: read('stake'),
+    getDividends: read('dividends'),
+    getHotkey: read('hotkey'),
+    getTrust: read('trust'),
+    getVtrust: read('vtrust'),
+    getEmission: read('emission')
+  };
+}
+
+/**
+ * A permitted, active neuron
+ */
+function neuron(uid, stake, dividends, overrides = {}) {
+  return {
+    isValidator: true,
+    isActive: true,
+    stake,
+    dividends,
+    hotkey: hotkeyFor(uid),
+    trust: 60000n,
+    vtrust: 50000n,
+    emission: 1000n,
+    ...overrides
+  };
+}
+
+describe('SaintDurbin Validator Leaderboard', function() {
+  let sandbox;
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe('computeValidatorScore', function() {
+    it('should match the contract formula including integer division', function() {
+      expect(computeValidatorScore(1000n, 0n)).to.equal(1000n);
+      expect(computeValidatorScore(1000n, 65535n)).to.equal(2000n);
+      expect(computeValidatorScore(1000n, 100n)).to.equal((1000n * 65635n) / 65535n);
+    });
+  });
+
+  describe('rankValidators', function() {
+    it('should break ties towards the lowest UID like the strict > scan', function() {
+      const { ranked, pick } = rankValidators([
+        { uid: 0, eligible: false, score: 0n },
+        { uid: 1, eligible: true, score: 500n },
+        { uid: 2, eligible: true, score: 900n },
+        { uid: 3, eligible: true, score: 900n }
+      ]);
+
+      expect(ranked.map(n => n.uid)).to.deep.equal([2, 3, 1]);
+      expect(pick.uid).to.equal(2);
+    });
+
+    it('should never pick a zero score', function() {
+      const { pick } = rankValidators([{ uid: 0, eligible: true, score: 0n }]);
+      expect(pick).to.be.null;
+    });
+  });
+
+  describe('getSwitchReason', function() {
+    it('should report the first failing check in contract order', function() {
+      const current = hotkeyFor(0);
+      expect(getSwitchReason({ isValidator: false }, current)).to.equal('Validator lost permit');
+      expect(getSwitchReason({ isValidator: true, isActive: false, hotkey: hotkeyFor(9) }, current))
+        .to.equal('Validator UID hotkey mismatch');
+      expect(getSwitchReason({ isValidator: true, isActive: false, hotkey: current }, current))
+        .to.equal('Validator is inactive');
+      expect(getSwitchReason({ isValidator: true, isActive: true, hotkey: current }, current)).to.be.null;
+    });
+  });
+
+  describe('getValidatorLeaderboard', function() {
+    let contract;
+
+    beforeEach(function() {
+      contract = {
+        netuid: sandbox.stub().resolves(BigInt(NETUID)),
+        currentValidatorUid: sandbox.stub().resolves(1n),
+        currentValidatorHotkey: sandbox.stub().resolves(hotkeyFor(1))
+      };
+    });
+
+    it('should rank eligible validators and show the gap to the top', async function() {
+      const metagraph = createMetagraph(sandbox, [
+        neuron(0, 5000n, 0n, { isValidator: false }),
+        neuron(1, 1000n, 0n),
+        neuron(2, 1500n, 65535n),
+        neuron(3, 9000n, 0n, { isActive: false })
+      ]);
+
+      const result = await getValidatorLeaderboard(contract, metagraph, { concurrency: 2 });
+
+      expect(result.success).to.be.true;
+      expect(result.validators.map(v => v.uid)).to.deep.equal([2, 1]);
+      expect(result.pick.uid).to.equal(2);
+      expect(result.current).to.deep.include({
+        uid: 1,
+        rank: 2,
+        score: 1000n,
+        scoreGap: 2000n,
+        scoreGapPercent: 66.66,
+        switchReason: null
+      });
+      // Ineligible UIDs are not read further, as in the contract
+      expect(metagraph.getStake.calledWith(NETUID, 0)).to.be.false;
+      expect(metagraph.getStake.calledWith(NETUID, 3)).to.be.false;
+    });
+
+    it('should reject a concurrency that is not a positive integer', async function() {
+      const metagraph = createMetagraph(sandbox, [neuron(0, 1000n, 0n), neuron(1, 1000n, 0n)]);
+
+      for (const concurrency of ['0', 'abc', -1]) {
+        let error;
+        try {
+          await getValidatorLeaderboard(contract, metagraph, { concurrency });
+        } catch (err) {
+          error = err;
+        }
+        expect(error.message).to.match(/^Invalid metagraph concurrency \(METAGRAPH_CONCURRENCY\): /);
+      }
+      expect(metagraph.getUidCount.called).to.be.false;
+    });
+
+    it('should predict a switch when the current validator loses its permit', async function() {
+      const metagraph = createMetagraph(sandbox, [
+        neuron(0, 5000n, 0n),
+        neuron(1, 1000n, 0n, { isValidator: false })
+      ]);
+
+      const result = await getValidatorLeaderboard(contract, metagraph);
+
+      expect(result.current.rank).to.be.null;
+      expect(result.current.switchReason).to.equal('Validator lost permit');
+      expect(result.pick.uid).to.equal(0);
+    });
+
+    it('should skip UIDs whose reads fail', async function() {
+      const metagraph = createMetagraph(sandbox, [
+        neuron(0, 5000n, 0n, { stake: new Error('precompile error') }),
+        neuron(1, 1000n, 0n)
+      ]);
+
+      const result = await getValidatorLeaderboard(contract, metagraph);
+
+      expect(result.success).to.be.true;
+      expect(result.pick.uid).to.equal(1);
+    });
+
+    it('should report failures', async function() {
+      contract.netuid.rejects(new Error('RPC error'));
+
+      const result = await getValidatorLeaderboard(contract, createMetagraph(sandbox, []));
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('RPC error');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadManifest, validateManifest, encodeConstructorArgs } = require('../preflight');
+const {
+  loadArtifact,
+  compareBytecode,
+  verifyDeployment
+} = require('../verify-deployment');
+
+const CONTRACT_ADDRESS = '0x1234567890123456789012345678901234567890';
+const EXAMPLE_MANIFEST = path.join(__dirname, '..', 'deploy-manifest.example.yaml');
+
+// Runtime code: PUSH32 <immutable> JUMPDEST STOP, then 7 bytes of metadata and its length
+const CODE_PREFIX = '0x60806040527f';
+const CODE_SUFFIX = '5b00';
+const METADATA = 'a16568656c6c6f0007';
+const IMMUTABLE_REFERENCES = { 42: [{ start: 6, length: 32 }] };
+
+/**
+ * Runtime bytecode with an immutable value, code tail and metadata
+ */
+function runtimeCode(immutable = '00'.repeat(32), suffix = CODE_SUFFIX, metadata = METADATA) {
+  return `${CODE_PREFIX}${immutable}${suffix}${metadata}`;
+}
+
+describe('SaintDurbin Deployment Verification', function() {
+  const artifact = { bytecode: runtimeCode(), immutableReferences: IMMUTABLE_REFERENCES };
+  let manifest;
+  let args;
+  let contract;
+  let provider;
+
+  beforeEach(function() {
+    manifest = loadManifest(EXAMPLE_MANIFEST);
+    args = validateManifest(manifest).args;
+    contract = {
+      getAddress: sinon.stub().resolves(CONTRACT_ADDRESS),
+      emergencyOperator: sinon.stub().resolves(args.emergencyOperator),
+      drainSs58Address: sinon.stub().resolves(args.drainSs58Address),
+      thisSs58PublicKey: sinon.stub().resolves(args.thisSs58PublicKey),
+      netuid: sinon.stub().resolves(BigInt(args.netuid)),
+      getAllRecipients: sinon.stub().resolves([[...args.recipientColdkeys], args.proportions.map(BigInt)]),
+      principalLocked: sinon.stub().resolves(1000000000000n),
+      currentValidatorHotkey: sinon.stub().resolves(args.validatorHotkey),
+      currentValidatorUid: sinon.stub().resolves(BigInt(args.validatorUid))
+    };
+    provider = { getCode: sinon.stub().resolves(runtimeCode('ab'.repeat(32))) };
+  });
+
+  describe('bytecode', function() {
+    it('should ignore immutable values and report where the code differs', function() {
+      expect(compareBytecode(runtimeCode('ab'.repeat(32)), artifact)).to.include({ matches: true, firstDifference: null });
+
+      const changed = compareBytecode(runtimeCode('ab'.repeat(32), '5bfe'), artifact);
+      expect(changed).to.include({ matches: false, codeMatches: false, firstDifference: 39 });
+      expect(changed.problems[0]).to.equal('runtime code differs from the artifact at byte 39 (deployed 40 bytes, artifact 40 bytes)');
+
+      expect(compareBytecode('0x', artifact).problems).to.deep.equal(['no contract code at the address']);
+    });
+
+    it('should fail on a different metadata hash unless told to ignore it', function() {
+      const rebuilt = runtimeCode('ab'.repeat(32), CODE_SUFFIX, 'a16568656c6c70' + '0007');
+
+      expect(compareBytecode(rebuilt, artifact)).to.include({ matches: false, codeMatches: true, metadataMatches: false });
+      expect(compareBytecode(rebuilt, artifact, { ignoreMetadata: true })).to.include({ matches: true });
+    });
+
+    it('should read runtime bytecode from a forge artifact', function() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-'));
+      try {
+        const file = path.join(dir, 'SaintDurbin.json');
+        fs.writeFileSync(file, JSON.stringify({ deployedBytecode: { object: runtimeCode(), immutableReferences: IMMUTABLE_REFERENCES } }));
+        expect(loadArtifact(file)).to.deep.equal(artifact);
+        expect(() => loadArtifact(path.join(dir, 'missing.json'))).to.throw('run `forge build` first');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('verifyDeployment', function() {
+    it('should pass when state and bytecode match the manifest', async function() {
+      const result = await verifyDeployment(contract, provider, {
+        manifest,
+        artifact,
+        deploymentBlock: 3000000,
+        digest: encodeConstructorArgs(args).digest
+      });
+
+      expect(result.error).to.be.null;
+      expect(result.success).to.be.true;
+      expect(result.checks.map(check => check.name)).to.deep.equal(['bytecode', 'constructor arguments', 'recipients', 'validator', 'principal']);
+      expect(contract.currentValidatorHotkey.firstCall.args[0]).to.deep.equal({ blockTag: 3000000 });
+      expect(provider.getCode.firstCall.args[0]).to.equal(CONTRACT_ADDRESS);
+    });
+
+    it('should list every difference from the approved manifest', async function() {
+      const coldkeys = [...args.recipientColdkeys];
+      [coldkeys[0], coldkeys[1]] = [coldkeys[1], coldkeys[0]];
+      contract.getAllRecipients.resolves([coldkeys, args.proportions.map(BigInt)]);
+      contract.drainSs58Address.resolves('0x' + 'dd'.repeat(32));
+      contract.currentValidatorUid.resolves(7n);
+      contract.principalLocked.resolves(0n);
+
+      const result = await verifyDeployment(contract, provider, { manifest, artifact, digest: '0x' + '00'.repeat(32) });
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('Deployment does not match: sign-off digest, constructor arguments, recipients, validator, principal');
+      const problems = Object.fromEntries(result.checks.map(check => [check.name, check.problems]));
+      expect(problems['constructor arguments']).to.have.lengthOf(1);
+      expect(problems['constructor arguments'][0]).to.match(/^drainSs58Address: deployed \w+, approved \w+$/);
+      expect(problems.recipients).to.have.lengthOf(2);
+      expect(problems.validator[0]).to.include('deployed UID 7').and.to.include('set DEPLOYMENT_BLOCK');
+      expect(problems.principal).to.deep.equal(['principalLocked is 0: the contract had no stake when it was deployed']);
+    });
+
+    it('should compare principal with the manifest when it is given', async function() {
+      manifest.principalLocked = '2000000000000';
+
+      const result = await verifyDeployment(contract, provider, { manifest, artifact });
+
+      expect(result.checks.find(check => check.name === 'principal').problems).to.deep.equal([
+        'deployed 1000.0 TAO at block latest, approved 2000.0 TAO'
+      ]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,314 @@
+// scripts/tx-manager.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { coerceValue } = require('./config');
+
+// Configuration for sending transactions
+const TX_CONFIG = {
+  // Percentage added on top of estimateGas(); checked when a manager is created
+  gasMargin: process.env.TX_GAS_MARGIN || '25',
+
+  // Priority fee used when the node does not suggest one (gwei)
+  priorityFee: process.env.TX_PRIORITY_FEE_GWEI || '1',
+
+  // Never pay more than this per gas (gwei, unset for no cap)
+  maxFeeCap: process.env.TX_MAX_FEE_GWEI || null,
+
+  // Replace a transaction that is not mined within this long (ms); checked when a manager is created
+  stuckTimeout: process.env.TX_STUCK_TIMEOUT || '120000',
+
+  // Percentage fee increase per replacement (at least replacementPercent)
+  bumpPercent: 20,
+
+  // Percentage increase of every fee a node requires to accept a replacement
+  replacementPercent: 10,
+
+  // Replacements before giving up on fee bumping
+  maxBumps: 3,
+
+  // Give up waiting for a confirmation after this long (ms); checked when a manager is created
+  confirmationTimeout: process.env.TX_CONFIRMATION_TIMEOUT || '900000',
+
+  // Blocks a receipt must be buried under before it counts
+  confirmations: 1,
+
+  // Delay between receipt polls (ms)
+  pollInterval: 4000,
+
+  // Directory holding nonce lock and record files shared by concurrent runs
+  lockDir: process.env.TX_LOCK_DIR || os.tmpdir(),
+
+  // Wait this long for another run to release the nonce lock (ms)
+  lockTimeout: 60000,
+
+  // A lock older than this was left by a crashed run (ms)
+  staleLockAge: 5 * 60000,
+
+  // Trust a recorded nonce ahead of the node's pending count for this long (ms)
+  nonceRecordTtl: 10 * 60000
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Take an exclusive lock file, breaking locks left behind by crashed runs
+ * @param {string} lockPath - Lock file path
+ * @param {Object} options - Lock options
+ * @param {number} options.timeout - Give up after this long (ms)
+ * @param {number} options.staleAge - Remove locks older than this (ms)
+ * @param {number} options.pollInterval - Delay between attempts (ms)
+ * @returns {Promise<Function>} Release function
+ */
+async function acquireLock(lockPath, options = {}) {
+  const {
+    timeout = TX_CONFIG.lockTimeout,
+    staleAge = TX_CONFIG.staleLockAge,
+    pollInterval = 250
+  } = options;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, acquiredAt: Date.now() }), { flag: 'wx' });
+      return () => fs.rmSync(lockPath, { force: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > staleAge) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+    } catch {
+      // Released between our attempts
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for nonce lock ${lockPath}`);
+    }
+    await sleep(pollInterval);
+  }
+}
+
+/**
+ * Work out the replacement fees for a stuck transaction
+ * @param {Object} fees - Fees of the previous attempt
+ * @param {Object} current - Fees the node currently suggests
+ * @param {number} bumpPercent - Minimum increase in percent
+ * @param {bigint|null} maxFeeCap - Highest fee per gas to pay (wei), null for no cap
+ * @param {number} replacementPercent - Increase the node requires of every fee
+ * @returns {Object|null} New fee fields, or null when the cap leaves no room for a
+ *   replacement the node would accept
+ */
+function bumpFees(fees, current, bumpPercent, maxFeeCap = null, replacementPercent = TX_CONFIG.replacementPercent) {
+  const raise = (value, percent) => (value * BigInt(100 + percent) + 99n) / 100n;
+  const max = (a, b) => (b !== null && b !== undefined && b > a ? b : a);
+  const cap = (value) => (maxFeeCap !== null && value > maxFeeCap ? maxFeeCap : value);
+  const replaces = (value, previous) => value >= raise(previous, replacementPercent);
+
+  if (fees.gasPrice !== undefined) {
+    const gasPrice = cap(max(raise(fees.gasPrice, bumpPercent), current.gasPrice));
+    return replaces(gasPrice, fees.gasPrice) ? { gasPrice } : null;
+  }
+
+  const maxFeePerGas = cap(max(raise(fees.maxFeePerGas, bumpPercent), current.maxFeePerGas));
+  const priorityFee = max(raise(fees.maxPriorityFeePerGas, bumpPercent), current.maxPriorityFeePerGas);
+  const maxPriorityFeePerGas = priorityFee > maxFeePerGas ? maxFeePerGas : priorityFee;
+  if (!replaces(maxFeePerGas, fees.maxFeePerGas) || !replaces(maxPriorityFeePerGas, fees.maxPriorityFeePerGas)) {
+    return null;
+  }
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Create a transaction manager shared by every script that sends transactions
+ * @param {Object} options - Manager options (defaults from TX_CONFIG)
+ * @param {ethers.Signer} options.signer - Signer sending the transactions
+ * @param {ethers.Provider} options.provider - Provider (defaults to signer.provider)
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Object} Manager with getFees, getNonce and send
+ */
+function createTransactionManager(options = {}) {
+  const config = { ...TX_CONFIG, ...options };
+  const { signer, silent = false } = config;
+  const provider = config.provider || (signer && signer.provider);
+  const log = silent ? () => {} : console.log;
+
+  if (!signer) {
+    throw new Error('Transaction manager requires a signer');
+  }
+
+  // NaN would make gas limits invalid and the stuck and confirmation checks never fire
+  for (const [key, env, min] of [['gasMargin', 'TX_GAS_MARGIN', 0], ['stuckTimeout', 'TX_STUCK_TIMEOUT', 1], ['confirmationTimeout', 'TX_CONFIRMATION_TIMEOUT', 1]]) {
+    try {
+      config[key] = coerceValue({ type: 'integer', min }, config[key]);
+    } catch (error) {
+      throw new Error(`Invalid transaction setting ${env}: ${error.message}`);
+    }
+  }
+
+  const priorityFee = ethers.parseUnits(String(config.priorityFee), 'gwei');
+  const maxFeeCap = config.maxFeeCap !== null ? ethers.parseUnits(String(config.maxFeeCap), 'gwei') : null;
+
+  /**
+   * Suggested fees: EIP-1559 where the node supports it, legacy gas price otherwise
+   * @returns {Promise<Object>} Fee fields for a transaction request
+   */
+  async function getFees() {
+    const feeData = await provider.getFeeData();
+    const cap = (value) => (maxFeeCap !== null && value > maxFeeCap ? maxFeeCap : value);
+
+    if (feeData.maxFeePerGas === null || feeData.maxFeePerGas === undefined) {
+      return { gasPrice: cap(feeData.gasPrice) };
+    }
+
+    const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas || priorityFee;
+    const maxFeePerGas = cap(feeData.maxFeePerGas > maxPriorityFeePerGas ? feeData.maxFeePerGas : maxPriorityFeePerGas);
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+    };
+  }
+
+  /**
+   * Paths of the lock and nonce record files for an address
+   * @param {string} address - Signer address
+   * @returns {Object} { lockPath, recordPath }
+   */
+  function nonceFiles(address) {
+    const base = path.join(config.lockDir, `saintdurbin-${address.toLowerCase()}`);
+    return { lockPath: `${base}.lock`, recordPath: `${base}.nonce.json` };
+  }
+
+  /**
+   * Next nonce: the node's pending count, or a recently recorded higher nonce when the
+   * node has not yet seen a transaction another run just broadcast
+   * @param {string} address - Signer address
+   * @returns {Promise<number>} Nonce
+   */
+  async function getNonce(address) {
+    const pending = await provider.getTransactionCount(address, 'pending');
+    const { recordPath } = nonceFiles(address);
+
+    try {
+      const record = JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+      if (Date.now() - record.updatedAt < config.nonceRecordTtl && record.nextNonce > pending) {
+        return record.nextNonce;
+      }
+    } catch {
+      // No record yet
+    }
+    return pending;
+  }
+
+  /**
+   * Look for a receipt of any attempt with enough confirmations
+   * @param {Array<string>} hashes - Hashes of every attempt sharing the nonce
+   * @returns {Promise<Object|null>} Receipt or null
+   */
+  async function findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (!receipt) continue;
+      if (config.confirmations <= 1) return receipt;
+      const head = await provider.getBlockNumber();
+      if (head - receipt.blockNumber + 1 >= config.confirmations) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Send a contract call with estimated gas, managed fees and nonce, replacing it with
+   * higher fees while it is stuck (up to the fee cap) and failing once the confirmation
+   * timeout passes
+   * @param {ethers.Contract} contract - Contract connected to the signer
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @param {Object} overrides - Per-call options
+   * @param {number} overrides.gasLimit - Skip estimation and use this gas limit
+   * @returns {Promise<Object>} { hash, receipt, nonce, gasLimit, attempts }
+   */
+  async function send(contract, method, args = [], overrides = {}) {
+    const fn = contract[method];
+    let gasLimit;
+    if (overrides.gasLimit) {
+      gasLimit = BigInt(overrides.gasLimit);
+    } else {
+      const estimate = await fn.estimateGas(...args);
+      gasLimit = (estimate * BigInt(100 + config.gasMargin)) / 100n;
+    }
+
+    const address = await signer.getAddress();
+    const { lockPath, recordPath } = nonceFiles(address);
+    let fees = await getFees();
+    let nonce;
+    let tx;
+
+    // Hold the lock from nonce selection until the node has the transaction
+    const release = await acquireLock(lockPath, { timeout: config.lockTimeout, staleAge: config.staleLockAge });
+    try {
+      nonce = await getNonce(address);
+      tx = await fn(...args, { gasLimit, nonce, ...fees });
+      fs.writeFileSync(recordPath, JSON.stringify({ nextNonce: nonce + 1, updatedAt: Date.now() }));
+    } finally {
+      release();
+    }
+
+    log(`Transaction submitted: ${tx.hash} (nonce ${nonce}, gas limit ${gasLimit})`);
+    const attempts = [{ hash: tx.hash, ...fees }];
+    const deadline = Date.now() + config.confirmationTimeout;
+    let attemptStarted = Date.now();
+    let capReached = false;
+
+    for (;;) {
+      const receipt = await findReceipt(attempts.map(a => a.hash));
+      if (receipt) {
+        return { hash: receipt.hash, receipt, nonce, gasLimit, attempts };
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Transaction ${tx.hash} not confirmed within ${Math.round(config.confirmationTimeout / 1000)}s`);
+      }
+
+      if (!capReached && Date.now() - attemptStarted >= config.stuckTimeout && attempts.length <= config.maxBumps) {
+        const bumped = bumpFees(fees, await getFees(), config.bumpPercent, maxFeeCap, config.replacementPercent);
+        attemptStarted = Date.now();
+        if (!bumped) {
+          // A replacement below the node's minimum bump would only be rejected
+          capReached = true;
+          log(`Transaction stuck at the fee cap; waiting for ${attempts[attempts.length - 1].hash}`);
+          await sleep(config.pollInterval);
+          continue;
+        }
+        fees = bumped;
+        try {
+          const replacement = await fn(...args, { gasLimit, nonce, ...fees });
+          attempts.push({ hash: replacement.hash, ...fees });
+          log(`Transaction stuck; replaced with ${replacement.hash} at higher fees`);
+        } catch (error) {
+          // The original was probably mined in the meantime; the next poll will tell
+          log(`Fee bump not accepted: ${error.shortMessage || error.message}`);
+        }
+      }
+
+      await sleep(config.pollInterval);
+    }
+  }
+
+  return {
+    getFees,
+    getNonce,
+    send
+  };
+}
+
+module.exports = {
+  TX_CONFIG,
+  acquireLock,
+  bumpFees,
+  createTransactionManager
+};
\ No newline at end of file
@@ -0,0 +1,409 @@
+// scripts/validator-health.js
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI, METAGRAPH_ADDRESS, METAGRAPH_ABI } = require('./abi');
+const { createNotifierFromEnv } = require('./notifications');
+const { createProviderFromEnv } = require('./rpc');
+const { getAddressBook } = require('./address-book');
+const { coerceValue } = require('./config');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for the health monitor
+const HEALTH_CONFIG = {
+  // Snapshot history file
+  historyPath: process.env.VALIDATOR_HEALTH_HISTORY || 'validator-health.json',
+
+  // Delay between checks when running continuously (ms); checked when the monitor is created
+  pollInterval: process.env.VALIDATOR_HEALTH_INTERVAL || '3600000',
+
+  // Snapshots older than this are dropped (seconds)
+  retention: 14 * 86400,
+
+  // Trends compare the latest snapshot with the oldest one inside this window (seconds)
+  trendWindow: 3 * 86400,
+
+  thresholds: {
+    // Percentage drop over the trend window; twice the value is critical
+    stakeDrop: 10,
+    dividendsDrop: 25,
+    vtrustDrop: 15,
+    emissionDrop: 25,
+
+    // vtrust as a fraction of u16 max below which the validator is weak
+    vtrustMin: 0.3,
+
+    // Blocks without a weight update before the neuron is marked inactive (the subnet's
+    // activity_cutoff hyperparameter); checked when the monitor is created
+    activityCutoff: process.env.VALIDATOR_ACTIVITY_CUTOFF || '5000',
+    // Fractions of activityCutoff at which staleness warns and turns critical
+    staleWarning: 0.5,
+    staleCritical: 0.8
+  }
+};
+
+const HEALTH_STATUSES = ['healthy', 'warning', 'critical'];
+
+const U16_MAX = 65535;
+
+/**
+ * Read the current validator's metagraph metrics
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI
+ * @param {ethers.Contract} metagraph - Metagraph precompile contract
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @returns {Promise<Object>} Snapshot
+ */
+async function readHealthSnapshot(contract, metagraph, provider) {
+  const block = await provider.getBlock('latest');
+  const netuid = Number(await contract.netuid());
+  const uid = Number(await contract.currentValidatorUid());
+
+  return {
+    timestamp: block.timestamp,
+    blockNumber: block.number,
+    netuid,
+    uid,
+    hotkey: await contract.currentValidatorHotkey(),
+    isValidator: await metagraph.getValidatorStatus(netuid, uid),
+    isActive: await metagraph.getIsActive(netuid, uid),
+    stake: (await metagraph.getStake(netuid, uid)).toString(),
+    dividends: Number(await metagraph.getDividends(netuid, uid)),
+    trust: Number(await metagraph.getTrust(netuid, uid)),
+    vtrust: Number(await metagraph.getVtrust(netuid, uid)),
+    emission: (await metagraph.getEmission(netuid, uid)).toString(),
+    lastUpdate: Number(await metagraph.getLastUpdate(netuid, uid))
+  };
+}
+
+/**
+ * Load the snapshot history
+ * @param {string} historyPath - History file
+ * @returns {Array<Object>} Snapshots, oldest first
+ */
+function loadHealthHistory(historyPath) {
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(historyPath, 'utf8')).snapshots || [];
+}
+
+/**
+ * Save the snapshot history, dropping snapshots past the retention period
+ * @param {string} historyPath - History file
+ * @param {Array<Object>} snapshots - Snapshots, oldest first
+ * @param {number} retention - Retention in seconds
+ * @returns {Array<Object>} Snapshots kept
+ */
+function saveHealthHistory(historyPath, snapshots, retention = HEALTH_CONFIG.retention) {
+  const latest = snapshots.length > 0 ? snapshots[snapshots.length - 1].timestamp : 0;
+  const kept = snapshots.filter(s => s.timestamp >= latest - retention);
+  fs.writeFileSync(historyPath, JSON.stringify({ snapshots: kept }, null, 2));
+  return kept;
+}
+
+/**
+ * Percentage change between two values
+ * @param {number|string} from - Baseline
+ * @param {number|string} to - Latest
+ * @returns {number|null} Change in percent (negative is a drop), null without a baseline
+ */
+function percentChange(from, to) {
+  const base = Number(from);
+  if (!base) return null;
+  return Math.round(((Number(to) - base) / base) * 10000) / 100;
+}
+
+/**
+ * Validate the activity cutoff threshold
+ * @param {number|string} value - Blocks, from the thresholds or VALIDATOR_ACTIVITY_CUTOFF
+ * @returns {number} Activity cutoff in blocks
+ * @throws {Error} If the cutoff is not a positive integer
+ */
+function parseActivityCutoff(value) {
+  try {
+    return coerceValue({ type: 'integer', min: 1 }, value);
+  } catch (err) {
+    throw new Error(`Invalid activity cutoff (VALIDATOR_ACTIVITY_CUTOFF): ${err.message}`);
+  }
+}
+
+/**
+ * Score the current validator's health from its snapshot history
+ * @param {Array<Object>} snapshots - Snapshots, oldest first
+ * @param {Object} config - Trend window and thresholds (defaults to HEALTH_CONFIG)
+ * @returns {Object} { status, score, warnings, trends, staleness }
+ */
+function assessValidatorHealth(snapshots, config = {}) {
+  const trendWindow = config.trendWindow ?? HEALTH_CONFIG.trendWindow;
+  const thresholds = { ...HEALTH_CONFIG.thresholds, ...config.thresholds };
+  const latest = snapshots[snapshots.length - 1];
+  const warnings = [];
+  const warn = (metric, level, message) => warnings.push({ metric, level, message });
+
+  if (!latest.isValidator) {
+    warn('permit', 'critical', 'Validator permit lost; the contract will switch at its next check');
+  }
+  if (!latest.isActive) {
+    warn('active', 'critical', 'Validator is inactive; the contract will switch at its next check');
+  }
+
+  const staleness = latest.blockNumber - latest.lastUpdate;
+  const cutoff = parseActivityCutoff(thresholds.activityCutoff);
+  if (staleness >= cutoff * thresholds.staleCritical) {
+    warn('lastUpdate', 'critical', `No weight update for ${staleness} blocks (inactive at ${cutoff})`);
+  } else if (staleness >= cutoff * thresholds.staleWarning) {
+    warn('lastUpdate', 'warning', `No weight update for ${staleness} blocks (inactive at ${cutoff})`);
+  }
+
+  if (latest.vtrust / U16_MAX < thresholds.vtrustMin) {
+    warn('vtrust', 'warning', `vtrust ${(latest.vtrust / U16_MAX).toFixed(3)} is below ${thresholds.vtrustMin}`);
+  }
+
+  if (latest.isValidator && BigInt(latest.emission) === 0n) {
+    warn('emission', 'critical', 'Validator is earning no emission');
+  }
+
+  // Only compare against snapshots of the same validator
+  const baseline = snapshots.find(s =>
+    s.uid === latest.uid &&
+    s.hotkey === latest.hotkey &&
+    s.timestamp >= latest.timestamp - trendWindow
+  );
+
+  const trends = {};
+  const metrics = {
+    stake: thresholds.stakeDrop,
+    dividends: thresholds.dividendsDrop,
+    vtrust: thresholds.vtrustDrop,
+    emission: thresholds.emissionDrop
+  };
+
+  for (const [metric, maxDrop] of Object.entries(metrics)) {
+    const change = baseline && baseline !== latest ? percentChange(baseline[metric], latest[metric]) : null;
+    trends[metric] = { from: baseline ? baseline[metric] : null, to: latest[metric], changePercent: change };
+
+    if (change === null || -change < maxDrop) continue;
+    const since = new Date(baseline.timestamp * 1000).toISOString();
+    warn(metric, -change >= maxDrop * 2 ? 'critical' : 'warning', `${metric} down ${-change}% since ${since}`);
+  }
+
+  const criticals = warnings.filter(w => w.level === 'critical').length;
+  const score = Math.max(0, 100 - criticals * 50 - (warnings.length - criticals) * 20);
+  const status = criticals > 0 ? 'critical' : (warnings.length > 0 ? 'warning' : 'healthy');
+
+  return { status, score, warnings, trends, staleness };
+}
+
+/**
+ * Create a health monitor that snapshots the validator and alerts when health worsens
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI
+ * @param {ethers.Contract} metagraph - Metagraph precompile contract
+ * @param {ethers.Provider} provider - The Ethereum provider
+ * @param {Object} options - Monitor options
+ * @param {string} options.historyPath - Snapshot history file
+ * @param {Object} options.notifier - Notifier from notifications.js
+ * @param {number} options.pollInterval - Delay between checks (ms)
+ * @param {Object} options.config - Trend window, retention and threshold overrides
+ * @param {boolean} options.silent - Suppress console output
+ * @returns {Object} Monitor with check, start, stop and getState
+ * @throws {Error} If the activity cutoff or poll interval is not a positive integer
+ */
+function createValidatorHealthMonitor(contract, metagraph, provider, options = {}) {
+  const {
+    historyPath = HEALTH_CONFIG.historyPath,
+    notifier = null,
+    config = {},
+    silent = false
+  } = options;
+
+  // Fail at startup rather than on every check
+  parseActivityCutoff(config.thresholds?.activityCutoff ?? HEALTH_CONFIG.thresholds.activityCutoff);
+
+  // setInterval treats NaN or 0 as 1 ms, which would flood the RPC node
+  let pollInterval;
+  try {
+    pollInterval = coerceValue({ type: 'integer', min: 1 }, options.pollInterval ?? HEALTH_CONFIG.pollInterval);
+  } catch (err) {
+    throw new Error(`Invalid validator health poll interval (VALIDATOR_HEALTH_INTERVAL): ${err.message}`);
+  }
+
+  const log = silent ? () => {} : console.log;
+  const error = silent ? () => {} : console.error;
+
+  const monitor = {
+    status: null,
+    hotkey: null,
+    lastAssessment: null
+  };
+
+  let timer = null;
+
+  /**
+   * Take a snapshot, score it against the history and alert if health worsened
+   * @returns {Promise<Object>} { success, snapshot, assessment, alerted, error }
+   */
+  async function check() {
+    const result = {
+      success: false,
+      snapshot: null,
+      assessment: null,
+      alerted: false,
+      error: null
+    };
+
+    try {
+      const snapshot = await readHealthSnapshot(contract, metagraph, provider);
+      const snapshots = saveHealthHistory(
+        historyPath,
+        [...loadHealthHistory(historyPath), snapshot],
+        config.retention
+      );
+      const assessment = assessValidatorHealth(snapshots, config);
+      result.snapshot = snapshot;
+      result.assessment = assessment;
+
+      // A fresh process only knows the stored history, so it alerts on any unhealthy status
+      const previous = monitor.hotkey === snapshot.hotkey ? monitor.status : null;
+      const worsened = HEALTH_STATUSES.indexOf(assessment.status) > HEALTH_STATUSES.indexOf(previous || 'healthy');
+
+      if (worsened) {
+        log(`🩺 Validator UID ${snapshot.uid} health ${assessment.status} (score ${assessment.score})`);
+        assessment.warnings.forEach(w => log(`  [${w.level}] ${w.message}`));
+        if (notifier) {
+          await notifier.notify('validatorHealth', {
+            status: assessment.status,
+            score: assessment.score,
+            uid: snapshot.uid,
+            hotkey: snapshot.hotkey,
+            warnings: assessment.warnings.map(w => `[${w.level}] ${w.message}`).join('\n')
+          });
+        }
+        result.alerted = true;
+      }
+
+      monitor.status = assessment.status;
+      monitor.hotkey = snapshot.hotkey;
+      monitor.lastAssessment = assessment;
+      result.success = true;
+    } catch (err) {
+      result.error = err.message;
+      error('❌ Validator health check failed!\nError:', err.message);
+    }
+
+    return result;
+  }
+
+  return {
+    check,
+
+    /**
+     * Check on an interval
+     */
+    async start() {
+      await check();
+      timer = setInterval(() => {
+        check().catch(err => error('Validator health check error:', err.message));
+      }, pollInterval);
+      log('Validator health monitor started');
+    },
+
+    /**
+     * Stop checking
+     */
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    },
+
+    /**
+     * Snapshot of the monitor state
+     * @returns {Object} Last status and assessment
+     */
+    getState() {
+      return { ...monitor };
+    }
+  };
+}
+
+/**
+ * Print an assessment
+ * @param {Object} snapshot - Latest snapshot
+ * @param {Object} assessment - Result from assessValidatorHealth
+ */
+function printAssessment(snapshot, assessment) {
+  const icons = { healthy: '✅', warning: '⚠️ ', critical: '🚨' };
+  console.log(`${icons[assessment.status]} Validator UID ${snapshot.uid} is ${assessment.status} (score ${assessment.score}/100)`);
+  console.log('  Hotkey:', getAddressBook().format(snapshot.hotkey));
+  console.log('  Stake:', ethers.formatUnits(snapshot.stake, 9), 'TAO');
+  console.log('  Dividends:', snapshot.dividends, ' vtrust:', (snapshot.vtrust / U16_MAX).toFixed(3));
+  console.log('  Emission:', ethers.formatUnits(snapshot.emission, 9), 'TAO');
+  console.log('  Blocks since last update:', assessment.staleness);
+  for (const [metric, trend] of Object.entries(assessment.trends)) {
+    if (trend.changePercent !== null) {
+      console.log(`  ${metric} trend: ${trend.changePercent > 0 ? '+' : ''}${trend.changePercent}%`);
+    }
+  }
+  assessment.warnings.forEach(w => console.log(`  [${w.level}] ${w.message}`));
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const provider = createProviderFromEnv();
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, provider);
+  const metagraph = new ethers.Contract(METAGRAPH_ADDRESS, METAGRAPH_ABI, provider);
+
+  const once = process.argv.includes('--once');
+  const monitor = createValidatorHealthMonitor(contract, metagraph, provider, {
+    notifier: createNotifierFromEnv(),
+    silent: once
+  });
+
+  if (once) {
+    const result = await monitor.check();
+    if (!result.success) {
+      console.error('❌ Validator health check failed:', result.error);
+      process.exit(1);
+    }
+    printAssessment(result.snapshot, result.assessment);
+    if (result.assessment.status === 'critical') {
+      process.exit(1);
+    }
+    return;
+  }
+
+  console.log('SaintDurbin Validator Health Monitor');
+  console.log('Contract:', process.env.CONTRACT_ADDRESS);
+
+  await monitor.start();
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  monitor.stop();
+}
+
+// Export functions for testing
+module.exports = {
+  HEALTH_CONFIG,
+  readHealthSnapshot,
+  loadHealthHistory,
+  saveHealthHistory,
+  assessValidatorHealth,
+  createValidatorHealthMonitor,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,298 @@
+// scripts/validators.js
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI, METAGRAPH_ADDRESS, METAGRAPH_ABI } = require('./abi');
+const { createProviderFromEnv } = require('./rpc');
+const { getAddressBook } = require('./address-book');
+const { coerceValue } = require('./config');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+const VALIDATORS_CONFIG = {
+  // Parallel metagraph reads per batch of UIDs; checked when a leaderboard is built
+  concurrency: process.env.METAGRAPH_CONCURRENCY || '16',
+  // Rows printed by `rank` unless --top is given
+  top: 10
+};
+
+const U16_MAX = 65535n;
+
+/**
+ * Score a validator exactly as SaintDurbin._switchToNewValidator does
+ * @param {bigint} stake - Stake (uint64)
+ * @param {bigint} dividend - Dividends (uint16)
+ * @returns {bigint} stake * (65535 + dividend) / 65535
+ */
+function computeValidatorScore(stake, dividend) {
+  return (BigInt(stake) * (U16_MAX + BigInt(dividend))) / U16_MAX;
+}
+
+/**
+ * Read one UID from the metagraph precompile
+ *
+ * Like the contract, stake and dividends are only read for permitted, active UIDs, and a
+ * failing read excludes the UID rather than aborting the scan.
+ * @param {ethers.Contract} metagraph - Metagraph precompile contract
+ * @param {number} netuid - Subnet ID
+ * @param {number} uid - Neuron UID
+ * @returns {Promise<Object>} Neuron record
+ */
+async function readNeuron(metagraph, netuid, uid) {
+  const neuron = {
+    uid,
+    hotkey: null,
+    isValidator: false,
+    isActive: false,
+    stake: 0n,
+    dividends: 0n,
+    trust: null,
+    vtrust: null,
+    emission: null,
+    score: 0n,
+    eligible: false,
+    error: null
+  };
+
+  try {
+    neuron.isValidator = await metagraph.getValidatorStatus(netuid, uid);
+    if (!neuron.isValidator) return neuron;
+
+    neuron.isActive = await metagraph.getIsActive(netuid, uid);
+    if (!neuron.isActive) return neuron;
+
+    neuron.stake = BigInt(await metagraph.getStake(netuid, uid));
+    neuron.dividends = BigInt(await metagraph.getDividends(netuid, uid));
+    neuron.score = computeValidatorScore(neuron.stake, neuron.dividends);
+    neuron.hotkey = await metagraph.getHotkey(netuid, uid);
+    neuron.eligible = true;
+
+    // Informational only; the contract does not use these
+    neuron.trust = Number(await metagraph.getTrust(netuid, uid));
+    neuron.vtrust = Number(await metagraph.getVtrust(netuid, uid));
+    neuron.emission = BigInt(await metagraph.getEmission(netuid, uid));
+  } catch (error) {
+    neuron.error = error.shortMessage || error.message;
+  }
+
+  return neuron;
+}
+
+/**
+ * Rank neurons and pick the UID the contract would switch to
+ * @param {Array<Object>} neurons - Records from readNeuron, in UID order
+ * @returns {Object} { ranked, pick }
+ */
+function rankValidators(neurons) {
+  const ranked = neurons
+    .filter(n => n.eligible)
+    .sort((a, b) => (a.score === b.score ? a.uid - b.uid : (b.score > a.score ? 1 : -1)));
+
+  // The contract scans UIDs in order and keeps a candidate only if its score is strictly
+  // greater, so ties go to the lowest UID and a zero score is never picked
+  const pick = ranked.length > 0 && ranked[0].score > 0n ? ranked[0] : null;
+
+  return { ranked, pick };
+}
+
+/**
+ * Work out whether the next validator check would switch, mirroring _checkAndSwitchValidator
+ * @param {Object} neuron - Record for the current UID (from readNeuron)
+ * @param {string} currentHotkey - Hotkey stored in the contract
+ * @returns {string|null} The contract's switch reason, or null if it would keep the validator
+ */
+function getSwitchReason(neuron, currentHotkey) {
+  if (neuron.error && !neuron.isValidator) return null;
+  if (!neuron.isValidator) return 'Validator lost permit';
+  if (neuron.hotkey && neuron.hotkey.toLowerCase() !== currentHotkey.toLowerCase()) {
+    return 'Validator UID hotkey mismatch';
+  }
+  if (!neuron.isActive) return 'Validator is inactive';
+  return null;
+}
+
+/**
+ * Build the validator leaderboard for the contract's subnet
+ * @param {ethers.Contract} contract - SaintDurbin contract with the full ABI
+ * @param {ethers.Contract} metagraph - Metagraph precompile contract
+ * @param {Object} options - Options
+ * @param {number} options.netuid - Subnet to rank (defaults to the contract's netuid)
+ * @param {number} options.concurrency - Parallel UID reads, a positive integer
+ * @returns {Promise<Object>} Result object with the ranking and the contract's pick
+ * @throws {Error} If the concurrency is not a positive integer
+ */
+async function getValidatorLeaderboard(contract, metagraph, options = {}) {
+  // 0 would never advance the batch loop and NaN would read no UIDs at all
+  let concurrency;
+  try {
+    concurrency = coerceValue({ type: 'integer', min: 1 }, options.concurrency ?? VALIDATORS_CONFIG.concurrency);
+  } catch (err) {
+    throw new Error(`Invalid metagraph concurrency (METAGRAPH_CONCURRENCY): ${err.message}`);
+  }
+
+  const result = {
+    success: false,
+    netuid: null,
+    uidCount: 0,
+    current: null,
+    pick: null,
+    validators: [],
+    error: null
+  };
+
+  try {
+    const netuid = options.netuid ?? Number(await contract.netuid());
+    const currentUid = Number(await contract.currentValidatorUid());
+    const currentHotkey = await contract.currentValidatorHotkey();
+    const uidCount = Number(await metagraph.getUidCount(netuid));
+    result.netuid = netuid;
+    result.uidCount = uidCount;
+
+    const neurons = [];
+    for (let start = 0; start < uidCount; start += concurrency) {
+      const uids = [];
+      for (let uid = start; uid < Math.min(start + concurrency, uidCount); uid++) {
+        uids.push(uid);
+      }
+      neurons.push(...await Promise.all(uids.map(uid => readNeuron(metagraph, netuid, uid))));
+    }
+
+    const { ranked, pick } = rankValidators(neurons);
+    const currentNeuron = { ...(neurons[currentUid] || await readNeuron(metagraph, netuid, currentUid)) };
+    if (currentNeuron.isValidator && !currentNeuron.hotkey) {
+      // The contract checks the UID's hotkey before its active flag
+      currentNeuron.hotkey = await metagraph.getHotkey(netuid, currentUid);
+    }
+    const rankIndex = ranked.findIndex(n => n.uid === currentUid);
+
+    result.validators = ranked.map((neuron, i) => ({ rank: i + 1, ...neuron }));
+    result.pick = pick ? { rank: 1, ...pick } : null;
+    result.current = {
+      uid: currentUid,
+      hotkey: currentHotkey,
+      rank: rankIndex === -1 ? null : rankIndex + 1,
+      score: currentNeuron.score,
+      eligible: currentNeuron.eligible,
+      switchReason: getSwitchReason(currentNeuron, currentHotkey),
+      scoreGap: pick ? pick.score - currentNeuron.score : 0n,
+      // Gap as a percentage of the top score
+      scoreGapPercent: pick ? Number(((pick.score - currentNeuron.score) * 10000n) / pick.score) / 100 : 0
+    };
+    result.success = true;
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Print the leaderboard
+ * @param {Object} leaderboard - Result from getValidatorLeaderboard
+ * @param {number} top - Rows to print
+ */
+function printLeaderboard(leaderboard, top = VALIDATORS_CONFIG.top) {
+  const tao = (amount) => ethers.formatUnits(amount, 9);
+  const book = getAddressBook();
+  const { current, pick } = leaderboard;
+
+  console.log(`Validators on netuid ${leaderboard.netuid} (${leaderboard.validators.length} eligible of ${leaderboard.uidCount} UIDs)`);
+  console.log('Rank  UID   Score (TAO)            Stake (TAO)            Dividends  VTrust  Hotkey');
+  for (const v of leaderboard.validators.slice(0, top)) {
+    const marker = v.uid === current.uid ? ' <- current' : '';
+    console.log(
+      String(v.rank).padEnd(6) +
+      String(v.uid).padEnd(6) +
+      tao(v.score).padEnd(23) +
+      tao(v.stake).padEnd(23) +
+      String(v.dividends).padEnd(11) +
+      String(v.vtrust ?? '-').padEnd(8) +
+      book.format(v.hotkey) + marker
+    );
+  }
+
+  console.log('');
+  console.log('Current validator: UID', current.uid, current.rank ? `(rank ${current.rank})` : '(not eligible)');
+  if (pick) {
+    console.log('Contract would pick: UID', pick.uid, book.format(pick.hotkey));
+    if (pick.uid !== current.uid) {
+      console.log(`  Current is ${tao(current.scoreGap)} TAO (${current.scoreGapPercent}%) below the top score`);
+    }
+  } else {
+    console.log('Contract would pick: none (switch would fail with "No valid validator found")');
+  }
+  console.log('Next validator check:', current.switchReason ? `would switch (${current.switchReason})` : 'keeps current validator');
+}
+
+/**
+ * Read the value following a CLI flag
+ * @param {string} flag - Flag name, e.g. '--netuid'
+ * @returns {string|undefined} Flag value
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const command = process.argv[2];
+  if (command !== 'rank') {
+    console.error('Usage: node validators.js rank [--netuid <n>] [--top <n>] [--json]');
+    process.exit(1);
+  }
+
+  const integer = (flag, min, max) => {
+    const value = getArgValue(flag);
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value) || parseInt(value) < min || parseInt(value) > max) {
+      console.error(`${flag} must be an integer from ${min} to ${max}, got "${value}"`);
+      process.exit(1);
+    }
+    return parseInt(value);
+  };
+  // Subnet IDs are uint16
+  const netuid = integer('--netuid', 0, 65535);
+  const top = integer('--top', 1, Number.MAX_SAFE_INTEGER);
+
+  const provider = createProviderFromEnv();
+  const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, provider);
+  const metagraph = new ethers.Contract(METAGRAPH_ADDRESS, METAGRAPH_ABI, provider);
+
+  const result = await getValidatorLeaderboard(contract, metagraph, { netuid });
+
+  if (!result.success) {
+    console.error('❌ Failed to rank validators:', result.error);
+    process.exit(1);
+  }
+
+  if (process.argv.includes('--json')) {
+    const replacer = (_, value) => (typeof value === 'bigint' ? value.toString() : value);
+    process.stdout.write(JSON.stringify(getAddressBook().annotate(result), replacer, 2) + '\n');
+  } else {
+    printLeaderboard(result, top);
+  }
+}
+
+// Export functions for testing
+module.exports = {
+  VALIDATORS_CONFIG,
+  computeValidatorScore,
+  readNeuron,
+  rankValidators,
+  getSwitchReason,
+  getValidatorLeaderboard,
+  printLeaderboard,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,389 @@
+// scripts/verify-deployment.js
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { SAINTDURBIN_FULL_ABI } = require('./abi');
+const { createProviderFromEnv } = require('./rpc');
+const { getAddressBook } = require('./address-book');
+const { parseBlockNumber } = require('./indexer');
+const {
+  PREFLIGHT_CONFIG,
+  loadManifest,
+  readScriptProportions,
+  manifestFromEnv,
+  validateManifest,
+  encodeConstructorArgs
+} = require('./preflight');
+
+// Only load dotenv if not in test environment
+if (process.env.NODE_ENV !== 'test') {
+  require('dotenv').config();
+}
+
+// Configuration for post-deployment verification
+const VERIFY_CONFIG = {
+  // Forge build artifact for SaintDurbin (`forge build` writes it)
+  artifactPath: process.env.VERIFY_ARTIFACT || path.join(__dirname, '..', 'out', 'SaintDurbin.sol', 'SaintDurbin.json'),
+
+  // Block the contract was deployed in; principal and validator are read there when set,
+  // because distributions and validator switches change them afterwards. Checked when
+  // verification runs
+  deploymentBlock: process.env.DEPLOYMENT_BLOCK || null
+};
+
+/**
+ * Read the runtime bytecode and immutable positions from a forge artifact
+ * @param {string} filePath - Artifact JSON (out/SaintDurbin.sol/SaintDurbin.json)
+ * @returns {Object} { bytecode, immutableReferences }
+ * @throws {Error} If the artifact is missing or has no deployed bytecode
+ */
+function loadArtifact(filePath = VERIFY_CONFIG.artifactPath) {
+  let artifact;
+  try {
+    artifact = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read forge artifact ${filePath} (run \`forge build\` first): ${error.message}`);
+  }
+  const deployed = artifact.deployedBytecode;
+  if (!deployed || typeof deployed.object !== 'string' || !/^(0x)?[0-9a-fA-F]+$/.test(deployed.object)) {
+    throw new Error(`Forge artifact ${filePath} has no deployedBytecode.object`);
+  }
+  return {
+    bytecode: ethers.hexlify(deployed.object.startsWith('0x') ? deployed.object : `0x${deployed.object}`),
+    immutableReferences: deployed.immutableReferences || {}
+  };
+}
+
+/**
+ * Zero the byte ranges the constructor fills with immutable values
+ * @param {string} bytecode - Runtime bytecode (hex)
+ * @param {Object} immutableReferences - { astId: [{ start, length }] } from the artifact
+ * @returns {Uint8Array} Bytecode with immutables zeroed
+ */
+function maskImmutables(bytecode, immutableReferences) {
+  const bytes = ethers.getBytes(bytecode).slice();
+  for (const ranges of Object.values(immutableReferences)) {
+    for (const { start, length } of ranges) {
+      bytes.fill(0, start, Math.min(start + length, bytes.length));
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Split off the CBOR metadata solc appends (its length is in the last two bytes)
+ * @param {Uint8Array} bytes - Runtime bytecode
+ * @returns {Object} { code, metadata } as byte arrays; metadata is empty if absent
+ */
+function splitMetadata(bytes) {
+  if (bytes.length < 2) return { code: bytes, metadata: new Uint8Array() };
+  const length = (bytes[bytes.length - 2] << 8) + bytes[bytes.length - 1] + 2;
+  if (length > bytes.length) return { code: bytes, metadata: new Uint8Array() };
+  return { code: bytes.subarray(0, bytes.length - length), metadata: bytes.subarray(bytes.length - length) };
+}
+
+/**
+ * Compare deployed runtime bytecode with the artifact, ignoring immutable values
+ * @param {string} deployedCode - Result of provider.getCode
+ * @param {Object} artifact - Result of loadArtifact
+ * @param {Object} options
+ * @param {boolean} options.ignoreMetadata - Accept a different metadata hash (same code, different sources or paths)
+ * @returns {Object} { matches, codeMatches, metadataMatches, firstDifference, deployedSize, expectedSize, problems }
+ */
+function compareBytecode(deployedCode, artifact, options = {}) {
+  const deployed = splitMetadata(maskImmutables(deployedCode, artifact.immutableReferences));
+  const expected = splitMetadata(maskImmutables(artifact.bytecode, artifact.immutableReferences));
+
+  let firstDifference = null;
+  const length = Math.max(deployed.code.length, expected.code.length);
+  for (let i = 0; i < length; i++) {
+    if (deployed.code[i] !== expected.code[i]) {
+      firstDifference = i;
+      break;
+    }
+  }
+  const codeMatches = firstDifference === null;
+  const metadataMatches = ethers.hexlify(deployed.metadata) === ethers.hexlify(expected.metadata);
+
+  const problems = [];
+  if (ethers.dataLength(deployedCode) === 0) {
+    problems.push('no contract code at the address');
+  } else if (!codeMatches) {
+    problems.push(`runtime code differs from the artifact at byte ${firstDifference} ` +
+      `(deployed ${deployed.code.length} bytes, artifact ${expected.code.length} bytes)`);
+  } else if (!metadataMatches && !options.ignoreMetadata) {
+    problems.push('metadata hash differs: same code, built from different sources or settings (--ignore-metadata to accept)');
+  }
+
+  return {
+    matches: problems.length === 0,
+    codeMatches,
+    metadataMatches,
+    firstDifference,
+    deployedSize: ethers.dataLength(deployedCode),
+    expectedSize: ethers.dataLength(artifact.bytecode),
+    problems
+  };
+}
+
+/**
+ * Read the configuration of a deployed contract
+ * @param {ethers.Contract} contract - SaintDurbin contract
+ * @param {Object} options
+ * @param {number} options.deploymentBlock - Read principal and validator at this block (optional)
+ * @returns {Promise<Object>} Deployed state with keys as lowercase hex
+ */
+async function readDeployedState(contract, options = {}) {
+  const at = options.deploymentBlock !== null && options.deploymentBlock !== undefined
+    ? { blockTag: options.deploymentBlock }
+    : {};
+  const [
+    emergencyOperator,
+    drainSs58Address,
+    thisSs58PublicKey,
+    netuid,
+    [coldkeys, proportions],
+    principalLocked,
+    validatorHotkey,
+    validatorUid
+  ] = await Promise.all([
+    contract.emergencyOperator(),
+    contract.drainSs58Address(),
+    contract.thisSs58PublicKey(),
+    contract.netuid(),
+    contract.getAllRecipients(),
+    contract.principalLocked(at),
+    contract.currentValidatorHotkey(at),
+    contract.currentValidatorUid(at)
+  ]);
+
+  return {
+    blockTag: at.blockTag ?? 'latest',
+    emergencyOperator: ethers.getAddress(emergencyOperator),
+    drainSs58Address: drainSs58Address.toLowerCase(),
+    validatorHotkey: validatorHotkey.toLowerCase(),
+    validatorUid: Number(validatorUid),
+    thisSs58PublicKey: thisSs58PublicKey.toLowerCase(),
+    netuid: Number(netuid),
+    recipientColdkeys: coldkeys.map(coldkey => coldkey.toLowerCase()),
+    proportions: proportions.map(Number),
+    principalLocked: BigInt(principalLocked)
+  };
+}
+
+/**
+ * Diff the deployed state against the approved constructor arguments
+ * @param {Object} state - Result of readDeployedState
+ * @param {Object} args - Arguments from validateManifest
+ * @param {Object} options
+ * @param {bigint} options.principalLocked - Expected principal in rao (optional; otherwise it must be non-zero)
+ * @returns {Array<Object>} Checks as { name, ok, problems }
+ */
+function diffDeployment(state, args, options = {}) {
+  const book = getAddressBook();
+  const constructorArgs = [];
+  const differs = (field, label = (value) => value) => {
+    if (state[field] !== args[field]) {
+      constructorArgs.push(`${field}: deployed ${label(state[field])}, approved ${label(args[field])}`);
+    }
+  };
+  differs('emergencyOperator');
+  differs('drainSs58Address', book.format);
+  differs('thisSs58PublicKey', book.format);
+  differs('netuid');
+
+  const recipients = [];
+  if (state.recipientColdkeys.length !== args.recipientColdkeys.length) {
+    recipients.push(`deployed ${state.recipientColdkeys.length} recipients, approved ${args.recipientColdkeys.length}`);
+  }
+  args.recipientColdkeys.forEach((coldkey, i) => {
+    if (state.recipientColdkeys[i] !== coldkey) {
+      recipients.push(`recipients[${i}]: deployed ${book.format(state.recipientColdkeys[i]) ?? 'none'}, approved ${book.format(coldkey)}`);
+    }
+    if (state.proportions[i] !== args.proportions[i]) {
+      recipients.push(`recipients[${i}]: deployed ${state.proportions[i] ?? 'none'} bps, approved ${args.proportions[i]}`);
+    }
+  });
+
+  const validator = [];
+  if (state.validatorHotkey !== args.validatorHotkey || state.validatorUid !== args.validatorUid) {
+    validator.push(`deployed UID ${state.validatorUid} ${book.format(state.validatorHotkey)} at block ${state.blockTag}, ` +
+      `approved UID ${args.validatorUid} ${book.format(args.validatorHotkey)}` +
+      (state.blockTag === 'latest' ? ' (set DEPLOYMENT_BLOCK to compare the initial validator after a switch)' : ''));
+  }
+
+  const principal = [];
+  const tao = (amount) => `${ethers.formatUnits(amount, 9)} TAO`;
+  if (options.principalLocked !== undefined && options.principalLocked !== null) {
+    if (state.principalLocked !== BigInt(options.principalLocked)) {
+      principal.push(`deployed ${tao(state.principalLocked)} at block ${state.blockTag}, approved ${tao(BigInt(options.principalLocked))}`);
+    }
+  } else if (state.principalLocked === 0n) {
+    principal.push('principalLocked is 0: the contract had no stake when it was deployed');
+  }
+
+  return [
+    { name: 'constructor arguments', ok: constructorArgs.length === 0, problems: constructorArgs },
+    { name: 'recipients', ok: recipients.length === 0, problems: recipients },
+    { name: 'validator', ok: validator.length === 0, problems: validator },
+    { name: 'principal', ok: principal.length === 0, problems: principal }
+  ];
+}
+
+/**
+ * Check a deployed contract against the approved manifest and the local build
+ * @param {ethers.Contract} contract - SaintDurbin contract
+ * @param {ethers.Provider} provider - Provider
+ * @param {Object} options
+ * @param {Object} options.manifest - Raw manifest (from loadManifest or manifestFromEnv)
+ * @param {Object} options.artifact - Result of loadArtifact
+ * @param {number} options.deploymentBlock - Block to read principal and validator at (optional)
+ * @param {string} options.digest - Digest from the pre-flight sign-off, to confirm the manifest is unchanged (optional)
+ * @param {boolean} options.ignoreMetadata - Accept a different metadata hash
+ * @returns {Promise<Object>} Result object with every check
+ */
+async function verifyDeployment(contract, provider, options) {
+  const result = {
+    success: false,
+    contractAddress: null,
+    checks: [],
+    state: null,
+    bytecode: null,
+    digest: null,
+    error: null
+  };
+
+  try {
+    result.contractAddress = await contract.getAddress();
+    const { args, problems } = validateManifest(options.manifest);
+    if (!args) {
+      throw new Error(`Manifest has ${problems.length} problem${problems.length === 1 ? '' : 's'}:\n  - ${problems.join('\n  - ')}`);
+    }
+    result.digest = encodeConstructorArgs(args).digest;
+    if (options.digest && options.digest.toLowerCase() !== result.digest) {
+      result.checks.push({
+        name: 'sign-off digest',
+        ok: false,
+        problems: [`manifest digest ${result.digest} is not the signed-off ${options.digest}`]
+      });
+    }
+
+    result.bytecode = compareBytecode(await provider.getCode(result.contractAddress), options.artifact, options);
+    result.checks.push({ name: 'bytecode', ok: result.bytecode.matches, problems: result.bytecode.problems });
+
+    if (result.bytecode.deployedSize > 0) {
+      result.state = await readDeployedState(contract, { deploymentBlock: options.deploymentBlock });
+      result.checks.push(...diffDeployment(result.state, args, { principalLocked: options.manifest.principalLocked }));
+    }
+
+    const failed = result.checks.filter(check => !check.ok);
+    result.success = failed.length === 0;
+    if (!result.success) {
+      result.error = `Deployment does not match: ${failed.map(check => check.name).join(', ')}`;
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Print the verification result, every difference included
+ * @param {Object} result - Result from verifyDeployment
+ */
+function printVerification(result) {
+  console.log('Contract:', result.contractAddress);
+  if (result.state) {
+    console.log(`Principal locked: ${ethers.formatUnits(result.state.principalLocked, 9)} TAO (block ${result.state.blockTag})`);
+  }
+  for (const check of result.checks) {
+    console.log(`${check.ok ? '✅' : '❌'} ${check.name}`);
+    for (const problem of check.problems) {
+      console.log(`   ${problem}`);
+    }
+  }
+  if (result.digest) {
+    console.log('Approved constructor arguments digest:', result.digest);
+  }
+  console.log('');
+  console.log(result.success
+    ? '✅ Deployment matches the approved manifest and the local build'
+    : `❌ ${result.error}`);
+}
+
+/**
+ * Read the value following a CLI flag
+ * @param {string} flag - Flag name, e.g. '--manifest'
+ * @returns {string|undefined} Flag value
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const manifestPath = getArgValue('--manifest') || PREFLIGHT_CONFIG.manifestPath;
+  const envFile = getArgValue('--env-file');
+  let deploymentBlock = null;
+  try {
+    if (getArgValue('--deployment-block') !== undefined) {
+      deploymentBlock = parseBlockNumber(getArgValue('--deployment-block'), '--deployment-block');
+    } else if (VERIFY_CONFIG.deploymentBlock !== null) {
+      deploymentBlock = parseBlockNumber(VERIFY_CONFIG.deploymentBlock, 'DEPLOYMENT_BLOCK');
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const env = envFile ? require('dotenv').parse(fs.readFileSync(envFile)) : process.env;
+  const manifest = manifestPath ? loadManifest(manifestPath) : manifestFromEnv(env, readScriptProportions());
+  const artifact = loadArtifact(getArgValue('--artifact') || VERIFY_CONFIG.artifactPath);
+
+  const provider = createProviderFromEnv();
+  const contract = new ethers.Contract(getArgValue('--contract') || process.env.CONTRACT_ADDRESS, SAINTDURBIN_FULL_ABI, provider);
+  const result = await verifyDeployment(contract, provider, {
+    manifest,
+    artifact,
+    deploymentBlock,
+    digest: getArgValue('--digest'),
+    ignoreMetadata: process.argv.includes('--ignore-metadata')
+  });
+  provider.destroy();
+
+  if (process.argv.includes('--json')) {
+    const replacer = (_, value) => (typeof value === 'bigint' ? value.toString() : value);
+    process.stdout.write(JSON.stringify(getAddressBook().annotate(result), replacer, 2) + '\n');
+  } else {
+    printVerification(result);
+  }
+  if (!result.success) {
+    console.error('❌ Verification failed:', result.error);
+    process.exitCode = 1;
+  }
+}
+
+// Export functions for testing
+module.exports = {
+  VERIFY_CONFIG,
+  loadArtifact,
+  maskImmutables,
+  compareBytecode,
+  readDeployedState,
+  diffDeployment,
+  verifyDeployment,
+  printVerification,
+  main
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Unhandled error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file